@@ -0,0 +1,223 @@
+// Per-tick cost of the chart's live path (src/liveTick.js: engine step plus
+// series updates, alert EMAs, a drawn tool and the zigzag) against the full
+// recompute it replaces, at growing history lengths:
+//   npm run bench            (or: node scripts/bench-live.mjs 1000 10000 100000)
+// The live path's time per tick should stay flat while the full recompute
+// grows with the history. It also checks that both paths agree on the last
+// bar and that every series only ever saw its last point updated.
+import { register } from "node:module";
+
+// src/ is ESM for the bundler (extensionless and directory imports, .js files
+// without "type": "module"); teach Node the same resolution for this script
+register(
+  "data:text/javascript," +
+    encodeURIComponent(`
+      import { existsSync, statSync } from "node:fs";
+      import { fileURLToPath } from "node:url";
+      export async function resolve(spec, ctx, next) {
+        if (spec.startsWith(".") && ctx.parentURL) {
+          let url = new URL(spec, ctx.parentURL);
+          const path = fileURLToPath(url);
+          if (existsSync(path) && statSync(path).isDirectory()) url = new URL("index.js", url.href + "/");
+          else if (!spec.endsWith(".js")) url = new URL(url.href + ".js");
+          if (url.href.includes("/src/")) return { url: url.href, format: "module", shortCircuit: true };
+        }
+        return next(spec, ctx);
+      }
+    `)
+);
+
+const { createLiveEngine } = await import("../src/liveEngine.js");
+const { applyTick } = await import("../src/liveTick.js");
+const { rsiAligned, toHeikinAshi } = await import("../src/indicators.js");
+const { computeIndicator, newIndicator, emaOf } = await import("../src/indicatorRegistry.js");
+const { createZigzag, zigzagPivots } = await import("../src/swings.js");
+const { levelAt } = await import("../src/fibTools.js");
+
+const sizes = process.argv.slice(2).map(Number).filter((n) => n > 0);
+const SIZES = sizes.length ? sizes : [1000, 10000, 100000];
+const TICKS = 20000; // live ticks timed per size
+const FULL_TICKS = 20; // full recomputes timed per size (they are slow)
+const RSI_PERIOD = 14;
+const ZIGZAG = { depth: 5, deviationPct: 0.5 };
+
+// The overlays a busy chart might show
+const INDICATORS = [
+  newIndicator("vwap", { id: "vwap", params: { reset: "day", tz: "UTC", bands: 2 } }),
+  newIndicator("ema", { id: "ema9", params: { period: 9 } }),
+  newIndicator("ema", { id: "ema20", params: { period: 20 } }),
+  newIndicator("ema", { id: "ema200", params: { period: 200 }, smooth: 3 }),
+  newIndicator("bb", { id: "bb" }),
+  newIndicator("keltner", { id: "keltner" }),
+];
+
+// One EMA-cross alert's lines, as AssetChart hands them to the engine
+const ALERT_LINES = [
+  { key: "cross:fast", indicator: { id: "cross:fast", type: "ema", params: { period: 12 } } },
+  { key: "cross:slow", indicator: { id: "cross:slow", type: "ema", params: { period: 26 } } },
+];
+
+// Random-walk 1m bars
+function makeBars(n) {
+  const bars = [];
+  let price = 100;
+  const t0 = 1700000000 - n * 60;
+  for (let i = 0; i < n; i++) {
+    const open = price;
+    price = Math.max(1, price + (Math.random() - 0.5));
+    const high = Math.max(open, price) + Math.random() * 0.2;
+    const low = Math.min(open, price) - Math.random() * 0.2;
+    bars.push({ time: t0 + i * 60, open, high, low, close: price, volume: 1 + Math.random() * 10, closed: true });
+  }
+  return bars;
+}
+
+// Ticks revising the forming bar, which closes on its 9th tick; a new bar
+// every 10 ticks
+function nextTick(last, i) {
+  const close = Math.max(1, last.close + (Math.random() - 0.5) * 0.1);
+  const time = i % 10 === 9 ? last.time + 60 : last.time;
+  const open = time === last.time ? last.open : last.close;
+  return {
+    time, open, close,
+    high: Math.max(time === last.time ? last.high : open, close),
+    low: Math.min(time === last.time ? last.low : open, close),
+    volume: (time === last.time ? last.volume : 0) + Math.random(),
+    closed: i % 10 === 8,
+  };
+}
+
+// Stands in for a lightweight-charts series: update() may only touch the last
+// point or append one (the library throws otherwise); setData() is the O(n) path
+function fakeSeries() {
+  return {
+    last: null,
+    setDataCalls: 0,
+    setData(data) {
+      this.setDataCalls++;
+      this.last = data.length ? data[data.length - 1] : null;
+    },
+    update(point) {
+      if (this.last && point.time < this.last.time) throw new Error(`update at ${point.time} before ${this.last.time}`);
+      this.last = point;
+    },
+  };
+}
+
+// The chart's series and state after a full render (AssetChart renderBars)
+function makeChart(bars) {
+  const engine = createLiveEngine(bars, { indicators: INDICATORS, rsiPeriod: RSI_PERIOD, lines: ALERT_LINES });
+  const overlays = {};
+  const overlayData = [];
+  INDICATORS.forEach((ind) => {
+    computeIndicator(ind, bars).forEach((o) => {
+      const key = `${ind.id}:${o.key}`;
+      overlays[key] = fakeSeries();
+      overlays[key].setData(o.data);
+      overlayData.push({ key, data: o.data });
+    });
+  });
+  const lines = Object.fromEntries(ALERT_LINES.map((l) => [l.key, fakeSeries()]));
+  // A rising ray drawn from 100 bars back
+  const t1 = bars[bars.length - 100].time;
+  const tool = { series: fakeSeries(), level: { kind: "ray", t1, p1: 100, t2: t1 + 6000, p2: 101 } };
+  tool.series.setData([{ time: t1, value: 100 }, { time: bars[bars.length - 1].time, value: levelAt(tool.level, bars[bars.length - 1].time) }]);
+  return {
+    bars,
+    engine,
+    candles: fakeSeries(),
+    rsi: fakeSeries(),
+    haRsi: fakeSeries(),
+    overlays,
+    overlayData,
+    lines,
+    tools: [tool],
+    zigzag: createZigzag(bars, ZIGZAG),
+    rsiAt: new Map(),
+  };
+}
+
+function extendBars(bars, bar) {
+  if (bars[bars.length - 1].time === bar.time) bars[bars.length - 1] = bar;
+  else bars.push(bar);
+}
+
+// What the chart computed on every tick before the live path
+function fullRecompute(bars) {
+  toHeikinAshi(bars);
+  const r = rsiAligned(bars, { period: RSI_PERIOD });
+  const rha = rsiAligned(bars, { useHa: true, period: RSI_PERIOD });
+  const out = { rsi: r[r.length - 1], haRsi: rha[rha.length - 1], overlays: {}, lines: {} };
+  INDICATORS.forEach((ind) => {
+    computeIndicator(ind, bars).forEach((o) => {
+      out.overlays[`${ind.id}:${o.key}`] = o.data.length ? o.data[o.data.length - 1].value : null;
+    });
+  });
+  const closes = bars.map((b) => b.close);
+  ALERT_LINES.forEach((l) => {
+    const ema = emaOf(closes, l.indicator.params.period);
+    out.lines[l.key] = ema[ema.length - 1];
+  });
+  out.pivots = zigzagPivots(bars, ZIGZAG);
+  return out;
+}
+
+function usPerTick(fn, count) {
+  const start = process.hrtime.bigint();
+  fn();
+  return Number(process.hrtime.bigint() - start) / 1000 / count;
+}
+
+const rows = [];
+let worst = 0;
+let problems = [];
+for (const n of SIZES) {
+  const bars = makeBars(n);
+  const buildStart = process.hrtime.bigint();
+  const chart = makeChart(bars);
+  const buildMs = Number(process.hrtime.bigint() - buildStart) / 1e6;
+
+  let r;
+  const liveUs = usPerTick(() => {
+    for (let i = 0; i < TICKS; i++) r = applyTick(chart, nextTick(bars[bars.length - 1], i));
+  }, TICKS);
+
+  // Both paths must agree on the last bar after all those ticks
+  const ref = fullRecompute(bars);
+  const time = bars[bars.length - 1].time;
+  const diffs = [Math.abs(r.rsi - ref.rsi), Math.abs(r.haRsi - ref.haRsi)];
+  Object.entries(chart.overlays).forEach(([key, s]) => diffs.push(Math.abs(s.last.value - ref.overlays[key])));
+  Object.entries(chart.lines).forEach(([key, s]) => diffs.push(Math.abs(s.last.value - ref.lines[key])));
+  const [tool] = chart.tools;
+  diffs.push(Math.abs(tool.series.last.value - levelAt(tool.level, time)));
+  const maxDiff = Math.max(...diffs);
+  worst = Math.max(worst, maxDiff);
+  if (tool.series.last.time !== time) problems.push(`${n}: tool not extended to the last bar`);
+  if (JSON.stringify(chart.zigzag.pivots) !== JSON.stringify(ref.pivots)) problems.push(`${n}: zigzag pivots differ`);
+  const setData = Object.values(chart.overlays).concat(Object.values(chart.lines), [tool.series])
+    .reduce((sum, s) => sum + s.setDataCalls, 0);
+  if (setData !== Object.keys(chart.overlays).length + 1) problems.push(`${n}: setData called on a tick`);
+
+  const fullUs = usPerTick(() => {
+    for (let i = 0; i < FULL_TICKS; i++) {
+      extendBars(bars, nextTick(bars[bars.length - 1], i));
+      fullRecompute(bars);
+    }
+  }, FULL_TICKS);
+
+  rows.push({
+    bars: n,
+    "build (ms)": buildMs.toFixed(1),
+    "live (µs/tick)": liveUs.toFixed(2),
+    "full recompute (µs/tick)": fullUs.toFixed(0),
+    speedup: `${Math.round(fullUs / liveUs)}x`,
+    "max |diff|": maxDiff.toExponential(1),
+  });
+}
+
+console.table(rows);
+if (!(worst < 1e-6)) problems.push(`live path and full recompute disagree (max diff ${worst})`);
+if (problems.length) {
+  problems.forEach((p) => console.error(p));
+  process.exitCode = 1;
+}
@@ -0,0 +1,268 @@
+// server/alertEngine.js
+// Server-side fib-cross + RSI alerts, so rules fire with no dashboard open.
+// Same per-line rule as the alerts effect in src/AssetChart.js:
+//   price crosses line.price between previous close and live close
+//   AND RSI (or HA-RSI) satisfies line.rsiOp / line.rsiThreshold,
+// gated by the line's firing policy (see firePolicy.js). Lines with
+// confirmOnClose are only evaluated on the update that closes a bar.
+// Lines of drawn fib tools carry a `level` instead of a fixed price
+// (see src/fibTools.js): sloped levels are compared bar by bar, time
+// zones fire when a bar opens on or past the zone. Lines built in the
+// dashboard's rule builder carry `conditions` / `conditionOp` in place of
+// the RSI check (see conditions.js).
+const fs = require('fs');
+const path = require('path');
+const { lastRsi } = require('./indicators');
+const { conditionsMet, ruleSummary } = require('./conditions');
+const { inferTickSize, policyAllows, rearmReached, recordFire } = require('./firePolicy');
+
+const HISTORY_LIMIT = 500;
+const RETRY_MS = 5000; // first history retry; doubles per failed attempt
+const MAX_RETRY_MS = 5 * 60 * 1000;
+
+// Price of a tool level at `time` (null for time zones)
+function levelAt(level, time) {
+  if (level.kind === 'h') return level.price;
+  if (level.kind === 'ray') {
+    if (level.t2 === level.t1) return level.p2;
+    return level.p1 + ((level.p2 - level.p1) * (time - level.t1)) / (level.t2 - level.t1);
+  }
+  return null;
+}
+
+function createAlertEngine({ feed, notify, storeFile }) {
+  // `${symbol}@${timeframe}` -> { symbol, provider, timeframe, useHaRsi, lines }
+  // (one fib set per symbol and timeframe, as the dashboard keeps them)
+  const rules = new Map();
+  // `${symbol}@${interval}` -> { bars, unsubscribe, ready, pending, attempts, timer }
+  const streams = new Map();
+  // line id -> { lastFiredAt, lastFiredBar, fireCount, firedDir, armed, spent }
+  const fireState = new Map();
+
+  function stateOf(id) {
+    if (!fireState.has(id)) fireState.set(id, {});
+    return fireState.get(id);
+  }
+
+  function streamKey(symbol, interval) {
+    return `${symbol}@${interval}`;
+  }
+
+  function load() {
+    if (!storeFile || !fs.existsSync(storeFile)) return;
+    try {
+      const saved = JSON.parse(fs.readFileSync(storeFile, 'utf8'));
+      Object.entries(saved.fireState || {}).forEach(([id, st]) => fireState.set(id, st));
+      (saved.rules || []).forEach((r) => setRule(r, { persist: false }));
+    } catch (e) {
+      console.warn('[engine] could not read', storeFile, e.message);
+    }
+  }
+
+  function persist() {
+    if (!storeFile) return;
+    try {
+      fs.mkdirSync(path.dirname(storeFile), { recursive: true });
+      fs.writeFileSync(storeFile, JSON.stringify({ rules: [...rules.values()], fireState: Object.fromEntries(fireState) }, null, 2));
+    } catch (e) {
+      console.warn('[engine] could not write', storeFile, e.message);
+    }
+  }
+
+  function supported(rule) {
+    return !feed.providers || feed.providers.includes(rule.provider || 'binanceus');
+  }
+
+  function armedLines(rule) {
+    if (!supported(rule)) return [];
+    return (rule.lines || []).filter(
+      (ln) => ln.enabled !== false && ln.alertEnabled && (ln.price != null || ln.level) &&
+        (Array.isArray(ln.conditions) || Number.isFinite(ln.rsiThreshold)) &&
+        !(fireState.get(ln.id) || {}).spent
+    );
+  }
+
+  function ensureStream(symbol, interval) {
+    const key = streamKey(symbol, interval);
+    if (streams.has(key)) return;
+    const st = { bars: [], unsubscribe: null, ready: false, pending: [], attempts: 0, timer: null };
+    streams.set(key, st);
+    startStream(key, st, symbol, interval);
+  }
+
+  // Live klines on top of the REST history. Ticks that arrive before the
+  // history are held in st.pending and replayed once it lands; a failed
+  // history load tears the subscription down and retries with backoff.
+  function startStream(key, st, symbol, interval) {
+    const onTick = (bar) => {
+      const b = st.bars;
+      if (b.length && bar.time < b[b.length - 1].time) return;
+      if (b.length && b[b.length - 1].time === bar.time) b[b.length - 1] = bar; else b.push(bar);
+      if (b.length > HISTORY_LIMIT * 2) b.splice(0, b.length - HISTORY_LIMIT);
+      evaluate(symbol, interval, !!bar.closed);
+    };
+
+    st.unsubscribe = feed.subscribe(symbol, interval, (bar) => {
+      if (st.ready) onTick(bar); else st.pending.push(bar);
+    });
+
+    feed.history(symbol, interval, HISTORY_LIMIT)
+      .then((bars) => {
+        if (streams.get(key) !== st) return;
+        st.bars = bars;
+        st.ready = true;
+        st.attempts = 0;
+        const early = st.pending;
+        st.pending = [];
+        early.forEach(onTick);
+      })
+      .catch((e) => {
+        if (streams.get(key) !== st) return;
+        const delay = Math.min(MAX_RETRY_MS, RETRY_MS * 2 ** st.attempts);
+        st.attempts += 1;
+        console.warn(`[engine] history ${key}: ${e.message} (retrying in ${delay / 1000}s)`);
+        try { st.unsubscribe && st.unsubscribe(); } catch {}
+        st.unsubscribe = null;
+        st.pending = [];
+        st.timer = setTimeout(() => {
+          if (streams.get(key) === st) startStream(key, st, symbol, interval);
+        }, delay);
+      });
+  }
+
+  // Drop streams that no rule with armed lines needs anymore
+  function pruneStreams() {
+    const needed = new Set();
+    rules.forEach((r) => { if (armedLines(r).length) needed.add(streamKey(r.symbol, r.timeframe)); });
+    streams.forEach((st, key) => {
+      if (needed.has(key)) return;
+      clearTimeout(st.timer);
+      try { st.unsubscribe && st.unsubscribe(); } catch {}
+      streams.delete(key);
+    });
+  }
+
+  // `closedTick`: this update finalized the bar (confirmOnClose lines only evaluate then)
+  function evaluate(symbol, interval, closedTick) {
+    const rule = rules.get(streamKey(symbol, interval));
+    if (!rule) return;
+    const st = streams.get(streamKey(symbol, interval));
+    const bars = st ? st.bars : [];
+    if (bars.length < 2) return;
+
+    const price = bars[bars.length - 1].close;
+    const prevClose = bars[bars.length - 2].close;
+    const prevTime = bars[bars.length - 2].time;
+    const rsiVal = lastRsi(bars, rule.useHaRsi, rule.rsiPeriod);
+    if (rsiVal == null) return;
+    const barTime = bars[bars.length - 1].time;
+    const now = Date.now();
+    const tickSize = inferTickSize(bars);
+    let dirty = false;
+
+    armedLines(rule).forEach((raw) => {
+      if (raw.confirmOnClose && !closedTick) return;
+      const level = raw.level || null;
+      const zone = !!level && level.kind === 'zone';
+      // Tool lines are checked against their level at this bar and the previous one
+      const ln = level ? { ...raw, price: levelAt(level, barTime) } : raw;
+      const prevLine = level ? levelAt(level, prevTime) : ln.price;
+      const st = stateOf(ln.id);
+      if (!zone && rearmReached(ln, st, price, tickSize)) {
+        st.armed = true;
+        dirty = true;
+        return;
+      }
+      const crossed = zone
+        ? prevTime < level.time && barTime >= level.time
+        : (prevClose < prevLine) !== (price < ln.price);
+      if (!crossed) return;
+      const direction = zone ? 'zone' : prevClose < prevLine ? 'up' : 'down';
+      let ok;
+      if (Array.isArray(ln.conditions)) {
+        ok = conditionsMet(ln, { bars, direction, rsiPeriod: rule.rsiPeriod });
+      } else {
+        const op = ln.rsiOp || '>=';
+        ok = op === '>=' ? rsiVal >= ln.rsiThreshold : rsiVal <= ln.rsiThreshold;
+      }
+      if (!ok) return;
+      if (!policyAllows(ln, st, { barTime, now })) return;
+      recordFire(ln, st, { barTime, now, direction });
+      dirty = true;
+
+      const summary = ruleSummary(ln);
+      const rsiTxt = `RSI ${rule.useHaRsi ? '(HA)' : ''}=${rsiVal.toFixed(1)}${summary ? ` | ${summary}` : ''}`;
+      const message = !ln.label
+        ? `${symbol} ${interval} crossed ${Number(ln.ratio)} at ${ln.price.toFixed(6)} | ${rsiTxt}`
+        : zone
+          ? `${symbol} ${interval} ${ln.label} reached at ${new Date(level.time * 1000).toISOString()} | ${rsiTxt}`
+          : `${symbol} ${interval} ${ln.label} crossed at ${ln.price.toFixed(6)} | ${rsiTxt}`;
+      Promise.resolve(notify(message, { symbol, timeframe: interval, line: ln, rsi: rsiVal }))
+        .catch((e) => console.warn('[engine] notify failed:', e.message));
+    });
+
+    if (dirty) persist();
+  }
+
+  function putRule({ symbol, provider, timeframe, useHaRsi, rsiPeriod, lines }) {
+    const sym = String(symbol || '').toUpperCase();
+    if (!sym || !timeframe) return;
+    const list = Array.isArray(lines) ? lines : [];
+    // A line pushed with its alert off forgets its firing state (re-enabling starts fresh)
+    list.forEach((ln) => { if (!ln.alertEnabled) fireState.delete(ln.id); });
+    const key = streamKey(sym, timeframe);
+    rules.set(key, {
+      symbol: sym, provider: provider || 'binanceus', timeframe, useHaRsi: !!useHaRsi,
+      rsiPeriod: Math.max(2, Math.round(Number(rsiPeriod)) || 14),
+      lines: list,
+    });
+    if (armedLines(rules.get(key)).length) ensureStream(sym, timeframe);
+  }
+
+  function setRule(rule, { persist: save = true } = {}) {
+    putRule(rule);
+    pruneStreams();
+    if (save) persist();
+  }
+
+  // Replace the full rule set (what the dashboard pushes)
+  function replaceRules(list) {
+    rules.clear();
+    (list || []).forEach(putRule);
+    const ids = new Set();
+    rules.forEach((r) => r.lines.forEach((ln) => ids.add(ln.id)));
+    [...fireState.keys()].forEach((id) => { if (!ids.has(id)) fireState.delete(id); });
+    pruneStreams();
+    persist();
+  }
+
+  function status() {
+    return [...rules.values()].map((r) => {
+      const st = streams.get(streamKey(r.symbol, r.timeframe));
+      return {
+        symbol: r.symbol,
+        provider: r.provider,
+        supported: supported(r),
+        timeframe: r.timeframe,
+        useHaRsi: r.useHaRsi,
+        rsiPeriod: r.rsiPeriod,
+        streaming: !!(st && st.ready),
+        armed: armedLines(r).map((ln) => {
+          const st = fireState.get(ln.id) || {};
+          return {
+            id: ln.id, ratio: ln.ratio, price: ln.price, rsiOp: ln.rsiOp || '>=', rsiThreshold: ln.rsiThreshold,
+            rule: ruleSummary(ln) || null,
+            firePolicy: ln.firePolicy || 'bar', fireCount: st.fireCount || 0, lastFiredAt: st.lastFiredAt || null,
+          };
+        }),
+        spent: r.lines.filter((ln) => (fireState.get(ln.id) || {}).spent).map((ln) => ln.id),
+      };
+    });
+  }
+
+  load();
+
+  return { setRule, replaceRules, status, feed: feed.name };
+}
+
+module.exports = { createAlertEngine };
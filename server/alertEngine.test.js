@@ -0,0 +1,73 @@
+// server/alertEngine.test.js
+const { createAlertEngine } = require('./alertEngine');
+
+// Feed whose history and live ticks the test drives
+function fakeFeed() {
+  const listeners = new Map(); // `${symbol}@${interval}` -> onBar
+  return {
+    name: 'fake',
+    listeners,
+    history: jest.fn(async (symbol, interval) => {
+      const secs = interval === '1h' ? 3600 : 60;
+      return Array.from({ length: 30 }, (_, i) => ({ time: i * secs, open: 100, high: 101, low: 99, close: 100 + (i % 2), closed: true }));
+    }),
+    subscribe(symbol, interval, onBar) {
+      listeners.set(`${symbol}@${interval}`, onBar);
+      return () => listeners.delete(`${symbol}@${interval}`);
+    },
+  };
+}
+
+const flush = () => new Promise((resolve) => setImmediate(resolve));
+const line = (id, price) => ({ id, ratio: 0.5, price, enabled: true, alertEnabled: true, rsiOp: '>=', rsiThreshold: 0 });
+
+test('keeps one rule per symbol and timeframe, each on its own stream', async () => {
+  const feed = fakeFeed();
+  const notify = jest.fn();
+  const engine = createAlertEngine({ feed, notify });
+  engine.setRule({ symbol: 'btcusdt', timeframe: '1m', lines: [line('m', 102)] });
+  engine.setRule({ symbol: 'BTCUSDT', timeframe: '1h', lines: [line('h', 102)] });
+  await flush();
+
+  expect(engine.status().map((r) => [r.symbol, r.timeframe, r.streaming])).toEqual([
+    ['BTCUSDT', '1m', true],
+    ['BTCUSDT', '1h', true],
+  ]);
+  expect([...feed.listeners.keys()]).toEqual(['BTCUSDT@1m', 'BTCUSDT@1h']);
+
+  // A 1m close across 102 fires the 1m line only
+  feed.listeners.get('BTCUSDT@1m')({ time: 30 * 60, open: 101, high: 104, low: 101, close: 103, closed: false });
+  expect(notify).toHaveBeenCalledTimes(1);
+  expect(notify.mock.calls[0][1]).toMatchObject({ symbol: 'BTCUSDT', timeframe: '1m', line: { id: 'm' } });
+
+  // Dropping the 1h rule closes its stream and leaves the 1m one
+  engine.replaceRules([{ symbol: 'BTCUSDT', timeframe: '1m', lines: [line('m', 102)] }]);
+  expect([...feed.listeners.keys()]).toEqual(['BTCUSDT@1m']);
+});
+
+test('holds ticks that beat the history and retries a failed load', async () => {
+  jest.useFakeTimers();
+  const feed = fakeFeed();
+  const history = feed.history.getMockImplementation();
+  feed.history.mockRejectedValueOnce(new Error('down'));
+  const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+  const notify = jest.fn();
+  const engine = createAlertEngine({ feed, notify });
+  engine.setRule({ symbol: 'ETHUSDT', timeframe: '1m', lines: [line('e', 102)] });
+  await Promise.resolve();
+  await Promise.resolve();
+  expect(feed.listeners.size).toBe(0);
+
+  let release;
+  feed.history.mockImplementationOnce((...args) => new Promise((resolve) => { release = () => resolve(history(...args)); }));
+  jest.advanceTimersByTime(5000);
+  feed.listeners.get('ETHUSDT@1m')({ time: 30 * 60, open: 101, high: 104, low: 101, close: 103 });
+  release();
+  jest.useRealTimers();
+  await flush();
+
+  expect(feed.history).toHaveBeenCalledTimes(2);
+  expect(engine.status()[0].streaming).toBe(true);
+  expect(notify).toHaveBeenCalledTimes(1);
+  warn.mockRestore();
+});
@@ -0,0 +1,132 @@
+// server/alertStore.js
+// Alert history as a JSON-lines file. Every write appends a full record;
+// a later line with the same id supersedes the earlier one (last wins on load).
+// History is capped by count and age (records still being delivered are kept),
+// and the file is rewritten whenever superseded or dropped lines outnumber live ones.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const MAX_RECORDS = 5000;
+const MAX_AGE_DAYS = 30;
+const COMPACT_MIN_LINES = 1000; // small files are left alone
+
+function toMs(v) {
+  if (v == null || v === '') return null;
+  const n = Number(v);
+  if (Number.isFinite(n)) return n;
+  const t = Date.parse(v);
+  return Number.isFinite(t) ? t : null;
+}
+
+const inFlight = (r) => r.status === 'queued' || r.status === 'sending';
+
+function createAlertStore(file, { maxRecords = MAX_RECORDS, maxAgeDays = MAX_AGE_DAYS } = {}) {
+  const byId = new Map(); // insertion order = oldest first
+  const listeners = new Set();
+  let lines = 0; // lines in the file, superseded ones included
+
+  // Forget records past the count or age cap, oldest first
+  function prune() {
+    const cutoff = Date.now() - maxAgeDays * 24 * 60 * 60 * 1000;
+    let over = byId.size - maxRecords;
+    for (const [id, r] of byId) {
+      if (over <= 0 && !(r.ts < cutoff)) break;
+      if (inFlight(r)) continue;
+      byId.delete(id);
+      over -= 1;
+    }
+  }
+
+  function compact() {
+    if (lines <= Math.max(COMPACT_MIN_LINES, byId.size * 2)) return;
+    try {
+      const tmp = `${file}.tmp`;
+      fs.writeFileSync(tmp, [...byId.values()].map((r) => JSON.stringify(r) + '\n').join(''));
+      fs.renameSync(tmp, file);
+      lines = byId.size;
+    } catch (e) {
+      console.warn('[store] could not compact', file, e.message);
+    }
+  }
+
+  if (file && fs.existsSync(file)) {
+    fs.readFileSync(file, 'utf8').split('\n').forEach((line) => {
+      if (!line.trim()) return;
+      lines += 1;
+      try {
+        const rec = JSON.parse(line);
+        if (rec.id) byId.set(rec.id, rec);
+      } catch {}
+    });
+    prune();
+    compact();
+  }
+
+  function write(rec) {
+    byId.set(rec.id, rec);
+    listeners.forEach((fn) => { try { fn(rec); } catch {} });
+    prune();
+    if (!file) return;
+    try {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.appendFileSync(file, JSON.stringify(rec) + '\n');
+      lines += 1;
+    } catch (e) {
+      console.warn('[store] could not append to', file, e.message);
+    }
+    compact();
+  }
+
+  // { symbol, timeframe, ratio, price, rsi, message, source, status, channels }
+  function add(fields) {
+    const rec = { id: crypto.randomUUID(), ts: Date.now(), ...fields };
+    write(rec);
+    return rec;
+  }
+
+  function update(id, patch) {
+    const cur = byId.get(id);
+    if (!cur) return null;
+    const rec = { ...cur, ...patch };
+    write(rec);
+    return rec;
+  }
+
+  function get(id) {
+    return byId.get(id) || null;
+  }
+
+  // Records still in the outbound queue (queued / sending)
+  function pending() {
+    return [...byId.values()].filter((r) => r.status === 'queued' || r.status === 'sending');
+  }
+
+  // fn(record) after every add/update; returns an unsubscribe function
+  function onChange(fn) {
+    listeners.add(fn);
+    return () => listeners.delete(fn);
+  }
+
+  // Newest first. Filters: symbol, status, from/to (ms or ISO); paging: limit/offset
+  function query({ symbol, status, from, to, limit = 50, offset = 0 } = {}) {
+    const fromMs = toMs(from);
+    const toMsV = toMs(to);
+    const sym = symbol ? String(symbol).toUpperCase() : null;
+    const items = [...byId.values()]
+      .filter((r) =>
+        (!sym || String(r.symbol || '').toUpperCase() === sym) &&
+        (!status || r.status === status) &&
+        (fromMs == null || r.ts >= fromMs) &&
+        (toMsV == null || r.ts <= toMsV)
+      )
+      .sort((a, b) => b.ts - a.ts);
+    const lim = Math.max(1, Math.min(500, Number(limit) || 50));
+    const off = Math.max(0, Number(offset) || 0);
+    return { total: items.length, limit: lim, offset: off, items: items.slice(off, off + lim) };
+  }
+
+  return { add, update, get, pending, query, onChange };
+}
+
+module.exports = { createAlertStore };
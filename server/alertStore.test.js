@@ -0,0 +1,68 @@
+// server/alertStore.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createAlertStore } = require('./alertStore');
+
+const T0 = Date.parse('2024-01-02T00:00:00Z');
+const HOUR = 60 * 60 * 1000;
+
+let dir;
+beforeAll(() => { dir = fs.mkdtempSync(path.join(os.tmpdir(), 'alertstore-')); });
+afterAll(() => fs.rmSync(dir, { recursive: true, force: true }));
+afterEach(() => jest.restoreAllMocks());
+
+// A store holding one record per hour from T0, as [symbol, status] pairs
+function storeOf(records, file = null) {
+  const store = createAlertStore(file);
+  const now = jest.spyOn(Date, 'now');
+  records.forEach(([symbol, status], i) => {
+    now.mockReturnValue(T0 + i * HOUR);
+    store.add({ symbol, status, message: `#${i}` });
+  });
+  now.mockReturnValue(T0 + records.length * HOUR);
+  return store;
+}
+
+const messages = (res) => res.items.map((r) => r.message);
+
+test('lists newest first and filters by symbol and status', () => {
+  const store = storeOf([['BTCUSDT', 'sent'], ['ethusdt', 'failed'], ['BTCUSDT', 'failed'], ['ETHUSDT', 'sent']]);
+  expect(messages(store.query())).toEqual(['#3', '#2', '#1', '#0']);
+  expect(messages(store.query({ symbol: 'ethusdt' }))).toEqual(['#3', '#1']); // case-insensitive
+  expect(messages(store.query({ status: 'failed' }))).toEqual(['#2', '#1']);
+  expect(messages(store.query({ symbol: 'BTCUSDT', status: 'failed' }))).toEqual(['#2']);
+  expect(store.query({ symbol: 'DOGEUSDT' })).toEqual({ total: 0, limit: 50, offset: 0, items: [] });
+});
+
+test('filters by time range, given in ms or ISO', () => {
+  const store = storeOf([['A', 'sent'], ['A', 'sent'], ['A', 'sent'], ['A', 'sent']]);
+  expect(messages(store.query({ from: T0 + HOUR, to: T0 + 2 * HOUR }))).toEqual(['#2', '#1']);
+  expect(messages(store.query({ from: '2024-01-02T02:00:00Z' }))).toEqual(['#3', '#2']);
+  expect(messages(store.query({ to: String(T0) }))).toEqual(['#0']);
+  // Unparseable bounds are ignored
+  expect(store.query({ from: 'yesterday', to: '' }).total).toBe(4);
+});
+
+test('pages with limit and offset, clamping bad values', () => {
+  const store = storeOf(Array.from({ length: 8 }, () => ['A', 'sent']));
+  const page = store.query({ limit: 3, offset: 3 });
+  expect(page).toMatchObject({ total: 8, limit: 3, offset: 3 });
+  expect(messages(page)).toEqual(['#4', '#3', '#2']);
+  expect(store.query({ limit: '2', offset: '7' }).items).toHaveLength(1);
+  expect(store.query({ limit: 0, offset: -5 })).toMatchObject({ limit: 50, offset: 0 });
+  expect(store.query({ limit: 10000 }).limit).toBe(500);
+  expect(store.query({ limit: 'x', offset: 'y' })).toMatchObject({ limit: 50, offset: 0 });
+});
+
+test('an update replaces the record and survives a reload', () => {
+  const file = path.join(dir, 'alerts.jsonl');
+  const store = storeOf([['BTCUSDT', 'queued'], ['ETHUSDT', 'queued']], file);
+  const [newest] = store.query().items;
+  store.update(newest.id, { status: 'sent' });
+  expect(store.query({ status: 'queued' }).total).toBe(1);
+
+  const reloaded = createAlertStore(file);
+  expect(reloaded.query().total).toBe(2);
+  expect(reloaded.query({ status: 'sent' }).items).toEqual([{ ...newest, status: 'sent' }]);
+});
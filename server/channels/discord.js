@@ -0,0 +1,19 @@
+// server/channels/discord.js
+const { httpFailure } = require('./http');
+
+function createDiscord({ url, username }) {
+  return {
+    async send(message) {
+      if (!url) return { ok: false, error: 'Missing Discord webhook url', permanent: true };
+      const r = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ content: message || '(no message)', username })
+      });
+      // Discord answers 204 No Content on success
+      return r.ok ? { ok: true } : httpFailure(r);
+    },
+  };
+}
+
+module.exports = { createDiscord };
@@ -0,0 +1,22 @@
+// server/channels/email.js
+const nodemailer = require('nodemailer');
+
+function createEmail({ host, port = 587, secure = false, user, pass, from, to }) {
+  const transport = host
+    ? nodemailer.createTransport({ host, port: Number(port), secure: !!secure, auth: user ? { user, pass } : undefined })
+    : null;
+  return {
+    async send(message) {
+      if (!transport || !to) return { ok: false, error: 'Missing SMTP host or recipient', permanent: true };
+      await transport.sendMail({
+        from: from || user,
+        to,
+        subject: String(message || 'Fib alert').slice(0, 120),
+        text: message || '(no message)',
+      });
+      return { ok: true };
+    },
+  };
+}
+
+module.exports = { createEmail };
@@ -0,0 +1,17 @@
+// server/channels/http.js
+// Shared failure shape for HTTP-based channels:
+//   { ok: false, error, retryAfter?: seconds, permanent?: true }
+// 4xx other than 408/429 are permanent (bad url, bad token); 429 honours
+// Retry-After / retry_after.
+async function httpFailure(r) {
+  let body = null;
+  const text = await r.text().catch(() => '');
+  try { body = JSON.parse(text); } catch {}
+  const header = Number(r.headers.get('retry-after'));
+  const retryAfter = Number.isFinite(header) && header > 0 ? header : Number(body && body.retry_after) || undefined;
+  const permanent = r.status >= 400 && r.status < 500 && r.status !== 408 && r.status !== 429;
+  const detail = (body && (body.message || body.description)) || text.slice(0, 120);
+  return { ok: false, error: `HTTP ${r.status}${detail ? ` ${detail}` : ''}`, retryAfter, permanent };
+}
+
+module.exports = { httpFailure };
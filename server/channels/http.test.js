@@ -0,0 +1,45 @@
+// server/channels/http.test.js
+const { httpFailure } = require('./http');
+const { createTelegram } = require('./telegram');
+const { createSlack } = require('./slack');
+
+const realFetch = global.fetch;
+afterEach(() => { global.fetch = realFetch; });
+
+const res = (status, body, headers) =>
+  new Response(typeof body === 'string' ? body : JSON.stringify(body), { status, headers });
+
+test('other 4xx are permanent; 408, 429 and 5xx are retried', async () => {
+  expect(await httpFailure(res(404, 'no such hook'))).toEqual({ ok: false, error: 'HTTP 404 no such hook', retryAfter: undefined, permanent: true });
+  expect(await httpFailure(res(400, { message: 'Invalid Webhook Token' }))).toMatchObject({ error: 'HTTP 400 Invalid Webhook Token', permanent: true });
+  expect(await httpFailure(res(408, ''))).toMatchObject({ error: 'HTTP 408', permanent: false });
+  expect(await httpFailure(res(503, 'x'.repeat(500)))).toMatchObject({ error: `HTTP 503 ${'x'.repeat(120)}`, permanent: false });
+});
+
+test('429 takes Retry-After from the header, else retry_after from the body', async () => {
+  expect(await httpFailure(res(429, '', { 'Retry-After': '12' }))).toMatchObject({ retryAfter: 12, permanent: false });
+  expect(await httpFailure(res(429, { message: 'rate limited', retry_after: 3.5 }))).toMatchObject({
+    error: 'HTTP 429 rate limited', retryAfter: 3.5, permanent: false,
+  });
+  expect((await httpFailure(res(429, { retry_after: 2 }, { 'Retry-After': 'soon' }))).retryAfter).toBe(2);
+});
+
+test('HTTP channels report failures through httpFailure', async () => {
+  global.fetch = jest.fn(async () => res(403, 'invalid_token'));
+  expect(await createSlack({ url: 'https://hooks.example/x' }).send('hi')).toMatchObject({ error: 'HTTP 403 invalid_token', permanent: true });
+  expect(await createSlack({}).send('hi')).toEqual({ ok: false, error: 'Missing Slack webhook url', permanent: true });
+});
+
+test("Telegram: 429 retries after parameters.retry_after, other 4xx fail for good", async () => {
+  const tg = createTelegram({ token: 't', chatId: 'c' });
+  global.fetch = jest.fn(async () => res(429, { ok: false, error_code: 429, description: 'Too Many Requests: retry after 7', parameters: { retry_after: 7 } }));
+  expect(await tg.send('hi')).toEqual({ ok: false, error: 'Too Many Requests: retry after 7', retryAfter: 7 });
+
+  global.fetch = jest.fn(async () => res(400, { ok: false, error_code: 400, description: 'Bad Request: chat not found' }));
+  expect(await tg.send('hi')).toEqual({ ok: false, error: 'Bad Request: chat not found', permanent: true });
+
+  global.fetch = jest.fn(async () => res(502, '<html>Bad Gateway</html>'));
+  expect(await tg.send('hi')).toEqual({ ok: false, error: 'HTTP 502', permanent: false });
+
+  expect(await createTelegram({ token: 't' }).send('hi')).toEqual({ ok: false, error: 'Missing Telegram token or chat id', permanent: true });
+});
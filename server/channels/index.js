@@ -0,0 +1,93 @@
+// server/channels/index.js
+// Notification channels + routing.
+//
+// Config comes from server/routes.json (see routes.example.json):
+//   channels: { <name>: { type: telegram|discord|slack|webhook|email, ...options } }
+//   routes:   [{ symbols: ["BTC*"], timeframes?: ["1h"], channels: ["<name>"] }, ...]
+// The first route whose symbols/timeframes match wins; a route with
+// `default: true` catches everything else. "${VAR}" in option strings is
+// replaced from the environment. Without a routes file every alert goes to
+// Telegram using TELEGRAM_BOT_TOKEN / TELEGRAM_CHAT_ID from .env.
+const fs = require('fs');
+const { createTelegram } = require('./telegram');
+const { createDiscord } = require('./discord');
+const { createSlack } = require('./slack');
+const { createWebhook } = require('./webhook');
+const { createEmail } = require('./email');
+
+const FACTORIES = {
+  telegram: createTelegram,
+  discord: createDiscord,
+  slack: createSlack,
+  webhook: createWebhook,
+  email: createEmail,
+};
+
+function interpolate(value) {
+  if (typeof value === 'string') return value.replace(/\$\{(\w+)\}/g, (_, k) => process.env[k] || '');
+  if (Array.isArray(value)) return value.map(interpolate);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, interpolate(v)]));
+  }
+  return value;
+}
+
+function defaultConfig() {
+  return {
+    channels: { telegram: { type: 'telegram', token: '${TELEGRAM_BOT_TOKEN}', chatId: '${TELEGRAM_CHAT_ID}' } },
+    routes: [{ default: true, channels: ['telegram'] }],
+  };
+}
+
+function loadConfig(file) {
+  if (!file || !fs.existsSync(file)) return defaultConfig();
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function globMatch(pattern, value) {
+  const re = new RegExp(`^${String(pattern).replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*')}$`, 'i');
+  return re.test(String(value || ''));
+}
+
+function createRelay(configFile) {
+  const config = loadConfig(configFile);
+  const channels = {};
+  Object.entries(config.channels || {}).forEach(([name, cfg]) => {
+    const factory = FACTORIES[cfg.type];
+    if (!factory) {
+      console.warn(`[relay] channel "${name}": unknown type "${cfg.type}"`);
+      return;
+    }
+    channels[name] = { type: cfg.type, ...factory(interpolate(cfg)) };
+  });
+
+  function route({ symbol, timeframe } = {}) {
+    const routes = config.routes || [];
+    const hit = routes.find((r) =>
+      !r.default &&
+      (!r.symbols || r.symbols.some((p) => globMatch(p, symbol))) &&
+      (!r.timeframes || r.timeframes.includes(timeframe))
+    ) || routes.find((r) => r.default);
+    return hit ? hit.channels || [] : [];
+  }
+
+  function typeOf(name) {
+    return channels[name] ? channels[name].type : null;
+  }
+
+  // One delivery attempt on one channel; never throws.
+  // Resolves { ok, error?, retryAfter?, permanent? }
+  async function sendTo(name, message, meta = {}) {
+    const ch = channels[name];
+    if (!ch) return { ok: false, error: 'Unknown channel', permanent: true };
+    try {
+      return await ch.send(message, meta);
+    } catch (e) {
+      return { ok: false, error: String(e.message || e) };
+    }
+  }
+
+  return { route, sendTo, typeOf, channels: Object.keys(channels) };
+}
+
+module.exports = { createRelay };
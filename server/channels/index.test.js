@@ -0,0 +1,111 @@
+// server/channels/index.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createRelay } = require('./index');
+
+let dir;
+beforeAll(() => { dir = fs.mkdtempSync(path.join(os.tmpdir(), 'relay-')); });
+afterAll(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const realFetch = global.fetch;
+const env = { ...process.env };
+afterEach(() => {
+  global.fetch = realFetch;
+  process.env = { ...env };
+  jest.restoreAllMocks();
+});
+
+function relayFor(config) {
+  const file = path.join(dir, `routes-${Math.random().toString(36).slice(2)}.json`);
+  fs.writeFileSync(file, JSON.stringify(config));
+  return createRelay(file);
+}
+
+// fetch stub answering every request with `status` and `body`, recording the requests
+function stubFetch(status = 200, body = {}) {
+  const requests = [];
+  global.fetch = jest.fn(async (url, init) => {
+    requests.push({ url, headers: init.headers, body: JSON.parse(init.body) });
+    return new Response(JSON.stringify(body), { status });
+  });
+  return requests;
+}
+
+const CHANNELS = {
+  tg: { type: 'telegram', token: 't', chatId: 'c' },
+  btc: { type: 'slack', url: 'https://hooks.example/btc' },
+  daily: { type: 'slack', url: 'https://hooks.example/daily' },
+  hook: { type: 'webhook', url: 'https://example.com/${HOOK_PATH}', headers: { Authorization: 'Bearer ${HOOK_TOKEN}' } },
+};
+
+test('the first matching route wins, with * globs matched case-insensitively', () => {
+  const relay = relayFor({
+    channels: CHANNELS,
+    routes: [
+      { symbols: ['ETH*'], timeframes: ['1d'], channels: ['daily'] },
+      { symbols: ['btc*', 'WBTC'], channels: ['btc', 'hook'] },
+      { default: true, channels: ['tg'] },
+      { symbols: ['*'], channels: ['hook'] },
+    ],
+  });
+  expect(relay.route({ symbol: 'BTCUSDT', timeframe: '1h' })).toEqual(['btc', 'hook']);
+  expect(relay.route({ symbol: 'wbtc', timeframe: '1h' })).toEqual(['btc', 'hook']);
+  expect(relay.route({ symbol: 'ETHUSDT', timeframe: '1d' })).toEqual(['daily']);
+  // Not daily: a later non-default route still beats the default one
+  expect(relay.route({ symbol: 'ETHUSDT', timeframe: '4h' })).toEqual(['hook']);
+  // Regex characters in symbols are literal
+  expect(relay.route({ symbol: 'BTC.X' })).toEqual(['btc', 'hook']);
+  expect(relayFor({ channels: CHANNELS, routes: [{ symbols: ['BTC.USD'], channels: ['btc'] }] }).route({ symbol: 'BTCXUSD' })).toEqual([]);
+});
+
+test('the default route catches what no other route takes', () => {
+  const relay = relayFor({ channels: CHANNELS, routes: [{ default: true, channels: ['tg'] }, { symbols: ['SOL*'], channels: ['btc'] }] });
+  expect(relay.route({ symbol: 'SOLUSD' })).toEqual(['btc']);
+  expect(relay.route({ symbol: 'XRPUSD' })).toEqual(['tg']);
+  expect(relay.route()).toEqual(['tg']);
+});
+
+test('${VAR} in channel options comes from the environment', async () => {
+  process.env.HOOK_PATH = 'fib';
+  process.env.HOOK_TOKEN = 'secret';
+  const relay = relayFor({ channels: CHANNELS, routes: [] });
+  const requests = stubFetch();
+  expect(await relay.sendTo('hook', 'hello', { symbol: 'BTCUSDT' })).toEqual({ ok: true });
+  expect(requests[0]).toMatchObject({
+    url: 'https://example.com/fib',
+    headers: { Authorization: 'Bearer secret' },
+    body: { message: 'hello', symbol: 'BTCUSDT' },
+  });
+
+  delete process.env.HOOK_TOKEN;
+  await relayFor({ channels: CHANNELS, routes: [] }).sendTo('hook', 'hello');
+  expect(requests[1].headers.Authorization).toBe('Bearer ');
+});
+
+test('without a routes file every alert goes to Telegram from .env', async () => {
+  process.env.TELEGRAM_BOT_TOKEN = 'bot123';
+  process.env.TELEGRAM_CHAT_ID = '42';
+  const relay = createRelay(path.join(dir, 'missing.json'));
+  expect(relay.channels).toEqual(['telegram']);
+  expect(relay.route({ symbol: 'ANY' })).toEqual(['telegram']);
+  expect(relay.typeOf('telegram')).toBe('telegram');
+  const requests = stubFetch(200, { ok: true });
+  expect(await relay.sendTo('telegram', 'hi')).toEqual({ ok: true });
+  expect(requests[0]).toEqual({
+    url: 'https://api.telegram.org/botbot123/sendMessage',
+    headers: { 'Content-Type': 'application/json' },
+    body: { chat_id: '42', text: 'hi' },
+  });
+});
+
+test('unknown channel types are skipped; unknown channels and thrown errors are failures', async () => {
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  const relay = relayFor({ channels: { ...CHANNELS, pager: { type: 'pager' } }, routes: [] });
+  expect(relay.channels).toEqual(['tg', 'btc', 'daily', 'hook']);
+  expect(relay.typeOf('pager')).toBeNull();
+  expect(await relay.sendTo('pager', 'x')).toEqual({ ok: false, error: 'Unknown channel', permanent: true });
+
+  global.fetch = jest.fn(async () => { throw new Error('ECONNRESET'); });
+  expect(await relay.sendTo('btc', 'x')).toEqual({ ok: false, error: 'ECONNRESET' });
+});
@@ -0,0 +1,18 @@
+// server/channels/slack.js
+const { httpFailure } = require('./http');
+
+function createSlack({ url }) {
+  return {
+    async send(message) {
+      if (!url) return { ok: false, error: 'Missing Slack webhook url', permanent: true };
+      const r = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ text: message || '(no message)' })
+      });
+      return r.ok ? { ok: true } : httpFailure(r);
+    },
+  };
+}
+
+module.exports = { createSlack };
@@ -0,0 +1,25 @@
+// server/channels/telegram.js
+function createTelegram({ token, chatId }) {
+  return {
+    async send(message) {
+      if (!token || !chatId) {
+        return { ok: false, error: 'Missing Telegram token or chat id', permanent: true };
+      }
+      const r = await fetch(`https://api.telegram.org/bot${token}/sendMessage`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ chat_id: chatId, text: message || '(no message)' })
+      });
+      const j = await r.json().catch(() => ({}));
+      if (j.ok) return { ok: true };
+      const error = j.description || `HTTP ${r.status}`;
+      // 429 Too Many Requests carries parameters.retry_after (seconds)
+      if (r.status === 429 || j.error_code === 429) {
+        return { ok: false, error, retryAfter: (j.parameters && j.parameters.retry_after) || undefined };
+      }
+      return { ok: false, error, permanent: r.status >= 400 && r.status < 500 };
+    },
+  };
+}
+
+module.exports = { createTelegram };
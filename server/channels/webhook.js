@@ -0,0 +1,19 @@
+// server/channels/webhook.js
+// Generic JSON webhook: POSTs { message, ...meta, ts }
+const { httpFailure } = require('./http');
+
+function createWebhook({ url, headers = {} }) {
+  return {
+    async send(message, meta = {}) {
+      if (!url) return { ok: false, error: 'Missing webhook url', permanent: true };
+      const r = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify({ message, ...meta, ts: Date.now() })
+      });
+      return r.ok ? { ok: true } : httpFailure(r);
+    },
+  };
+}
+
+module.exports = { createWebhook };
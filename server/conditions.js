@@ -0,0 +1,137 @@
+// server/conditions.js
+// Rule-builder conditions for the alert engine. Mirrors src/conditions.js:
+// a line with `conditions` fires on a cross only when all (conditionOp 'and')
+// or any ('or') of them hold on the last bar.
+const { toHeikinAshi, rsi } = require('./indicators');
+
+function emaOf(values, period) {
+  const k = 2 / (period + 1);
+  const out = [];
+  let prev = null;
+  for (const v of values) {
+    prev = prev == null ? v : v * k + prev * (1 - k);
+    out.push(prev);
+  }
+  return out;
+}
+
+function smaOf(values, period) {
+  const out = [];
+  let sum = 0;
+  for (let i = 0; i < values.length; i++) {
+    sum += values[i];
+    if (i >= period) sum -= values[i - period];
+    out.push(i >= period - 1 ? sum / period : null);
+  }
+  return out;
+}
+
+function vwapOf(bars) {
+  let cumPV = 0;
+  let cumVol = 0;
+  return bars.map((b) => {
+    const typical = (b.high + b.low + b.close) / 3;
+    cumPV += typical * (b.volume || 0);
+    cumVol += b.volume || 0;
+    return cumVol > 0 ? cumPV / cumVol : typical;
+  });
+}
+
+// RSI aligned to bars (null during warm-up)
+function rsiAligned(bars, useHa, period) {
+  const src = useHa ? toHeikinAshi(bars) : bars;
+  const r = rsi(src.map((b) => b.close), period);
+  const pad = bars.length - r.length;
+  return bars.map((_, i) => (i >= pad ? r[i - pad] : null));
+}
+
+function macdHist(bars, { fast, slow, signal }) {
+  const c = bars.map((b) => b.close);
+  const f = emaOf(c, fast);
+  const s = emaOf(c, slow);
+  const macd = c.map((_, i) => f[i] - s[i]);
+  const sig = emaOf(macd, signal);
+  return macd.map((m, i) => (i < slow + signal - 2 ? null : m - sig[i]));
+}
+
+function stochRsi(bars, { rsiPeriod, stochPeriod, k }) {
+  const r = rsiAligned(bars, false, rsiPeriod);
+  const raw = r.map((v, i) => {
+    if (v == null || i < stochPeriod - 1 || r[i - stochPeriod + 1] == null) return null;
+    const win = r.slice(i - stochPeriod + 1, i + 1);
+    const lo = Math.min(...win);
+    const hi = Math.max(...win);
+    return hi === lo ? 50 : ((v - lo) / (hi - lo)) * 100;
+  });
+  const first = raw.findIndex((v) => v != null);
+  if (first < 0) return raw;
+  const smooth = smaOf(raw.slice(first), Math.max(1, k));
+  return raw.map((_, i) => (i < first ? null : smooth[i - first]));
+}
+
+function conditionMet(c, { bars, direction, rsiPeriod }) {
+  const i = bars.length - 1;
+  const bar = bars[i];
+  switch (c.type) {
+    case 'cross':
+      return direction === c.dir;
+    case 'rsi': {
+      const v = rsiAligned(bars, c.source === 'ha', rsiPeriod || 14)[i];
+      return v != null && v >= Number(c.min) && v <= Number(c.max);
+    }
+    case 'macd': {
+      const h = macdHist(bars, c)[i];
+      return h != null && (c.sign === 'pos' ? h > 0 : h < 0);
+    }
+    case 'stochRsi': {
+      const v = stochRsi(bars, c)[i];
+      if (v == null) return false;
+      return c.op === '<=' ? v <= c.threshold : v >= c.threshold;
+    }
+    case 'volume': {
+      if (i < c.period) return false;
+      const avg = smaOf(bars.map((b) => b.volume || 0), c.period)[i - 1];
+      return avg > 0 && (bar.volume || 0) > c.mult * avg;
+    }
+    case 'price': {
+      const ref = c.ref === 'vwap' ? vwapOf(bars)[i] : emaOf(bars.map((b) => b.close), c.period)[i];
+      if (ref == null) return false;
+      return c.op === 'below' ? bar.close < ref : bar.close > ref;
+    }
+    case 'haColor': {
+      const ha = toHeikinAshi(bars)[i];
+      return c.color === 'red' ? ha.close < ha.open : ha.close >= ha.open;
+    }
+    default:
+      return false;
+  }
+}
+
+function conditionsMet(ln, ctx) {
+  const list = ln.conditions || [];
+  if (!list.length) return true;
+  if (!ctx.bars.length) return false;
+  const met = (c) => conditionMet(c, ctx);
+  return ln.conditionOp === 'or' ? list.some(met) : list.every(met);
+}
+
+function conditionLabel(c) {
+  switch (c.type) {
+    case 'cross': return c.dir === 'up' ? 'cross up' : 'cross down';
+    case 'rsi': return `${c.source === 'ha' ? 'HA-RSI' : 'RSI'} ${c.min}-${c.max}`;
+    case 'macd': return `MACD(${c.fast},${c.slow},${c.signal}) hist ${c.sign === 'pos' ? '> 0' : '< 0'}`;
+    case 'stochRsi': return `StochRSI ${c.op || '>='} ${c.threshold}`;
+    case 'volume': return `vol > ${c.mult}x avg(${c.period})`;
+    case 'price': return `close ${c.op} ${c.ref === 'vwap' ? 'VWAP' : `EMA(${c.period})`}`;
+    case 'haColor': return `HA ${c.color}`;
+    default: return c.type;
+  }
+}
+
+function ruleSummary(ln) {
+  if (!Array.isArray(ln.conditions)) return '';
+  if (!ln.conditions.length) return 'cross';
+  return ln.conditions.map(conditionLabel).join(ln.conditionOp === 'or' ? ' OR ' : ' AND ');
+}
+
+module.exports = { conditionsMet, ruleSummary };
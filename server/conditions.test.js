@@ -0,0 +1,68 @@
+// server/conditions.test.js
+// Same cases as src/conditions.test.js, so the relay and the dashboard agree
+const { conditionsMet, ruleSummary } = require('./conditions');
+
+// 60 bars along `price(i)`; open a little behind the close, volume 10
+const barsAlong = (price, n = 60) =>
+  Array.from({ length: n }, (_, i) => {
+    const close = price(i);
+    const open = price(i - 0.5);
+    return { time: i * 60, open, high: Math.max(open, close) + 0.1, low: Math.min(open, close) - 0.1, close, volume: 10 };
+  });
+const rising = barsAlong((i) => 100 + i * i * 0.05);
+const falling = barsAlong((i) => 300 - i * i * 0.05);
+
+// The dashboard's condition defaults (src/conditions.js CONDITION_TYPES)
+const DEFAULTS = {
+  cross: { dir: 'up' },
+  rsi: { source: 'std', min: 0, max: 30 },
+  macd: { sign: 'pos', fast: 12, slow: 26, signal: 9 },
+  stochRsi: { op: '>=', threshold: 80, rsiPeriod: 14, stochPeriod: 14, k: 3 },
+  volume: { mult: 1.5, period: 20 },
+  price: { op: 'above', ref: 'ema', period: 50 },
+  haColor: { color: 'green' },
+};
+const cond = (type, params = {}) => ({ id: type, type, ...DEFAULTS[type], ...params });
+const met = (conditions, bars, extra = {}) => conditionsMet({ conditions, ...extra }, { bars, direction: 'up', rsiPeriod: 14 });
+
+test('every condition type reads the trend it describes', () => {
+  const cases = [
+    [cond('cross', { dir: 'up' }), true, true],
+    [cond('rsi', { min: 70, max: 100 }), true, false],
+    [cond('rsi', { source: 'ha', min: 0, max: 30 }), false, true],
+    [cond('macd', { sign: 'pos' }), true, false],
+    [cond('price', { op: 'above', ref: 'ema', period: 10 }), true, false],
+    [cond('price', { op: 'below', ref: 'vwap' }), false, true],
+    [cond('haColor', { color: 'green' }), true, false],
+    // A one-way RSI has no range, which stoch RSI reports as 50
+    [cond('stochRsi', { op: '<=', threshold: 60 }), true, true],
+    [cond('volume'), false, false], // flat volume
+  ];
+  cases.forEach(([c, up, down]) => {
+    expect([c.type, met([c], rising)]).toEqual([c.type, up]);
+    expect([c.type, met([c], falling)]).toEqual([c.type, down]);
+  });
+  expect(new Set(cases.map(([c]) => c.type))).toEqual(new Set(Object.keys(DEFAULTS)));
+});
+
+test('volume compares the bar with the average of the bars before it', () => {
+  const bars = rising.map((b, i) => (i === rising.length - 1 ? { ...b, volume: 16 } : b));
+  expect(met([cond('volume', { mult: 1.5, period: 20 })], bars)).toBe(true);
+  expect(met([cond('volume', { mult: 1.7, period: 20 })], bars)).toBe(false);
+  expect(met([cond('volume', { period: 20 })], bars.slice(0, 20))).toBe(false); // no 20 bars before it
+});
+
+test('combines conditions with AND or OR', () => {
+  const list = [cond('cross', { dir: 'up' }), cond('haColor', { color: 'red' })];
+  expect(met(list, rising)).toBe(false);
+  expect(met(list, rising, { conditionOp: 'or' })).toBe(true);
+  expect(met([], rising)).toBe(true); // plain cross
+  expect(met(list, [], { conditionOp: 'or' })).toBe(false);
+});
+
+test('summarizes a rule in words', () => {
+  expect(ruleSummary({ conditions: [cond('rsi', { min: 0, max: 30 }), cond('haColor')] })).toBe('RSI 0-30 AND HA green');
+  expect(ruleSummary({ conditions: [cond('volume'), cond('price')], conditionOp: 'or' })).toBe('vol > 1.5x avg(20) OR close above EMA(50)');
+  expect(ruleSummary({ conditions: [] })).toBe('cross');
+  expect(ruleSummary({ rsiThreshold: 50 })).toBe('');
+});
@@ -0,0 +1,132 @@
+// server/deliveryQueue.js
+// Durable outbound queue. Each alert record in the store carries one entry
+// per routed channel:
+//   { channel, type, state: queued|sending|sent|failed, ok, attempts, error, nextAttemptAt }
+// and an overall status derived from them (sending > queued > sent/failed).
+// Failed attempts retry with exponential backoff (or the channel's
+// retryAfter, e.g. Telegram 429) until maxAttempts; permanent errors
+// (missing config, 4xx) fail at once. Because state lives in the store's
+// JSON-lines file, pending deliveries resume after a restart. Queued
+// deliveries are indexed by due time and one timer wakes the queue for the
+// earliest, so sent and failed records are never scanned again.
+
+function deriveStatus(channels) {
+  if (!channels.length) return 'failed';
+  if (channels.some((c) => c.state === 'sending')) return 'sending';
+  if (channels.some((c) => c.state === 'queued')) return 'queued';
+  return channels.every((c) => c.state === 'sent') ? 'sent' : 'failed';
+}
+
+function createDeliveryQueue({
+  relay,
+  store,
+  maxAttempts = 5,
+  baseDelayMs = 2000,
+  maxDelayMs = 5 * 60 * 1000,
+}) {
+  const due = new Map(); // `${id}:${channel}` -> { id, channel, at } for queued deliveries
+  let timer = null;
+  let timerAt = Infinity;
+  let stopped = false;
+
+  function patchChannel(id, name, patch) {
+    const rec = store.get(id);
+    if (!rec) return null;
+    const channels = rec.channels.map((c) => (c.channel === name ? { ...c, ...patch } : c));
+    return store.update(id, { channels, status: deriveStatus(channels) });
+  }
+
+  function backoff(attempts) {
+    return Math.min(maxDelayMs, baseDelayMs * Math.pow(2, attempts - 1));
+  }
+
+  function schedule(id, channel, at) {
+    due.set(`${id}:${channel}`, { id, channel, at: at || 0 });
+  }
+
+  // (Re)set the single timer to the earliest due delivery
+  function arm() {
+    if (stopped) return;
+    let next = Infinity;
+    due.forEach((d) => { if (d.at < next) next = d.at; });
+    if (next === timerAt) return;
+    clearTimeout(timer);
+    timerAt = next;
+    timer = next === Infinity ? null : setTimeout(run, Math.max(0, next - Date.now()));
+    if (timer && timer.unref) timer.unref();
+  }
+
+  function run() {
+    timer = null;
+    timerAt = Infinity;
+    const now = Date.now();
+    due.forEach((d, key) => {
+      if (d.at > now) return;
+      // Out of the index while in flight; a retry puts it back
+      due.delete(key);
+      const rec = store.get(d.id);
+      const ch = rec && rec.channels.find((c) => c.channel === d.channel);
+      if (!ch || ch.state !== 'queued') return;
+      attempt(rec, ch)
+        .catch((e) => console.warn('[queue] attempt failed:', e.message))
+        .finally(arm);
+    });
+    arm();
+  }
+
+  async function attempt(rec, ch) {
+    patchChannel(rec.id, ch.channel, { state: 'sending' });
+    const meta = { symbol: rec.symbol, timeframe: rec.timeframe, ratio: rec.ratio, price: rec.price, rsi: rec.rsi };
+    const r = await relay.sendTo(ch.channel, rec.message, meta);
+    const attempts = (ch.attempts || 0) + 1;
+    if (r.ok) {
+      patchChannel(rec.id, ch.channel, { state: 'sent', ok: true, attempts, error: null, nextAttemptAt: null });
+    } else if (r.permanent || attempts >= maxAttempts) {
+      patchChannel(rec.id, ch.channel, { state: 'failed', ok: false, attempts, error: r.error, nextAttemptAt: null });
+    } else {
+      const delay = r.retryAfter ? r.retryAfter * 1000 : backoff(attempts);
+      const nextAttemptAt = Date.now() + delay;
+      patchChannel(rec.id, ch.channel, { state: 'queued', ok: false, attempts, error: r.error, nextAttemptAt });
+      schedule(rec.id, ch.channel, nextAttemptAt);
+    }
+  }
+
+  // Queue a new alert; returns the stored record (status "queued")
+  function enqueue(message, meta = {}, source = 'client') {
+    const now = Date.now();
+    const channels = relay.route(meta).map((name) => ({
+      channel: name, type: relay.typeOf(name), state: 'queued', ok: false, attempts: 0, error: null, nextAttemptAt: now,
+    }));
+    const rec = store.add({
+      ...meta,
+      message,
+      source,
+      status: deriveStatus(channels),
+      error: channels.length ? null : 'No channel routed for this alert',
+      channels,
+    });
+    channels.forEach((c) => schedule(rec.id, c.channel, now));
+    run();
+    return rec;
+  }
+
+  // Deliveries interrupted mid-send by a restart go back to the queue
+  store.pending().forEach((rec) => {
+    let channels = rec.channels;
+    if (channels.some((c) => c.state === 'sending')) {
+      channels = channels.map((c) => (c.state === 'sending' ? { ...c, state: 'queued' } : c));
+      store.update(rec.id, { channels, status: deriveStatus(channels) });
+    }
+    channels.forEach((c) => { if (c.state === 'queued') schedule(rec.id, c.channel, c.nextAttemptAt); });
+  });
+  arm();
+
+  function stop() {
+    stopped = true;
+    clearTimeout(timer);
+  }
+
+  return { enqueue, stop };
+}
+
+module.exports = { createDeliveryQueue };
@@ -0,0 +1,161 @@
+// server/deliveryQueue.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createAlertStore } = require('./alertStore');
+const { createDeliveryQueue } = require('./deliveryQueue');
+
+const T0 = Date.parse('2024-01-02T00:00:00Z');
+
+// A relay routing every alert to `channels`; sendTo answers from `results`
+// (per channel, in order; the last answer repeats)
+function stubRelay(channels, results = {}) {
+  const calls = [];
+  return {
+    calls,
+    route: () => channels,
+    typeOf: (name) => name.split(':')[0],
+    sendTo: jest.fn(async (name) => {
+      calls.push({ name, at: Date.now() });
+      const list = results[name] || [{ ok: true }];
+      return list.length > 1 ? list.shift() : list[0];
+    }),
+  };
+}
+
+// Lets the queue's awaited sends settle
+const settle = () => jest.advanceTimersByTimeAsync(0);
+
+let dir;
+beforeAll(() => { dir = fs.mkdtempSync(path.join(os.tmpdir(), 'deliveryqueue-')); });
+afterAll(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+let queue;
+beforeEach(() => {
+  jest.useFakeTimers({ now: T0 });
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+afterEach(() => {
+  if (queue) queue.stop();
+  queue = null;
+  jest.useRealTimers();
+  jest.restoreAllMocks();
+});
+
+test('a delivery goes queued -> sending -> sent', async () => {
+  const store = createAlertStore(null);
+  const seen = [];
+  store.onChange((r) => seen.push(r.status));
+  const relay = stubRelay(['telegram']);
+  queue = createDeliveryQueue({ relay, store });
+
+  const rec = queue.enqueue('BTC crossed 0.618', { symbol: 'BTCUSDT', timeframe: '1h', price: 100 });
+  expect(rec.status).toBe('queued');
+  await settle();
+  expect(seen).toEqual(['queued', 'sending', 'sent']);
+  expect(store.get(rec.id).channels).toEqual([
+    { channel: 'telegram', type: 'telegram', state: 'sent', ok: true, attempts: 1, error: null, nextAttemptAt: null },
+  ]);
+  expect(relay.sendTo).toHaveBeenCalledWith('telegram', 'BTC crossed 0.618', expect.objectContaining({ symbol: 'BTCUSDT', price: 100 }));
+});
+
+test('transient failures retry with exponential backoff until maxAttempts', async () => {
+  const store = createAlertStore(null);
+  const relay = stubRelay(['slack'], { slack: [{ ok: false, error: 'HTTP 503' }] });
+  queue = createDeliveryQueue({ relay, store, maxAttempts: 4, baseDelayMs: 1000 });
+
+  const { id } = queue.enqueue('msg');
+  await settle();
+  expect(store.get(id)).toMatchObject({ status: 'queued' });
+  expect(store.get(id).channels[0]).toMatchObject({ state: 'queued', attempts: 1, error: 'HTTP 503', nextAttemptAt: T0 + 1000 });
+
+  await jest.advanceTimersByTimeAsync(10000);
+  expect(relay.calls.map((c) => c.at - T0)).toEqual([0, 1000, 3000, 7000]);
+  expect(store.get(id)).toMatchObject({ status: 'failed' });
+  expect(store.get(id).channels[0]).toMatchObject({ state: 'failed', attempts: 4, error: 'HTTP 503', nextAttemptAt: null });
+});
+
+test("backoff is capped, and a channel's retryAfter overrides it", async () => {
+  const store = createAlertStore(null);
+  const relay = stubRelay(['telegram', 'slack'], {
+    telegram: [{ ok: false, error: '429', retryAfter: 30 }, { ok: true }],
+    slack: [{ ok: false, error: 'timeout' }, { ok: false, error: 'timeout' }, { ok: true }],
+  });
+  queue = createDeliveryQueue({ relay, store, baseDelayMs: 5000, maxDelayMs: 8000 });
+
+  const { id } = queue.enqueue('msg');
+  await jest.advanceTimersByTimeAsync(60000);
+  const at = (name) => relay.calls.filter((c) => c.name === name).map((c) => c.at - T0);
+  expect(at('telegram')).toEqual([0, 30000]);
+  expect(at('slack')).toEqual([0, 5000, 13000]);
+  expect(store.get(id).status).toBe('sent');
+});
+
+test('permanent errors fail at once; the status waits for every channel', async () => {
+  const store = createAlertStore(null);
+  const relay = stubRelay(['email', 'webhook'], {
+    email: [{ ok: false, permanent: true, error: 'SMTP not configured' }],
+    webhook: [{ ok: false, error: 'HTTP 500' }, { ok: true }],
+  });
+  queue = createDeliveryQueue({ relay, store, baseDelayMs: 1000 });
+
+  const { id } = queue.enqueue('msg');
+  await settle();
+  expect(store.get(id).channels.map((c) => c.state)).toEqual(['failed', 'queued']);
+  expect(store.get(id).status).toBe('queued');
+
+  await jest.advanceTimersByTimeAsync(1000);
+  expect(store.get(id).channels.map((c) => c.state)).toEqual(['failed', 'sent']);
+  expect(store.get(id).status).toBe('failed');
+  expect(relay.calls.filter((c) => c.name === 'email')).toHaveLength(1);
+});
+
+test('an alert no channel takes fails straight away', () => {
+  const store = createAlertStore(null);
+  queue = createDeliveryQueue({ relay: stubRelay([]), store });
+  const rec = queue.enqueue('msg');
+  expect(rec).toMatchObject({ status: 'failed', error: 'No channel routed for this alert', channels: [] });
+});
+
+test('one timer serves every queued delivery, set for the earliest', async () => {
+  const store = createAlertStore(null);
+  const relay = stubRelay(['a', 'b'], {
+    a: [{ ok: false, error: 'x', retryAfter: 50 }, { ok: true }],
+    b: [{ ok: false, error: 'x', retryAfter: 20 }, { ok: true }],
+  });
+  queue = createDeliveryQueue({ relay, store });
+  queue.enqueue('msg');
+  await settle();
+  expect(jest.getTimerCount()).toBe(1);
+
+  await jest.advanceTimersByTimeAsync(20000);
+  expect(relay.calls.map((c) => [c.name, c.at - T0])).toEqual([['a', 0], ['b', 0], ['b', 20000]]);
+  expect(jest.getTimerCount()).toBe(1); // now for a's retry
+
+  await jest.advanceTimersByTimeAsync(30000);
+  expect(relay.calls.map((c) => c.at - T0)).toEqual([0, 0, 20000, 50000]);
+  expect(jest.getTimerCount()).toBe(0);
+});
+
+test('after a restart, deliveries cut off mid-send go out again and queued ones keep their due time', async () => {
+  const file = path.join(dir, 'alerts.jsonl');
+  const before = createAlertStore(file);
+  const channel = (name, state, nextAttemptAt) => ({ channel: name, type: name, state, ok: false, attempts: 1, error: 'x', nextAttemptAt });
+  const cut = before.add({ message: 'cut', status: 'sending', channels: [channel('telegram', 'sending', T0 - 1000)] });
+  const later = before.add({ message: 'later', status: 'queued', channels: [channel('slack', 'queued', T0 + 5000)] });
+  const done = before.add({ message: 'done', status: 'sent', channels: [{ ...channel('slack', 'sent', null), ok: true }] });
+
+  const store = createAlertStore(file);
+  const relay = stubRelay(['telegram']);
+  queue = createDeliveryQueue({ relay, store });
+  expect(store.get(cut.id)).toMatchObject({ status: 'queued' });
+
+  await settle();
+  expect(relay.calls.map((c) => [c.name, c.at - T0])).toEqual([['telegram', 0]]);
+  expect(store.get(cut.id).channels[0]).toMatchObject({ state: 'sent', attempts: 2 });
+
+  await jest.advanceTimersByTimeAsync(5000);
+  expect(relay.calls.map((c) => [c.name, c.at - T0])).toEqual([['telegram', 0], ['slack', 5000]]);
+  expect(store.get(later.id).status).toBe('sent');
+  expect(store.get(done.id).channels[0].attempts).toBe(1);
+});
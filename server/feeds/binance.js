@@ -0,0 +1,103 @@
+// server/feeds/binance.js
+// Binance US kline feed: REST history + one websocket per symbol/interval.
+const WebSocket = require('ws');
+
+const BINANCE_REST = 'https://api.binance.us/api';
+const BINANCE_WS = 'wss://stream.binance.us:9443/ws/';
+const RECONNECT_MS = 5000;
+const PAGE_LIMIT = 1000; // most klines one REST call returns
+
+function toBar(k) {
+  return {
+    time: Math.floor(k.t / 1000),
+    open: +k.o, high: +k.h, low: +k.l, close: +k.c, volume: +k.v,
+    closed: !!k.x,
+  };
+}
+
+function createBinanceFeed({ rest = BINANCE_REST, ws = BINANCE_WS } = {}) {
+  // startTime (sec): the oldest bar wanted (default: the newest `limit` bars)
+  async function history(symbol, interval, limit = 500, { startTime } = {}) {
+    let url = `${rest}/v3/klines?symbol=${symbol}&interval=${interval}&limit=${limit}`;
+    if (startTime != null) url += `&startTime=${startTime * 1000}`;
+    const res = await fetch(url);
+    if (!res.ok) throw new Error(`klines ${symbol} ${interval}: HTTP ${res.status}`);
+    const arr = await res.json();
+    return arr.map((k) => ({
+      time: Math.floor(k[0] / 1000),
+      open: +k[1], high: +k[2], low: +k[3], close: +k[4], volume: +k[5],
+      closed: +k[6] < Date.now(),
+    }));
+  }
+
+  // Calls onBar(bar) for every kline update; returns an unsubscribe function.
+  // After a reconnect the klines missed while the socket was down are fetched
+  // over REST (from the last bar seen) and delivered before the live ones.
+  function subscribe(symbol, interval, onBar) {
+    let socket = null;
+    let timer = null;
+    let stopped = false;
+    let connected = false;
+    let last = null; // time of the newest bar delivered
+    let backfilling = false;
+    let pending = [];
+
+    const deliver = (bar) => {
+      if (last != null && bar.time < last) return;
+      last = bar.time;
+      onBar(bar);
+    };
+
+    async function backfill() {
+      backfilling = true;
+      try {
+        let from = last;
+        for (;;) {
+          const page = await history(symbol, interval, PAGE_LIMIT, { startTime: from });
+          if (stopped) return;
+          page.forEach(deliver);
+          if (page.length < PAGE_LIMIT || page[page.length - 1].time <= from) break;
+          from = page[page.length - 1].time;
+        }
+      } catch (e) {
+        console.warn(`[feed] ${symbol}@${interval} backfill failed:`, e.message);
+      } finally {
+        backfilling = false;
+        const queued = pending;
+        pending = [];
+        queued.forEach(deliver);
+      }
+    }
+
+    const open = () => {
+      socket = new WebSocket(`${ws}${symbol.toLowerCase()}@kline_${interval}`);
+      socket.on('open', () => {
+        if (connected && last != null) backfill();
+        connected = true;
+      });
+      socket.on('message', (raw) => {
+        try {
+          const d = JSON.parse(raw);
+          if (!d.k) return;
+          const bar = toBar(d.k);
+          if (backfilling) pending.push(bar); else deliver(bar);
+        } catch {}
+      });
+      socket.on('error', (e) => console.warn(`[feed] ${symbol}@${interval} error:`, e.message));
+      socket.on('close', () => {
+        if (!stopped) timer = setTimeout(open, RECONNECT_MS);
+      });
+    };
+    open();
+
+    return () => {
+      stopped = true;
+      clearTimeout(timer);
+      try { socket && socket.close(); } catch {}
+    };
+  }
+
+  return { name: 'binance', providers: ['binanceus'], history, subscribe };
+}
+
+module.exports = { createBinanceFeed };
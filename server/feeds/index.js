@@ -0,0 +1,20 @@
+// server/feeds/index.js
+// Kline feed selection. Every feed implements:
+//   history(symbol, interval, limit)      -> Promise<bar[]>
+//   subscribe(symbol, interval, onBar)    -> unsubscribe()
+// Bars are { time (sec), open, high, low, close, volume, closed }.
+// `providers` lists the dashboard provider ids a feed can stand in for
+// (null = any).
+const path = require('path');
+const { createBinanceFeed } = require('./binance');
+const { createReplayFeed } = require('./replay');
+
+function createFeed(name = process.env.KLINE_FEED || 'binance') {
+  if (name === 'replay') {
+    const file = process.env.REPLAY_FILE ? path.resolve(process.env.REPLAY_FILE) : null;
+    return createReplayFeed({ file, tickMs: Number(process.env.REPLAY_TICK_MS) || 1000 });
+  }
+  return createBinanceFeed();
+}
+
+module.exports = { createFeed };
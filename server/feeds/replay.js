@@ -0,0 +1,53 @@
+// server/feeds/replay.js
+// Local fake feed for testing the alert engine without an exchange.
+// Replays bars from a JSON file ([{ time, open, high, low, close, volume }])
+// or, without a file, a seeded random walk. Each bar is emitted as a few
+// intrabar ticks followed by a closed tick.
+const fs = require('fs');
+
+function randomWalk(count, start = 1, seed = 42) {
+  let s = seed;
+  const rnd = () => ((s = (s * 16807) % 2147483647) / 2147483647);
+  const out = [];
+  let price = start;
+  const t0 = Math.floor(Date.now() / 1000) - count * 60;
+  for (let i = 0; i < count; i++) {
+    const open = price;
+    const close = Math.max(0.0001, open * (1 + (rnd() - 0.5) * 0.02));
+    const high = Math.max(open, close) * (1 + rnd() * 0.005);
+    const low = Math.min(open, close) * (1 - rnd() * 0.005);
+    out.push({ time: t0 + i * 60, open, high, low, close, volume: 100 + rnd() * 900 });
+    price = close;
+  }
+  return out;
+}
+
+function createReplayFeed({ file, tickMs = 1000, ticksPerBar = 3 } = {}) {
+  const all = file ? JSON.parse(fs.readFileSync(file, 'utf8')) : randomWalk(800);
+  const split = Math.min(500, Math.floor(all.length / 2));
+
+  async function history(symbol, interval, limit = 500) {
+    return all.slice(Math.max(0, split - limit), split).map((b) => ({ ...b, closed: true }));
+  }
+
+  function subscribe(symbol, interval, onBar) {
+    let i = split;
+    let tick = 0;
+    const timer = setInterval(() => {
+      if (i >= all.length) return clearInterval(timer);
+      const b = all[i];
+      tick += 1;
+      const closed = tick >= ticksPerBar;
+      // Intrabar ticks walk the close from open toward the final close
+      const close = closed ? b.close : b.open + ((b.close - b.open) * tick) / ticksPerBar;
+      onBar({ ...b, close, high: Math.max(b.open, close), low: Math.min(b.open, close), closed });
+      if (closed) { i += 1; tick = 0; }
+    }, tickMs);
+    return () => clearInterval(timer);
+  }
+
+  // providers: null -> serves any symbol regardless of the dashboard's provider
+  return { name: 'replay', providers: null, history, subscribe };
+}
+
+module.exports = { createReplayFeed };
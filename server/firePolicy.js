@@ -0,0 +1,47 @@
+// server/firePolicy.js
+// Per-line firing policies; same semantics as src/alertLogic.js.
+//   bar:      at most once per bar
+//   rearm:    once, then silent until price moves back by rearmPct % or rearmTicks ticks
+//   cooldown: at most once every cooldownMin minutes
+//   oneShot:  the line is spent after its first fire
+
+function inferTickSize(bars) {
+  let dec = 0;
+  for (const b of (bars || []).slice(-50)) {
+    const s = String(b.close);
+    const i = s.indexOf('.');
+    if (i >= 0) dec = Math.max(dec, s.length - i - 1);
+  }
+  return Math.pow(10, -Math.min(dec, 10));
+}
+
+// `st` is the engine's firing state for the line
+function policyAllows(ln, st, { barTime, now }) {
+  const policy = ln.firePolicy || 'bar';
+  if (policy === 'bar') return st.lastFiredBar !== barTime;
+  if (policy === 'rearm') return st.armed !== false;
+  if (policy === 'cooldown') {
+    const ms = Math.max(0, Number(ln.cooldownMin) || 0) * 60000;
+    return !st.lastFiredAt || now - st.lastFiredAt >= ms;
+  }
+  return true;
+}
+
+function rearmReached(ln, st, price, tickSize) {
+  if (st.armed !== false || ln.price == null || price == null) return false;
+  const byPct = Math.abs(ln.price) * (Math.max(0, Number(ln.rearmPct) || 0) / 100);
+  const byTicks = Math.max(0, Number(ln.rearmTicks) || 0) * (tickSize || 0);
+  const dist = Math.max(byPct, byTicks);
+  return st.firedDir === 'down' ? price >= ln.price + dist : price <= ln.price - dist;
+}
+
+function recordFire(ln, st, { barTime, now, direction }) {
+  st.lastFiredAt = now;
+  st.lastFiredBar = barTime;
+  st.fireCount = (st.fireCount || 0) + 1;
+  st.firedDir = direction;
+  if ((ln.firePolicy || 'bar') === 'rearm') st.armed = false;
+  if (ln.oneShot) st.spent = true;
+}
+
+module.exports = { inferTickSize, policyAllows, rearmReached, recordFire };
@@ -0,0 +1,50 @@
+// server/firePolicy.test.js
+const { inferTickSize, policyAllows, rearmReached, recordFire } = require('./firePolicy');
+
+const line = (patch = {}) => ({ id: 'l1', price: 100, ...patch });
+
+test('once per bar: silent for the rest of the bar it fired on', () => {
+  const ln = line();
+  const st = {};
+  expect(policyAllows(ln, st, { barTime: 60, now: 0 })).toBe(true);
+  recordFire(ln, st, { barTime: 60, now: 0, direction: 'up' });
+  expect(policyAllows(ln, st, { barTime: 60, now: 1000 })).toBe(false);
+  expect(policyAllows(ln, st, { barTime: 120, now: 2000 })).toBe(true);
+  expect(st.fireCount).toBe(1);
+});
+
+test('cooldown: silent for cooldownMin minutes after a fire', () => {
+  const ln = line({ firePolicy: 'cooldown', cooldownMin: 5 });
+  const st = {};
+  recordFire(ln, st, { barTime: 60, now: 1000, direction: 'down' });
+  expect(policyAllows(ln, st, { barTime: 120, now: 1000 + 4 * 60000 })).toBe(false);
+  expect(policyAllows(ln, st, { barTime: 180, now: 1000 + 5 * 60000 })).toBe(true);
+});
+
+test('rearm: disarmed by a fire until price moves back far enough', () => {
+  const ln = line({ firePolicy: 'rearm', rearmPct: 0.5, rearmTicks: 0 });
+  const st = {};
+  recordFire(ln, st, { barTime: 60, now: 0, direction: 'down' });
+  expect(st.armed).toBe(false);
+  expect(policyAllows(ln, st, { barTime: 120, now: 0 })).toBe(false);
+  // Fired going down: re-armed once 0.5% above the line
+  expect(rearmReached(ln, st, 100.4, 0.01)).toBe(false);
+  expect(rearmReached(ln, st, 100.5, 0.01)).toBe(true);
+
+  // Ticks beat a smaller percentage
+  const byTicks = line({ firePolicy: 'rearm', rearmPct: 0.1, rearmTicks: 30 });
+  const fired = { armed: false, firedDir: 'up' };
+  expect(rearmReached(byTicks, fired, 99.8, 0.01)).toBe(false);
+  expect(rearmReached(byTicks, fired, 99.7, 0.01)).toBe(true);
+});
+
+test('one-shot lines are spent after their first fire', () => {
+  const st = {};
+  recordFire(line({ oneShot: true }), st, { barTime: 60, now: 0, direction: 'up' });
+  expect(st.spent).toBe(true);
+});
+
+test('tick size follows the decimals of recent closes', () => {
+  expect(inferTickSize([{ close: 1.5 }, { close: 1.255 }])).toBe(0.001);
+  expect(inferTickSize(null)).toBe(1);
+});
@@ -6,34 +6,82 @@ const cors = require('cors');
 // Force dotenv to load from this folder
 require('dotenv').config({ path: path.join(__dirname, '.env') });
 
+const { createFeed } = require('./feeds');
+const { createAlertEngine } = require('./alertEngine');
+const { createRelay } = require('./channels');
+const { createAlertStore } = require('./alertStore');
+const { createDeliveryQueue } = require('./deliveryQueue');
+
 // DEBUG: see what dotenv loaded (won't print secrets)
 console.log('[env] loaded .env from', path.join(__dirname, '.env'));
 console.log('[env] has token?', !!process.env.TELEGRAM_BOT_TOKEN, 'has chat?', !!process.env.TELEGRAM_CHAT_ID);
 
 const app = express();
 app.use(cors());
-app.use(express.json());
-
-app.post('/alert', async (req, res) => {
-  const { message } = req.body || {};
-  const token = process.env.TELEGRAM_BOT_TOKEN;
-  const chatId = process.env.TELEGRAM_CHAT_ID;
-
-  if (!token || !chatId) {
-    return res.json({ ok: false, error: "Missing TELEGRAM_BOT_TOKEN or TELEGRAM_CHAT_ID in .env" });
-  }
-
-  try {
-    const r = await fetch(`https://api.telegram.org/bot${token}/sendMessage`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ chat_id: chatId, text: message || '(no message)' })
-    });
-    const j = await r.json();
-    res.json(j);
-  } catch (e) {
-    res.json({ ok: false, error: String(e) });
-  }
+app.use(express.json({ limit: '1mb' }));
+
+// Notification channels + routing (routes.json, falls back to Telegram from .env)
+const relay = createRelay(path.join(__dirname, 'routes.json'));
+console.log('[relay] channels:', relay.channels.join(', ') || '(none)');
+
+// Alert history (data/alerts.jsonl)
+const store = createAlertStore(path.join(__dirname, 'data', 'alerts.jsonl'), {
+  maxRecords: Number(process.env.ALERT_HISTORY_MAX) || undefined,
+  maxAgeDays: Number(process.env.ALERT_HISTORY_DAYS) || undefined,
+});
+
+// Outbound queue with retries; delivery state is kept on the history records
+const queue = createDeliveryQueue({
+  relay,
+  store,
+  maxAttempts: Number(process.env.ALERT_MAX_ATTEMPTS) || 5,
+});
+
+const engine = createAlertEngine({
+  feed: createFeed(),
+  notify: async (message, { symbol, timeframe, line, rsi }) => {
+    const rec = queue.enqueue(message, { symbol, timeframe, ratio: line.ratio, price: line.price, rsi }, 'server');
+    console.log('[engine] alert queued', `(${rec.channels.map((c) => c.channel).join(', ') || rec.error})`, '-', message);
+  },
+  storeFile: path.join(__dirname, 'data', 'rules.json'),
+});
+console.log('[engine] kline feed:', engine.feed);
+
+// Body: { message, symbol?, timeframe?, ratio?, price?, rsi? }
+// Answers 202 with the queued record: { ok, id, status, channels: [{ channel, state, ... }] }.
+// Final delivery state arrives on GET /alerts/stream.
+app.post('/alert', (req, res) => {
+  const { message, symbol, timeframe, ratio, price, rsi } = req.body || {};
+  // Older clients only send the message; its first word is the symbol
+  const meta = { symbol: symbol || String(message || '').split(' ')[0], timeframe, ratio, price, rsi };
+  const rec = queue.enqueue(message, meta, 'client');
+  res.status(rec.status === 'failed' ? 422 : 202).json({ ok: rec.status !== 'failed', ...rec });
+});
+
+// Server-Sent Events: every history record change (new alert, delivery state)
+app.get('/alerts/stream', (req, res) => {
+  res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' });
+  res.flushHeaders();
+  const off = store.onChange((rec) => res.write(`data: ${JSON.stringify(rec)}\n\n`));
+  const ping = setInterval(() => res.write(': ping\n\n'), 25000);
+  req.on('close', () => { off(); clearInterval(ping); });
+});
+
+// Alert history: ?symbol=&status=sent|failed&from=&to=&limit=&offset=
+app.get('/alerts', (req, res) => {
+  res.json({ ok: true, ...store.query(req.query || {}) });
+});
+
+// Server-side alert rules (pushed by the dashboard)
+app.get('/rules', (req, res) => {
+  res.json({ ok: true, feed: engine.feed, rules: engine.status() });
+});
+
+app.put('/rules', (req, res) => {
+  const { rules } = req.body || {};
+  if (!Array.isArray(rules)) return res.status(400).json({ ok: false, error: 'Expected { rules: [...] }' });
+  engine.replaceRules(rules);
+  res.json({ ok: true, feed: engine.feed, rules: engine.status() });
 });
 
 const port = process.env.PORT || 4000;
@@ -0,0 +1,45 @@
+// server/indicators.js
+// Minimal indicator math for the server-side alert engine.
+// Mirrors what the dashboard uses (technicalindicators RSI, Heikin Ashi closes).
+
+function toHeikinAshi(bars) {
+  const out = [];
+  for (let i = 0; i < bars.length; i++) {
+    const b = bars[i];
+    const c = (b.open + b.high + b.low + b.close) / 4;
+    const o = i === 0 ? (b.open + b.close) / 2 : (out[i - 1].open + out[i - 1].close) / 2;
+    out.push({ time: b.time, open: o, high: Math.max(b.high, o, c), low: Math.min(b.low, o, c), close: c, volume: b.volume });
+  }
+  return out;
+}
+
+// Wilder RSI; returns one value per input from index `period` onward
+function rsi(values, period = 14) {
+  if (!values || values.length <= period) return [];
+  let gain = 0;
+  let loss = 0;
+  for (let i = 1; i <= period; i++) {
+    const d = values[i] - values[i - 1];
+    if (d >= 0) gain += d; else loss -= d;
+  }
+  let avgGain = gain / period;
+  let avgLoss = loss / period;
+  const out = [];
+  const push = () => out.push(avgLoss === 0 ? 100 : 100 - 100 / (1 + avgGain / avgLoss));
+  push();
+  for (let i = period + 1; i < values.length; i++) {
+    const d = values[i] - values[i - 1];
+    avgGain = (avgGain * (period - 1) + Math.max(d, 0)) / period;
+    avgLoss = (avgLoss * (period - 1) + Math.max(-d, 0)) / period;
+    push();
+  }
+  return out;
+}
+
+function lastRsi(bars, useHa, period = 14) {
+  const src = useHa ? toHeikinAshi(bars) : bars;
+  const r = rsi(src.map((b) => b.close), period);
+  return r.length ? r[r.length - 1] : null;
+}
+
+module.exports = { toHeikinAshi, rsi, lastRsi };
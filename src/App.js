@@ -1,7 +1,7 @@
 import React from "react";
 import Dashboard from "./Dashboard.js";
 export default function App() {
-  const symbols = ["XRPUSDT"];
+  const symbols = ["BTCUSD"];
   return (
     <div className="min-h-screen">
       {/* <header className="sticky top-0 z-40 bg-slate-950/80 backdrop-blur border-b border-slate-800">
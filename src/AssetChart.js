@@ -1,10 +1,42 @@
 import React, { useEffect, useRef, useState } from "react";
 import { createChart, CrosshairMode } from "lightweight-charts";
-import { RSI as rsiCalc } from "technicalindicators";
-
-const BINANCE_REST = "https://api.binance.us/api";
-const BINANCE_WS   = "wss://stream.binance.us:9443/ws/";
-const BINANCE_INTERVAL = { "1m": "1m", "5m": "5m", "1h": "1h", "1d": "1d" };
+import { getProvider, fetchPagedKlines, intervalSeconds, subscribeBars } from "./providers";
+import { toHeikinAshi, rsiAligned } from "./indicators";
+import {
+  INDICATORS, computeIndicator, indicatorWarmup, defaultIndicators, indicatorOutputs, newIndicator, emaOf, indicatorLabel,
+} from "./indicatorRegistry";
+import { createLiveEngine } from "./liveEngine";
+import { applyTick } from "./liveTick";
+import { createZigzag, lastSwing } from "./swings";
+import {
+  TOOL_TYPES, TOOL_POINT_HINTS, newTool, toolLevel, levelAt, toolLineFires, toolAlertMessage,
+} from "./fibTools";
+import {
+  lineAlertFires, alertMessage, policyAllows, rearmReached, firedPatch, inferTickSize, nudgePrice,
+} from "./alertLogic";
+import { ruleSummary } from "./conditions";
+import {
+  newStandaloneAlert, crossableIndicators, standaloneEvent, standaloneFires, standaloneRearmed, standaloneMessage,
+} from "./standaloneAlerts";
+
+const PAGE_LIMIT = 500; // klines per history request
+const MAX_HISTORY_PAGES = 6; // cap on initial pages loaded for indicator warm-up
+const SCROLLBACK_EDGE = 10; // fetch older bars once this close (in bars) to the left edge
+const DEFAULT_INDICATORS = defaultIndicators();
+const RSI_PANE_SHARE = 0.28; // of the chart height, when the RSI pane is shown
+const RSI_GUIDES = [30, 50, 70];
+const FEED_DOT = { live: "bg-emerald-400", stale: "bg-amber-400", reconnecting: "bg-rose-400 animate-pulse", error: "bg-rose-600" };
+
+// Both panes share the theme; a fixed price-scale width keeps their bars aligned
+const CHART_OPTIONS = {
+  layout: { background: { color: "#0f172a" }, textColor: "#e2e8f0" },
+  rightPriceScale: { borderColor: "rgba(148,163,184,0.25)", minimumWidth: 72 },
+  timeScale:       { borderColor: "rgba(148,163,184,0.25)" },
+  grid: { horzLines: { color: "rgba(30,41,59,0.6)" }, vertLines: { color: "rgba(30,41,59,0.6)" } },
+  crosshair: { mode: CrosshairMode.Normal },
+  handleScroll: { mouseWheel: true, pressedMouseMove: true },
+  handleScale:  { axisPressedMouseMove: true, mouseWheel: true, pinch: true },
+};
 
 // Convert a CSS color to rgba with desired alpha (handles hex and rgb)
 function withAlpha(color, alpha = 0.75) {
@@ -35,24 +67,6 @@ function withAlpha(color, alpha = 0.75) {
   return color;
 }
 
-function toHeikinAshi(bars) {
-  if (!bars || !bars.length) return [];
-  const out = [];
-  for (let i = 0; i < bars.length; i++) {
-    const b = bars[i];
-    const c = (b.open + b.high + b.low + b.close) / 4;
-    if (i === 0) {
-      const o = (b.open + b.close) / 2;
-      out.push({ time: b.time, open: o, high: Math.max(b.high, o, c), low: Math.min(b.low, o, c), close: c, volume: b.volume });
-    } else {
-      const prev = out[i - 1];
-      const o = (prev.open + prev.close) / 2;
-      out.push({ time: b.time, open: o, high: Math.max(b.high, o, c), low: Math.min(b.low, o, c), close: c, volume: b.volume });
-    }
-  }
-  return out;
-}
-
 function getLinePrice(ln, range, lo, last) {
   if (ln && ln.price != null) return ln.price;
   if (range != null && lo != null && ln && ln.ratio != null) {
@@ -61,82 +75,38 @@ function getLinePrice(ln, range, lo, last) {
   return last != null ? last.close : null;
 }
 
-// Simple moving average for smoothing any line array of {time, value}
-function sma(arr, window) {
-  const w = Math.max(1, Math.floor(window));
-  if (w <= 1) return arr.slice();
-  const out = [];
-  let sum = 0;
-  for (let i = 0; i < arr.length; i++) {
-    sum += arr[i].value;
-    if (i >= w) sum -= arr[i - w].value;
-    if (i >= w - 1) out.push({ time: arr[i].time, value: sum / w });
-    else out.push({ time: arr[i].time, value: arr[i].value });
-  }
-  return out;
-}
-
-// VWAP compute
-function computeVWAP(bars) {
-  if (!bars || !bars.length) return [];
-  let cumPV = 0;
-  let cumVol = 0;
-  const out = [];
-  for (let i = 0; i < bars.length; i++) {
-    const b = bars[i];
-    const typical = (b.high + b.low + b.close) / 3;
-    const vol = b.volume || 0;
-    cumPV += typical * vol;
-    cumVol += vol;
-    const vwap = cumVol > 0 ? cumPV / cumVol : typical;
-    out.push({ time: b.time, value: vwap });
-  }
-  return out;
-}
-
-// EMA compute (returns array<{time,value}>) on bars[].close
-function computeEMA(bars, period) {
-  if (!bars || bars.length === 0 || period <= 0) return [];
-  const k = 2 / (period + 1);
-  const out = [];
-  let emaPrev = bars[0].close;
-  out.push({ time: bars[0].time, value: emaPrev });
-  for (let i = 1; i < bars.length; i++) {
-    const close = bars[i].close;
-    const ema = close * k + emaPrev * (1 - k);
-    out.push({ time: bars[i].time, value: ema });
-    emaPrev = ema;
-  }
-  return out;
-}
-
 export default function AssetChart({
   symbol,
+  provider = "binanceus",
   timeframe,
   fibLines,
   onFibLinesUpdate,
   onAlert,
+  serverArmedIds = null,
+  markers = null,
+  // Swing anchors for ratio lines: { low: { time, price }, high: { time, price } } or null
+  anchors = null,
+  onAnchorsChange,
+  // Automatic swing detection: { enabled, depth, deviationPct, showPivots } (see swings.js)
+  zigzag = null,
+  // Drawn fib tools (extensions, time zones, fans, channels; see fibTools.js)
+  tools = null,
+  onToolsUpdate,
+  // Standalone alerts of the symbol, all timeframes (see standaloneAlerts.js);
+  // this chart evaluates and draws those of its timeframe
+  alerts = null,
+  onAlertsUpdate,
   useHeikinAshi = false,
   useHaRsi = false,
-  // VWAP
-  vwapShow = true,
-  vwapColor = "#ffffff",
-  vwapOpacity = 0.5,
-  vwapSmooth = 1,
-  // EMAs
-  ema9Show = false,
-  ema9Color = "#a78bfa",
-  ema9Opacity = 0.75,
-  ema9Smooth = 1,
-  ema20Show = false,
-  ema20Color = "#60a5fa",
-  ema20Opacity = 0.75,
-  ema20Smooth = 1,
-  ema200Show = false,
-  ema200Color = "#f87171",
-  ema200Opacity = 0.9,
-  ema200Smooth = 1,
+  // Price overlays: [{ id, type, params, show, color, opacity, smooth }] (see indicatorRegistry.js);
+  // onIndicatorsChange lets the chart add anchored VWAPs from its right-click menu
+  indicators = DEFAULT_INDICATORS,
+  onIndicatorsChange,
   autoCenter = true,
+  height = 420, // px; grid cells use a shorter chart
+  // RSI / HA-RSI pane under the candles; the period also drives the alert rule
+  rsiPane = true,
+  rsiPeriod = 14,
 }) {
   const containerRef = useRef(null);
   const chartHostRef = useRef(null);
@@ -144,32 +114,74 @@ export default function AssetChart({
 
   const chartRef  = useRef(null);
   const seriesRef = useRef(null);
-  const wsRef     = useRef(null);
+  const unsubRef  = useRef(null);
   const priceLinesRef = useRef({});
 
   // Overlay series refs
-  const vwapRef   = useRef(null);
-  const ema9Ref   = useRef(null);
-  const ema20Ref  = useRef(null);
-  const ema200Ref = useRef(null);
+  const indSeriesRef = useRef({}); // `${instanceId}:${output}` -> line series
 
   // Keep overlay data for hover tooltips
-  const vwapDataRef   = useRef([]);
-  const ema9DataRef   = useRef([]);
-  const ema20DataRef  = useRef([]);
-  const ema200DataRef = useRef([]);
+  const indDataRef = useRef([]); // [{ key, name, data }] of shown overlay lines
+  const liveRef = useRef(null); // rolling indicator state for live ticks (liveEngine.js)
 
   // UI overlays
   const tipRef      = useRef(null);
   const snapLineRef = useRef(null);
   const rsiBadgeRef = useRef(null);
 
-  // Drag via right price labels
-  const draggingRef  = useRef({ active: false, id: null });
-
-  // Data state
-  const [bars, setBars] = useState([]);
-  const [lastPrice, setLastPrice] = useState(null);
+  // RSI pane: a second chart synced to the candles
+  const rsiHostRef = useRef(null);
+  const rsiChartRef = useRef(null);
+  const rsiSeriesRef = useRef(null);
+  const haRsiSeriesRef = useRef(null);
+  const rsiAtRef = useRef(new Map()); // bar time -> RSI, for the synced crosshair
+
+  // Drag via right price labels (id) or an anchor marker (anchor: "low" | "high")
+  const draggingRef  = useRef({ active: false, id: null, anchor: null });
+
+  // Selected line (keyboard nudging): click a line or its label
+  const [selectedId, setSelectedId] = useState(null);
+  const selectedRef = useRef(null);
+  selectedRef.current = selectedId;
+
+  // Anchor picking: "low" -> click the swing-low candle, then "high"
+  const [pickAnchor, setPickAnchor] = useState(null);
+  const pickRef = useRef(null);
+  pickRef.current = pickAnchor;
+  const pickedLowRef = useRef(null);
+  const onAnchorsChangeRef = useRef(onAnchorsChange);
+  onAnchorsChangeRef.current = onAnchorsChange;
+
+  // Tool drawing: { type, points } while collecting clicks, else null
+  const [drawing, setDrawing] = useState(null);
+  const drawingRef = useRef(null);
+  drawingRef.current = drawing;
+  const toolsRef = useRef(tools);
+  toolsRef.current = tools;
+  const onToolsUpdateRef = useRef(onToolsUpdate);
+  onToolsUpdateRef.current = onToolsUpdate;
+
+  // Tool rendering: line series per sloped/horizontal level, divs for time zones
+  const toolSeriesRef = useRef({});
+  const toolLinesRef = useRef([]); // [{ series, level }] of toolSeriesRef, extended by live bars
+  const zoneLayerRef = useRef(null);
+  const layoutZonesRef = useRef(() => {});
+
+  // Standalone alerts: EMA pairs of EMA-cross alerts; right-click menu { x, y, w, price }
+  const alertSeriesRef = useRef({});
+  const [menu, setMenu] = useState(null);
+  const menuRef = useRef(null);
+
+  // Data state. The loaded bars live in barsRef: live ticks revise or append the
+  // last bar in place (liveTick.js). `history` changes when the bars are
+  // (re)loaded or extended back in time, `liveTick` on every tick.
+  const barsRef = useRef([]);
+  const [history, setHistory] = useState(0);
+  const [liveTick, setLiveTick] = useState(0);
+  // Live stream status: "live" | "stale" | "reconnecting" | "error" (null: the provider has no stream)
+  const [feed, setFeed] = useState(null);
+  const [feedError, setFeedError] = useState(null);
+  const feedRef = useRef(null);
   const [rsi, setRsi] = useState(null);
   const [haRsi, setHaRsi] = useState(null);
 
@@ -182,15 +194,7 @@ export default function AssetChart({
   useEffect(() => {
     if (!chartHostRef.current) return;
 
-    const chart = createChart(chartHostRef.current, {
-      layout: { background: { color: "#0f172a" }, textColor: "#e2e8f0" },
-      rightPriceScale: { borderColor: "rgba(148,163,184,0.25)" },
-      timeScale:       { borderColor: "rgba(148,163,184,0.25)" },
-      grid: { horzLines: { color: "rgba(30,41,59,0.6)" }, vertLines: { color: "rgba(30,41,59,0.6)" } },
-      crosshair: { mode: CrosshairMode.Normal },
-      handleScroll: { mouseWheel: true, pressedMouseMove: true },
-      handleScale:  { axisPressedMouseMove: true, mouseWheel: true, pinch: true },
-    });
+    const chart = createChart(chartHostRef.current, CHART_OPTIONS);
 
     const series = chart.addCandlestickSeries({
       upColor: "#10b981",
@@ -206,13 +210,13 @@ export default function AssetChart({
 
     // Responsive
     const syncSize = () => {
-      if (!containerRef.current) return;
-      const w = containerRef.current.clientWidth;
-      const h = Math.max(280, containerRef.current.clientHeight);
+      if (!chartHostRef.current) return;
+      const w = chartHostRef.current.clientWidth;
+      const h = Math.max(120, chartHostRef.current.clientHeight);
       chart.applyOptions({ width: w, height: h });
     };
     const ro = new ResizeObserver(syncSize);
-    ro.observe(containerRef.current);
+    ro.observe(chartHostRef.current);
     syncSize();
 
     // Tooltip
@@ -258,213 +262,442 @@ export default function AssetChart({
       chart.remove();
       chartRef.current = null;
       seriesRef.current = null;
-      vwapRef.current = null;
-      ema9Ref.current = null;
-      ema20Ref.current = null;
-      ema200Ref.current = null;
+      indSeriesRef.current = {};
       tipRef.current = null;
       snapLineRef.current = null;
       rsiBadgeRef.current = null;
       priceLinesRef.current = {};
+      toolSeriesRef.current = {};
+      toolLinesRef.current = [];
+      alertSeriesRef.current = {};
     };
   }, [autoCenter, symbol]);
 
-  // Helper: ensure line series exists/removed based on "show"
-  function ensureLineSeries(ref, show, color, opacity) {
-    if (!chartRef.current) return;
-    if (show) {
-      if (!ref.current) {
-        ref.current = chartRef.current.addLineSeries({
-          lineWidth: 2,
-          color: withAlpha(color || "#ffffff", opacity ?? 0.5),
-          priceLineVisible: false,
-          lastValueVisible: false,
+  // One line series per output of each shown overlay; restyle or remove the rest
+  function syncIndicatorSeries() {
+    const chart = chartRef.current;
+    if (!chart) return;
+    const map = indSeriesRef.current;
+    const keep = new Set();
+    (indicators || []).forEach((ind) => {
+      const def = INDICATORS[ind.type];
+      if (!ind.show || !def) return;
+      indicatorOutputs(ind).forEach((o) => {
+        const key = `${ind.id}:${o.key}`;
+        keep.add(key);
+        const opts = {
+          color: withAlpha(o.color || ind.color || "#ffffff", ind.opacity ?? 0.5),
+          lineStyle: o.dashed ? 2 : 0,
+        };
+        if (!map[key]) {
+          map[key] = chart.addLineSeries({ lineWidth: 2, priceLineVisible: false, lastValueVisible: false, ...opts });
+        } else {
+          map[key].applyOptions(opts);
+        }
+      });
+    });
+    Object.keys(map).forEach((key) => {
+      if (keep.has(key)) return;
+      try { chart.removeSeries(map[key]); } catch {}
+      delete map[key];
+    });
+  }
+
+  // Push bars to the candle series, RSI badge and overlays
+  function renderBars(b) {
+    const useBars = useHeikinAshi ? toHeikinAshi(b) : b;
+    seriesRef.current && seriesRef.current.setData(useBars);
+
+    // RSI and HA-RSI, one point per bar (whitespace during warm-up) for the pane
+    try {
+      const r = rsiAligned(b, { period: rsiPeriod });
+      const rha = rsiAligned(b, { useHa: true, period: rsiPeriod });
+      setRsi(r.length ? r[r.length - 1] : null);
+      setHaRsi(rha.length ? rha[rha.length - 1] : null);
+      const toData = (arr) => b.map((x, i) => (arr[i] == null ? { time: x.time } : { time: x.time, value: arr[i] }));
+      rsiSeriesRef.current && rsiSeriesRef.current.setData(toData(r));
+      haRsiSeriesRef.current && haRsiSeriesRef.current.setData(toData(rha));
+      rsiAtRef.current = new Map(b.map((x, i) => [x.time, r[i]]));
+    } catch {}
+
+    // Overlays
+    try {
+      const shown = [];
+      (indicators || []).forEach((ind) => {
+        if (!ind.show) return;
+        computeIndicator(ind, useBars).forEach((out) => {
+          const key = `${ind.id}:${out.key}`;
+          const series = indSeriesRef.current[key];
+          if (series) series.setData(out.data);
+          shown.push({ key, name: out.name, data: out.data });
         });
-      } else {
-        ref.current.applyOptions({ color: withAlpha(color || "#ffffff", opacity ?? 0.5) });
-      }
-    } else {
-      if (ref.current) {
-        try { chartRef.current.removeSeries(ref.current); } catch {}
-        ref.current = null;
-      }
+      });
+      indDataRef.current = shown;
+    } catch {}
+
+    buildEngine(b);
+  }
+  const renderBarsRef = useRef(renderBars);
+  renderBarsRef.current = renderBars;
+
+  // A new bar array (load, scroll-back): keep it and render it in full
+  function showBars(b) {
+    barsRef.current = b;
+    setHistory((n) => n + 1);
+    renderBars(b);
+  }
+  const showBarsRef = useRef(showBars);
+  showBarsRef.current = showBars;
+
+  // EMAs of this timeframe's EMA-cross alerts (drawn by the alerts effect);
+  // the live engine steps them on the plain bars
+  function alertEmaLines() {
+    const out = [];
+    (alerts || []).forEach((a) => {
+      if (!a.enabled || a.timeframe !== timeframe || a.kind !== "emaCross") return;
+      [["fast", a.fast], ["slow", a.slow]].forEach(([k, period]) => {
+        out.push({ key: `${a.id}:${k}`, indicator: { id: `${a.id}:${k}`, type: "ema", params: { period } } });
+      });
+    });
+    return out;
+  }
+  const linesKey = (lines) => lines.map((l) => `${l.key}=${l.indicator.params.period}`).join("|");
+  const engineLinesRef = useRef("");
+
+  function buildEngine(b) {
+    const lines = alertEmaLines();
+    engineLinesRef.current = linesKey(lines);
+    liveRef.current = createLiveEngine(b, { indicators, rsiPeriod, useHeikinAshi, lines });
+  }
+
+  // Live tick: revise or append the last bar and update the last point of
+  // each series from the rolling state
+  function renderTick(bar) {
+    const b = barsRef.current;
+    if (!liveRef.current) {
+      // Nothing rendered yet: the tick is the whole series
+      if (b.length && b[b.length - 1].time === bar.time) b[b.length - 1] = bar;
+      else b.push(bar);
+      return renderBars(b);
     }
+    const r = applyTick({
+      bars: b,
+      engine: liveRef.current,
+      candles: seriesRef.current,
+      rsi: rsiSeriesRef.current,
+      haRsi: haRsiSeriesRef.current,
+      overlays: indSeriesRef.current,
+      overlayData: indDataRef.current,
+      lines: alertSeriesRef.current,
+      tools: toolLinesRef.current,
+      zigzag: zigzagRef.current,
+      rsiAt: rsiAtRef.current,
+      useHeikinAshi,
+    }, bar);
+    if (!r) return;
+    setRsi(r.rsi);
+    setHaRsi(r.haRsi);
+    if (r.pivotsChanged) setPivots(zigzagRef.current.pivots.slice());
+    if (r.appended) layoutZonesRef.current();
   }
+  const renderTickRef = useRef(renderTick);
+  renderTickRef.current = renderTick;
 
-  // Load historical
+  // Scroll-back state for the current symbol/timeframe
+  const historyRef = useRef({ loading: false, exhausted: false });
+
+  // Long indicators (EMA 200, Ichimoku) need more warm-up than one page gives
+  const historyPages = Math.min(
+    MAX_HISTORY_PAGES,
+    Math.max(1, Math.ceil((2 * indicatorWarmup(indicators)) / PAGE_LIMIT))
+  );
+
+  // Load historical; a response for a symbol/timeframe/provider the chart has
+  // since left is dropped, and scroll-back waits for the new bars
   useEffect(() => {
+    let cancelled = false;
+    historyRef.current = { loading: true, exhausted: false };
     async function load() {
       try {
-        const url = `${BINANCE_REST}/v3/klines?symbol=${symbol}&interval=${BINANCE_INTERVAL[timeframe]}&limit=500`;
-        const res = await fetch(url);
-        const arr = await res.json();
-        const b = arr.map((k) => ({
-          time: Math.floor(k[0] / 1000),
-          open: +k[1], high: +k[2], low: +k[3], close: +k[4], volume: +k[5],
-        }));
-        setBars(b);
-
-        const useBars = useHeikinAshi ? toHeikinAshi(b) : b;
-        seriesRef.current && seriesRef.current.setData(useBars);
+        const b = await fetchPagedKlines(provider, symbol, timeframe, { pages: historyPages, limit: PAGE_LIMIT });
+        if (cancelled) return;
+        historyRef.current = { loading: false, exhausted: false };
+        syncIndicatorSeries();
+        showBars(b);
         if (seriesRef.current && allowAutoCenter()) chartRef.current.timeScale().fitContent();
-        if (b.length) setLastPrice(b[b.length - 1].close);
-
-        // RSI
-        const closesStd = b.map((x) => x.close);
-        const r = rsiCalc.calculate({ period: 14, values: closesStd });
-        setRsi(r && r.length ? r[r.length - 1] : null);
-        const closesHa = toHeikinAshi(b).map((x) => x.close);
-        const rha = rsiCalc.calculate({ period: 14, values: closesHa });
-        setHaRsi(rha && rha.length ? rha[rha.length - 1] : null);
-
-        // Overlays
-        // VWAP
-        ensureLineSeries(vwapRef, vwapShow, vwapColor, vwapOpacity);
-        if (vwapShow && vwapRef.current) {
-          let vwapData = computeVWAP(useBars);
-          if (vwapSmooth && vwapSmooth > 1) vwapData = sma(vwapData, vwapSmooth);
-          vwapDataRef.current = vwapData;
-          vwapRef.current.setData(vwapData);
-        } else {
-          vwapDataRef.current = [];
-        }
-        // EMA 9
-        ensureLineSeries(ema9Ref, ema9Show, ema9Color, ema9Opacity);
-        if (ema9Show && ema9Ref.current) {
-          let e = computeEMA(useBars, 9);
-          if (ema9Smooth && ema9Smooth > 1) e = sma(e, ema9Smooth);
-          ema9DataRef.current = e;
-          ema9Ref.current.setData(e);
-        } else {
-          ema9DataRef.current = [];
-        }
-        // EMA 20
-        ensureLineSeries(ema20Ref, ema20Show, ema20Color, ema20Opacity);
-        if (ema20Show && ema20Ref.current) {
-          let e = computeEMA(useBars, 20);
-          if (ema20Smooth && ema20Smooth > 1) e = sma(e, ema20Smooth);
-          ema20DataRef.current = e;
-          ema20Ref.current.setData(e);
-        } else {
-          ema20DataRef.current = [];
-        }
-        // EMA 200
-        ensureLineSeries(ema200Ref, ema200Show, ema200Color, ema200Opacity);
-        if (ema200Show && ema200Ref.current) {
-          let e = computeEMA(useBars, 200);
-          if (ema200Smooth && ema200Smooth > 1) e = sma(e, ema200Smooth);
-          ema200DataRef.current = e;
-          ema200Ref.current.setData(e);
-        } else {
-          ema200DataRef.current = [];
-        }
       } catch (e) {
-        console.error(e);
+        if (!cancelled) console.error(e);
       }
     }
     load();
-  }, [
-    symbol, timeframe, useHeikinAshi, useHaRsi,
-    vwapShow, vwapColor, vwapOpacity, vwapSmooth,
-    ema9Show, ema9Color, ema9Opacity, ema9Smooth,
-    ema20Show, ema20Color, ema20Opacity, ema20Smooth,
-    ema200Show, ema200Color, ema200Opacity, ema200Smooth
-  ]);
+    return () => { cancelled = true; };
+  }, [symbol, provider, timeframe, useHeikinAshi, useHaRsi, historyPages]);
+
+  // Overlay list changed (added, removed, re-parameterized, restyled): redraw from loaded bars
+  const indicatorsKey = JSON.stringify(indicators || []);
+  useEffect(() => {
+    syncIndicatorSeries();
+    if (barsRef.current.length) renderBars(barsRef.current);
+  }, [indicatorsKey]);
 
   // Live updates
   useEffect(() => {
-    if (wsRef.current) { try { wsRef.current.close(); } catch {} }
-    const stream = `${symbol.toLowerCase()}@kline_${BINANCE_INTERVAL[timeframe]}`;
-    const ws = new WebSocket(`${BINANCE_WS}${stream}`);
-    ws.onmessage = (ev) => {
+    if (unsubRef.current) { try { unsubRef.current(); } catch {} }
+    const onBar = (bar) => {
       try {
-        const d = JSON.parse(ev.data);
-        if (!d.k) return;
-        const k = d.k;
-        const bar = { time: Math.floor(k.t/1000), open:+k.o, high:+k.h, low:+k.l, close:+k.c, volume:+k.v };
-        setBars(prev => {
-          const p = prev.slice();
-          if (p.length && p[p.length-1].time === bar.time) p[p.length-1] = bar; else p.push(bar);
-          const useBars = useHeikinAshi ? toHeikinAshi(p) : p;
-          seriesRef.current && seriesRef.current.setData(useBars);
-          setLastPrice(bar.close);
-
-          // RSI updates
-          try {
-            const closesStd = p.map(x => x.close);
-            const r = rsiCalc.calculate({ period: 14, values: closesStd });
-            setRsi(r && r.length ? r[r.length-1] : null);
-            const closesHa = toHeikinAshi(p).map(x => x.close);
-            const rha = rsiCalc.calculate({ period: 14, values: closesHa });
-            setHaRsi(rha && rha.length ? rha[rha.length-1] : null);
-          } catch {}
-
-          // Overlays recompute
-          try {
-            // VWAP
-            if (vwapShow && vwapRef.current) {
-              let vwapData = computeVWAP(useBars);
-              if (vwapSmooth && vwapSmooth > 1) vwapData = sma(vwapData, vwapSmooth);
-              vwapDataRef.current = vwapData;
-              vwapRef.current.setData(vwapData);
-            } else vwapDataRef.current = [];
-            // EMA 9
-            if (ema9Show && ema9Ref.current) {
-              let e = computeEMA(useBars, 9);
-              if (ema9Smooth && ema9Smooth > 1) e = sma(e, ema9Smooth);
-              ema9DataRef.current = e;
-              ema9Ref.current.setData(e);
-            } else ema9DataRef.current = [];
-            // EMA 20
-            if (ema20Show && ema20Ref.current) {
-              let e = computeEMA(useBars, 20);
-              if (ema20Smooth && ema20Smooth > 1) e = sma(e, ema20Smooth);
-              ema20DataRef.current = e;
-              ema20Ref.current.setData(e);
-            } else ema20DataRef.current = [];
-            // EMA 200
-            if (ema200Show && ema200Ref.current) {
-              let e = computeEMA(useBars, 200);
-              if (ema200Smooth && ema200Smooth > 1) e = sma(e, ema200Smooth);
-              ema200DataRef.current = e;
-              ema200Ref.current.setData(e);
-            } else ema200DataRef.current = [];
-          } catch {}
-
-          return p;
-        });
+        const b = barsRef.current;
+        if (b.length && bar.time < b[b.length - 1].time) return;
+        if (bar.closed) closedTickRef.current = bar.time;
+        renderTickRef.current(bar);
+        setLiveTick((n) => n + 1);
       } catch {}
     };
-    wsRef.current = ws;
-    return () => { try { ws.close(); } catch {} };
-  }, [
-    symbol, timeframe, useHeikinAshi,
-    vwapShow, vwapSmooth,
-    ema9Show, ema9Smooth,
-    ema20Show, ema20Smooth,
-    ema200Show, ema200Smooth
-  ]);
-
-  // Apply color/opacity changes to overlays without re-creating data
+    const onStatus = (status, error) => {
+      feedRef.current = status;
+      setFeed(status);
+      setFeedError(error || null);
+    };
+    onStatus(null);
+    const unsubscribe = subscribeBars(provider, symbol, timeframe, { onBar, onStatus });
+    unsubRef.current = unsubscribe;
+    return () => { try { unsubscribe(); } catch {} };
+  }, [symbol, provider, timeframe]);
+
+  // Scroll-back: panning past the left edge prepends an older page (endTime paging).
+  // The time scale stays anchored to the right edge, so the view doesn't jump.
   useEffect(() => {
-    if (vwapRef.current && vwapShow) vwapRef.current.applyOptions({ color: withAlpha(vwapColor, vwapOpacity) });
-    if (ema9Ref.current && ema9Show) ema9Ref.current.applyOptions({ color: withAlpha(ema9Color, ema9Opacity) });
-    if (ema20Ref.current && ema20Show) ema20Ref.current.applyOptions({ color: withAlpha(ema20Color, ema20Opacity) });
-    if (ema200Ref.current && ema200Show) ema200Ref.current.applyOptions({ color: withAlpha(ema200Color, ema200Opacity) });
-  }, [
-    vwapShow, vwapColor, vwapOpacity,
-    ema9Show, ema9Color, ema9Opacity,
-    ema20Show, ema20Color, ema20Opacity,
-    ema200Show, ema200Color, ema200Opacity
-  ]);
+    const chart = chartRef.current;
+    if (!chart) return;
+    const ts = chart.timeScale();
+    let cancelled = false;
+    const onRange = (range) => {
+      const h = historyRef.current;
+      if (!range || range.from > SCROLLBACK_EDGE || h.loading || h.exhausted) return;
+      const oldest = barsRef.current.length ? barsRef.current[0].time : null;
+      if (oldest == null) return;
+      h.loading = true;
+      getProvider(provider)
+        .fetchKlines(symbol, timeframe, { limit: PAGE_LIMIT, endTime: oldest - 1 })
+        .then((page) => {
+          if (cancelled || historyRef.current !== h) return; // symbol/timeframe changed meanwhile
+          const older = page.filter((b) => b.time < oldest);
+          if (!older.length) { h.exhausted = true; return; }
+          const cur = barsRef.current;
+          if (!cur.length || cur[0].time !== oldest) return;
+          showBarsRef.current(older.concat(cur));
+        })
+        .catch((e) => console.error(e))
+        .finally(() => { h.loading = false; });
+    };
+    ts.subscribeVisibleLogicalRangeChange(onRange);
+    return () => {
+      cancelled = true;
+      try { ts.unsubscribeVisibleLogicalRangeChange(onRange); } catch {}
+    };
+  }, [symbol, provider, timeframe, autoCenter]);
 
   // RSI badge text
   useEffect(() => {
     if (!rsiBadgeRef.current) return;
     const rTxt  = (rsi != null && Number.isFinite(rsi))   ? rsi.toFixed(1)   : "--";
     const hrTxt = (haRsi != null && Number.isFinite(haRsi)) ? haRsi.toFixed(1) : "--";
-    rsiBadgeRef.current.textContent = `RSI: ${rTxt}  |  HA-RSI: ${hrTxt}`;
-  }, [rsi, haRsi]);
+    rsiBadgeRef.current.textContent = `RSI(${rsiPeriod}): ${rTxt}  |  HA-RSI: ${hrTxt}`;
+  }, [rsi, haRsi, rsiPeriod]);
+
+  // RSI pane: its own chart under the candles; time scale and crosshair follow the candle pane
+  useEffect(() => {
+    const main = chartRef.current;
+    const host = rsiHostRef.current;
+    if (!rsiPane || !main || !host) return;
+
+    const pane = createChart(host, { ...CHART_OPTIONS, timeScale: { ...CHART_OPTIONS.timeScale, visible: false } });
+    const fixedRange = () => ({ priceRange: { minValue: 0, maxValue: 100 } });
+    const rsiSeries = pane.addLineSeries({
+      color: "#38bdf8", lineWidth: 1, priceLineVisible: false, title: "RSI", autoscaleInfoProvider: fixedRange,
+    });
+    const haSeries = pane.addLineSeries({
+      color: "#f59e0b", lineWidth: 1, priceLineVisible: false, title: "HA", autoscaleInfoProvider: fixedRange,
+    });
+    RSI_GUIDES.forEach((v) => rsiSeries.createPriceLine({
+      price: v, color: "rgba(148,163,184,0.45)", lineWidth: 1, lineStyle: 2, axisLabelVisible: false, title: "",
+    }));
+    rsiChartRef.current = pane;
+    rsiSeriesRef.current = rsiSeries;
+    haRsiSeriesRef.current = haSeries;
+
+    const syncSize = () => pane.applyOptions({ width: host.clientWidth, height: Math.max(60, host.clientHeight) });
+    const ro = new ResizeObserver(syncSize);
+    ro.observe(host);
+    syncSize();
+
+    // Both charts hold one point per bar, so logical ranges map one to one
+    let syncing = false;
+    const follow = (target) => (range) => {
+      if (syncing || !range) return;
+      syncing = true;
+      try { target.timeScale().setVisibleLogicalRange(range); } catch {}
+      syncing = false;
+    };
+    const toPane = follow(pane);
+    const toMain = follow(main);
+    main.timeScale().subscribeVisibleLogicalRangeChange(toPane);
+    pane.timeScale().subscribeVisibleLogicalRangeChange(toMain);
+
+    // Programmatic crosshair moves don't fire events, so this can't ping-pong
+    const onMainMove = (p) => {
+      const v = p.point && p.time != null ? rsiAtRef.current.get(p.time) : null;
+      if (v == null) pane.clearCrosshairPosition();
+      else pane.setCrosshairPosition(v, p.time, rsiSeries);
+    };
+    const onPaneMove = (p) => {
+      const bar = p.point && p.time != null ? barsRef.current.find((x) => x.time === p.time) : null;
+      if (!bar || !seriesRef.current) main.clearCrosshairPosition();
+      else main.setCrosshairPosition(bar.close, p.time, seriesRef.current);
+    };
+    main.subscribeCrosshairMove(onMainMove);
+    pane.subscribeCrosshairMove(onPaneMove);
+
+    if (barsRef.current.length) renderBarsRef.current(barsRef.current);
+    const range = main.timeScale().getVisibleLogicalRange();
+    if (range) pane.timeScale().setVisibleLogicalRange(range);
+
+    return () => {
+      try { main.timeScale().unsubscribeVisibleLogicalRangeChange(toPane); } catch {}
+      try { main.unsubscribeCrosshairMove(onMainMove); } catch {}
+      ro.disconnect();
+      pane.remove();
+      rsiChartRef.current = null;
+      rsiSeriesRef.current = null;
+      haRsiSeriesRef.current = null;
+    };
+  }, [rsiPane, symbol, autoCenter]);
+
+  // Period changed: recompute RSI (badge, pane and the alert rule's input)
+  useEffect(() => {
+    if (barsRef.current.length) renderBarsRef.current(barsRef.current);
+  }, [rsiPeriod]);
+
+  // RSI pane guides for each alert line's RSI threshold (fib lines and drawn tools;
+  // rule-builder lines state their RSI ranges in the condition list instead)
+  useEffect(() => {
+    const series = rsiSeriesRef.current;
+    if (!series) return;
+    const seen = new Set();
+    const created = [];
+    const alertLines = (fibLines || []).concat(...(tools || []).map((t) => t.lines || []));
+    alertLines.forEach((ln) => {
+      if (!ln.enabled || !ln.alertEnabled || Array.isArray(ln.conditions) || !Number.isFinite(ln.rsiThreshold)) return;
+      const key = `${ln.rsiThreshold}|${ln.rsiOp || ">="}|${ln.color}`;
+      if (seen.has(key)) return;
+      seen.add(key);
+      created.push(series.createPriceLine({
+        price: ln.rsiThreshold,
+        color: withAlpha(ln.color || "#ffffff", 0.7),
+        lineWidth: 1,
+        lineStyle: 1,
+        axisLabelVisible: true,
+        title: `${Number(ln.ratio)} ${ln.rsiOp || ">="}`,
+      }));
+    });
+    return () => created.forEach((pl) => { try { series.removePriceLine(pl); } catch {} });
+  }, [fibLines, tools, rsiPane, symbol, autoCenter]);
+
+  // Standalone alerts of this timeframe: price levels on the candles, both EMAs
+  // of EMA-cross alerts, RSI zone bounds on the RSI pane (dimmed while the alert is off)
+  useEffect(() => {
+    const chart = chartRef.current;
+    const series = seriesRef.current;
+    if (!chart || !series) return;
+    const mine = (alerts || []).filter((a) => a.enabled && a.timeframe === timeframe);
+    const created = [];
+    const paneCreated = [];
+    const map = alertSeriesRef.current;
+    const keep = new Set();
+    const bars = barsRef.current;
+    const closes = bars.map((b) => b.close);
+    mine.forEach((a) => {
+      const color = withAlpha(a.color || "#facc15", a.alertEnabled ? 0.9 : 0.4);
+      if (a.kind === "price" && a.price != null) {
+        created.push(series.createPriceLine({
+          price: a.price, color, lineWidth: 1, lineStyle: 2, axisLabelVisible: true, title: "alert",
+        }));
+      }
+      if (a.kind === "emaCross") {
+        [["fast", a.fast, 0], ["slow", a.slow, 2]].forEach(([k, period, lineStyle]) => {
+          const key = `${a.id}:${k}`;
+          keep.add(key);
+          if (!map[key]) {
+            map[key] = chart.addLineSeries({
+              lineWidth: 1, priceLineVisible: false, lastValueVisible: false, crosshairMarkerVisible: false,
+            });
+          }
+          map[key].applyOptions({ color, lineStyle });
+          const ema = emaOf(closes, period);
+          map[key].setData(bars.map((b, i) => ({ time: b.time, value: ema[i] })));
+        });
+      }
+      if (a.kind === "rsiZone" && rsiSeriesRef.current) {
+        [a.min, a.max].forEach((v) => {
+          if (!(v > 0 && v < 100)) return;
+          paneCreated.push(rsiSeriesRef.current.createPriceLine({
+            price: Number(v), color, lineWidth: 1, lineStyle: 2, axisLabelVisible: true, title: "zone",
+          }));
+        });
+      }
+    });
+    Object.keys(map).forEach((key) => {
+      if (keep.has(key)) return;
+      try { chart.removeSeries(map[key]); } catch {}
+      delete map[key];
+    });
+    // Live ticks extend the EMAs through the engine; it needs the new set
+    if (liveRef.current && linesKey(alertEmaLines()) !== engineLinesRef.current) buildEngine(bars);
+    const pane = rsiSeriesRef.current;
+    return () => {
+      created.forEach((pl) => { try { series.removePriceLine(pl); } catch {} });
+      paneCreated.forEach((pl) => { try { pane.removePriceLine(pl); } catch {} });
+    };
+  }, [alerts, history, timeframe, rsiPane, symbol, autoCenter]);
+
+  // Right-click on the candles: create a standalone alert or an anchored VWAP from a menu
+  function openAlertMenu(e) {
+    const canAdd = typeof onAlertsUpdate === "function" || typeof onIndicatorsChange === "function";
+    if (!canAdd || !seriesRef.current || !chartHostRef.current) return;
+    const rect = chartHostRef.current.getBoundingClientRect();
+    const y = e.clientY - rect.top;
+    if (y < 0 || y > rect.height) return; // the RSI pane keeps the browser menu
+    const raw = seriesRef.current.coordinateToPrice(y);
+    if (raw == null) return;
+    e.preventDefault();
+    const tick = inferTickSize(barsRef.current);
+    const price = Number((Math.round(raw / tick) * tick).toFixed(10));
+    const time = chartRef.current.timeScale().coordinateToTime(e.clientX - rect.left);
+    setMenu({ x: e.clientX - rect.left, y, w: rect.width, price, time });
+  }
+
+  function addAnchoredVwap(time) {
+    setMenu(null);
+    onIndicatorsChange([...(indicators || []), newIndicator("avwap", { params: { anchor: time, bands: 1 } })]);
+  }
+
+  function addStandaloneAlert(kind, params) {
+    setMenu(null);
+    onAlertsUpdate([...(alerts || []), newStandaloneAlert(symbol, kind, timeframe, params)]);
+  }
+
+  // Any click outside the menu, Escape, or a new symbol/timeframe closes it
+  useEffect(() => {
+    if (!menu) return;
+    const onDown = (e) => { if (menuRef.current && !menuRef.current.contains(e.target)) setMenu(null); };
+    const onKey = (e) => { if (e.key === "Escape") setMenu(null); };
+    window.addEventListener("pointerdown", onDown, true);
+    window.addEventListener("keydown", onKey);
+    return () => {
+      window.removeEventListener("pointerdown", onDown, true);
+      window.removeEventListener("keydown", onKey);
+    };
+  }, [menu]);
+  useEffect(() => { setMenu(null); }, [symbol, timeframe]);
 
   // Lines + DRAG VIA RIGHT PRICE LABELS + HYDRATE PRICES UPSTREAM
   useEffect(() => {
@@ -474,19 +707,26 @@ export default function AssetChart({
     const series = seriesRef.current;
     const plMap  = priceLinesRef.current;
 
-    // Window / range
+    // Window / range over the bars as loaded; live ticks don't re-run this
+    // effect, so handlers below read barsRef when they fire
+    const bars = barsRef.current;
     const last = bars.length ? bars[bars.length - 1] : null;
     const look = bars.slice(-120);
-    const hi = look.length ? Math.max(...look.map((b) => b.high)) : null;
-    const lo = look.length ? Math.min(...look.map((b) => b.low)) : null;
+    // Ratio 0 / 1: the swing anchors when set, else the hi/lo of the last 120 bars
+    const anchored = !!(anchors && anchors.low && anchors.high);
+    const autoSwing = !!(zigzag && zigzag.enabled);
+    const hi = anchored ? anchors.high.price : look.length ? Math.max(...look.map((b) => b.high)) : null;
+    const lo = anchored ? anchors.low.price : look.length ? Math.min(...look.map((b) => b.low)) : null;
     const range = hi != null && lo != null ? hi - lo : null;
 
-    // Snapping candidates
-    const ratios = [-1.0, -0.618, -0.272, 0.236, 0.382, 0.5, 0.618, 0.786, 1.272, 1.618, 2.0];
-    const snaps = [];
-    if (range != null) for (const r of ratios) snaps.push({ type: "ratio", r, price: lo + r * range });
-    for (const b of look) { snaps.push({ type: "high", price: b.high }); snaps.push({ type: "low", price: b.low }); }
+    // Snapping candidates: the symbol's active ratios (those of its lines) and
+    // the highs/lows of the last 120 bars, current ones included
+    const ratios = [...new Set((fibLines || []).map((ln) => ln.ratio))];
+    const ratioSnaps = [];
+    if (range != null) for (const r of ratios) ratioSnaps.push({ type: "ratio", r, price: lo + r * range });
     const nearestSnap = (price) => {
+      const snaps = ratioSnaps.slice();
+      for (const b of barsRef.current.slice(-120)) { snaps.push({ type: "high", price: b.high }); snaps.push({ type: "low", price: b.low }); }
       let best = null, dmin = Infinity;
       for (const s of snaps) {
         const d = Math.abs(s.price - price);
@@ -522,12 +762,11 @@ export default function AssetChart({
         return;
       }
       const price = getLinePrice(ln, range, lo, last) ?? (last?.close ?? 0);
-      const width = ln.alertEnabled ? 2 : 1;
       const opts = {
         price,
-        color: withAlpha(ln.color || "#ffffff", 0.75),
-        lineWidth: width,
-        lineStyle: 0,
+        color: withAlpha(ln.color || "#ffffff", ln.id === selectedId ? 1 : 0.75),
+        lineWidth: ln.alertEnabled ? 2 : 1,
+        lineStyle: ln.id === selectedId ? 2 : 0, // dashed while selected
         axisLabelVisible: true,
         title: "",
       };
@@ -539,13 +778,18 @@ export default function AssetChart({
     });
 
     // --- DRAG using right price labels (hit-test near right edge) ---
+    // Pointer Events, so mouse, touch and pen all work; fingers get a larger target
     const HIT_RIGHT_WIDTH = 64; // px from right edge to grab
     const HIT_TOL_Y = 12;       // px vertical tolerance
+    const TOUCH_HIT_RIGHT_WIDTH = 88;
+    const TOUCH_HIT_TOL_Y = 22;
 
-    function hitTestLineByMouse(e) {
+    // anywhere: any x on the chart (selection), else only over the right labels (drag)
+    function hitTestLine(e, anywhere = false) {
+      const touch = e.pointerType === "touch";
       const rect = containerRef.current.getBoundingClientRect();
-      const withinRight = e.clientX >= rect.right - HIT_RIGHT_WIDTH;
-      if (!withinRight) return null;
+      const withinRight = e.clientX >= rect.right - (touch ? TOUCH_HIT_RIGHT_WIDTH : HIT_RIGHT_WIDTH);
+      if (!anywhere && !withinRight) return null;
 
       // nearest enabled line in Y
       let target = null;
@@ -558,28 +802,87 @@ export default function AssetChart({
         const dy = Math.abs((e.clientY - rect.top) - yy);
         if (dy < bestDy) { bestDy = dy; target = ln; }
       });
-      if (bestDy <= HIT_TOL_Y) return target;
+      if (bestDy <= (touch ? TOUCH_HIT_TOL_Y : HIT_TOL_Y)) return target;
       return null;
     }
 
-    function onMouseDown(e) {
-      const target = hitTestLineByMouse(e);
-      if (!target) return; // not over a label
+    // Anchor markers sit above/below their candle, so the vertical tolerance is loose
+    const ANCHOR_HIT_X = 8;
+    const ANCHOR_HIT_Y = 36;
+    const TOUCH_ANCHOR_HIT_X = 16;
+    function hitTestAnchor(e) {
+      if (!anchored || autoSwing || typeof onAnchorsChange !== "function") return null;
+      const rect = containerRef.current.getBoundingClientRect();
+      const x = e.clientX - rect.left;
+      const y = e.clientY - rect.top;
+      for (const which of ["low", "high"]) {
+        const a = anchors[which];
+        const ax = chart.timeScale().timeToCoordinate(a.time);
+        const ay = priceToY(a.price);
+        const hitX = e.pointerType === "touch" ? TOUCH_ANCHOR_HIT_X : ANCHOR_HIT_X;
+        if (Number.isFinite(ax) && Number.isFinite(ay) && Math.abs(x - ax) <= hitX && Math.abs(y - ay) <= ANCHOR_HIT_Y) {
+          return which;
+        }
+      }
+      return null;
+    }
+
+    function onPointerDown(e) {
+      if (e.pointerType === "mouse" && e.button !== 0) return;
+      if (e.target.closest && e.target.closest("[data-chart-menu]")) return;
+      const busy = pickRef.current || drawingRef.current;
+      const anchor = busy ? null : hitTestAnchor(e);
+      const target = anchor ? null : hitTestLine(e);
+      if (!anchor && !target) {
+        // A click on a line selects it (the chart still pans); elsewhere deselects
+        if (busy) return;
+        const near = hitTestLine(e, true);
+        setSelectedId(near ? near.id : null);
+        if (near) containerRef.current.focus({ preventScroll: true });
+        return;
+      }
+      if (target) {
+        setSelectedId(target.id);
+        containerRef.current.focus({ preventScroll: true });
+      }
 
-      // start drag
-      draggingRef.current = { active: true, id: target.id };
-      try { chart.applyOptions({ handleScroll: { mouseWheel: true, pressedMouseMove: false } }); } catch {}
+      // start drag; the shield captures the pointer so touch/pen moves reach it
+      draggingRef.current = { active: true, id: target ? target.id : null, anchor };
+      try {
+        chart.applyOptions({
+          handleScroll: { mouseWheel: true, pressedMouseMove: false, horzTouchDrag: false, vertTouchDrag: false },
+          handleScale: { axisPressedMouseMove: false },
+        });
+      } catch {}
       if (dragShieldRef.current) {
         dragShieldRef.current.style.display = "block";
         dragShieldRef.current.style.pointerEvents = "auto";
+        dragShieldRef.current.style.cursor = anchor ? "ew-resize" : "ns-resize";
+        try { dragShieldRef.current.setPointerCapture(e.pointerId); } catch {}
       }
       if (tipRef.current) tipRef.current.style.display = "block";
       e.preventDefault();
       e.stopPropagation();
     }
 
+    // Move an anchor to the candle under the cursor (its low / high)
+    function moveAnchor(e, which) {
+      const rect = containerRef.current.getBoundingClientRect();
+      const t = chart.timeScale().coordinateToTime(e.clientX - rect.left);
+      const bar = t != null ? barsRef.current.find((b) => b.time === t) : null;
+      if (!bar) return;
+      const price = which === "low" ? bar.low : bar.high;
+      if (anchors[which].time === bar.time) return;
+      if (tipRef.current) {
+        tipRef.current.textContent = `Swing ${which}: ${price.toFixed(6)}`;
+        tipRef.current.style.top = `${e.clientY - rect.top}px`;
+      }
+      onAnchorsChange({ ...anchors, [which]: { time: bar.time, price } });
+    }
+
     function onShieldMove(e) {
       if (!draggingRef.current.active) return;
+      if (draggingRef.current.anchor) return moveAnchor(e, draggingRef.current.anchor);
       const id = draggingRef.current.id;
       const ln = fibLines.find(x => x.id === id);
       if (!ln) return;
@@ -609,16 +912,43 @@ export default function AssetChart({
 
     function onShieldUp() {
       if (!draggingRef.current.active) return;
-      draggingRef.current = { active: false, id: null };
+      draggingRef.current = { active: false, id: null, anchor: null };
       if (tipRef.current) tipRef.current.style.display = "none";
       if (snapLineRef.current) snapLineRef.current.style.display = "none";
-      try { chart.applyOptions({ handleScroll: { mouseWheel: true, pressedMouseMove: true } }); } catch {}
+      try {
+        chart.applyOptions({
+          handleScroll: { mouseWheel: true, pressedMouseMove: true, horzTouchDrag: true, vertTouchDrag: true },
+          handleScale: { axisPressedMouseMove: true },
+        });
+      } catch {}
       if (dragShieldRef.current) {
         dragShieldRef.current.style.display = "none";
         dragShieldRef.current.style.pointerEvents = "none";
       }
     }
 
+    // Selected line: arrows nudge by one tick (shift: ten), Escape deselects,
+    // Delete disables the line
+    function onKeyDown(e) {
+      const ln = fibLines.find((x) => x.id === selectedRef.current);
+      if (!ln) return;
+      if (e.key === "Escape") {
+        setSelectedId(null);
+      } else if (e.key === "Delete" || e.key === "Backspace") {
+        setSelectedId(null);
+        onFibLinesUpdate(symbol, fibLines.map((l) => (l.id === ln.id ? { ...l, enabled: false } : l)));
+      } else if (e.key === "ArrowUp" || e.key === "ArrowDown") {
+        const from = getLinePrice(ln, range, lo, last);
+        if (from == null) return;
+        const steps = (e.shiftKey ? 10 : 1) * (e.key === "ArrowUp" ? 1 : -1);
+        const price = nudgePrice(from, inferTickSize(barsRef.current), steps);
+        onFibLinesUpdate(symbol, fibLines.map((l) => (l.id === ln.id ? { ...l, price } : l)));
+      } else {
+        return;
+      }
+      e.preventDefault();
+    }
+
     // Keep labels aligned (re-apply price/width/color)
     let rafId = null;
     const tick = () => {
@@ -631,7 +961,7 @@ export default function AssetChart({
         try {
           pl.applyOptions({
             price,
-            color: withAlpha(ln.color || "#ffffff", 0.75),
+            color: withAlpha(ln.color || "#ffffff", ln.id === selectedId ? 1 : 0.75),
             lineWidth: ln.alertEnabled ? 2 : 1,
           });
         } catch {}
@@ -640,15 +970,17 @@ export default function AssetChart({
     };
     rafId = requestAnimationFrame(tick);
 
-    // attach events
-    containerRef.current.addEventListener("mousedown", onMouseDown);
-    if (dragShieldRef.current) dragShieldRef.current.addEventListener("mousemove", onShieldMove);
-    window.addEventListener("mouseup", onShieldUp);
+    // attach events (capture: decide before the chart starts a pan)
+    containerRef.current.addEventListener("pointerdown", onPointerDown, true);
+    containerRef.current.addEventListener("keydown", onKeyDown);
+    if (dragShieldRef.current) dragShieldRef.current.addEventListener("pointermove", onShieldMove);
+    window.addEventListener("pointerup", onShieldUp);
+    window.addEventListener("pointercancel", onShieldUp);
 
     // --- HOVER TOOLTIP FOR LINES (FIB + OVERLAYS) ---
     const HOVER_TOL_Y = 10; // px
     const onHoverMove = (e) => {
-      if (!tipRef.current || draggingRef.current.active) return;
+      if (!tipRef.current || draggingRef.current.active || e.pointerType === "touch") return;
 
       const rect = containerRef.current.getBoundingClientRect();
       const yPx = e.clientY - rect.top;
@@ -675,13 +1007,14 @@ export default function AssetChart({
           alertEnabled: !!ln.alertEnabled,
           rsiOp: ln.rsiOp || ">=",
           rsiThreshold: ln.rsiThreshold,
+          rule: ruleSummary(ln),
+          confirmOnClose: !!ln.confirmOnClose,
         });
       });
 
       // Helper: last value from data arrays
       const lastVal = (arr) => (arr && arr.length ? arr[arr.length - 1].value : null);
-      const pushOverlay = (show, name, arr) => {
-        if (!show) return;
+      const pushOverlay = (name, arr) => {
         const p = lastVal(arr);
         if (p == null) return;
         const yy = priceToY(p);
@@ -690,10 +1023,7 @@ export default function AssetChart({
         cands.push({ kind: "overlay", name, price: p, dy });
       };
 
-      pushOverlay(vwapShow, "VWAP", vwapDataRef.current);
-      pushOverlay(ema9Show, "EMA 9", ema9DataRef.current);
-      pushOverlay(ema20Show, "EMA 20", ema20DataRef.current);
-      pushOverlay(ema200Show, "EMA 200", ema200DataRef.current);
+      indDataRef.current.forEach((o) => pushOverlay(o.name, o.data));
 
       if (!cands.length) { tipRef.current.style.display = "none"; return; }
 
@@ -705,7 +1035,8 @@ export default function AssetChart({
       // Compose text
       let text = `${best.name}: ${best.price.toFixed(6)}`;
       if (best.kind === "fib" && best.alertEnabled) {
-        text += ` • Alert: RSI ${best.rsiOp} ${best.rsiThreshold}`;
+        const cond = best.rule || `RSI ${best.rsiOp} ${best.rsiThreshold}`;
+        text += ` • Alert: ${cond}${best.confirmOnClose ? " (on close)" : ""}`;
       }
 
       // position tooltip near cursor, right-aligned to avoid covering labels
@@ -719,71 +1050,371 @@ export default function AssetChart({
       if (tipRef.current && !draggingRef.current.active) tipRef.current.style.display = "none";
     };
 
-    containerRef.current.addEventListener("mousemove", onHoverMove);
-    containerRef.current.addEventListener("mouseleave", onHoverLeave);
+    containerRef.current.addEventListener("pointermove", onHoverMove);
+    containerRef.current.addEventListener("pointerleave", onHoverLeave);
 
     return () => {
-      containerRef.current && containerRef.current.removeEventListener("mousedown", onMouseDown);
-      if (dragShieldRef.current) dragShieldRef.current.removeEventListener("mousemove", onShieldMove);
-      window.removeEventListener("mouseup", onShieldUp);
-      containerRef.current && containerRef.current.removeEventListener("mousemove", onHoverMove);
-      containerRef.current && containerRef.current.removeEventListener("mouseleave", onHoverLeave);
+      containerRef.current && containerRef.current.removeEventListener("pointerdown", onPointerDown, true);
+      containerRef.current && containerRef.current.removeEventListener("keydown", onKeyDown);
+      if (dragShieldRef.current) dragShieldRef.current.removeEventListener("pointermove", onShieldMove);
+      window.removeEventListener("pointerup", onShieldUp);
+      window.removeEventListener("pointercancel", onShieldUp);
+      containerRef.current && containerRef.current.removeEventListener("pointermove", onHoverMove);
+      containerRef.current && containerRef.current.removeEventListener("pointerleave", onHoverLeave);
       if (rafId) cancelAnimationFrame(rafId);
     };
-  }, [fibLines, bars, autoCenter, useHeikinAshi, useHaRsi, symbol, timeframe]);
+  }, [fibLines, history, anchors, zigzag, autoCenter, useHeikinAshi, useHaRsi, symbol, timeframe, selectedId]);
+
+  // Selection belongs to a line that is still shown
+  useEffect(() => {
+    if (selectedId && !fibLines.some((ln) => ln.id === selectedId && ln.enabled)) setSelectedId(null);
+  }, [fibLines, selectedId]);
+  const selectedLine = selectedId ? fibLines.find((ln) => ln.id === selectedId) : null;
+
+  // Time of the last kline the live stream reported as closed (k.x)
+  const closedTickRef = useRef(null);
+
+  // Last bar the alerts effect saw; prepending history must not re-evaluate it
+  const evaluatedBarRef = useRef(null);
+
+  // Firing-state patches not yet reflected in the fibLines prop (id -> patch)
+  const firedRef = useRef({});
+  useEffect(() => { firedRef.current = {}; }, [fibLines]);
+  const toolFiredRef = useRef({});
+  useEffect(() => { toolFiredRef.current = {}; }, [tools]);
+  const alertFiredRef = useRef({});
+  useEffect(() => { alertFiredRef.current = {}; }, [alerts]);
 
   // Alerts with delivery status to /alert (server) + Dashboard TTS handled upstream
   useEffect(() => {
-    if (!bars.length || !fibLines.length) return;
-    const price = lastPrice;
+    const bars = barsRef.current;
+    if (!bars.length || (!fibLines.length && !(tools && tools.length) && !(alerts && alerts.length))) return;
+    if (evaluatedBarRef.current === bars[bars.length - 1]) return;
+    evaluatedBarRef.current = bars[bars.length - 1];
+    // No alerts from a stale feed or from bars backfilled while reconnecting
+    if (feedRef.current && feedRef.current !== "live") return;
+    const lastBar = bars[bars.length - 1];
+    const price = lastBar.close;
     const rsiVal = useHaRsi ? haRsi : rsi;
-    const prevClose = bars.length > 1 ? bars[bars.length - 2].close : null;
+    const prevBar = bars.length > 1 ? bars[bars.length - 2] : null;
+    const prevClose = prevBar ? prevBar.close : null;
+    const barTime = lastBar.time;
+    // A kline just finalized on the live stream (not merely loaded as closed)
+    const justClosed = !!lastBar.closed && closedTickRef.current === lastBar.time;
+    const now = Date.now();
+    const tickSize = inferTickSize(bars);
+    // Rule-builder conditions read the loaded bars (series computed once per evaluation)
+    const ctx = { bars, rsiPeriod, cache: {} };
+    const patches = {};
+
+    // The relay queues the alert (202) and reports delivery on /alerts/stream
+    const sendAlert = async (message, ratio, linePrice) => {
+      let rec = null;
+      try {
+        const res = await fetch("/alert", {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ message, symbol, timeframe, ratio, price: linePrice, rsi: rsiVal }),
+        });
+        try { rec = await res.json(); } catch {}
+        if (!rec || !rec.id) rec = { status: "failed", error: `Relay answered HTTP ${res.status}` };
+      } catch (e) {
+        rec = { status: "failed", error: "Relay unreachable" };
+      }
+      if (typeof onAlert === "function") {
+        onAlert({ id: rec.id, ts: rec.ts || Date.now(), message, status: rec.status, error: rec.error, channels: rec.channels || [] });
+      }
+    };
 
-    fibLines.forEach((ln) => {
-      if (!ln.enabled || ln.price == null || !ln.alertEnabled) return;
-      if (rsiVal == null || !Number.isFinite(ln.rsiThreshold)) return;
+    fibLines.forEach((raw) => {
+      const ln = { ...raw, ...(firedRef.current[raw.id] || {}) };
+      // Bar-close confirmation: ignore intrabar ticks, evaluate only finalized bars
+      if (ln.confirmOnClose && !justClosed) return;
+      if (rearmReached(ln, price, tickSize)) {
+        patches[ln.id] = { armed: true };
+        return;
+      }
+      const direction = lineAlertFires(ln, prevClose, price, rsiVal, ctx);
+      if (!direction || !policyAllows(ln, { barTime, now })) return;
+      patches[ln.id] = firedPatch(ln, { barTime, now, direction });
+
+      // The relay's engine delivers lines it has armed (its record reaches
+      // the feed over /alerts/stream); don't send them twice
+      if (serverArmedIds && serverArmedIds.has(ln.id)) return;
+      sendAlert(alertMessage(symbol, timeframe, ln, rsiVal, useHaRsi), ln.ratio, ln.price);
+    });
 
-      const wasBelow = prevClose != null ? prevClose < ln.price : null;
-      const isBelow = price < ln.price;
-      const crossed = wasBelow != null && wasBelow !== isBelow;
-      if (!crossed) return;
+    // Drawn tools: same rule and policies, evaluated against each line's level at this bar
+    const toolPatches = {};
+    const intervalSec = intervalSeconds(timeframe);
+    (tools || []).forEach((tool) => {
+      tool.lines.forEach((raw) => {
+        const ln = { ...raw, ...(toolFiredRef.current[raw.id] || {}) };
+        if (ln.confirmOnClose && !justClosed) return;
+        const level = toolLevel(tool, ln, intervalSec);
+        if (!level) return;
+        if (rearmReached({ ...ln, price: levelAt(level, barTime) }, price, tickSize)) {
+          toolPatches[ln.id] = { armed: true };
+          return;
+        }
+        const direction = toolLineFires(ln, level, { prevBar, lastBar, price, rsiVal, ctx });
+        if (!direction || !policyAllows(ln, { barTime, now })) return;
+        toolPatches[ln.id] = firedPatch(ln, { barTime, now, direction });
+        if (serverArmedIds && serverArmedIds.has(ln.id)) return;
+        sendAlert(
+          toolAlertMessage(symbol, timeframe, tool, ln, level, barTime, rsiVal, useHaRsi),
+          ln.ratio,
+          levelAt(level, barTime)
+        );
+      });
+    });
 
-      const op = ln.rsiOp || ">=";
-      const ok = op === ">=" ? rsiVal >= ln.rsiThreshold : rsiVal <= ln.rsiThreshold;
-      if (!ok) return;
+    // Standalone alerts of this timeframe: price level, VWAP/EMA cross, EMA cross, RSI zone
+    const alertPatches = {};
+    const alertCtx = { ...ctx, price, indicators };
+    (alerts || []).forEach((raw) => {
+      if (raw.timeframe !== timeframe) return;
+      const a = { ...raw, ...(alertFiredRef.current[raw.id] || {}) };
+      if (!a.enabled || !a.alertEnabled) return;
+      if (a.confirmOnClose && !justClosed) return;
+      const ev = standaloneEvent(a, alertCtx);
+      if (standaloneRearmed(a, ev, price, tickSize)) {
+        alertPatches[a.id] = { armed: true };
+        return;
+      }
+      const event = standaloneFires(a, ev, alertCtx);
+      if (!event || !policyAllows(a, { barTime, now })) return;
+      alertPatches[a.id] = firedPatch(a, { barTime, now, direction: event });
+      sendAlert(standaloneMessage(symbol, a, event, price, indicators), null, ev.level ?? price);
+    });
 
-      const message = `${symbol} ${timeframe} crossed ${Number(ln.ratio)} at ${ln.price.toFixed(6)} | RSI ${useHaRsi ? "(HA)" : ""}=${(rsiVal || 0).toFixed(1)}`;
+    // Record firing state (last fired, count, re-arm, one-shot) on the lines
+    if (Object.keys(patches).length && typeof onFibLinesUpdate === "function") {
+      Object.entries(patches).forEach(([id, p]) => {
+        firedRef.current[id] = { ...(firedRef.current[id] || {}), ...p };
+      });
+      onFibLinesUpdate(symbol, fibLines.map((ln) => (patches[ln.id] ? { ...ln, ...patches[ln.id] } : ln)));
+    }
+    if (Object.keys(toolPatches).length && typeof onToolsUpdate === "function") {
+      Object.entries(toolPatches).forEach(([id, p]) => {
+        toolFiredRef.current[id] = { ...(toolFiredRef.current[id] || {}), ...p };
+      });
+      onToolsUpdate(tools.map((t) => ({
+        ...t,
+        lines: t.lines.map((ln) => (toolPatches[ln.id] ? { ...ln, ...toolPatches[ln.id] } : ln)),
+      })));
+    }
+    if (Object.keys(alertPatches).length && typeof onAlertsUpdate === "function") {
+      Object.entries(alertPatches).forEach(([id, p]) => {
+        alertFiredRef.current[id] = { ...(alertFiredRef.current[id] || {}), ...p };
+      });
+      onAlertsUpdate(alerts.map((a) => (alertPatches[a.id] ? { ...a, ...alertPatches[a.id] } : a)));
+    }
+  }, [liveTick, history]);
+
+  // ZigZag pivots over the loaded bars (confirmed pivots only): built when the
+  // bars load or the settings change, then fed each closed live bar (renderTick)
+  const zzEnabled = !!(zigzag && zigzag.enabled);
+  const zzDepth = zigzag ? zigzag.depth : null;
+  const zzDeviation = zigzag ? zigzag.deviationPct : null;
+  const zigzagRef = useRef(null);
+  const [pivots, setPivots] = useState([]);
+  useEffect(() => {
+    const zz = zzEnabled ? createZigzag(barsRef.current, { depth: zzDepth, deviationPct: zzDeviation }) : null;
+    zigzagRef.current = zz;
+    setPivots(zz ? zz.pivots.slice() : []);
+  }, [history, zzEnabled, zzDepth, zzDeviation]);
 
-      (async () => {
-        let delivered = false;
-        try {
-          const res = await fetch("/alert", {
-            method: "POST",
-            headers: { "Content-Type": "application/json" },
-            body: JSON.stringify({ message }),
-          });
-          delivered = res.ok;
-          try { await res.json(); } catch {}
-        } catch (e) {
-          delivered = false;
+  // Re-anchor on the latest confirmed swing; the Dashboard keeps alert lines locked
+  useEffect(() => {
+    if (!zzEnabled || typeof onAnchorsChange !== "function") return;
+    const swing = lastSwing(pivots);
+    if (!swing) return;
+    const same = anchors && anchors.auto &&
+      anchors.low.time === swing.low.time && anchors.high.time === swing.high.time &&
+      anchors.low.price === swing.low.price && anchors.high.price === swing.high.price;
+    if (!same) onAnchorsChange({ ...swing, auto: true });
+  }, [pivots, zzEnabled]);
+
+  // Backtest (or other) markers plus the swing anchors; only times present in the loaded bars
+  useEffect(() => {
+    if (!seriesRef.current) return;
+    const bars = barsRef.current;
+    // Binary search: pivots move with live bars, so this runs off the tick path too
+    const hasTime = (t) => {
+      let lo = 0, hi = bars.length - 1;
+      while (lo <= hi) {
+        const mid = (lo + hi) >> 1;
+        if (bars[mid].time === t) return true;
+        if (bars[mid].time < t) lo = mid + 1;
+        else hi = mid - 1;
+      }
+      return false;
+    };
+    const all = (markers || []).slice();
+    if (zzEnabled && zigzag.showPivots) {
+      pivots.forEach((p) => all.push({
+        time: p.time,
+        position: p.type === "high" ? "aboveBar" : "belowBar",
+        shape: "circle",
+        color: "rgba(250,204,21,0.7)",
+      }));
+    }
+    if (anchors && anchors.low) {
+      all.push({ time: anchors.low.time, position: "belowBar", shape: "arrowUp", color: "#38bdf8", text: "0" });
+    }
+    if (anchors && anchors.high) {
+      all.push({ time: anchors.high.time, position: "aboveBar", shape: "arrowDown", color: "#38bdf8", text: "1" });
+    }
+    const list = all.filter((m) => hasTime(m.time)).sort((a, b) => a.time - b.time);
+    try { seriesRef.current.setMarkers(list); } catch {}
+  }, [markers, anchors, history, pivots, zzEnabled, zigzag?.showPivots]);
+
+  // Drawn tools: a line series per horizontal/sloped level (kept out of autoscale),
+  // a dashed vertical div per time zone
+  useEffect(() => {
+    const chart = chartRef.current;
+    const layer = zoneLayerRef.current;
+    if (!chart || !layer) return;
+    const map = toolSeriesRef.current;
+    const bars = barsRef.current;
+    const first = bars.length ? bars[0].time : null;
+    const last = bars.length ? bars[bars.length - 1].time : null;
+    const intervalSec = intervalSeconds(timeframe);
+    const seen = new Set();
+    const zones = [];
+    const extend = [];
+
+    (tools || []).forEach((tool) => {
+      tool.lines.forEach((ln) => {
+        if (!ln.enabled) return;
+        const level = toolLevel(tool, ln, intervalSec);
+        if (!level) return;
+        if (level.kind === "zone") {
+          zones.push({ id: ln.id, time: level.time, color: ln.color || tool.color, ratio: ln.ratio });
+          return;
         }
-        if (typeof onAlert === "function") onAlert({ ts: Date.now(), message, delivered });
-      })();
+        if (last == null) return;
+        const start = Math.max(level.kind === "h" ? level.from : level.t1, first);
+        if (start >= last) return;
+        seen.add(ln.id);
+        const opts = {
+          color: withAlpha(ln.color || tool.color, 0.8),
+          lineWidth: ln.alertEnabled ? 2 : 1,
+          priceLineVisible: false,
+          lastValueVisible: false,
+          crosshairMarkerVisible: false,
+          autoscaleInfoProvider: () => null,
+        };
+        if (!map[ln.id]) map[ln.id] = chart.addLineSeries(opts);
+        else map[ln.id].applyOptions(opts);
+        map[ln.id].setData([
+          { time: start, value: levelAt(level, start) },
+          { time: last, value: levelAt(level, last) },
+        ]);
+        extend.push({ series: map[ln.id], level });
+      });
+    });
+    toolLinesRef.current = extend;
+    Object.keys(map).forEach((id) => {
+      if (seen.has(id)) return;
+      try { chart.removeSeries(map[id]); } catch {}
+      delete map[id];
     });
-  }, [lastPrice, bars]);
 
-  // Apply overlay visibility changes (create/remove line series) and color/opacity changes
+    layer.replaceChildren(...zones.map((z) => {
+      const el = document.createElement("div");
+      Object.assign(el.style, {
+        position: "absolute", top: "0", bottom: "28px", width: "0",
+        borderLeft: `1px dashed ${withAlpha(z.color, 0.8)}`, display: "none",
+      });
+      el.dataset.time = String(z.time);
+      const tag = document.createElement("span");
+      Object.assign(tag.style, { position: "absolute", top: "32px", left: "3px", fontSize: "10px", color: z.color });
+      tag.textContent = String(z.ratio);
+      el.appendChild(tag);
+      return el;
+    }));
+
+    // Bar index of a time (fractional past the last bar), as a logical coordinate
+    layoutZonesRef.current = () => {
+      const ts = chart.timeScale();
+      const list = barsRef.current;
+      if (!list.length) return;
+      const lastBar = list[list.length - 1];
+      Array.from(layer.children).forEach((el) => {
+        const t = Number(el.dataset.time);
+        let logical;
+        if (t > lastBar.time) logical = list.length - 1 + (t - lastBar.time) / intervalSec;
+        else {
+          const i = list.findIndex((b) => b.time >= t);
+          logical = i < 0 ? null : i;
+        }
+        const x = logical == null ? null : ts.logicalToCoordinate(logical);
+        if (x == null || x < 0) { el.style.display = "none"; return; }
+        el.style.left = `${x}px`;
+        el.style.display = "block";
+      });
+    };
+    layoutZonesRef.current();
+  }, [tools, history, timeframe]);
+
+  // Keep time zones under their bars while panning, zooming and resizing
+  useEffect(() => {
+    const chart = chartRef.current;
+    if (!chart) return;
+    const ts = chart.timeScale();
+    const relayout = () => layoutZonesRef.current();
+    ts.subscribeVisibleLogicalRangeChange(relayout);
+    ts.subscribeSizeChange(relayout);
+    return () => {
+      try { ts.unsubscribeVisibleLogicalRangeChange(relayout); } catch {}
+      try { ts.unsubscribeSizeChange(relayout); } catch {}
+    };
+  }, [symbol, autoCenter]);
+
+  // Drawing is per chart view; switching symbol or timeframe drops a half-drawn tool
+  useEffect(() => { setDrawing(null); }, [symbol, timeframe]);
+
+  // Anchor picking: the first click takes a candle's low, the second one's high.
+  // Tool drawing: each click adds a { time, price } point until the tool has all of them.
   useEffect(() => {
-    ensureLineSeries(vwapRef,   vwapShow,   vwapColor,   vwapOpacity);
-    ensureLineSeries(ema9Ref,   ema9Show,   ema9Color,   ema9Opacity);
-    ensureLineSeries(ema20Ref,  ema20Show,  ema20Color,  ema20Opacity);
-    ensureLineSeries(ema200Ref, ema200Show, ema200Color, ema200Opacity);
-  }, [
-    vwapShow, vwapColor, vwapOpacity,
-    ema9Show, ema9Color, ema9Opacity,
-    ema20Show, ema20Color, ema20Opacity,
-    ema200Show, ema200Color, ema200Opacity
-  ]);
+    const chart = chartRef.current;
+    if (!chart) return;
+    const onClick = (param) => {
+      const draw = drawingRef.current;
+      if (draw) {
+        if (param.time == null || !param.point || !seriesRef.current) return;
+        const price = seriesRef.current.coordinateToPrice(param.point.y);
+        if (price == null) return;
+        const points = [...draw.points, { time: param.time, price }];
+        if (points.length < TOOL_TYPES[draw.type].points) {
+          setDrawing({ ...draw, points });
+          return;
+        }
+        setDrawing(null);
+        if (typeof onToolsUpdateRef.current === "function") {
+          onToolsUpdateRef.current([...(toolsRef.current || []), newTool(draw.type, points, `${symbol}@${timeframe}`)]);
+        }
+        return;
+      }
+      const which = pickRef.current;
+      if (!which || param.time == null) return;
+      const bar = barsRef.current.find((b) => b.time === param.time);
+      if (!bar) return;
+      if (which === "low") {
+        pickedLowRef.current = { time: bar.time, price: bar.low };
+        setPickAnchor("high");
+        return;
+      }
+      setPickAnchor(null);
+      if (typeof onAnchorsChangeRef.current === "function") {
+        onAnchorsChangeRef.current({ low: pickedLowRef.current, high: { time: bar.time, price: bar.high } });
+      }
+    };
+    chart.subscribeClick(onClick);
+    return () => { try { chart.unsubscribeClick(onClick); } catch {} };
+  }, [symbol, timeframe, autoCenter]);
 
   // Auto-center on symbol/timeframe change
   useEffect(() => {
@@ -792,14 +1423,34 @@ export default function AssetChart({
     }
   }, [symbol, timeframe, autoCenter]);
 
+  const paneHeight = rsiPane ? Math.round(height * RSI_PANE_SHARE) : 0;
+
   return (
     <div
       ref={containerRef}
-      className="relative w-full h:[420px] md:h-[420px] h-[420px] rounded-xl border border-slate-800 bg-slate-900/40"
-      style={{ userSelect: "none" }}
+      tabIndex={0}
+      className="relative w-full rounded-xl border border-slate-800 bg-slate-900/40 outline-none"
+      style={{ height, userSelect: "none" }}
+      onContextMenu={openAlertMenu}
     >
       {/* Chart host */}
-      <div ref={chartHostRef} style={{ position: "absolute", inset: 0, zIndex: 10 }} />
+      <div ref={chartHostRef} style={{ position: "absolute", top: 0, left: 0, right: 0, bottom: paneHeight, zIndex: 10 }} />
+      {/* RSI pane host */}
+      {rsiPane && (
+        <div
+          ref={rsiHostRef}
+          style={{ position: "absolute", left: 0, right: 0, bottom: 0, height: paneHeight, zIndex: 10 }}
+          className="border-t border-slate-800"
+        />
+      )}
+      {/* Fib time zones (positioned from the time scale) */}
+      <div
+        ref={zoneLayerRef}
+        style={{
+          position: "absolute", top: 0, left: 0, right: 0, bottom: paneHeight,
+          zIndex: 20, pointerEvents: "none", overflow: "hidden",
+        }}
+      />
       {/* Drag shield (catches movement during drag) */}
       <div
         ref={dragShieldRef}
@@ -811,8 +1462,128 @@ export default function AssetChart({
           cursor: "ns-resize",
           background: "transparent",
           pointerEvents: "none",
+          touchAction: "none",
         }}
       />
+      {/* Standalone alert menu (right-click) */}
+      {menu && (
+        <div
+          ref={menuRef}
+          data-chart-menu
+          style={{ position: "absolute", left: Math.max(0, Math.min(menu.x, menu.w - 216)), top: menu.y, zIndex: 160 }}
+          className="w-52 rounded-md border border-slate-700 bg-slate-900/95 py-1 text-xs text-slate-200 shadow-lg"
+        >
+          {typeof onIndicatorsChange === "function" && menu.time != null && (
+            <button
+              onClick={() => addAnchoredVwap(menu.time)}
+              className="block w-full px-3 py-1 text-left hover:bg-slate-800 border-b border-slate-800"
+            >
+              Anchored VWAP from this bar
+            </button>
+          )}
+          {typeof onAlertsUpdate === "function" && <div className="px-3 py-1 text-slate-500">New alert · {symbol} {timeframe}</div>}
+          {typeof onAlertsUpdate === "function" && [
+            [`Price crosses ${menu.price}`, "price", { price: menu.price }],
+            ...crossableIndicators(indicators).map((ind) => [`Price crosses ${indicatorLabel(ind)}`, "indicator", { indicatorId: ind.id }]),
+            ["EMA 9/20 golden cross", "emaCross", { dir: "up" }],
+            ["EMA 9/20 death cross", "emaCross", { dir: "down" }],
+            ["RSI enters 70-100", "rsiZone", { min: 70, max: 100, event: "enter" }],
+            ["RSI leaves 70-100", "rsiZone", { min: 70, max: 100, event: "leave" }],
+            ["RSI enters 0-30", "rsiZone", { min: 0, max: 30, event: "enter" }],
+            ["RSI leaves 0-30", "rsiZone", { min: 0, max: 30, event: "leave" }],
+          ].map(([label, kind, params]) => (
+            <button
+              key={label}
+              onClick={() => addStandaloneAlert(kind, params)}
+              className="block w-full px-3 py-1 text-left hover:bg-slate-800"
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      )}
+      {/* Live stream status, and under it the selected line's keyboard hints */}
+      <div style={{ position: "absolute", top: 36, left: 8, zIndex: 130 }} className="flex flex-col items-start gap-1 pointer-events-none">
+        {feed && (
+          <div
+            className="flex items-center gap-1 rounded-md border border-slate-700 bg-slate-950/60 px-2 py-[2px] text-[11px] text-slate-300"
+            title={feed === "live" ? "Live data" : feed === "stale" ? "No data lately; alerts paused" : feed === "error" ? `${feedError}; no live data` : "Reconnecting; alerts paused"}
+          >
+            <span className={`inline-block h-2 w-2 rounded-full ${FEED_DOT[feed]}`} />
+            {feed}
+          </div>
+        )}
+        {selectedLine && (
+          <div className="px-2 py-0.5 text-xs rounded border bg-slate-900/70 border-sky-600/50 text-sky-200">
+            Fib {selectedLine.ratio} selected · ↑/↓ nudge (Shift ×10) · Del disables · Esc
+          </div>
+        )}
+      </div>
+      {/* Fib tools: pick a type, then click its points. Swing anchors: pick by
+          clicking candles, drag the markers to adjust */}
+      <div style={{ position: "absolute", top: 8, right: 72, zIndex: 130 }} className="flex gap-1">
+        {typeof onToolsUpdate === "function" && (drawing ? (
+          <>
+            <span className="px-2 py-0.5 text-xs rounded border bg-sky-700/60 border-sky-500 text-sky-100">
+              Click the {TOOL_POINT_HINTS[drawing.type][drawing.points.length]}… ({drawing.points.length + 1}/{TOOL_TYPES[drawing.type].points})
+            </span>
+            <button
+              onClick={() => setDrawing(null)}
+              className="px-2 py-0.5 text-xs rounded border bg-slate-900/70 border-slate-700 text-slate-300 hover:bg-slate-800"
+            >
+              Cancel
+            </button>
+          </>
+        ) : (
+          <select
+            value=""
+            onChange={(e) => {
+              if (!e.target.value) return;
+              setPickAnchor(null);
+              setDrawing({ type: e.target.value, points: [] });
+            }}
+            className="px-1 py-0.5 text-xs rounded border bg-slate-900/70 border-slate-700 text-slate-300"
+            title="Draw a Fibonacci tool on this chart"
+          >
+            <option value="">Draw…</option>
+            {Object.entries(TOOL_TYPES).map(([id, t]) => (
+              <option key={id} value={id}>{t.label}</option>
+            ))}
+          </select>
+        ))}
+        {zzEnabled && (
+          <div
+            className="px-2 py-0.5 text-xs rounded border bg-slate-900/70 border-amber-600/50 text-amber-200"
+            title="Fibs follow the latest confirmed ZigZag swing"
+          >
+            Auto swing
+          </div>
+        )}
+        {!zzEnabled && !drawing && typeof onAnchorsChange === "function" && (
+          <>
+            <button
+              onClick={() => setPickAnchor(pickAnchor ? null : "low")}
+              className={`px-2 py-0.5 text-xs rounded border ${
+                pickAnchor
+                  ? "bg-sky-700/60 border-sky-500 text-sky-100"
+                  : "bg-slate-900/70 border-slate-700 text-slate-300 hover:bg-slate-800"
+              }`}
+              title="Compute ratio lines from a swing low and a swing high you pick"
+            >
+              {pickAnchor === "low" ? "Click the swing low…" : pickAnchor === "high" ? "Click the swing high…" : "Anchors"}
+            </button>
+            {anchors && !pickAnchor && (
+              <button
+                onClick={() => onAnchorsChange(null)}
+                className="px-2 py-0.5 text-xs rounded border bg-slate-900/70 border-slate-700 text-slate-300 hover:bg-slate-800"
+                title="Back to the hi/lo of the last 120 bars"
+              >
+                Clear
+              </button>
+            )}
+          </>
+        )}
+      </div>
       {/* Tooltip & snap line are created on mount */}
     </div>
   );
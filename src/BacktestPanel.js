@@ -0,0 +1,137 @@
+import React, { useState } from "react";
+import { fetchPagedKlines } from "./providers";
+import { runBacktest, backtestMarkers } from "./backtest";
+
+// Per-symbol backtest: replays the fib-line alert rule over history
+export default function BacktestPanel({ symbol, provider, timeframe, lines, useHaRsi, rsiPeriod = 14, onMarkers }) {
+  const [forwardBars, setForwardBars] = useState(10);
+  const [pages, setPages] = useState(1);
+  const [includeDisarmed, setIncludeDisarmed] = useState(true);
+  const [running, setRunning] = useState(false);
+  const [error, setError] = useState(null);
+  const [result, setResult] = useState(null);
+
+  async function run() {
+    setRunning(true);
+    setError(null);
+    try {
+      const bars = await fetchPagedKlines(provider, symbol, timeframe, { pages, limit: 500 });
+      const r = runBacktest(bars, lines, { useHaRsi, rsiPeriod, forwardBars, includeDisarmed });
+      setResult({ ...r, bars: bars.length, forwardBars });
+      if (typeof onMarkers === "function") onMarkers(backtestMarkers(r.hits));
+    } catch (e) {
+      setError(String(e.message || e));
+    } finally {
+      setRunning(false);
+    }
+  }
+
+  function clear() {
+    setResult(null);
+    if (typeof onMarkers === "function") onMarkers(null);
+  }
+
+  const fmtPct = (v) => (v == null ? "--" : `${v >= 0 ? "+" : ""}${v.toFixed(2)}%`);
+  const pctClass = (v) => (v == null ? "text-slate-500" : v >= 0 ? "text-emerald-300" : "text-rose-300");
+
+  return (
+    <div className="rounded-md border border-slate-800 bg-slate-900/80 p-3 space-y-3">
+      <div className="flex flex-wrap items-center gap-3">
+        <div className="min-w-[5rem] text-slate-200 font-medium">Backtest</div>
+        <label className="text-sm text-slate-300">Forward bars</label>
+        <input
+          type="number"
+          min={1}
+          value={forwardBars}
+          onChange={(e) => setForwardBars(Math.max(1, Number(e.target.value) || 1))}
+          className="w-16 bg-slate-800 border border-slate-700 rounded px-2 py-1 text-slate-200 text-sm"
+          title="Measure the return this many bars after each alert"
+        />
+        <label className="text-sm text-slate-300">History</label>
+        <select
+          value={pages}
+          onChange={(e) => setPages(Number(e.target.value))}
+          className="bg-slate-800 border border-slate-700 rounded text-slate-200 text-sm px-2 py-1"
+          title="How many 500-bar pages of history to replay"
+        >
+          <option value={1}>500 bars (loaded)</option>
+          <option value={2}>1,000 bars</option>
+          <option value={4}>2,000 bars</option>
+          <option value={10}>5,000 bars</option>
+        </select>
+        <label className="text-sm text-slate-300">Include lines without Alert</label>
+        <input
+          type="checkbox"
+          className="accent-sky-500"
+          checked={includeDisarmed}
+          onChange={(e) => setIncludeDisarmed(e.target.checked)}
+          title="Also test enabled lines whose alert is off"
+        />
+        <div className="ml-auto flex items-center gap-2">
+          <button
+            onClick={run}
+            disabled={running}
+            className="px-3 py-1 text-sm rounded-md border border-sky-600 bg-sky-700/40 hover:bg-sky-700/60 text-sky-100 disabled:opacity-50"
+          >
+            {running ? "Running…" : "Run"}
+          </button>
+          <button
+            onClick={clear}
+            className="px-3 py-1 text-sm rounded-md border border-slate-700 bg-slate-800 hover:bg-slate-700 text-slate-200"
+            title="Clear results and chart markers"
+          >
+            Clear
+          </button>
+        </div>
+      </div>
+
+      {error && <div className="text-rose-300 text-sm">{error}</div>}
+
+      {result && (
+        <>
+          <div className="text-slate-400 text-xs">
+            {result.hits.length} alerts over {result.bars} bars ({timeframe}, RSI({rsiPeriod}) {useHaRsi ? "HA" : "standard"})
+          </div>
+
+          <div className="flex flex-wrap gap-2">
+            {result.summary.map((s) => (
+              <div key={s.lineId} className="rounded border border-slate-800 bg-slate-900 px-2 py-1 text-xs text-slate-300">
+                <span className="text-slate-200">{s.ratio}</span> · {s.count}×
+                <span className={`ml-1 ${pctClass(s.avgFwdReturn)}`}>avg {fmtPct(s.avgFwdReturn)}</span>
+              </div>
+            ))}
+          </div>
+
+          <div className="max-h-64 overflow-auto">
+            <table className="w-full text-xs text-slate-300">
+              <thead className="text-slate-400">
+                <tr>
+                  <th className="text-left font-normal py-1">Time</th>
+                  <th className="text-right font-normal">Ratio</th>
+                  <th className="text-center font-normal">Cross</th>
+                  <th className="text-right font-normal">Close</th>
+                  <th className="text-right font-normal">RSI</th>
+                  <th className="text-right font-normal">+{result.forwardBars} bars</th>
+                </tr>
+              </thead>
+              <tbody>
+                {result.hits.slice().reverse().map((h, i) => (
+                  <tr key={`${h.time}-${h.lineId}-${i}`} className="border-t border-slate-800">
+                    <td className="py-1">{new Date(h.time * 1000).toLocaleString()}</td>
+                    <td className="text-right">{h.ratio}</td>
+                    <td className={`text-center ${h.direction === "up" ? "text-emerald-300" : "text-rose-300"}`}>
+                      {h.direction === "up" ? "↑" : "↓"}
+                    </td>
+                    <td className="text-right">{h.close.toFixed(6)}</td>
+                    <td className="text-right">{h.rsi.toFixed(1)}</td>
+                    <td className={`text-right ${pctClass(h.fwdReturn)}`}>{fmtPct(h.fwdReturn)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,103 @@
+import React, { useState } from "react";
+import { CONDITION_TYPES, CONDITION_KINDS, newCondition, conditionsFromLegacy } from "./conditions";
+
+const btn = "px-2 py-[2px] text-xs rounded-md border border-slate-700 bg-slate-800 hover:bg-slate-700 text-slate-200";
+const field = "bg-slate-800 border border-slate-700 rounded text-slate-200 text-xs px-1 py-[2px]";
+
+// Rule builder of one alert line: an AND/OR list of conditions a cross must
+// pass. Lines without `conditions` use the simple RSI operator/threshold;
+// "Rule builder" converts that check into an equivalent RSI range condition.
+export default function ConditionsEditor({ ln, useHaRsi, onChange }) {
+  const [addType, setAddType] = useState("cross");
+
+  if (!Array.isArray(ln.conditions)) {
+    return (
+      <button
+        onClick={() => onChange({ conditions: conditionsFromLegacy(ln, useHaRsi), conditionOp: "and" })}
+        className="text-xs text-slate-400 hover:text-slate-200"
+        title="Combine cross direction, RSI, MACD, Stoch RSI, volume, moving-average and HA conditions"
+      >
+        + Rule builder
+      </button>
+    );
+  }
+
+  const list = ln.conditions;
+  const update = (id, patch) => onChange({ conditions: list.map((c) => (c.id === id ? { ...c, ...patch } : c)) });
+
+  return (
+    <div className="space-y-1 text-xs text-slate-400">
+      <div className="flex flex-wrap items-center gap-2">
+        <span>Fire on cross when</span>
+        <select
+          value={ln.conditionOp || "and"}
+          onChange={(e) => onChange({ conditionOp: e.target.value })}
+          className={field}
+          title="How the conditions combine"
+        >
+          <option value="and">all</option>
+          <option value="or">any</option>
+        </select>
+        <span>of:</span>
+        {!list.length && <span className="text-slate-500">(no conditions: every cross fires)</span>}
+        <button
+          onClick={() => onChange({ conditions: undefined, conditionOp: undefined })}
+          className="ml-auto text-slate-500 hover:text-slate-200"
+          title="Back to the single RSI threshold"
+        >
+          Simple
+        </button>
+      </div>
+
+      {list.map((c) => (
+        <div key={c.id} className="flex flex-wrap items-center gap-1 pl-2">
+          <span className="min-w-[7rem] text-slate-300">{CONDITION_TYPES[c.type]?.label || c.type}</span>
+          {(CONDITION_TYPES[c.type]?.fields || []).map((f) =>
+            f.options ? (
+              <select key={f.key} value={c[f.key]} onChange={(e) => update(c.id, { [f.key]: e.target.value })} className={field}>
+                {f.options.map(([v, label]) => (
+                  <option key={v} value={v}>{label}</option>
+                ))}
+              </select>
+            ) : (
+              <label key={f.key} className="flex items-center gap-1">
+                {f.label}
+                <input
+                  type="number"
+                  min={f.min}
+                  max={f.max}
+                  step={f.step || 1}
+                  value={c[f.key]}
+                  onChange={(e) => {
+                    const v = Number(e.target.value);
+                    if (!Number.isFinite(v) || v < f.min || (f.max != null && v > f.max)) return;
+                    update(c.id, { [f.key]: f.step ? v : Math.round(v) });
+                  }}
+                  className="w-14 bg-slate-800 border border-slate-700 rounded px-1 py-[2px] text-slate-200 text-xs"
+                />
+              </label>
+            )
+          )}
+          <button
+            onClick={() => onChange({ conditions: list.filter((x) => x.id !== c.id) })}
+            className="px-1 text-slate-500 hover:text-rose-300"
+            title="Remove condition"
+          >
+            ×
+          </button>
+        </div>
+      ))}
+
+      <div className="flex items-center gap-1 pl-2">
+        <select value={addType} onChange={(e) => setAddType(e.target.value)} className={field}>
+          {CONDITION_KINDS.map((t) => (
+            <option key={t} value={t}>{CONDITION_TYPES[t].label}</option>
+          ))}
+        </select>
+        <button onClick={() => onChange({ conditions: [...list, newCondition(addType)] })} className={btn}>
+          Add condition
+        </button>
+      </div>
+    </div>
+  );
+}
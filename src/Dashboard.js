@@ -1,29 +1,68 @@
 import React, { useEffect, useMemo, useRef, useState } from "react";
 import AssetChart from "./AssetChart";
+import BacktestPanel from "./BacktestPanel";
+import WorkspacePanel from "./WorkspacePanel";
+import ProfileMenu from "./ProfileMenu";
+import { buildWorkspace, mergeWorkspace, decodeWorkspaceLink } from "./workspace";
+import { DEFAULT_RATIOS, BUILTIN_RATIO_SETS, normalizeRatios, parseRatios } from "./ratioSets";
+import { DEFAULT_ZIGZAG } from "./swings";
+import { DEFAULT_FIRE_POLICY } from "./alertLogic";
+import FirePolicyControls from "./FirePolicyControls";
+import ConditionsEditor from "./ConditionsEditor";
+import FibToolsPanel from "./FibToolsPanel";
+import StandaloneAlertsPanel from "./StandaloneAlertsPanel";
+import IndicatorsPanel from "./IndicatorsPanel";
+import SymbolPicker from "./SymbolPicker";
+import { defaultIndicators, migrateMeta } from "./indicatorRegistry";
+import { toolLevel, toolLineLabel } from "./fibTools";
+import { PROVIDERS, DEFAULT_PROVIDER, INTERVALS, getProvider, fetchBarAt, intervalSeconds } from "./providers";
 
 // ---------- Config & helpers ----------
-const DEFAULT_RATIOS = [-1.0, -0.618, -0.272, 0.236, 0.382, 0.5, 0.618, 0.786, 1.272, 1.618, 2.0];
 const DEFAULT_COLOR = "#ffffff"; // default fib color = white
+const DEFAULT_GRID_TFS = ["5m", "1h", "4h", "1d"];
+const DEFAULT_RSI = { show: true, period: 14 }; // RSI pane; the period is also the alert rule's
+
+const DEFAULT_SYMBOL = "BTCUSD"; // an empty list falls back to the pinned symbol, else this
 
 const LS_KEYS = {
   symbols: "fibdash.symbols",
+  pinnedSymbol: "fibdash.pinnedSymbol", // kept in every symbol list (null: none)
   perSymFib: "fibdash.perSymFib",
-  perSymMeta: "fibdash.perSymMeta", // per-symbol overlays (VWAP/EMAs)
+  perSymMeta: "fibdash.perSymMeta", // per-symbol overlays (indicator list) and auto swing
+  perSymProvider: "fibdash.perSymProvider", // per-symbol market-data provider id
+  perSymView: "fibdash.perSymView", // per-symbol timeframe + multi-timeframe grid
+  perSymAnchors: "fibdash.perSymAnchors", // swing anchors per fibKey: { low, high } of { time, price }
+  perSymTools: "fibdash.perSymTools", // drawn fib tools per fibKey (see fibTools.js)
+  perSymAlerts: "fibdash.perSymAlerts", // standalone alerts per symbol (see standaloneAlerts.js)
   useHA: "fibdash.useHA",
   useHaRsi: "fibdash.useHaRsi",
-  timeframe: "fibdash.timeframe",
+  timeframe: "fibdash.timeframe", // default timeframe for new symbols
   tts: "fibdash.ttsEnabled",
+  profiles: "fibdash.profiles", // profile name -> workspace snapshot (see workspace.js)
+  activeProfile: "fibdash.activeProfile", // the keys above hold this profile's live state
+  ratioSets: "fibdash.ratioSets", // user-defined [{ name, ratios }]
 };
 
-function makeId(symbol, ratio) {
+// perSymFib holds one fib set per symbol AND timeframe
+function fibKey(symbol, timeframe) {
+  return `${symbol}@${timeframe}`;
+}
+
+function parseFibKey(key) {
+  const i = key.lastIndexOf("@");
+  return { symbol: key.slice(0, i), timeframe: key.slice(i + 1) };
+}
+
+function makeId(symbol, ratio, timeframe) {
   const enc = String(ratio).replace("-", "m").replace(".", "_");
-  return `${symbol}-fib-${enc}`;
+  return `${symbol}-${timeframe}-fib-${enc}`;
 }
 
-function initFibLines(symbol) {
-  return DEFAULT_RATIOS.map((r) => ({
-    id: makeId(symbol, r),
+function newFibLine(symbol, timeframe, r) {
+  return {
+    id: makeId(symbol, r, timeframe),
     symbol,
+    timeframe,
     ratio: r,
     price: null,            // hydrated by AssetChart or user control
     enabled: true,
@@ -31,7 +70,18 @@ function initFibLines(symbol) {
     rsiThreshold: 50,
     rsiOp: ">=",
     color: DEFAULT_COLOR,
-  }));
+    ...DEFAULT_FIRE_POLICY,
+  };
+}
+
+function initFibLines(symbol, timeframe, ratios = DEFAULT_RATIOS) {
+  return ratios.map((r) => newFibLine(symbol, timeframe, r));
+}
+
+// A symbol's active ratios: those of its (first) fib set
+function symbolRatios(perSymFib, symbol) {
+  const key = Object.keys(perSymFib).find((k) => parseFibKey(k).symbol === symbol);
+  return key ? normalizeRatios(perSymFib[key].map((ln) => ln.ratio)) : DEFAULT_RATIOS;
 }
 
 function loadLS(key, fallback) {
@@ -50,53 +100,123 @@ function saveLS(key, value) {
   } catch {}
 }
 
-function ensureHasXRPUSD(list) {
-  if (!Array.isArray(list) || list.length === 0) return ["XRPUSD"];
-  const upper = list.map((s) => String(s).toUpperCase());
-  if (!upper.includes("XRPUSD")) upper.unshift("XRPUSD");
-  // Deduplicate while keeping order
-  const seen = new Set();
-  const out = [];
-  for (const s of upper) {
-    if (!seen.has(s)) { seen.add(s); out.push(s); }
-  }
-  return out;
+// Deduplicated list holding the pinned symbol (re-added first when missing)
+function withPinned(list, pinned) {
+  const out = [...new Set((Array.isArray(list) ? list : []).map((s) => String(s)))];
+  if (pinned && !out.includes(pinned)) out.unshift(pinned);
+  return out.length ? out : [DEFAULT_SYMBOL];
 }
 
-function defaultMeta() {
-  // Per-symbol overlay default settings
+// Relay alert-history record -> feed item
+function historyToFeed(r) {
   return {
-    vwap: { show: true,  color: "#ffffff", opacity: 0.5, smooth: 1 },
-    ema9: { show: false, color: "#a78bfa", opacity: 0.75, smooth: 1 },   // violet-400
-    ema20:{ show: false, color: "#60a5fa", opacity: 0.75, smooth: 1 },   // blue-400
-    ema200:{show: false, color: "#f87171", opacity: 0.9,  smooth: 1 },   // red-400
+    id: r.id,
+    ts: r.ts,
+    message: r.message,
+    status: r.status, // queued | sending | sent | failed
+    error: r.error,
+    channels: r.channels || [],
+    via: r.source === "server" ? "server" : undefined,
   };
 }
 
+function defaultView(timeframe) {
+  return { timeframe, grid: false, gridTfs: DEFAULT_GRID_TFS };
+}
+
+// Closest timeframe a provider serves (e.g. 4h on Coinbase -> 6h)
+function nearestInterval(tf, intervals) {
+  if (!intervals || intervals.includes(tf)) return tf;
+  const i = INTERVALS.indexOf(tf);
+  let best = intervals[0];
+  intervals.forEach((t) => {
+    if (Math.abs(INTERVALS.indexOf(t) - i) < Math.abs(INTERVALS.indexOf(best) - i)) best = t;
+  });
+  return best;
+}
+
+// The view as a provider can show it
+function effectiveView(view, providerId) {
+  const intervals = getProvider(providerId).intervals;
+  return {
+    ...view,
+    timeframe: nearestInterval(view.timeframe, intervals),
+    gridTfs: view.gridTfs.map((tf) => nearestInterval(tf, intervals)),
+  };
+}
+
+// Timeframes a symbol card currently shows
+function viewTimeframes(view) {
+  return view.grid ? view.gridTfs : [view.timeframe];
+}
+
+function defaultMeta(timeframe) {
+  // Per-symbol overlay default settings (the VWAP session suits `timeframe`)
+  return {
+    indicators: defaultIndicators(timeframe), // price overlays (see indicatorRegistry.js)
+    rsi: DEFAULT_RSI,
+    zigzag: DEFAULT_ZIGZAG, // automatic swing anchors
+  };
+}
+
+// Backfill missing keys (and fold the old fixed VWAP/EMA entries into the list)
+function backfillMeta(m) {
+  return {
+    ...migrateMeta(m),
+    rsi: { ...DEFAULT_RSI, ...(m.rsi || {}) },
+    zigzag: { ...DEFAULT_ZIGZAG, ...(m.zigzag || {}) },
+  };
+}
+
+// Tools saved or profiled without a line list (hand-edited data) get an empty one
+function backfillTools(perSymTools) {
+  const out = {};
+  Object.entries(perSymTools || {}).forEach(([key, tools]) => {
+    out[key] = (Array.isArray(tools) ? tools : []).map((t) => (Array.isArray(t.lines) ? t : { ...t, lines: [] }));
+  });
+  return out;
+}
+
 // ---------- Dashboard ----------
 export default function Dashboard({ defaultSymbols }) {
-  // Persisted symbols (fallback to XRPUSD only)
+  // Symbol that can't be removed and is restored into imported / new lists (persisted)
+  const [pinnedSymbol, setPinnedSymbol] = useState(() => loadLS(LS_KEYS.pinnedSymbol, null));
+
+  // Persisted symbols, in display order (fallback to the app's defaults)
   const [symbols, setSymbols] = useState(() => {
     const saved = loadLS(LS_KEYS.symbols, null);
     if (saved && Array.isArray(saved) && saved.length) {
-      return ensureHasXRPUSD(saved);
+      return withPinned(saved, pinnedSymbol);
     }
-    const base = Array.isArray(defaultSymbols) && defaultSymbols.length ? defaultSymbols : ["XRPUSD"];
-    return ensureHasXRPUSD(base);
+    return withPinned(defaultSymbols, pinnedSymbol);
+  });
+  const dragSymRef = useRef(null); // symbol being dragged in the symbol bar
+  const [dropTarget, setDropTarget] = useState(null);
+
+  // Default timeframe for new symbols (persisted)
+  const [timeframe, setTimeframe] = useState(() => loadLS(LS_KEYS.timeframe, "1d"));
+
+  // Per-symbol timeframe / grid (persisted)
+  const [perSymView, setPerSymView] = useState(() => {
+    const saved = loadLS(LS_KEYS.perSymView, {}) || {};
+    const out = {};
+    for (const s of symbols) out[s] = { ...defaultView(timeframe), ...(saved[s] || {}) };
+    return out;
   });
 
-  // Per-symbol fib configs (persisted)
+  // Per-symbol+timeframe fib configs (persisted), keyed by fibKey()
   const [perSymFib, setPerSymFib] = useState(() => {
-    const saved = loadLS(LS_KEYS.perSymFib, {});
-    const out = { ...(saved || {}) };
-    for (const s of symbols) {
-      if (!out[s]) out[s] = initFibLines(s);
-    }
-    // Backfill fields for older data
-    Object.keys(out).forEach((sym) => {
-      out[sym] = out[sym].map((ln) => ({
+    const saved = loadLS(LS_KEYS.perSymFib, {}) || {};
+    const out = {};
+    Object.keys(saved).forEach((key) => {
+      // Older data had one set per symbol, drawn on the global timeframe
+      const { symbol, timeframe: tf } = key.includes("@") ? parseFibKey(key) : { symbol: key, timeframe };
+      out[fibKey(symbol, tf)] = (saved[key] || []).map((ln) => ({
         color: DEFAULT_COLOR,
+        ...DEFAULT_FIRE_POLICY,
         ...ln,
+        id: key.includes("@") ? ln.id : makeId(symbol, ln.ratio, tf),
+        timeframe: tf,
       }));
     });
     return out;
@@ -107,19 +227,28 @@ export default function Dashboard({ defaultSymbols }) {
     const saved = loadLS(LS_KEYS.perSymMeta, {});
     const out = { ...(saved || {}) };
     for (const s of symbols) {
-      if (!out[s]) out[s] = defaultMeta();
-      const m = out[s];
-      // Backfill any missing keys
-      out[s] = {
-        vwap: { show: true, color: "#ffffff", opacity: 0.5, smooth: 1, ...(m.vwap || {}) },
-        ema9: { show: false, color: "#a78bfa", opacity: 0.75, smooth: 1, ...(m.ema9 || {}) },
-        ema20:{ show: false, color: "#60a5fa", opacity: 0.75, smooth: 1, ...(m.ema20 || {}) },
-        ema200:{show: false, color: "#f87171", opacity: 0.9, smooth: 1, ...(m.ema200 || {}) },
-      };
+      out[s] = out[s] ? backfillMeta(out[s]) : defaultMeta((perSymView[s] || {}).timeframe || timeframe);
     }
     return out;
   });
 
+  // Per-symbol market-data provider (persisted)
+  const [perSymProvider, setPerSymProvider] = useState(() => loadLS(LS_KEYS.perSymProvider, {}) || {});
+
+  // Swing anchors per symbol/timeframe (persisted), keyed by fibKey()
+  const [perSymAnchors, setPerSymAnchors] = useState(() => loadLS(LS_KEYS.perSymAnchors, {}) || {});
+  const [anchorDraft, setAnchorDraft] = useState({}); // symbol -> { low, high } datetime-local text
+  const [anchorError, setAnchorError] = useState({}); // symbol -> message
+
+  // Drawn fib tools (extensions, time zones, fans, channels) per fibKey (persisted)
+  const [perSymTools, setPerSymTools] = useState(() => backfillTools(loadLS(LS_KEYS.perSymTools, {})));
+
+  // Alerts independent of fibs (price level, VWAP/EMA cross, EMA cross, RSI zone) per symbol (persisted)
+  const [perSymAlerts, setPerSymAlerts] = useState(() => loadLS(LS_KEYS.perSymAlerts, {}) || {});
+
+  // Provider used for the next "Add symbol"
+  const [addProvider, setAddProvider] = useState(DEFAULT_PROVIDER);
+
   // Per-symbol controls visibility (not persisted)
   const [showControls, setShowControls] = useState(() => {
     const obj = {};
@@ -127,50 +256,77 @@ export default function Dashboard({ defaultSymbols }) {
     return obj;
   });
 
-  // Global timeframe + toggles (persisted)
-  const [timeframe, setTimeframe] = useState(() => loadLS(LS_KEYS.timeframe, "1d"));
+  // Which timeframe's lines the controls panel edits in grid mode (not persisted)
+  const [editTf, setEditTf] = useState({}); // symbol -> timeframe
+
+  // Global toggles (persisted)
   const [useHeikinAshi, setUseHeikinAshi] = useState(() => !!loadLS(LS_KEYS.useHA, false));
   const [useHaRsi, setUseHaRsi] = useState(() => !!loadLS(LS_KEYS.useHaRsi, false));
 
   // Global TTS toggle
   const [ttsEnabled, setTtsEnabled] = useState(() => !!loadLS(LS_KEYS.tts, false));
 
-  // Alerts feed
+  // Alerts feed (history loaded from the relay's GET /alerts)
   const [alerts, setAlerts] = useState([]);
+  const [feedFilter, setFeedFilter] = useState({ symbol: "", status: "" });
+  const feedFilterRef = useRef(feedFilter);
+  feedFilterRef.current = feedFilter;
+  const [feedOlder, setFeedOlder] = useState(false); // the relay has older matching records
+  const feedCursorRef = useRef(null); // ts of the oldest history record loaded ("Load older" pages from it)
+  const feedIdsRef = useRef(new Set()); // relay record ids already in the feed
+
+  // Rules armed on the relay's alert engine (null = relay unreachable)
+  const [serverRules, setServerRules] = useState(null);
 
   // Refs to chart wrappers for smooth scroll
   const chartRefs = useRef({}); // symbol -> div
 
+  // Backtest markers per symbol (not persisted)
+  const [btMarkers, setBtMarkers] = useState({}); // symbol -> markers | null
+
   // Temp state for "Apply Color to Non-Alert Lines"
   const [bulkColor, setBulkColor] = useState({}); // symbol -> hex string
 
+  // User-defined ratio sets (persisted) + per-symbol picker / draft inputs (not persisted)
+  const [ratioSets, setRatioSets] = useState(() => loadLS(LS_KEYS.ratioSets, []) || []);
+  const [pickedSet, setPickedSet] = useState({}); // symbol -> set name
+  const [ratioDraft, setRatioDraft] = useState({}); // symbol -> text
+  const [setNameDraft, setSetNameDraft] = useState({}); // symbol -> text
+  const [ratioError, setRatioError] = useState({}); // symbol -> message
+
+  // Workspace export/import panel; linkImport is a workspace opened from a #ws= link
+  const [showWorkspace, setShowWorkspace] = useState(false);
+  const [linkImport, setLinkImport] = useState(null);
+
+  // Named profiles (persisted). The active one's snapshot is refreshed when switching away.
+  const [profiles, setProfiles] = useState(() => loadLS(LS_KEYS.profiles, {}) || {});
+  const [activeProfile, setActiveProfile] = useState(() => loadLS(LS_KEYS.activeProfile, "Default"));
+
   // ---------- Persistence ----------
+  useEffect(() => {
+    saveLS(LS_KEYS.pinnedSymbol, pinnedSymbol);
+  }, [pinnedSymbol]);
+
   useEffect(() => {
     saveLS(LS_KEYS.symbols, symbols);
-    // ensure perSymFib/perSymMeta entries and prune removed symbols
-    setPerSymFib((prev) => {
+    // ensure perSymView/perSymMeta entries and prune removed symbols
+    setPerSymView((prev) => {
+      const nx = {};
+      for (const s of symbols) nx[s] = prev[s] || defaultView(timeframe);
+      return nx;
+    });
+    setPerSymMeta((prev) => {
       const nx = { ...prev };
       for (const s of symbols) {
-        if (!nx[s]) nx[s] = initFibLines(s);
+        nx[s] = nx[s] ? backfillMeta(nx[s]) : defaultMeta(timeframe);
       }
       Object.keys(nx).forEach((k) => {
         if (!symbols.includes(k)) delete nx[k];
       });
       return nx;
     });
-    setPerSymMeta((prev) => {
+    setPerSymProvider((prev) => {
       const nx = { ...prev };
-      for (const s of symbols) {
-        if (!nx[s]) nx[s] = defaultMeta();
-        else {
-          nx[s] = {
-            vwap: { show: true, color: "#ffffff", opacity: 0.5, smooth: 1, ...(nx[s].vwap || {}) },
-            ema9: { show: false, color: "#a78bfa", opacity: 0.75, smooth: 1, ...(nx[s].ema9 || {}) },
-            ema20:{ show: false, color: "#60a5fa", opacity: 0.75, smooth: 1, ...(nx[s].ema20 || {}) },
-            ema200:{show: false, color: "#f87171", opacity: 0.9, smooth: 1, ...(nx[s].ema200 || {}) },
-          };
-        }
-      }
       Object.keys(nx).forEach((k) => {
         if (!symbols.includes(k)) delete nx[k];
       });
@@ -178,14 +334,63 @@ export default function Dashboard({ defaultSymbols }) {
     });
   }, [symbols]);
 
+  // Every shown symbol/timeframe has a fib set; sets of removed symbols go
+  useEffect(() => {
+    setPerSymFib((prev) => {
+      const nx = { ...prev };
+      let changed = false;
+      for (const s of symbols) {
+        const view = effectiveView(perSymView[s] || defaultView(timeframe), perSymProvider[s] || DEFAULT_PROVIDER);
+        for (const tf of viewTimeframes(view)) {
+          if (!nx[fibKey(s, tf)]) { nx[fibKey(s, tf)] = initFibLines(s, tf, symbolRatios(prev, s)); changed = true; }
+        }
+      }
+      Object.keys(nx).forEach((k) => {
+        if (!symbols.includes(parseFibKey(k).symbol)) { delete nx[k]; changed = true; }
+      });
+      return changed ? nx : prev;
+    });
+    // Keys are fibKeys or bare symbols
+    const pruneKeys = (prev) => {
+      const gone = Object.keys(prev).filter((k) => !symbols.includes(k.includes("@") ? parseFibKey(k).symbol : k));
+      if (!gone.length) return prev;
+      const nx = { ...prev };
+      gone.forEach((k) => delete nx[k]);
+      return nx;
+    };
+    setPerSymAnchors(pruneKeys);
+    setPerSymTools(pruneKeys);
+    setPerSymAlerts(pruneKeys);
+  }, [symbols, perSymView, perSymProvider]);
+
   useEffect(() => {
     saveLS(LS_KEYS.perSymFib, perSymFib);
   }, [perSymFib]);
 
+  useEffect(() => {
+    saveLS(LS_KEYS.perSymView, perSymView);
+  }, [perSymView]);
+
   useEffect(() => {
     saveLS(LS_KEYS.perSymMeta, perSymMeta);
   }, [perSymMeta]);
 
+  useEffect(() => {
+    saveLS(LS_KEYS.perSymProvider, perSymProvider);
+  }, [perSymProvider]);
+
+  useEffect(() => {
+    saveLS(LS_KEYS.perSymAnchors, perSymAnchors);
+  }, [perSymAnchors]);
+
+  useEffect(() => {
+    saveLS(LS_KEYS.perSymTools, perSymTools);
+  }, [perSymTools]);
+
+  useEffect(() => {
+    saveLS(LS_KEYS.perSymAlerts, perSymAlerts);
+  }, [perSymAlerts]);
+
   useEffect(() => {
     saveLS(LS_KEYS.useHA, !!useHeikinAshi);
   }, [useHeikinAshi]);
@@ -202,11 +407,173 @@ export default function Dashboard({ defaultSymbols }) {
     saveLS(LS_KEYS.tts, !!ttsEnabled);
   }, [ttsEnabled]);
 
+  useEffect(() => {
+    saveLS(LS_KEYS.profiles, profiles);
+  }, [profiles]);
+
+  useEffect(() => {
+    saveLS(LS_KEYS.ratioSets, ratioSets);
+  }, [ratioSets]);
+
+  useEffect(() => {
+    saveLS(LS_KEYS.activeProfile, activeProfile);
+  }, [activeProfile]);
+
+  // Push alert lines to the relay so they keep firing with the browser closed.
+  // Only the rule fields go out, and an unchanged rule set isn't sent again, so
+  // a fire recording its firing state on a line doesn't rewrite the relay's rules.
+  const pushedRulesRef = useRef(null); // body of the last PUT /rules the relay took
+  useEffect(() => {
+    const ruleLine = ({ id, ratio, price, enabled, alertEnabled, rsiOp, rsiThreshold, conditions, conditionOp, firePolicy, rearmPct, rearmTicks, cooldownMin, oneShot, confirmOnClose }) => ({
+      id, ratio, price, enabled, alertEnabled, rsiOp, rsiThreshold, conditions, conditionOp, firePolicy, rearmPct, rearmTicks, cooldownMin, oneShot, confirmOnClose,
+    });
+    // One rule per symbol/timeframe fib set (shown or not); drawn tools' lines
+    // go along with their level instead of a price
+    const keys = Object.keys({ ...perSymFib, ...perSymTools });
+    const rules = keys.map((key) => {
+      const { symbol, timeframe: tf } = parseFibKey(key);
+      const toolLines = [];
+      (perSymTools[key] || []).forEach((tool) => tool.lines.forEach((ln) => {
+        if (!ln.alertEnabled) return;
+        toolLines.push({
+          ...ruleLine(ln),
+          price: null,
+          level: toolLevel(tool, ln, intervalSeconds(tf)),
+          label: toolLineLabel(tool, ln),
+        });
+      }));
+      return {
+        symbol,
+        timeframe: tf,
+        provider: perSymProvider[symbol] || DEFAULT_PROVIDER,
+        useHaRsi,
+        rsiPeriod: perSymMeta[symbol]?.rsi?.period || DEFAULT_RSI.period,
+        lines: (perSymFib[key] || []).filter((ln) => ln.alertEnabled).map(ruleLine).concat(toolLines),
+      };
+    });
+    const body = JSON.stringify({ rules });
+    if (body === pushedRulesRef.current) return;
+    const t = setTimeout(async () => {
+      try {
+        const res = await fetch("/rules", {
+          method: "PUT",
+          headers: { "Content-Type": "application/json" },
+          body,
+        });
+        const j = await res.json();
+        setServerRules(j?.ok ? j.rules : null);
+        if (j?.ok) pushedRulesRef.current = body;
+      } catch {
+        setServerRules(null);
+      }
+    }, 600);
+    return () => clearTimeout(t);
+  }, [perSymFib, perSymTools, perSymProvider, perSymMeta, useHaRsi]);
+
+  const serverArmed = useMemo(() => {
+    const ids = new Set();
+    (serverRules || []).forEach((r) => (r.armed || []).forEach((a) => ids.add(a.id)));
+    return ids;
+  }, [serverRules]);
+
+  // One-shot lines the relay fired while we weren't looking: disarm them here too
+  useEffect(() => {
+    const spent = {};
+    (serverRules || []).forEach((r) => (r.spent || []).forEach((id) => (spent[id] = fibKey(r.symbol, r.timeframe))));
+    if (!Object.keys(spent).length) return;
+    setPerSymFib((prev) => {
+      let changed = false;
+      const out = { ...prev };
+      Object.values(spent).forEach((key) => {
+        if (!out[key]) return;
+        out[key] = out[key].map((ln) => {
+          if (!spent[ln.id] || !ln.alertEnabled) return ln;
+          changed = true;
+          return { ...ln, alertEnabled: false };
+        });
+      });
+      return changed ? out : prev;
+    });
+    setPerSymTools((prev) => {
+      let changed = false;
+      const out = { ...prev };
+      new Set(Object.values(spent)).forEach((key) => {
+        if (!out[key]) return;
+        out[key] = out[key].map((tool) => ({
+          ...tool,
+          lines: tool.lines.map((ln) => {
+            if (!spent[ln.id] || !ln.alertEnabled) return ln;
+            changed = true;
+            return { ...ln, alertEnabled: false };
+          }),
+        }));
+      });
+      return changed ? out : prev;
+    });
+  }, [serverRules]);
+
+  // Newest first; `older` pages back from the oldest record loaded so far. The
+  // cursor is a time (inclusive, so records sharing it come again and are
+  // skipped by id): records the relay stores meanwhile don't shift the pages.
+  async function loadHistory({ older = false } = {}) {
+    const q = new URLSearchParams({ limit: "100" });
+    if (feedFilter.symbol) q.set("symbol", feedFilter.symbol);
+    if (feedFilter.status) q.set("status", feedFilter.status);
+    if (older && feedCursorRef.current != null) q.set("to", String(feedCursorRef.current));
+    try {
+      const res = await fetch(`/alerts?${q}`);
+      const j = await res.json();
+      if (!j?.ok) return;
+      const page = (j.items || []).map(historyToFeed);
+      if (page.length) feedCursorRef.current = page[page.length - 1].ts;
+      setFeedOlder(j.total > page.length);
+      if (older) {
+        const items = page.filter((a) => !feedIdsRef.current.has(a.id));
+        items.forEach((a) => feedIdsRef.current.add(a.id));
+        setAlerts((prev) => [...prev, ...items]);
+        return;
+      }
+      feedIdsRef.current = new Set(page.map((a) => a.id));
+      // keep alerts that fired locally and were never stored on the relay
+      setAlerts((prev) => [...prev.filter((a) => !a.id), ...page]);
+    } catch {
+      setFeedOlder(false);
+    }
+  }
+
+  // Whether a relay record belongs in the feed under the active filter
+  function matchesFeedFilter(rec) {
+    const { symbol, status } = feedFilterRef.current;
+    return (!symbol || String(rec.symbol || "").toUpperCase() === symbol.toUpperCase()) && (!status || rec.status === status);
+  }
+
+  useEffect(() => {
+    loadHistory();
+  }, [feedFilter]);
+
+  // Live delivery updates (and engine alerts) from the relay
+  useEffect(() => {
+    if (typeof EventSource === "undefined") return;
+    const since = Date.now() - 5000;
+    const es = new EventSource("/alerts/stream");
+    es.onmessage = (ev) => {
+      try {
+        const rec = JSON.parse(ev.data);
+        if (!rec?.id) return;
+        // Only surface records the feed knows about, or new ones the filter lets through
+        if (!feedIdsRef.current.has(rec.id) && (rec.ts < since || !matchesFeedFilter(rec))) return;
+        pushAlert(historyToFeed(rec));
+      } catch {}
+    };
+    return () => es.close();
+  }, []);
+
   // ---------- Event handlers ----------
-  function updateFibLines(symbol, nextLines) {
-    // Ensure color field is never lost
-    const normalized = nextLines.map((ln) => ({ color: DEFAULT_COLOR, ...ln }));
-    setPerSymFib((prev) => ({ ...prev, [symbol]: normalized }));
+  // `key` is a fibKey(symbol, timeframe)
+  function updateFibLines(key, nextLines) {
+    // Ensure color / firing policy fields are never lost
+    const normalized = nextLines.map((ln) => ({ color: DEFAULT_COLOR, ...DEFAULT_FIRE_POLICY, ...ln }));
+    setPerSymFib((prev) => ({ ...prev, [key]: normalized }));
   }
 
   function speak(text) {
@@ -220,58 +587,331 @@ export default function Dashboard({ defaultSymbols }) {
     } catch {}
   }
 
+  // Adds a feed item, or merges it into the existing one with the same relay id
   function pushAlert(a) {
-    setAlerts((prev) => [{ ...a }, ...prev].slice(0, 200));
+    if (a?.id && feedIdsRef.current.has(a.id)) {
+      setAlerts((prev) => prev.map((x) => (x.id === a.id ? { ...x, ...a } : x)));
+      return;
+    }
+    if (a?.id) feedIdsRef.current.add(a.id);
+    setAlerts((prev) => [{ ...a }, ...prev].slice(0, Math.max(200, prev.length)));
     if (a?.message) speak(a.message);
   }
 
-  function onFieldChange(symbol, id, patch) {
+  function updateTools(key, next) {
+    setPerSymTools((prev) => {
+      const nx = { ...prev };
+      if (next.length) nx[key] = next; else delete nx[key];
+      return nx;
+    });
+  }
+
+  function updateAlerts(sym, next) {
+    setPerSymAlerts((prev) => {
+      const nx = { ...prev };
+      if (next.length) nx[sym] = next; else delete nx[sym];
+      return nx;
+    });
+  }
+
+  function onFieldChange(key, id, patch) {
     setPerSymFib((prev) => {
-      const next = (prev[symbol] || []).map((ln) => (ln.id === id ? { ...ln, ...patch } : ln));
-      return { ...prev, [symbol]: next };
+      const next = (prev[key] || []).map((ln) => (ln.id === id ? { ...ln, ...patch } : ln));
+      return { ...prev, [key]: next };
     });
   }
 
   // Snap only non-alert lines; also set their color back to default white
-  function snapNonAlertToRange(symbol) {
+  function snapNonAlertToRange(key) {
     setPerSymFib((prev) => {
-      const next = (prev[symbol] || []).map((ln) =>
+      const next = (prev[key] || []).map((ln) =>
         ln.alertEnabled ? ln : { ...ln, price: null, color: DEFAULT_COLOR }
       );
-      return { ...prev, [symbol]: next };
+      return { ...prev, [key]: next };
     });
   }
 
-  function resetToDefaultRatios(symbol) {
+  function resetToDefaultRatios(key) {
     setPerSymFib((prev) => {
-      const defaults = initFibLines(symbol);
-      const colorMap = Object.fromEntries((prev[symbol] || []).map((ln) => [ln.id, ln.color || DEFAULT_COLOR]));
+      const { symbol, timeframe: tf } = parseFibKey(key);
+      const defaults = initFibLines(symbol, tf);
+      const colorMap = Object.fromEntries((prev[key] || []).map((ln) => [ln.id, ln.color || DEFAULT_COLOR]));
       const merged = defaults.map((ln) => ({ ...ln, color: colorMap[ln.id] ?? DEFAULT_COLOR }));
-      return { ...prev, [symbol]: merged };
+      return { ...prev, [key]: merged };
     });
   }
 
   // Apply a chosen color to all non-alert lines
-  function applyBulkColor(symbol) {
+  function applyBulkColor(key, symbol) {
     const chosen = bulkColor[symbol] || DEFAULT_COLOR;
     setPerSymFib((prev) => {
-      const next = (prev[symbol] || []).map((ln) =>
+      const next = (prev[key] || []).map((ln) =>
         ln.alertEnabled ? ln : { ...ln, color: chosen }
       );
-      return { ...prev, [symbol]: next };
+      return { ...prev, [key]: next };
+    });
+  }
+
+  // ---------- Ratio sets ----------
+  // Rewrite every fib set of `targets` to exactly `ratios`. Existing lines keep their
+  // price/alert/color; lines with an alert on survive even when their ratio isn't in the set.
+  function applyRatios(targets, ratios) {
+    const wanted = normalizeRatios(ratios);
+    setPerSymFib((prev) => {
+      const nx = { ...prev };
+      Object.keys(prev).forEach((key) => {
+        const { symbol, timeframe: tf } = parseFibKey(key);
+        if (!targets.includes(symbol)) return;
+        const byRatio = Object.fromEntries(prev[key].map((ln) => [ln.ratio, ln]));
+        const kept = prev[key].filter((ln) => ln.alertEnabled && !wanted.includes(ln.ratio));
+        nx[key] = wanted
+          .map((r) => byRatio[r] || newFibLine(symbol, tf, r))
+          .concat(kept)
+          .sort((a, b) => a.ratio - b.ratio);
+      });
+      return nx;
+    });
+  }
+
+  function addRatios(symbol) {
+    const list = parseRatios(ratioDraft[symbol]);
+    if (!list) {
+      setRatioError((p) => ({ ...p, [symbol]: "Enter numbers, e.g. 0.707 0.886 2.618" }));
+      return;
+    }
+    applyRatios([symbol], symbolRatios(perSymFib, symbol).concat(list));
+    setRatioDraft((p) => ({ ...p, [symbol]: "" }));
+    setRatioError((p) => ({ ...p, [symbol]: null }));
+  }
+
+  // Removing a single ratio drops its line on every timeframe, alert or not
+  function removeRatio(symbol, ratio) {
+    setPerSymFib((prev) => {
+      const nx = { ...prev };
+      Object.keys(prev).forEach((key) => {
+        if (parseFibKey(key).symbol === symbol) nx[key] = prev[key].filter((ln) => ln.ratio !== ratio);
+      });
+      return nx;
+    });
+  }
+
+  function findRatioSet(name) {
+    return ratioSets.find((s) => s.name === name) || BUILTIN_RATIO_SETS.find((s) => s.name === name);
+  }
+
+  function saveRatioSet(symbol) {
+    const name = (setNameDraft[symbol] || "").trim();
+    if (!name) return;
+    if (BUILTIN_RATIO_SETS.some((s) => s.name === name)) {
+      setRatioError((p) => ({ ...p, [symbol]: `"${name}" is a built-in preset` }));
+      return;
+    }
+    const ratios = symbolRatios(perSymFib, symbol);
+    setRatioSets((prev) => prev.filter((s) => s.name !== name).concat({ name, ratios }));
+    setPickedSet((p) => ({ ...p, [symbol]: name }));
+    setSetNameDraft((p) => ({ ...p, [symbol]: "" }));
+    setRatioError((p) => ({ ...p, [symbol]: null }));
+  }
+
+  function deleteRatioSet(name) {
+    setRatioSets((prev) => prev.filter((s) => s.name !== name));
+    setPickedSet((p) => {
+      const nx = { ...p };
+      Object.keys(nx).forEach((sym) => { if (nx[sym] === name) delete nx[sym]; });
+      return nx;
+    });
+  }
+
+  // ---------- Swing anchors ----------
+  // New anchors re-derive the non-alert lines of that set (AssetChart hydrates null prices)
+  function setAnchors(key, anchors) {
+    setPerSymAnchors((prev) => {
+      const nx = { ...prev };
+      if (anchors) nx[key] = anchors; else delete nx[key];
+      return nx;
+    });
+    setPerSymFib((prev) => ({
+      ...prev,
+      [key]: (prev[key] || []).map((ln) => (ln.alertEnabled ? ln : { ...ln, price: null })),
+    }));
+  }
+
+  // Turning auto swing off drops the anchors it placed (manual ones stay)
+  function setZigzag(symbol, patch) {
+    setPerSymMeta((prev) => {
+      const m = prev[symbol] || defaultMeta(timeframe);
+      return { ...prev, [symbol]: { ...m, zigzag: { ...DEFAULT_ZIGZAG, ...(m.zigzag || {}), ...patch } } };
+    });
+    if (patch.enabled === false) {
+      Object.keys(perSymAnchors).forEach((key) => {
+        if (parseFibKey(key).symbol === symbol && perSymAnchors[key].auto) setAnchors(key, null);
+      });
+    }
+  }
+
+  // Typed timestamps -> the candles containing them (low of the first, high of the second)
+  async function setAnchorsFromTimes(symbol, tf, providerId) {
+    const d = anchorDraft[symbol] || {};
+    const tLow = Math.floor(Date.parse(d.low) / 1000);
+    const tHigh = Math.floor(Date.parse(d.high) / 1000);
+    if (!Number.isFinite(tLow) || !Number.isFinite(tHigh)) {
+      setAnchorError((p) => ({ ...p, [symbol]: "Enter both times" }));
+      return;
+    }
+    try {
+      const [low, high] = await Promise.all([
+        fetchBarAt(providerId, symbol, tf, tLow),
+        fetchBarAt(providerId, symbol, tf, tHigh),
+      ]);
+      if (!low || !high) throw new Error("No candle at that time on this timeframe");
+      setAnchors(fibKey(symbol, tf), { low: { time: low.time, price: low.low }, high: { time: high.time, price: high.high } });
+      setAnchorError((p) => ({ ...p, [symbol]: null }));
+    } catch (e) {
+      setAnchorError((p) => ({ ...p, [symbol]: String(e.message || e) }));
+    }
+  }
+
+  function setView(symbol, patch) {
+    setBtMarkers((p) => ({ ...p, [symbol]: null })); // backtest markers belong to the old view
+    setPerSymView((prev) => ({ ...prev, [symbol]: { ...(prev[symbol] || defaultView(timeframe)), ...patch } }));
+  }
+
+  // Top-bar timeframe: default for new symbols and applied to every single-chart card
+  function setAllTimeframes(tf) {
+    setTimeframe(tf);
+    setPerSymView((prev) => {
+      const nx = {};
+      Object.keys(prev).forEach((s) => (nx[s] = { ...prev[s], timeframe: tf }));
+      return nx;
+    });
+  }
+
+  // Shared workspace links: review before anything is overwritten
+  useEffect(() => {
+    const m = window.location.hash.match(/[#&]ws=([^&]+)/);
+    if (!m) return;
+    decodeWorkspaceLink(m[1])
+      .catch(() => ({})) // shown as "not a workspace" by the panel
+      .then((obj) => {
+        setLinkImport(obj);
+        setShowWorkspace(true);
+      });
+  }, []);
+
+  function dismissLinkImport() {
+    setLinkImport(null);
+    window.history.replaceState(null, "", window.location.pathname + window.location.search);
+  }
+
+  function currentWorkspace() {
+    return buildWorkspace({
+      symbols, perSymFib, perSymMeta, perSymProvider, perSymView, perSymAnchors, perSymTools, perSymAlerts,
+      timeframe, useHeikinAshi, useHaRsi, ttsEnabled,
+    });
+  }
+
+  // mode: "merge" keeps what the import lacks, "replace" drops it
+  function applyWorkspace(ws, mode) {
+    const next = mode === "merge" ? mergeWorkspace(currentWorkspace(), ws) : ws;
+    const fib = {};
+    Object.entries(next.perSymFib).forEach(([key, lines]) => {
+      fib[key] = lines.map((ln) => ({ color: DEFAULT_COLOR, ...DEFAULT_FIRE_POLICY, ...ln }));
+    });
+    setSymbols(withPinned(next.symbols, pinnedSymbol));
+    setPerSymFib(fib);
+    const meta = {};
+    Object.entries(next.perSymMeta).forEach(([s, m]) => (meta[s] = backfillMeta(m)));
+    setPerSymMeta(meta);
+    setPerSymProvider(next.perSymProvider);
+    const view = {};
+    Object.entries(next.perSymView).forEach(([s, v]) => (view[s] = { ...defaultView(next.timeframe), ...v }));
+    setPerSymView(view);
+    setPerSymAnchors(next.perSymAnchors || {});
+    setPerSymTools(backfillTools(next.perSymTools));
+    setPerSymAlerts(next.perSymAlerts || {});
+    setTimeframe(next.timeframe);
+    setUseHeikinAshi(next.useHeikinAshi);
+    setUseHaRsi(next.useHaRsi);
+    setTtsEnabled(next.ttsEnabled);
+    setBtMarkers({});
+  }
+
+  // ---------- Profiles ----------
+  const profileNames = Object.keys(profiles).includes(activeProfile)
+    ? Object.keys(profiles)
+    : [activeProfile, ...Object.keys(profiles)];
+
+  // Profiles keep line firing state too (exports drop it)
+  function profileSnapshot() {
+    return { ...currentWorkspace(), perSymFib, perSymTools, perSymAlerts };
+  }
+
+  function blankWorkspace() {
+    return buildWorkspace({
+      symbols: [pinnedSymbol || DEFAULT_SYMBOL], perSymFib: {}, perSymMeta: {}, perSymProvider: {}, perSymView: {}, perSymAnchors: {},
+      perSymTools: {}, perSymAlerts: {}, timeframe: "1d", useHeikinAshi: false, useHaRsi: false, ttsEnabled: false,
+    });
+  }
+
+  function switchProfile(name) {
+    if (name === activeProfile) return;
+    setProfiles((p) => ({ ...p, [activeProfile]: profileSnapshot() }));
+    applyWorkspace(profiles[name] || blankWorkspace(), "replace");
+    setActiveProfile(name);
+  }
+
+  function createProfile(name) {
+    setProfiles((p) => ({ ...p, [activeProfile]: profileSnapshot(), [name]: blankWorkspace() }));
+    applyWorkspace(blankWorkspace(), "replace");
+    setActiveProfile(name);
+  }
+
+  // The live state simply carries on under the new name
+  function duplicateProfile(name) {
+    const snap = profileSnapshot();
+    setProfiles((p) => ({ ...p, [activeProfile]: snap, [name]: snap }));
+    setActiveProfile(name);
+  }
+
+  function renameProfile(from, to) {
+    setProfiles((p) => {
+      const nx = {};
+      Object.keys(p).forEach((k) => (nx[k === from ? to : k] = p[k]));
+      if (!nx[to]) nx[to] = profileSnapshot();
+      return nx;
     });
+    setActiveProfile(to);
+  }
+
+  function deleteProfile(name) {
+    const next = profileNames.find((n) => n !== name);
+    if (!next) return;
+    setProfiles((p) => {
+      const nx = { ...p };
+      delete nx[name];
+      return nx;
+    });
+    if (name === activeProfile) {
+      applyWorkspace(profiles[next] || blankWorkspace(), "replace");
+      setActiveProfile(next);
+    }
   }
 
-  const addInputRef = useRef(null);
-  function addSymbol() {
-    const raw = addInputRef.current?.value || "";
-    const sym = raw.trim().toUpperCase();
-    if (!sym) return;
+  // sym comes from SymbolPicker, already checked against the provider's list
+  function addSymbol(sym) {
+    setPerSymProvider((prev) => ({ ...prev, [sym]: addProvider }));
+    setSymbols((prev) => (prev.includes(sym) ? prev : [...prev, sym]));
+  }
+
+  // Drag-and-drop in the symbol bar: the dragged symbol moves before the drop target
+  function moveSymbol(sym, before) {
+    if (!sym || sym === before) return;
     setSymbols((prev) => {
-      const next = prev.includes(sym) ? prev : [...prev, sym];
-      return ensureHasXRPUSD(next);
+      const rest = prev.filter((s) => s !== sym);
+      const at = rest.indexOf(before);
+      if (at < 0) return prev;
+      return [...rest.slice(0, at), sym, ...rest.slice(at)];
     });
-    addInputRef.current.value = "";
   }
 
   function scrollToSymbol(sym) {
@@ -281,20 +921,7 @@ export default function Dashboard({ defaultSymbols }) {
     }
   }
 
-  const tfOptions = useMemo(() => ["1m", "5m", "1h", "1d"], []);
-
-  // Auto-snap non-alert lines whenever timeframe changes
-  useEffect(() => {
-    setPerSymFib((prev) => {
-      const out = { ...prev };
-      for (const sym of symbols) {
-        out[sym] = (out[sym] || []).map((ln) =>
-          ln.alertEnabled ? ln : { ...ln, price: null }
-        );
-      }
-      return out;
-    });
-  }, [timeframe, symbols]);
+  const tfOptions = INTERVALS;
 
   // ---------- Render ----------
   return (
@@ -302,37 +929,66 @@ export default function Dashboard({ defaultSymbols }) {
       {/* Top controls (NOT sticky). Fully responsive with wrap. */}
       <div className="border-b border-slate-800 bg-slate-900/70">
         <div className="max-w-screen-2xl mx-auto px-3 py-2 flex flex-wrap items-center gap-2">
-          {/* Symbol buttons */}
+          {/* Symbol buttons (drag to reorder the charts) */}
           <div className="flex flex-wrap gap-2 py-1">
             {symbols.map((s) => (
               <button
                 key={`nav-${s}`}
+                draggable
+                onDragStart={(e) => {
+                  dragSymRef.current = s;
+                  e.dataTransfer.effectAllowed = "move";
+                }}
+                onDragOver={(e) => {
+                  if (!dragSymRef.current) return;
+                  e.preventDefault();
+                  setDropTarget(s);
+                }}
+                onDragLeave={() => setDropTarget((t) => (t === s ? null : t))}
+                onDrop={(e) => {
+                  e.preventDefault();
+                  moveSymbol(dragSymRef.current, s);
+                  setDropTarget(null);
+                }}
+                onDragEnd={() => {
+                  dragSymRef.current = null;
+                  setDropTarget(null);
+                }}
                 onClick={() => scrollToSymbol(s)}
-                className="px-3 py-1 rounded-md border border-slate-700 bg-slate-800 hover:bg-slate-700 text-slate-200 text-sm"
-                title={`Scroll to ${s}`}
+                className={`px-3 py-1 rounded-md border bg-slate-800 hover:bg-slate-700 text-slate-200 text-sm cursor-grab ${
+                  dropTarget === s ? "border-sky-500" : "border-slate-700"
+                }`}
+                title={`Scroll to ${s} (drag to reorder)`}
               >
-                {s}
+                {s === pinnedSymbol ? `${s} •` : s}
               </button>
             ))}
           </div>
 
           {/* Add symbol */}
           <div className="flex items-center gap-2 ml-auto">
-            <input
-              ref={addInputRef}
-              type="text"
-              placeholder="Add symbol (e.g. BTCUSD)"
-              className="w-44 bg-slate-800 border border-slate-700 rounded px-2 py-1 text-slate-200 text-sm"
-              onKeyDown={(e) => {
-                if (e.key === "Enter") addSymbol();
-              }}
-            />
-            <button
-              onClick={addSymbol}
-              className="px-3 py-1 rounded-md border border-slate-700 bg-slate-800 hover:bg-slate-700 text-slate-200 text-sm"
+            <select
+              value={addProvider}
+              onChange={(e) => setAddProvider(e.target.value)}
+              className="bg-slate-800 border border-slate-700 rounded text-slate-200 text-sm px-2 py-1"
+              title="Market-data provider for the new symbol"
             >
-              Add
-            </button>
+              {PROVIDERS.map((p) => (
+                <option key={p.id} value={p.id}>{p.label}</option>
+              ))}
+            </select>
+            <SymbolPicker provider={addProvider} symbols={symbols} onAdd={addSymbol} />
+            <select
+              value={pinnedSymbol || ""}
+              onChange={(e) => setPinnedSymbol(e.target.value || null)}
+              className="bg-slate-800 border border-slate-700 rounded text-slate-200 text-sm px-2 py-1"
+              title="Pinned symbol: can't be removed and is kept in imported workspaces and new profiles"
+            >
+              <option value="">No pinned symbol</option>
+              {symbols.map((s) => (
+                <option key={s} value={s}>Pinned: {s}</option>
+              ))}
+            </select>
           </div>
 
           {/* Global timeframe + toggles */}
@@ -340,18 +996,34 @@ export default function Dashboard({ defaultSymbols }) {
           <div className="flex flex-wrap items-center gap-3 pb-1 w-full">
             <div className="text-slate-200 font-semibold">Fib Alerts Dashboard</div>
             {/* <div className="text-slate-400 text-sm">US endpoints • Responsive • Persistent settings</div> */}
+            <button
+              onClick={() => setShowWorkspace((v) => !v)}
+              className="px-3 py-1 text-sm rounded-md border border-slate-700 bg-slate-800 hover:bg-slate-700 text-slate-200"
+              title="Export, import or share this workspace"
+            >
+              Workspace
+            </button>
+            <ProfileMenu
+              names={profileNames}
+              active={activeProfile}
+              onSwitch={switchProfile}
+              onCreate={createProfile}
+              onDuplicate={duplicateProfile}
+              onRename={renameProfile}
+              onDelete={deleteProfile}
+            />
 
             <div className="ml-auto flex flex-wrap items-center gap-2">
               {tfOptions.map((tf) => (
                 <button
                   key={tf}
-                  onClick={() => setTimeframe(tf)}
+                  onClick={() => setAllTimeframes(tf)}
                   className={`px-3 py-1 rounded-md border text-sm ${
                     timeframe === tf
                       ? "bg-sky-600 text-white border-sky-500"
                       : "bg-slate-800 text-slate-200 border-slate-700 hover:bg-slate-700"
                   }`}
-                  title={`Timeframe ${tf}`}
+                  title={`Timeframe ${tf} for all charts`}
                 >
                   {tf}
                 </button>
@@ -383,19 +1055,75 @@ export default function Dashboard({ defaultSymbols }) {
                 onChange={(e) => setTtsEnabled(e.target.checked)}
                 title="Speak alerts aloud"
               />
+
+              <span
+                className={`ml-3 px-2 py-[1px] rounded border text-xs ${
+                  serverRules
+                    ? "bg-emerald-600/20 border-emerald-600/40 text-emerald-300"
+                    : "bg-slate-800 border-slate-700 text-slate-400"
+                }`}
+                title={serverRules ? "Alert lines armed on the relay (fire with the browser closed)" : "Relay unreachable; alerts fire only while this tab is open"}
+              >
+                {serverRules ? `Server: ${serverArmed.size} armed` : "Server: offline"}
+              </span>
             </div>
           </div>
         </div>
       </div>
 
       <main className="px-4 pb-28 max-w-screen-2xl mx-auto space-y-6">
+        {showWorkspace && (
+          <WorkspacePanel
+            current={currentWorkspace()}
+            incoming={linkImport}
+            onApply={applyWorkspace}
+            onDismissIncoming={dismissLinkImport}
+          />
+        )}
+
         {symbols.map((sym) => {
-          const lines = perSymFib[sym] || initFibLines(sym);
-          const meta  = perSymMeta[sym] || defaultMeta();
+          const meta  = perSymMeta[sym] || defaultMeta(timeframe);
           const controlsOpen = showControls[sym] || false;
+          const providerId = perSymProvider[sym] || DEFAULT_PROVIDER;
+          const providerTfs = getProvider(providerId).intervals;
+          const view  = effectiveView(perSymView[sym] || defaultView(timeframe), providerId);
+
+          // Timeframe whose lines the controls panel edits (and the backtest replays)
+          const shownTfs = viewTimeframes(view);
+          const ctrlTf = shownTfs.includes(editTf[sym]) ? editTf[sym] : view.grid ? shownTfs[0] : view.timeframe;
+          const ctrlKey = fibKey(sym, ctrlTf);
+          const lines = perSymFib[ctrlKey] || initFibLines(sym, ctrlTf);
 
           const setMeta = (patch) =>
-            setPerSymMeta((prev) => ({ ...prev, [sym]: { ...(prev[sym] || defaultMeta()), ...patch } }));
+            setPerSymMeta((prev) => ({ ...prev, [sym]: { ...(prev[sym] || defaultMeta(ctrlTf)), ...patch } }));
+
+          const renderChart = (tf, height) => (
+            <AssetChart
+              symbol={sym}
+              provider={providerId}
+              timeframe={tf}
+              height={height}
+              fibLines={perSymFib[fibKey(sym, tf)] || initFibLines(sym, tf)}
+              onFibLinesUpdate={(_, next) => updateFibLines(fibKey(sym, tf), next)}
+              onAlert={(a) => pushAlert(a)}
+              serverArmedIds={serverArmed}
+              markers={tf === ctrlTf ? btMarkers[sym] : null}
+              anchors={perSymAnchors[fibKey(sym, tf)] || null}
+              zigzag={meta.zigzag}
+              onAnchorsChange={(a) => setAnchors(fibKey(sym, tf), a)}
+              tools={perSymTools[fibKey(sym, tf)] || null}
+              onToolsUpdate={(next) => updateTools(fibKey(sym, tf), next)}
+              alerts={perSymAlerts[sym] || null}
+              onAlertsUpdate={(next) => updateAlerts(sym, next)}
+              useHeikinAshi={useHeikinAshi}
+              useHaRsi={useHaRsi}
+              rsiPane={meta.rsi?.show ?? true}
+              rsiPeriod={meta.rsi?.period || DEFAULT_RSI.period}
+              indicators={meta.indicators}
+              onIndicatorsChange={(indicators) => setMeta({ indicators })}
+              autoCenter={true}
+            />
+          );
 
           return (
             <div
@@ -405,16 +1133,56 @@ export default function Dashboard({ defaultSymbols }) {
             >
               <div className="flex flex-wrap items-center justify-between mb-2 gap-2">
                 <div className="text-slate-200 font-medium">{sym}</div>
-                <div className="flex items-center gap-2">
+                <div className="flex flex-wrap items-center gap-2">
+                  {!view.grid && (
+                    <div className="flex items-center gap-1">
+                      {providerTfs.map((tf) => (
+                        <button
+                          key={tf}
+                          onClick={() => setView(sym, { timeframe: tf })}
+                          className={`px-2 py-0.5 text-xs rounded-md border ${
+                            view.timeframe === tf
+                              ? "bg-sky-700/40 border-sky-600 text-sky-200"
+                              : "bg-slate-800 border-slate-700 text-slate-300 hover:bg-slate-700"
+                          }`}
+                          title={`Show ${sym} on ${tf}`}
+                        >
+                          {tf}
+                        </button>
+                      ))}
+                    </div>
+                  )}
+                  <button
+                    onClick={() => setView(sym, { grid: !view.grid })}
+                    className={`px-3 py-1 text-sm rounded-md border ${
+                      view.grid
+                        ? "bg-sky-700/40 border-sky-600 text-sky-200"
+                        : "bg-slate-800 border-slate-700 text-slate-200 hover:bg-slate-700"
+                    }`}
+                    title="Show this symbol on four timeframes at once"
+                  >
+                    Grid
+                  </button>
+                  <select
+                    value={providerId}
+                    onChange={(e) => setPerSymProvider((p) => ({ ...p, [sym]: e.target.value }))}
+                    className="bg-slate-800 border border-slate-700 rounded text-slate-200 text-sm px-2 py-1"
+                    title="Market-data provider"
+                  >
+                    {PROVIDERS.map((p) => (
+                      <option key={p.id} value={p.id}>{p.label}</option>
+                    ))}
+                  </select>
                   <button
                     onClick={() =>
                       setSymbols((prev) => {
-                        if (sym === "XRPUSD" && prev.length === 1) return prev; // keep at least XRPUSD
+                        if (sym === pinnedSymbol || prev.length === 1) return prev; // keep the pinned / last symbol
                         return prev.filter((s) => s !== sym);
                       })
                     }
-                    className="px-3 py-1 text-sm rounded-md border border-red-700 bg-red-900/30 hover:bg-red-900/40 text-red-200"
-                    title="Remove this symbol"
+                    disabled={sym === pinnedSymbol || symbols.length === 1}
+                    className="px-3 py-1 text-sm rounded-md border border-red-700 bg-red-900/30 hover:bg-red-900/40 text-red-200 disabled:opacity-40"
+                    title={sym === pinnedSymbol ? "Pinned symbol (unpin it in the top bar to remove)" : "Remove this symbol"}
                   >
                     Remove
                   </button>
@@ -427,51 +1195,58 @@ export default function Dashboard({ defaultSymbols }) {
                 </div>
               </div>
 
-              {/* Chart */}
-              <AssetChart
-                symbol={sym}
-                timeframe={timeframe}
-                fibLines={lines}
-                onFibLinesUpdate={updateFibLines}
-                onAlert={(a) => pushAlert(a)}
-                useHeikinAshi={useHeikinAshi}
-                useHaRsi={useHaRsi}
-                // VWAP
-                vwapShow={meta.vwap?.show ?? true}
-                vwapColor={meta.vwap?.color || "#ffffff"}
-                vwapOpacity={meta.vwap?.opacity ?? 0.5}
-                vwapSmooth={meta.vwap?.smooth ?? 1}
-                // EMAs
-                ema9Show={meta.ema9?.show ?? false}
-                ema9Color={meta.ema9?.color || "#a78bfa"}
-                ema9Opacity={meta.ema9?.opacity ?? 0.75}
-                ema9Smooth={meta.ema9?.smooth ?? 1}
-                ema20Show={meta.ema20?.show ?? false}
-                ema20Color={meta.ema20?.color || "#60a5fa"}
-                ema20Opacity={meta.ema20?.opacity ?? 0.75}
-                ema20Smooth={meta.ema20?.smooth ?? 1}
-                ema200Show={meta.ema200?.show ?? false}
-                ema200Color={meta.ema200?.color || "#f87171"}
-                ema200Opacity={meta.ema200?.opacity ?? 0.9}
-                ema200Smooth={meta.ema200?.smooth ?? 1}
-                autoCenter={true}
-              />
+              {/* Chart, or a 2x2 grid of timeframes */}
+              {view.grid ? (
+                <div className="grid grid-cols-1 lg:grid-cols-2 gap-2">
+                  {view.gridTfs.map((tf, i) => (
+                    <div key={i} className="space-y-1">
+                      <select
+                        value={tf}
+                        onChange={(e) =>
+                          setView(sym, { gridTfs: view.gridTfs.map((t, j) => (j === i ? e.target.value : t)) })
+                        }
+                        className="bg-slate-800 border border-slate-700 rounded text-slate-200 text-xs px-1 py-0.5"
+                        title="Timeframe for this cell"
+                      >
+                        {providerTfs.map((o) => (
+                          <option key={o} value={o}>{o}</option>
+                        ))}
+                      </select>
+                      {renderChart(tf, 300)}
+                    </div>
+                  ))}
+                </div>
+              ) : (
+                renderChart(view.timeframe, 420)
+              )}
 
               {/* Collapsible per-symbol controls */}
               {controlsOpen && (
                 <div className="mt-3 rounded-lg border border-slate-800 bg-slate-900/60 p-3 space-y-4">
                   {/* Snap/Reset + bulk color */}
                   <div className="flex flex-wrap items-center gap-2">
+                    {view.grid && (
+                      <select
+                        value={ctrlTf}
+                        onChange={(e) => setEditTf((p) => ({ ...p, [sym]: e.target.value }))}
+                        className="bg-slate-800 border border-slate-700 rounded text-slate-200 text-sm px-2 py-1"
+                        title="Which timeframe's fib lines these controls edit"
+                      >
+                        {[...new Set(shownTfs)].map((tf) => (
+                          <option key={tf} value={tf}>Editing {tf}</option>
+                        ))}
+                      </select>
+                    )}
                     <button
-                      onClick={() => snapNonAlertToRange(sym)}
+                      onClick={() => snapNonAlertToRange(ctrlKey)}
                       className="px-3 py-1 text-sm rounded-md border border-slate-700 bg-slate-800 hover:bg-slate-700 text-slate-200"
                       title="Snap only lines WITHOUT alerts enabled, and recolor them to white"
                     >
-                      Snap non-alert lines to Hi/Lo (→ white)
+                      Snap non-alert lines to {perSymAnchors[ctrlKey] ? "anchors" : "Hi/Lo"} (→ white)
                     </button>
 
                     <button
-                      onClick={() => resetToDefaultRatios(sym)}
+                      onClick={() => resetToDefaultRatios(ctrlKey)}
                       className="px-3 py-1 text-sm rounded-md border border-slate-700 bg-slate-800 hover:bg-slate-700 text-slate-200"
                     >
                       Reset to Default Ratios
@@ -487,7 +1262,7 @@ export default function Dashboard({ defaultSymbols }) {
                         title="Pick a color"
                       />
                       <button
-                        onClick={() => applyBulkColor(sym)}
+                        onClick={() => applyBulkColor(ctrlKey, sym)}
                         className="px-3 py-1 text-sm rounded-md border border-slate-700 bg-slate-800 hover:bg-slate-700 text-slate-200"
                         title="Apply this color to all non-alert lines"
                       >
@@ -496,26 +1271,195 @@ export default function Dashboard({ defaultSymbols }) {
                     </div>
                   </div>
 
+                  {/* Swing anchors (typed); charts also pick them by clicking candles */}
+                  <div className="flex flex-wrap items-center gap-2">
+                    <span className="text-slate-300 text-sm">Swing anchors ({ctrlTf}):</span>
+                    <label className="text-xs text-slate-400">Low at</label>
+                    <input
+                      type="datetime-local"
+                      value={anchorDraft[sym]?.low || ""}
+                      onChange={(e) => setAnchorDraft((p) => ({ ...p, [sym]: { ...(p[sym] || {}), low: e.target.value } }))}
+                      className="bg-slate-800 border border-slate-700 rounded px-2 py-1 text-slate-200 text-sm"
+                    />
+                    <label className="text-xs text-slate-400">High at</label>
+                    <input
+                      type="datetime-local"
+                      value={anchorDraft[sym]?.high || ""}
+                      onChange={(e) => setAnchorDraft((p) => ({ ...p, [sym]: { ...(p[sym] || {}), high: e.target.value } }))}
+                      className="bg-slate-800 border border-slate-700 rounded px-2 py-1 text-slate-200 text-sm"
+                    />
+                    <button
+                      onClick={() => setAnchorsFromTimes(sym, ctrlTf, providerId)}
+                      className="px-3 py-1 text-sm rounded-md border border-slate-700 bg-slate-800 hover:bg-slate-700 text-slate-200"
+                      title="Use the low / high of the candles at these times"
+                    >
+                      Set
+                    </button>
+                    {perSymAnchors[ctrlKey] ? (
+                      <>
+                        <span className="text-slate-400 text-xs">
+                          {perSymAnchors[ctrlKey].low.price} @ {new Date(perSymAnchors[ctrlKey].low.time * 1000).toLocaleString()}
+                          {" → "}
+                          {perSymAnchors[ctrlKey].high.price} @ {new Date(perSymAnchors[ctrlKey].high.time * 1000).toLocaleString()}
+                        </span>
+                        <button
+                          onClick={() => setAnchors(ctrlKey, null)}
+                          className="px-3 py-1 text-sm rounded-md border border-slate-700 bg-slate-800 hover:bg-slate-700 text-slate-200"
+                        >
+                          Clear
+                        </button>
+                      </>
+                    ) : (
+                      <span className="text-slate-500 text-xs">none: ratios use the last 120 bars' hi/lo</span>
+                    )}
+                    {anchorError[sym] && <span className="text-rose-300 text-xs">{anchorError[sym]}</span>}
+                  </div>
+
+                  {/* Automatic swing anchors (ZigZag) */}
+                  <div className="flex flex-wrap items-center gap-2">
+                    <label className="text-slate-300 text-sm">Auto swing (ZigZag)</label>
+                    <input
+                      type="checkbox"
+                      className="accent-amber-500"
+                      checked={!!meta.zigzag?.enabled}
+                      onChange={(e) => setZigzag(sym, { enabled: e.target.checked })}
+                      title="Anchor fibs to the latest confirmed swing on every timeframe of this symbol"
+                    />
+                    <label className="text-xs text-slate-400">Depth</label>
+                    <input
+                      type="number"
+                      min={1}
+                      value={meta.zigzag?.depth ?? DEFAULT_ZIGZAG.depth}
+                      onChange={(e) => setZigzag(sym, { depth: Math.max(1, Number(e.target.value) || 1) })}
+                      className="w-16 bg-slate-800 border border-slate-700 rounded px-2 py-1 text-slate-200 text-sm"
+                      title="Bars on each side a pivot must dominate"
+                    />
+                    <label className="text-xs text-slate-400">Deviation %</label>
+                    <input
+                      type="number"
+                      min={0}
+                      step="0.1"
+                      value={meta.zigzag?.deviationPct ?? DEFAULT_ZIGZAG.deviationPct}
+                      onChange={(e) => setZigzag(sym, { deviationPct: Math.max(0, Number(e.target.value) || 0) })}
+                      className="w-16 bg-slate-800 border border-slate-700 rounded px-2 py-1 text-slate-200 text-sm"
+                      title="Minimum move between pivots"
+                    />
+                    <label className="text-xs text-slate-400">Show pivots</label>
+                    <input
+                      type="checkbox"
+                      className="accent-amber-500"
+                      checked={!!meta.zigzag?.showPivots}
+                      onChange={(e) => setZigzag(sym, { showPivots: e.target.checked })}
+                    />
+                  </div>
+
+                  {/* Ratio presets / custom sets */}
+                  <div className="flex flex-wrap items-center gap-2">
+                    <span className="text-slate-300 text-sm">Ratios:</span>
+                    <select
+                      value={pickedSet[sym] || BUILTIN_RATIO_SETS[0].name}
+                      onChange={(e) => setPickedSet((p) => ({ ...p, [sym]: e.target.value }))}
+                      className="bg-slate-800 border border-slate-700 rounded text-slate-200 text-sm px-2 py-1"
+                      title="Ratio set"
+                    >
+                      <optgroup label="Presets">
+                        {BUILTIN_RATIO_SETS.map((rs) => (
+                          <option key={rs.name} value={rs.name}>{rs.name}</option>
+                        ))}
+                      </optgroup>
+                      {ratioSets.length > 0 && (
+                        <optgroup label="My sets">
+                          {ratioSets.map((rs) => (
+                            <option key={rs.name} value={rs.name}>{rs.name}</option>
+                          ))}
+                        </optgroup>
+                      )}
+                    </select>
+                    <button
+                      onClick={() => applyRatios([sym], findRatioSet(pickedSet[sym] || BUILTIN_RATIO_SETS[0].name).ratios)}
+                      className="px-3 py-1 text-sm rounded-md border border-slate-700 bg-slate-800 hover:bg-slate-700 text-slate-200"
+                      title={`Use these ratios for ${sym} (lines with an alert are kept)`}
+                    >
+                      Apply
+                    </button>
+                    <button
+                      onClick={() => applyRatios(symbols, findRatioSet(pickedSet[sym] || BUILTIN_RATIO_SETS[0].name).ratios)}
+                      className="px-3 py-1 text-sm rounded-md border border-slate-700 bg-slate-800 hover:bg-slate-700 text-slate-200"
+                      title="Use these ratios for every symbol (lines with an alert are kept)"
+                    >
+                      Apply to all
+                    </button>
+                    {ratioSets.some((rs) => rs.name === pickedSet[sym]) && (
+                      <button
+                        onClick={() => deleteRatioSet(pickedSet[sym])}
+                        className="px-3 py-1 text-sm rounded-md border border-red-700 bg-red-900/30 hover:bg-red-900/40 text-red-200"
+                      >
+                        Delete set
+                      </button>
+                    )}
+
+                    <input
+                      type="text"
+                      value={ratioDraft[sym] || ""}
+                      onChange={(e) => setRatioDraft((p) => ({ ...p, [sym]: e.target.value }))}
+                      onKeyDown={(e) => e.key === "Enter" && addRatios(sym)}
+                      placeholder="Add ratios, e.g. 0.707 2.618"
+                      className="w-48 bg-slate-800 border border-slate-700 rounded px-2 py-1 text-slate-200 text-sm"
+                    />
+                    <button
+                      onClick={() => addRatios(sym)}
+                      className="px-3 py-1 text-sm rounded-md border border-slate-700 bg-slate-800 hover:bg-slate-700 text-slate-200"
+                    >
+                      Add
+                    </button>
+
+                    <input
+                      type="text"
+                      value={setNameDraft[sym] || ""}
+                      onChange={(e) => setSetNameDraft((p) => ({ ...p, [sym]: e.target.value }))}
+                      onKeyDown={(e) => e.key === "Enter" && saveRatioSet(sym)}
+                      placeholder="Set name"
+                      className="w-32 bg-slate-800 border border-slate-700 rounded px-2 py-1 text-slate-200 text-sm"
+                    />
+                    <button
+                      onClick={() => saveRatioSet(sym)}
+                      className="px-3 py-1 text-sm rounded-md border border-slate-700 bg-slate-800 hover:bg-slate-700 text-slate-200"
+                      title={`Save ${sym}'s current ratios as a named set`}
+                    >
+                      Save as set
+                    </button>
+                    {ratioError[sym] && <span className="text-rose-300 text-xs">{ratioError[sym]}</span>}
+                  </div>
+
+                  {/* RSI pane */}
+                  <div className="flex flex-wrap items-center gap-2">
+                    <label className="text-slate-300 text-sm">RSI pane</label>
+                    <input
+                      type="checkbox"
+                      className="accent-sky-500"
+                      checked={meta.rsi?.show ?? true}
+                      onChange={(e) => setMeta({ rsi: { ...DEFAULT_RSI, ...(meta.rsi || {}), show: e.target.checked } })}
+                      title="RSI and HA-RSI under the candles, with each alert line's RSI threshold"
+                    />
+                    <label className="text-xs text-slate-400">Period</label>
+                    <input
+                      type="number"
+                      min={2}
+                      value={meta.rsi?.period ?? DEFAULT_RSI.period}
+                      onChange={(e) => {
+                        const period = Math.round(Number(e.target.value));
+                        if (period >= 2) setMeta({ rsi: { ...DEFAULT_RSI, ...(meta.rsi || {}), period } });
+                      }}
+                      className="w-16 bg-slate-800 border border-slate-700 rounded px-2 py-1 text-slate-200 text-sm"
+                      title="RSI period for the pane, the badge and this symbol's alert rule"
+                    />
+                  </div>
+
                   {/* Overlays controls */}
-                  <OverlayControls
-                    label="VWAP"
-                    cfg={meta.vwap || {}}
-                    onChange={(cfg) => setMeta({ vwap: { ...(meta.vwap || {}), ...cfg } })}
-                  />
-                  <OverlayControls
-                    label="EMA 9"
-                    cfg={meta.ema9 || {}}
-                    onChange={(cfg) => setMeta({ ema9: { ...(meta.ema9 || {}), ...cfg } })}
-                  />
-                  <OverlayControls
-                    label="EMA 20"
-                    cfg={meta.ema20 || {}}
-                    onChange={(cfg) => setMeta({ ema20: { ...(meta.ema20 || {}), ...cfg } })}
-                  />
-                  <OverlayControls
-                    label="EMA 200"
-                    cfg={meta.ema200 || {}}
-                    onChange={(cfg) => setMeta({ ema200: { ...(meta.ema200 || {}), ...cfg } })}
+                  <IndicatorsPanel
+                    indicators={meta.indicators}
+                    timeframe={ctrlTf}
+                    onChange={(indicators) => setMeta({ indicators })}
                   />
 
                   {/* Lines grid */}
@@ -523,72 +1467,134 @@ export default function Dashboard({ defaultSymbols }) {
                     {lines.map((ln) => (
                       <div
                         key={ln.id}
-                        className="flex items-center gap-2 rounded-md border border-slate-800 bg-slate-900 px-2 py-2"
+                        className="rounded-md border border-slate-800 bg-slate-900 px-2 py-2 space-y-2"
                       >
-                        <input
-                          type="checkbox"
-                          className="accent-sky-500"
-                          checked={!!ln.enabled}
-                          onChange={(e) => onFieldChange(sym, ln.id, { enabled: e.target.checked })}
-                          title="Enable/disable line"
-                        />
-                        <div className="w-14 text-right text-slate-300 text-sm">{ln.ratio}</div>
-
-                        {/* Per-line color picker */}
-                        <input
-                          type="color"
-                          value={ln.color || DEFAULT_COLOR}
-                          onChange={(e) => onFieldChange(sym, ln.id, { color: e.target.value })}
-                          className="h-7 w-7 rounded border border-slate-700 bg-slate-800 p-0"
-                          title="Line color"
-                        />
-
-                        {/* Price input */}
-                        <input
-                          type="number"
-                          step="0.000001"
-                          value={
-                            ln.price !== null && ln.price !== undefined ? ln.price : ""
-                          }
-                          onChange={(e) =>
-                            onFieldChange(sym, ln.id, {
-                              price: e.target.value === "" ? null : Number(e.target.value),
-                            })
-                          }
-                          className="flex-1 bg-slate-800 border border-slate-700 rounded px-2 py-1 text-slate-200 text-sm"
-                          placeholder={ln.price === null ? "loading..." : ""}
-                          title="Set exact price (overrides ratio)"
-                        />
-
-                        {/* Alert controls */}
-                        <label className="ml-1 text-xs text-slate-400">Alert</label>
-                        <input
-                          type="checkbox"
-                          className="accent-emerald-500"
-                          checked={!!ln.alertEnabled}
-                          onChange={(e) => onFieldChange(sym, ln.id, { alertEnabled: e.target.checked })}
-                          title="Enable alert for this line"
-                        />
-                        <select
-                          value={ln.rsiOp || ">="}
-                          onChange={(e) => onFieldChange(sym, ln.id, { rsiOp: e.target.value })}
-                          className="bg-slate-800 border border-slate-700 rounded text-slate-200 text-xs px-1 py-1"
-                          title="RSI operator"
-                        >
-                          <option>{">="}</option>
-                          <option>{"<="}</option>
-                        </select>
-                        <input
-                          type="number"
-                          step="0.1"
-                          value={ln.rsiThreshold}
-                          onChange={(e) => onFieldChange(sym, ln.id, { rsiThreshold: Number(e.target.value) })}
-                          className="w-16 bg-slate-800 border border-slate-700 rounded px-2 py-1 text-slate-200 text-sm"
-                          title="RSI threshold"
-                        />
+                        <div className="flex items-center gap-2">
+                          <input
+                            type="checkbox"
+                            className="accent-sky-500"
+                            checked={!!ln.enabled}
+                            onChange={(e) => onFieldChange(ctrlKey, ln.id, { enabled: e.target.checked })}
+                            title="Enable/disable line"
+                          />
+                          <div className="w-14 text-right text-slate-300 text-sm">{ln.ratio}</div>
+
+                          {/* Per-line color picker */}
+                          <input
+                            type="color"
+                            value={ln.color || DEFAULT_COLOR}
+                            onChange={(e) => onFieldChange(ctrlKey, ln.id, { color: e.target.value })}
+                            className="h-7 w-7 rounded border border-slate-700 bg-slate-800 p-0"
+                            title="Line color"
+                          />
+
+                          {/* Price input */}
+                          <input
+                            type="number"
+                            step="0.000001"
+                            value={
+                              ln.price !== null && ln.price !== undefined ? ln.price : ""
+                            }
+                            onChange={(e) =>
+                              onFieldChange(ctrlKey, ln.id, {
+                                price: e.target.value === "" ? null : Number(e.target.value),
+                              })
+                            }
+                            className="flex-1 bg-slate-800 border border-slate-700 rounded px-2 py-1 text-slate-200 text-sm"
+                            placeholder={ln.price === null ? "loading..." : ""}
+                            title="Set exact price (overrides ratio)"
+                          />
+
+                          {/* Alert controls */}
+                          <label className="ml-1 text-xs text-slate-400">Alert</label>
+                          <input
+                            type="checkbox"
+                            className="accent-emerald-500"
+                            checked={!!ln.alertEnabled}
+                            onChange={(e) => onFieldChange(ctrlKey, ln.id, { alertEnabled: e.target.checked, armed: true })}
+                            title="Enable alert for this line"
+                          />
+                          {!Array.isArray(ln.conditions) && (
+                            <>
+                              <select
+                                value={ln.rsiOp || ">="}
+                                onChange={(e) => onFieldChange(ctrlKey, ln.id, { rsiOp: e.target.value })}
+                                className="bg-slate-800 border border-slate-700 rounded text-slate-200 text-xs px-1 py-1"
+                                title="RSI operator"
+                              >
+                                <option>{">="}</option>
+                                <option>{"<="}</option>
+                              </select>
+                              <input
+                                type="number"
+                                step="0.1"
+                                value={ln.rsiThreshold}
+                                onChange={(e) => onFieldChange(ctrlKey, ln.id, { rsiThreshold: Number(e.target.value) })}
+                                className="w-16 bg-slate-800 border border-slate-700 rounded px-2 py-1 text-slate-200 text-sm"
+                                title="RSI threshold"
+                              />
+                            </>
+                          )}
+                          {serverArmed.has(ln.id) && (
+                            <span
+                              className="px-1 rounded bg-emerald-600/20 border border-emerald-600/40 text-emerald-300 text-[10px]"
+                              title="Armed on the relay's alert engine"
+                            >
+                              SRV
+                            </span>
+                          )}
+                          <button
+                            onClick={() => removeRatio(sym, ln.ratio)}
+                            className="px-1 text-slate-500 hover:text-rose-300 text-sm"
+                            title={`Remove ratio ${ln.ratio} from ${sym} (all timeframes)`}
+                          >
+                            ×
+                          </button>
+                        </div>
+
+                        {/* Alert conditions (rule builder) */}
+                        <ConditionsEditor ln={ln} useHaRsi={useHaRsi} onChange={(patch) => onFieldChange(ctrlKey, ln.id, patch)} />
+
+                        {/* Firing policy + last fired */}
+                        <FirePolicyControls ln={ln} onChange={(patch) => onFieldChange(ctrlKey, ln.id, patch)} />
                       </div>
                     ))}
                   </div>
+
+                  {/* Drawn fib tools of the edited timeframe */}
+                  <div className="space-y-1">
+                    <div className="text-slate-300 text-sm">Fib tools ({ctrlTf})</div>
+                    <FibToolsPanel
+                      tools={perSymTools[ctrlKey] || []}
+                      serverArmed={serverArmed}
+                      useHaRsi={useHaRsi}
+                      onChange={(next) => updateTools(ctrlKey, next)}
+                    />
+                  </div>
+
+                  {/* Alerts that don't depend on fibs */}
+                  <div className="space-y-1">
+                    <div className="text-slate-300 text-sm">Standalone alerts</div>
+                    <StandaloneAlertsPanel
+                      symbol={sym}
+                      alerts={perSymAlerts[sym] || []}
+                      indicators={meta.indicators}
+                      timeframes={providerTfs}
+                      timeframe={ctrlTf}
+                      useHaRsi={useHaRsi}
+                      onChange={(next) => updateAlerts(sym, next)}
+                    />
+                  </div>
+
+                  <BacktestPanel
+                    symbol={sym}
+                    provider={providerId}
+                    timeframe={ctrlTf}
+                    lines={lines}
+                    useHaRsi={useHaRsi}
+                    rsiPeriod={meta.rsi?.period || DEFAULT_RSI.period}
+                    onMarkers={(m) => setBtMarkers((p) => ({ ...p, [sym]: m }))}
+                  />
                 </div>
               )}
             </div>
@@ -597,25 +1603,86 @@ export default function Dashboard({ defaultSymbols }) {
 
         {/* Alerts feed with delivery status */}
         <div className="rounded-xl border border-slate-800 bg-slate-900/40 p-3">
-          <div className="text-slate-200 font-medium mb-2">Triggered Alerts</div>
+          <div className="flex flex-wrap items-center gap-2 mb-2">
+            <div className="text-slate-200 font-medium">Triggered Alerts</div>
+            <div className="ml-auto flex items-center gap-2">
+              <select
+                value={feedFilter.symbol}
+                onChange={(e) => setFeedFilter((f) => ({ ...f, symbol: e.target.value }))}
+                className="bg-slate-800 border border-slate-700 rounded text-slate-200 text-xs px-1 py-1"
+                title="Filter history by symbol"
+              >
+                <option value="">All symbols</option>
+                {symbols.map((s) => (
+                  <option key={s} value={s}>{s}</option>
+                ))}
+              </select>
+              <select
+                value={feedFilter.status}
+                onChange={(e) => setFeedFilter((f) => ({ ...f, status: e.target.value }))}
+                className="bg-slate-800 border border-slate-700 rounded text-slate-200 text-xs px-1 py-1"
+                title="Filter history by delivery status"
+              >
+                <option value="">Any status</option>
+                <option value="sent">Sent</option>
+                <option value="failed">Failed</option>
+              </select>
+            </div>
+          </div>
           <div className="space-y-1 max-h-64 overflow-auto">
             {alerts.length === 0 && <div className="text-slate-500 text-sm">No alerts yet.</div>}
             {alerts.map((a, i) => (
-              <div key={i} className="flex items-center gap-2 text-slate-300 text-sm">
+              <div key={a.id || `local-${i}`} className="flex items-center gap-2 text-slate-300 text-sm">
                 <span className="text-slate-400">{new Date(a.ts).toLocaleString()}</span>
-                {a.delivered === true && (
+                {(a.status === "queued" || a.status === "sending") && (
+                  <span className="px-2 py-[1px] rounded bg-amber-600/20 border border-amber-600/40 text-amber-300 text-xs">
+                    {a.status === "sending" ? "Sending" : "Queued"}
+                  </span>
+                )}
+                {a.status === "sent" && (
                   <span className="px-2 py-[1px] rounded bg-emerald-600/20 border border-emerald-600/40 text-emerald-300 text-xs">
                     Sent
                   </span>
                 )}
-                {a.delivered === false && (
-                  <span className="px-2 py-[1px] rounded bg-rose-600/20 border border-rose-600/40 text-rose-300 text-xs">
+                {a.status === "failed" && (
+                  <span
+                    className="px-2 py-[1px] rounded bg-rose-600/20 border border-rose-600/40 text-rose-300 text-xs"
+                    title={a.error || ""}
+                  >
                     Failed
                   </span>
                 )}
+                {(a.channels || []).map((c) => (
+                  <span
+                    key={c.channel}
+                    className={`px-1 rounded border text-[10px] ${
+                      c.state === "sent"
+                        ? "bg-emerald-600/10 border-emerald-600/30 text-emerald-300"
+                        : c.state === "failed"
+                        ? "bg-rose-600/10 border-rose-600/30 text-rose-300"
+                        : "bg-amber-600/10 border-amber-600/30 text-amber-300"
+                    }`}
+                    title={`${c.type || c.channel}: ${c.state}${c.attempts ? ` after ${c.attempts} attempt(s)` : ""}${c.error ? ` — ${c.error}` : ""}`}
+                  >
+                    {c.channel}
+                  </span>
+                ))}
+                {a.via === "server" && (
+                  <span className="px-2 py-[1px] rounded bg-slate-700/40 border border-slate-600/40 text-slate-300 text-xs">
+                    Server
+                  </span>
+                )}
                 <span className="truncate">{a.message}</span>
               </div>
             ))}
+            {feedOlder && (
+              <button
+                onClick={() => loadHistory({ older: true })}
+                className="mt-1 px-3 py-1 text-xs rounded-md border border-slate-700 bg-slate-800 hover:bg-slate-700 text-slate-300"
+              >
+                Load older
+              </button>
+            )}
           </div>
         </div>
       </main>
@@ -638,52 +1705,3 @@ export default function Dashboard({ defaultSymbols }) {
     </>
   );
 }
-
-// Small reusable control block for overlays (VWAP & EMAs)
-function OverlayControls({ label, cfg, onChange }) {
-  const { show = false, color = "#ffffff", opacity = 0.5, smooth = 1 } = cfg || {};
-  return (
-    <div className="rounded-md border border-slate-800 bg-slate-900/80 p-3 flex flex-wrap items-center gap-3">
-      <div className="min-w-[5rem] text-slate-200 font-medium">{label}</div>
-      <label className="text-sm text-slate-300">Show</label>
-      <input
-        type="checkbox"
-        className="accent-sky-500"
-        checked={!!show}
-        onChange={(e) => onChange({ show: e.target.checked })}
-        title={`Show ${label}`}
-      />
-      <div className="text-slate-300 text-sm">Color</div>
-      <input
-        type="color"
-        value={color}
-        onChange={(e) => onChange({ color: e.target.value })}
-        className="h-7 w-7 rounded border border-slate-700 bg-slate-800 p-0"
-        title={`${label} color`}
-      />
-      <div className="text-slate-300 text-sm">Opacity</div>
-      <input
-        type="range"
-        min={0.1}
-        max={1}
-        step={0.05}
-        value={opacity ?? 0.5}
-        onChange={(e) => onChange({ opacity: Number(e.target.value) })}
-        className="w-40"
-        title={`${label} opacity`}
-      />
-      <div className="text-slate-300 text-sm">Smooth</div>
-      <select
-        value={smooth ?? 1}
-        onChange={(e) => onChange({ smooth: Number(e.target.value) })}
-        className="bg-slate-800 border border-slate-700 rounded text-slate-200 text-sm px-2 py-1"
-        title={`${label} smoothing window (SMA)`}
-      >
-        <option value={1}>Off</option>
-        <option value={3}>3</option>
-        <option value={5}>5</option>
-        <option value={9}>9</option>
-      </select>
-    </div>
-  );
-}
@@ -0,0 +1,137 @@
+import React, { useState } from "react";
+import FirePolicyControls from "./FirePolicyControls";
+import ConditionsEditor from "./ConditionsEditor";
+import { TOOL_TYPES, setToolRatios } from "./fibTools";
+import { parseRatios } from "./ratioSets";
+
+const btn = "px-2 py-1 text-xs rounded-md border border-slate-700 bg-slate-800 hover:bg-slate-700 text-slate-200";
+
+// Drawn fib tools of one symbol/timeframe: ratios, colors and per-line alerts.
+// Tools are drawn on the chart ("Draw…"); this panel edits and deletes them.
+export default function FibToolsPanel({ tools, serverArmed, useHaRsi, onChange }) {
+  const [ratioDraft, setRatioDraft] = useState({}); // tool id -> text
+  const [error, setError] = useState({}); // tool id -> message
+
+  if (!tools || !tools.length) {
+    return <div className="text-slate-500 text-xs">No drawn tools. Use "Draw…" on the chart to add one.</div>;
+  }
+
+  const updateTool = (id, fn) => onChange(tools.map((t) => (t.id === id ? fn(t) : t)));
+  const updateLine = (toolId, lineId, patch) =>
+    updateTool(toolId, (t) => ({ ...t, lines: t.lines.map((ln) => (ln.id === lineId ? { ...ln, ...patch } : ln)) }));
+
+  function commitRatios(tool) {
+    const text = ratioDraft[tool.id];
+    if (text == null) return;
+    const ratios = parseRatios(text);
+    if (!ratios) {
+      setError((p) => ({ ...p, [tool.id]: "Ratios must be numbers" }));
+      return;
+    }
+    updateTool(tool.id, (t) => setToolRatios(t, ratios));
+    setRatioDraft((p) => ({ ...p, [tool.id]: undefined }));
+    setError((p) => ({ ...p, [tool.id]: null }));
+  }
+
+  return (
+    <div className="space-y-2">
+      {tools.map((tool) => (
+        <div key={tool.id} className="rounded-md border border-slate-800 bg-slate-900 px-2 py-2 space-y-2">
+          <div className="flex flex-wrap items-center gap-2">
+            <span className="text-slate-200 text-sm">{TOOL_TYPES[tool.type].label}</span>
+            <span className="text-slate-500 text-xs">
+              from {new Date(tool.points[0].time * 1000).toLocaleString()}
+            </span>
+            <input
+              type="color"
+              value={tool.color}
+              onChange={(e) => updateTool(tool.id, (t) => ({
+                ...t,
+                color: e.target.value,
+                lines: t.lines.map((ln) => ({ ...ln, color: e.target.value })),
+              }))}
+              className="h-7 w-7 rounded border border-slate-700 bg-slate-800 p-0"
+              title="Color of every line of this tool"
+            />
+            <input
+              type="text"
+              value={ratioDraft[tool.id] ?? tool.lines.map((ln) => ln.ratio).join(", ")}
+              onChange={(e) => setRatioDraft((p) => ({ ...p, [tool.id]: e.target.value }))}
+              onBlur={() => commitRatios(tool)}
+              onKeyDown={(e) => e.key === "Enter" && commitRatios(tool)}
+              className="flex-1 min-w-[12rem] bg-slate-800 border border-slate-700 rounded px-2 py-1 text-slate-200 text-sm"
+              title={tool.type === "timezones" ? "Bar multiples of the first interval" : "Ratios of the trend leg"}
+            />
+            <button onClick={() => onChange(tools.filter((t) => t.id !== tool.id))} className={btn}>
+              Delete
+            </button>
+            {error[tool.id] && <span className="text-rose-300 text-xs">{error[tool.id]}</span>}
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-3 gap-2">
+            {tool.lines.map((ln) => (
+              <div key={ln.id} className="rounded border border-slate-800 px-2 py-1 space-y-1">
+                <div className="flex items-center gap-2">
+                  <input
+                    type="checkbox"
+                    className="accent-sky-500"
+                    checked={!!ln.enabled}
+                    onChange={(e) => updateLine(tool.id, ln.id, { enabled: e.target.checked })}
+                    title="Enable/disable line"
+                  />
+                  <div className="w-12 text-right text-slate-300 text-sm">{ln.ratio}</div>
+                  <input
+                    type="color"
+                    value={ln.color || tool.color}
+                    onChange={(e) => updateLine(tool.id, ln.id, { color: e.target.value })}
+                    className="h-6 w-6 rounded border border-slate-700 bg-slate-800 p-0"
+                    title="Line color"
+                  />
+                  <label className="ml-1 text-xs text-slate-400">Alert</label>
+                  <input
+                    type="checkbox"
+                    className="accent-emerald-500"
+                    checked={!!ln.alertEnabled}
+                    onChange={(e) => updateLine(tool.id, ln.id, { alertEnabled: e.target.checked, armed: true })}
+                    title={tool.type === "timezones" ? "Alert when a bar opens on this zone" : "Alert when price crosses this line"}
+                  />
+                  {!Array.isArray(ln.conditions) && (
+                    <>
+                      <select
+                        value={ln.rsiOp || ">="}
+                        onChange={(e) => updateLine(tool.id, ln.id, { rsiOp: e.target.value })}
+                        className="bg-slate-800 border border-slate-700 rounded text-slate-200 text-xs px-1 py-1"
+                        title="RSI operator"
+                      >
+                        <option>{">="}</option>
+                        <option>{"<="}</option>
+                      </select>
+                      <input
+                        type="number"
+                        step="0.1"
+                        value={ln.rsiThreshold}
+                        onChange={(e) => updateLine(tool.id, ln.id, { rsiThreshold: Number(e.target.value) })}
+                        className="w-16 bg-slate-800 border border-slate-700 rounded px-2 py-1 text-slate-200 text-sm"
+                        title="RSI threshold"
+                      />
+                    </>
+                  )}
+                  {serverArmed && serverArmed.has(ln.id) && (
+                    <span
+                      className="px-1 rounded bg-emerald-600/20 border border-emerald-600/40 text-emerald-300 text-[10px]"
+                      title="Armed on the relay's alert engine"
+                    >
+                      SRV
+                    </span>
+                  )}
+                </div>
+                <ConditionsEditor ln={ln} useHaRsi={useHaRsi} onChange={(patch) => updateLine(tool.id, ln.id, patch)} />
+                <FirePolicyControls ln={ln} onChange={(patch) => updateLine(tool.id, ln.id, patch)} />
+              </div>
+            ))}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
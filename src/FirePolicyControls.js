@@ -0,0 +1,86 @@
+import React from "react";
+import { FIRE_POLICIES, DEFAULT_FIRE_POLICY } from "./alertLogic";
+
+// Per-line firing policy controls + last fired / fire count
+export default function FirePolicyControls({ ln, onChange }) {
+  const policy = ln.firePolicy || DEFAULT_FIRE_POLICY.firePolicy;
+  const numInput = "w-14 bg-slate-800 border border-slate-700 rounded px-1 py-[2px] text-slate-200 text-xs";
+  return (
+    <div className="flex flex-wrap items-center gap-2 text-xs text-slate-400">
+      <select
+        value={policy}
+        onChange={(e) => onChange({ firePolicy: e.target.value, armed: true })}
+        className="bg-slate-800 border border-slate-700 rounded text-slate-200 text-xs px-1 py-[2px]"
+        title="Firing policy"
+      >
+        {FIRE_POLICIES.map((p) => (
+          <option key={p.id} value={p.id}>{p.label}</option>
+        ))}
+      </select>
+
+      {policy === "rearm" && (
+        <>
+          <span>back</span>
+          <input
+            type="number"
+            step="0.05"
+            min={0}
+            value={ln.rearmPct ?? 0}
+            onChange={(e) => onChange({ rearmPct: Number(e.target.value) })}
+            className={numInput}
+            title="Re-arm after price moves back by this % from the line"
+          />
+          <span>% or</span>
+          <input
+            type="number"
+            step="1"
+            min={0}
+            value={ln.rearmTicks ?? 0}
+            onChange={(e) => onChange({ rearmTicks: Number(e.target.value) })}
+            className={numInput}
+            title="...or by this many ticks"
+          />
+          <span>ticks</span>
+          {ln.armed === false && <span className="text-amber-300">waiting</span>}
+        </>
+      )}
+
+      {policy === "cooldown" && (
+        <>
+          <input
+            type="number"
+            step="1"
+            min={0}
+            value={ln.cooldownMin ?? 0}
+            onChange={(e) => onChange({ cooldownMin: Number(e.target.value) })}
+            className={numInput}
+            title="Minimum minutes between alerts"
+          />
+          <span>min</span>
+        </>
+      )}
+
+      <label className="ml-1">On close</label>
+      <input
+        type="checkbox"
+        className="accent-sky-500"
+        checked={!!ln.confirmOnClose}
+        onChange={(e) => onChange({ confirmOnClose: e.target.checked })}
+        title="Confirm on bar close: evaluate cross + RSI only on finalized bars (off = intrabar, for fast scalps)"
+      />
+
+      <label className="ml-1">One-shot</label>
+      <input
+        type="checkbox"
+        className="accent-amber-500"
+        checked={!!ln.oneShot}
+        onChange={(e) => onChange({ oneShot: e.target.checked })}
+        title="Turn the alert off after it fires once"
+      />
+
+      <span className="ml-auto" title="Last fired / fire count">
+        {ln.lastFiredAt ? new Date(ln.lastFiredAt).toLocaleString() : "never"} · {ln.fireCount || 0}×
+      </span>
+    </div>
+  );
+}
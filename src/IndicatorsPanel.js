@@ -0,0 +1,149 @@
+import React, { useState } from "react";
+import { INDICATORS, INDICATOR_TYPES, newIndicator, indicatorLabel } from "./indicatorRegistry";
+
+const btn = "px-3 py-1 text-sm rounded-md border border-slate-700 bg-slate-800 hover:bg-slate-700 text-slate-200";
+
+// A symbol's price overlays: add any number of registry indicators, tune
+// their parameters and style, remove them again. New ones take defaults
+// suited to `timeframe` (the VWAP session).
+export default function IndicatorsPanel({ indicators, timeframe, onChange }) {
+  const [addType, setAddType] = useState("ema");
+  const list = indicators || [];
+  const update = (id, patch) => onChange(list.map((ind) => (ind.id === id ? { ...ind, ...patch } : ind)));
+
+  return (
+    <div className="space-y-2">
+      {list.map((ind) => (
+        <IndicatorControls
+          key={ind.id}
+          ind={ind}
+          onChange={(patch) => update(ind.id, patch)}
+          onRemove={() => onChange(list.filter((x) => x.id !== ind.id))}
+        />
+      ))}
+      <div className="flex items-center gap-2">
+        <span className="text-slate-300 text-sm">Add overlay:</span>
+        <select
+          value={addType}
+          onChange={(e) => setAddType(e.target.value)}
+          className="bg-slate-800 border border-slate-700 rounded text-slate-200 text-sm px-2 py-1"
+        >
+          {INDICATOR_TYPES.map((t) => (
+            <option key={t} value={t}>{INDICATORS[t].label}</option>
+          ))}
+        </select>
+        <button onClick={() => onChange([...list, newIndicator(addType, {}, timeframe)])} className={btn}>
+          Add
+        </button>
+      </div>
+    </div>
+  );
+}
+
+// One overlay instance: parameters, show, color, opacity, smoothing
+function IndicatorControls({ ind, onChange, onRemove }) {
+  const { show = false, color = "#ffffff", opacity = 0.5, smooth = 1 } = ind;
+  const label = indicatorLabel(ind);
+  return (
+    <div className="rounded-md border border-slate-800 bg-slate-900/80 p-3 flex flex-wrap items-center gap-3">
+      <div className="min-w-[7rem] text-slate-200 font-medium">{label}</div>
+      {INDICATORS[ind.type].params.map((p) => (
+        <label key={p.key} className="flex items-center gap-1 text-sm text-slate-300">
+          {p.label}
+          <ParamInput p={p} value={ind.params[p.key]} onChange={(v) => onChange({ params: { ...ind.params, [p.key]: v } })} />
+        </label>
+      ))}
+      <label className="text-sm text-slate-300">Show</label>
+      <input
+        type="checkbox"
+        className="accent-sky-500"
+        checked={!!show}
+        onChange={(e) => onChange({ show: e.target.checked })}
+        title={`Show ${label}`}
+      />
+      <div className="text-slate-300 text-sm">Color</div>
+      <input
+        type="color"
+        value={color}
+        onChange={(e) => onChange({ color: e.target.value })}
+        className="h-7 w-7 rounded border border-slate-700 bg-slate-800 p-0"
+        title={`${label} color`}
+      />
+      <div className="text-slate-300 text-sm">Opacity</div>
+      <input
+        type="range"
+        min={0.1}
+        max={1}
+        step={0.05}
+        value={opacity ?? 0.5}
+        onChange={(e) => onChange({ opacity: Number(e.target.value) })}
+        className="w-40"
+        title={`${label} opacity`}
+      />
+      <div className="text-slate-300 text-sm">Smooth</div>
+      <select
+        value={smooth ?? 1}
+        onChange={(e) => onChange({ smooth: Number(e.target.value) })}
+        className="bg-slate-800 border border-slate-700 rounded text-slate-200 text-sm px-2 py-1"
+        title={`${label} smoothing window (SMA)`}
+      >
+        <option value={1}>Off</option>
+        <option value={3}>3</option>
+        <option value={5}>5</option>
+        <option value={9}>9</option>
+      </select>
+      <button onClick={onRemove} className="ml-auto px-1 text-slate-500 hover:text-rose-300 text-sm" title={`Remove ${label}`}>
+        ×
+      </button>
+    </div>
+  );
+}
+
+// unix sec <-> datetime-local text (browser time)
+const toLocalInput = (t) => (t == null ? "" : new Date(t * 1000 - new Date(t * 1000).getTimezoneOffset() * 60000).toISOString().slice(0, 16));
+
+// One registry parameter: a select (`options`), a date (`kind: "time"`) or a number
+function ParamInput({ p, value, onChange }) {
+  const cls = "bg-slate-800 border border-slate-700 rounded px-2 py-1 text-slate-200 text-sm";
+  if (p.options) {
+    return (
+      <select
+        value={value}
+        onChange={(e) => onChange(typeof p.default === "number" ? Number(e.target.value) : e.target.value)}
+        className={cls}
+      >
+        {p.options.map(([v, label]) => (
+          <option key={v} value={v}>{label}</option>
+        ))}
+      </select>
+    );
+  }
+  if (p.kind === "time") {
+    return (
+      <input
+        type="datetime-local"
+        value={toLocalInput(value)}
+        onChange={(e) => {
+          const t = Math.floor(Date.parse(e.target.value) / 1000);
+          if (Number.isFinite(t)) onChange(t);
+        }}
+        className={cls}
+        title="Right-click a bar on the chart to anchor there"
+      />
+    );
+  }
+  return (
+    <input
+      type="number"
+      min={p.min}
+      step={p.step || 1}
+      value={value}
+      onChange={(e) => {
+        const v = Number(e.target.value);
+        if (!Number.isFinite(v) || v < p.min) return;
+        onChange(p.step ? v : Math.round(v));
+      }}
+      className={`w-16 ${cls}`}
+    />
+  );
+}
@@ -0,0 +1,88 @@
+import React, { useRef, useState } from "react";
+
+const btn = "px-2 py-1 text-xs rounded-md border border-slate-700 bg-slate-800 hover:bg-slate-700 text-slate-200";
+
+// Top-bar profile selector with create / duplicate / rename / delete.
+// Name entry is inline; `mode` says what the entered name is for.
+export default function ProfileMenu({ names, active, onSwitch, onCreate, onDuplicate, onRename, onDelete }) {
+  const [mode, setMode] = useState(null); // "new" | "duplicate" | "rename" | null
+  const [error, setError] = useState(null);
+  const inputRef = useRef(null);
+
+  function start(m) {
+    setMode(m);
+    setError(null);
+    setTimeout(() => {
+      if (!inputRef.current) return;
+      inputRef.current.value = m === "rename" ? active : m === "duplicate" ? `${active} copy` : "";
+      inputRef.current.select();
+    }, 0);
+  }
+
+  function commit() {
+    const name = (inputRef.current?.value || "").trim();
+    if (!name) return setError("Enter a name");
+    if (names.includes(name) && !(mode === "rename" && name === active)) return setError(`"${name}" already exists`);
+    if (mode === "new") onCreate(name);
+    else if (mode === "duplicate") onDuplicate(name);
+    else if (mode === "rename" && name !== active) onRename(active, name);
+    setMode(null);
+    setError(null);
+  }
+
+  if (mode) {
+    return (
+      <div className="flex items-center gap-1">
+        <input
+          ref={inputRef}
+          type="text"
+          placeholder="Profile name"
+          onKeyDown={(e) => {
+            if (e.key === "Enter") commit();
+            if (e.key === "Escape") setMode(null);
+          }}
+          className="w-36 bg-slate-800 border border-slate-700 rounded px-2 py-1 text-slate-200 text-sm"
+        />
+        <button onClick={commit} className={btn}>
+          {mode === "rename" ? "Rename" : "Create"}
+        </button>
+        <button onClick={() => setMode(null)} className={btn}>
+          Cancel
+        </button>
+        {error && <span className="text-rose-300 text-xs">{error}</span>}
+      </div>
+    );
+  }
+
+  return (
+    <div className="flex items-center gap-1">
+      <select
+        value={active}
+        onChange={(e) => onSwitch(e.target.value)}
+        className="bg-slate-800 border border-slate-700 rounded text-slate-200 text-sm px-2 py-1"
+        title="Profile: symbols, fib lines, overlays, timeframe and toggles"
+      >
+        {names.map((n) => (
+          <option key={n} value={n}>{n}</option>
+        ))}
+      </select>
+      <button onClick={() => start("new")} className={btn} title="New profile with default settings">
+        New
+      </button>
+      <button onClick={() => start("duplicate")} className={btn} title="New profile copied from this one">
+        Duplicate
+      </button>
+      <button onClick={() => start("rename")} className={btn}>
+        Rename
+      </button>
+      <button
+        onClick={() => window.confirm(`Delete profile "${active}"?`) && onDelete(active)}
+        disabled={names.length < 2}
+        className={`${btn} disabled:opacity-40`}
+        title={names.length < 2 ? "The last profile can't be deleted" : "Delete this profile"}
+      >
+        Delete
+      </button>
+    </div>
+  );
+}
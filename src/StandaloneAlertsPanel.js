@@ -0,0 +1,167 @@
+import React, { useState } from "react";
+import FirePolicyControls from "./FirePolicyControls";
+import ConditionsEditor from "./ConditionsEditor";
+import { ALERT_KINDS, newStandaloneAlert, crossableIndicators, standaloneLabel } from "./standaloneAlerts";
+import { indicatorLabel } from "./indicatorRegistry";
+
+const btn = "px-2 py-1 text-xs rounded-md border border-slate-700 bg-slate-800 hover:bg-slate-700 text-slate-200";
+const field = "bg-slate-800 border border-slate-700 rounded text-slate-200 text-xs px-1 py-1";
+const numInput = "w-16 bg-slate-800 border border-slate-700 rounded px-2 py-1 text-slate-200 text-xs";
+
+// A symbol's alerts that don't depend on fibs (price level, VWAP/EMA cross,
+// EMA golden/death cross, RSI zone). Also created from the chart's right-click menu.
+export default function StandaloneAlertsPanel({ symbol, alerts, indicators, timeframes, timeframe, useHaRsi, onChange }) {
+  const [addKind, setAddKind] = useState("price");
+  const list = alerts || [];
+  const update = (id, patch) => onChange(list.map((a) => (a.id === id ? { ...a, ...patch } : a)));
+
+  return (
+    <div className="space-y-2">
+      {!list.length && (
+        <div className="text-slate-500 text-xs">No standalone alerts. Right-click the chart or add one here.</div>
+      )}
+      {list.map((a) => (
+        <div key={a.id} className="rounded-md border border-slate-800 bg-slate-900 px-2 py-2 space-y-1">
+          <div className="flex flex-wrap items-center gap-2">
+            <input
+              type="checkbox"
+              className="accent-sky-500"
+              checked={!!a.enabled}
+              onChange={(e) => update(a.id, { enabled: e.target.checked })}
+              title="Show and evaluate this alert"
+            />
+            <span className="min-w-[9rem] text-slate-200 text-sm">{standaloneLabel(a, indicators)}</span>
+            <select
+              value={a.timeframe}
+              onChange={(e) => update(a.id, { timeframe: e.target.value })}
+              className={field}
+              title="Timeframe whose bars the alert watches"
+            >
+              {[...new Set([...timeframes, a.timeframe])].map((tf) => (
+                <option key={tf} value={tf}>{tf}</option>
+              ))}
+            </select>
+            <KindParams a={a} indicators={indicators} onChange={(patch) => update(a.id, patch)} />
+            <input
+              type="color"
+              value={a.color}
+              onChange={(e) => update(a.id, { color: e.target.value })}
+              className="h-6 w-6 rounded border border-slate-700 bg-slate-800 p-0"
+              title="Color on the chart"
+            />
+            <label className="ml-1 text-xs text-slate-400">Alert</label>
+            <input
+              type="checkbox"
+              className="accent-emerald-500"
+              checked={!!a.alertEnabled}
+              onChange={(e) => update(a.id, { alertEnabled: e.target.checked, armed: true })}
+              title="Deliver this alert"
+            />
+            <button
+              onClick={() => onChange(list.filter((x) => x.id !== a.id))}
+              className="ml-auto px-1 text-slate-500 hover:text-rose-300 text-sm"
+              title="Remove alert"
+            >
+              ×
+            </button>
+          </div>
+          <ConditionsEditor ln={a} useHaRsi={useHaRsi} onChange={(patch) => update(a.id, patch)} />
+          <FirePolicyControls ln={a} onChange={(patch) => update(a.id, patch)} />
+        </div>
+      ))}
+      <div className="flex items-center gap-2">
+        <select value={addKind} onChange={(e) => setAddKind(e.target.value)} className={field}>
+          {Object.entries(ALERT_KINDS).map(([k, def]) => (
+            <option key={k} value={k}>{def.label}</option>
+          ))}
+        </select>
+        <button onClick={() => onChange([...list, newStandaloneAlert(symbol, addKind, timeframe)])} className={btn}>
+          Add alert ({timeframe})
+        </button>
+      </div>
+    </div>
+  );
+}
+
+// Parameters of one alert kind
+function KindParams({ a, indicators, onChange }) {
+  const num = (key, title, { min = 1, max, step } = {}) => (
+    <input
+      type="number"
+      min={min}
+      max={max}
+      step={step || 1}
+      value={a[key] ?? ""}
+      onChange={(e) => {
+        if (e.target.value === "") {
+          if (key === "price") onChange({ price: null });
+          return;
+        }
+        const v = Number(e.target.value);
+        if (!Number.isFinite(v) || v < min || (max != null && v > max)) return;
+        onChange({ [key]: step ? v : Math.round(v) });
+      }}
+      className={numInput}
+      title={title}
+    />
+  );
+  const dir = (labels) => (
+    <select value={a.dir || "both"} onChange={(e) => onChange({ dir: e.target.value, armed: true })} className={field}>
+      <option value="both">{labels[0]}</option>
+      <option value="up">{labels[1]}</option>
+      <option value="down">{labels[2]}</option>
+    </select>
+  );
+
+  if (a.kind === "price") {
+    return (
+      <>
+        {num("price", "Price level", { min: 0, step: "any" })}
+        {dir(["either way", "up only", "down only"])}
+      </>
+    );
+  }
+  if (a.kind === "indicator") {
+    const options = crossableIndicators(indicators);
+    return (
+      <>
+        <select value={a.indicatorId} onChange={(e) => onChange({ indicatorId: e.target.value })} className={field}>
+          {!options.some((ind) => ind.id === a.indicatorId) && <option value={a.indicatorId}>(overlay hidden or removed)</option>}
+          {options.map((ind) => (
+            <option key={ind.id} value={ind.id}>{indicatorLabel(ind)}</option>
+          ))}
+        </select>
+        {dir(["either way", "up only", "down only"])}
+      </>
+    );
+  }
+  if (a.kind === "emaCross") {
+    return (
+      <>
+        {num("fast", "Fast EMA period")}
+        <span className="text-xs text-slate-400">/</span>
+        {num("slow", "Slow EMA period", { min: 2 })}
+        {dir(["golden or death", "golden", "death"])}
+      </>
+    );
+  }
+  if (a.kind === "rsiZone") {
+    return (
+      <>
+        <select value={a.source} onChange={(e) => onChange({ source: e.target.value })} className={field}>
+          <option value="std">RSI</option>
+          <option value="ha">HA-RSI</option>
+        </select>
+        <select value={a.event} onChange={(e) => onChange({ event: e.target.value, armed: true })} className={field}>
+          <option value="enter">enters</option>
+          <option value="leave">leaves</option>
+          <option value="both">enters/leaves</option>
+        </select>
+        {num("min", "Zone low", { min: 0, max: 100, step: 0.1 })}
+        <span className="text-xs text-slate-400">-</span>
+        {num("max", "Zone high", { min: 0, max: 100, step: 0.1 })}
+      </>
+    );
+  }
+  return null;
+}
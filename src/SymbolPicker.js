@@ -0,0 +1,120 @@
+import React, { useEffect, useState } from "react";
+import { getProvider } from "./providers";
+import { loadSymbols, searchSymbols, resolveSymbol } from "./symbolCatalog";
+
+const btn = "px-3 py-1 rounded-md border border-slate-700 bg-slate-800 hover:bg-slate-700 text-slate-200 text-sm";
+
+// "Add symbol" input with suggestions from the provider's symbol list.
+// Only listed symbols are added; without a list (exchange unreachable, file
+// provider without index.json) the symbol has to return klines instead.
+export default function SymbolPicker({ provider, symbols, onAdd }) {
+  const [text, setText] = useState("");
+  const [catalog, setCatalog] = useState([]);
+  const [open, setOpen] = useState(false);
+  const [active, setActive] = useState(0);
+  const [error, setError] = useState("");
+  const [checking, setChecking] = useState(false);
+
+  useEffect(() => {
+    let live = true;
+    setCatalog([]);
+    loadSymbols(provider).then((list) => live && setCatalog(list));
+    return () => { live = false; };
+  }, [provider]);
+
+  const matches = open ? searchSymbols(catalog, text) : [];
+  const label = getProvider(provider).label;
+
+  async function add(picked) {
+    const raw = (picked || text).trim();
+    if (!raw) return;
+    setOpen(false);
+    let sym = resolveSymbol(catalog, raw);
+    if (!sym && catalog.length) {
+      setError(`${raw.toUpperCase()} is not listed on ${label}`);
+      return;
+    }
+    if (!sym) {
+      sym = raw.toUpperCase();
+      setChecking(true);
+      try {
+        const bars = await getProvider(provider).fetchKlines(sym, "1d", { limit: 2 });
+        if (!bars.length) throw new Error("no klines");
+      } catch {
+        setError(`${label} has no data for ${sym}`);
+        return;
+      } finally {
+        setChecking(false);
+      }
+    }
+    if (symbols.includes(sym)) {
+      setError(`${sym} is already on the dashboard`);
+      return;
+    }
+    onAdd(sym);
+    setText("");
+    setOpen(false);
+    setError("");
+  }
+
+  function onKeyDown(e) {
+    if (e.key === "ArrowDown" && matches.length) {
+      e.preventDefault();
+      setActive((i) => (i + 1) % matches.length);
+    } else if (e.key === "ArrowUp" && matches.length) {
+      e.preventDefault();
+      setActive((i) => (i - 1 + matches.length) % matches.length);
+    } else if (e.key === "Enter") {
+      add(matches[active] ? matches[active].symbol : null);
+    } else if (e.key === "Escape") {
+      setOpen(false);
+    }
+  }
+
+  return (
+    <div className="relative flex items-center gap-2">
+      <input
+        type="text"
+        value={text}
+        placeholder={`Add symbol (e.g. ${getProvider(provider).symbolHint})`}
+        className={`w-44 bg-slate-800 border rounded px-2 py-1 text-slate-200 text-sm ${error ? "border-rose-600" : "border-slate-700"}`}
+        onChange={(e) => {
+          setText(e.target.value);
+          setOpen(true);
+          setActive(0);
+          setError("");
+        }}
+        onFocus={() => setOpen(true)}
+        onBlur={() => setOpen(false)}
+        onKeyDown={onKeyDown}
+        title={catalog.length ? `${catalog.length} ${label} symbols; search by base or quote asset` : `${label} symbol list unavailable`}
+      />
+      <button onClick={() => add()} disabled={checking} className={btn}>
+        {checking ? "Checking…" : "Add"}
+      </button>
+      {matches.length > 0 && (
+        <div className="absolute left-0 top-full z-50 mt-1 w-56 rounded-md border border-slate-700 bg-slate-900 py-1 text-sm shadow-lg">
+          {matches.map((m, i) => (
+            <button
+              key={m.symbol}
+              // mousedown, so the input's blur doesn't close the list first
+              onMouseDown={(e) => {
+                e.preventDefault();
+                add(m.symbol);
+              }}
+              onMouseEnter={() => setActive(i)}
+              className={`flex w-full items-center justify-between px-3 py-1 text-left ${i === active ? "bg-slate-800" : ""}`}
+            >
+              <span className="text-slate-200">{m.symbol}</span>
+              <span className="text-xs text-slate-500">
+                {m.base}/{m.quote}
+                {symbols.includes(m.symbol) ? " · added" : ""}
+              </span>
+            </button>
+          ))}
+        </div>
+      )}
+      {error && <div className="absolute left-0 top-full z-40 mt-1 whitespace-nowrap text-xs text-rose-300">{error}</div>}
+    </div>
+  );
+}
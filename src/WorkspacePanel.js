@@ -0,0 +1,150 @@
+import React, { useEffect, useRef, useState } from "react";
+import { validateWorkspace, diffWorkspace, encodeWorkspaceLink } from "./workspace";
+
+const btn = "px-3 py-1 text-sm rounded-md border border-slate-700 bg-slate-800 hover:bg-slate-700 text-slate-200";
+
+const KIND_CLASS = {
+  add: "text-emerald-300",
+  remove: "text-rose-300",
+  change: "text-amber-300",
+};
+
+// Export / import the workspace as a JSON file or a share link.
+// `current` is buildWorkspace() of the live state; `incoming` is a raw object
+// to review (e.g. decoded from a #ws= link); onApply(workspace, "merge" | "replace").
+export default function WorkspacePanel({ current, incoming, onApply, onDismissIncoming }) {
+  const [pending, setPending] = useState(null); // { workspace, source }
+  const [errors, setErrors] = useState([]);
+  const [link, setLink] = useState("");
+  const [copied, setCopied] = useState(false);
+  const fileRef = useRef(null);
+
+  function review(obj, source) {
+    const { workspace, errors: errs } = validateWorkspace(obj);
+    setErrors(errs);
+    setPending(workspace ? { workspace, source } : null);
+  }
+
+  useEffect(() => {
+    if (incoming) review(incoming, "link");
+  }, [incoming]);
+
+  function exportFile() {
+    const blob = new Blob([JSON.stringify(current, null, 2)], { type: "application/json" });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = `fibdash-workspace-${current.exportedAt.slice(0, 10)}.json`;
+    a.click();
+    URL.revokeObjectURL(url);
+  }
+
+  async function importFile(e) {
+    const f = e.target.files && e.target.files[0];
+    e.target.value = "";
+    if (!f) return;
+    try {
+      review(JSON.parse(await f.text()), f.name);
+    } catch (err) {
+      setPending(null);
+      setErrors([`${f.name}: not valid JSON (${err.message})`]);
+    }
+  }
+
+  async function copyLink() {
+    try {
+      const token = await encodeWorkspaceLink(current);
+      const url = `${window.location.origin}${window.location.pathname}#ws=${token}`;
+      setLink(url);
+      try {
+        await navigator.clipboard.writeText(url);
+        setCopied(true);
+        setTimeout(() => setCopied(false), 1500);
+      } catch {}
+    } catch (err) {
+      setErrors([`Could not build the link: ${err.message}`]);
+    }
+  }
+
+  function finish(mode) {
+    if (mode) onApply(pending.workspace, mode);
+    if (pending && pending.source === "link" && typeof onDismissIncoming === "function") onDismissIncoming();
+    setPending(null);
+    setErrors([]);
+  }
+
+  const diff = pending ? diffWorkspace(current, pending.workspace) : [];
+
+  return (
+    <div className="rounded-md border border-slate-800 bg-slate-900/80 p-3 space-y-3">
+      <div className="flex flex-wrap items-center gap-2">
+        <div className="min-w-[5rem] text-slate-200 font-medium">Workspace</div>
+        <button onClick={exportFile} className={btn} title="Download symbols, fib sets, overlays and toggles as JSON">
+          Export file
+        </button>
+        <button onClick={() => fileRef.current && fileRef.current.click()} className={btn}>
+          Import file…
+        </button>
+        <input ref={fileRef} type="file" accept=".json,application/json" className="hidden" onChange={importFile} />
+        <button onClick={copyLink} className={btn} title="Link that opens this exact fib setup">
+          {copied ? "Copied" : "Copy share link"}
+        </button>
+        {link && (
+          <input
+            readOnly
+            value={link}
+            onFocus={(e) => e.target.select()}
+            className="flex-1 min-w-[12rem] bg-slate-800 border border-slate-700 rounded px-2 py-1 text-slate-400 text-xs"
+          />
+        )}
+      </div>
+
+      {errors.length > 0 && (
+        <ul className="text-rose-300 text-sm list-disc pl-5">
+          {errors.map((e, i) => <li key={i}>{e}</li>)}
+        </ul>
+      )}
+
+      {pending && (
+        <div className="rounded border border-slate-800 bg-slate-900 p-2 space-y-2">
+          <div className="text-slate-300 text-sm">
+            Import from {pending.source === "link" ? "shared link" : pending.source}
+            {pending.workspace.exportedAt && (
+              <span className="text-slate-500"> · exported {new Date(pending.workspace.exportedAt).toLocaleString()}</span>
+            )}
+          </div>
+          {diff.length ? (
+            <ul className="text-xs space-y-0.5 max-h-48 overflow-auto">
+              {diff.map((d, i) => (
+                <li key={i} className={KIND_CLASS[d.kind]}>
+                  {d.kind === "add" ? "+" : d.kind === "remove" ? "−" : "~"} {d.text}
+                </li>
+              ))}
+            </ul>
+          ) : (
+            <div className="text-slate-500 text-xs">Same as the current workspace</div>
+          )}
+          <div className="flex items-center gap-2">
+            <button
+              onClick={() => finish("merge")}
+              className="px-3 py-1 text-sm rounded-md border border-sky-600 bg-sky-700/40 hover:bg-sky-700/60 text-sky-100"
+              title="Add the import's symbols and sets; keep everything else"
+            >
+              Merge
+            </button>
+            <button
+              onClick={() => finish("replace")}
+              className="px-3 py-1 text-sm rounded-md border border-red-700 bg-red-900/30 hover:bg-red-900/40 text-red-200"
+              title="Replace the whole workspace with the import"
+            >
+              Replace
+            </button>
+            <button onClick={() => finish(null)} className={btn}>
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,118 @@
+// Fib-line alert rule, shared by the live alerts effect and the backtest:
+// price crosses the line between the previous and current close AND
+// RSI satisfies the line's rsiOp / rsiThreshold, or, for lines built in
+// the rule builder, the line's AND/OR condition list (see conditions.js).
+import { conditionsMet, ruleSummary } from "./conditions";
+
+// "up" | "down" when the close moved across the line, else null
+export function crossDirection(linePrice, prevClose, price) {
+  if (linePrice == null || prevClose == null || price == null) return null;
+  const wasBelow = prevClose < linePrice;
+  const isBelow = price < linePrice;
+  if (wasBelow === isBelow) return null;
+  return wasBelow ? "up" : "down";
+}
+
+export function rsiConditionMet(ln, rsiVal) {
+  if (rsiVal == null || !Number.isFinite(ln.rsiThreshold)) return false;
+  const op = ln.rsiOp || ">=";
+  return op === ">=" ? rsiVal >= ln.rsiThreshold : rsiVal <= ln.rsiThreshold;
+}
+
+// Filter a cross in `direction` must pass: the condition list when the line
+// has one, else the single RSI check. ctx as for conditionsMet (bars, index, rsiPeriod, cache).
+export function alertConditionsMet(ln, rsiVal, ctx, direction) {
+  if (Array.isArray(ln.conditions)) return conditionsMet(ln, { ...ctx, direction });
+  return rsiConditionMet(ln, rsiVal);
+}
+
+// Direction of the firing cross, or null when the line does not fire
+export function lineAlertFires(ln, prevClose, price, rsiVal, ctx = {}) {
+  if (!ln.enabled || ln.price == null || !ln.alertEnabled) return null;
+  const direction = crossDirection(ln.price, prevClose, price);
+  if (!direction || !alertConditionsMet(ln, rsiVal, ctx, direction)) return null;
+  return direction;
+}
+
+// " | RSI 0-30 AND HA green" for rule-builder lines
+export function ruleSuffix(ln) {
+  const rule = ruleSummary(ln);
+  return rule ? ` | ${rule}` : "";
+}
+
+export function alertMessage(symbol, timeframe, ln, rsiVal, useHaRsi) {
+  return `${symbol} ${timeframe} crossed ${Number(ln.ratio)} at ${ln.price.toFixed(6)} | RSI ${useHaRsi ? "(HA)" : ""}=${(rsiVal || 0).toFixed(1)}${ruleSuffix(ln)}`;
+}
+
+// ---------- Firing policies ----------
+// bar:      at most once per bar
+// rearm:    once, then silent until price moves back across by rearmPct % or rearmTicks ticks
+// cooldown: at most once every cooldownMin minutes
+// oneShot (any policy): alertEnabled is switched off after the first fire
+// confirmOnClose: only evaluate on finalized bars (closed kline), not intrabar ticks
+export const FIRE_POLICIES = [
+  { id: "bar", label: "Once per bar" },
+  { id: "rearm", label: "Until re-armed" },
+  { id: "cooldown", label: "Cooldown" },
+];
+
+export const DEFAULT_FIRE_POLICY = {
+  firePolicy: "bar",
+  rearmPct: 0.2,
+  rearmTicks: 0,
+  cooldownMin: 15,
+  oneShot: false,
+  confirmOnClose: false,
+};
+
+// Smallest price increment seen in the data (decimals of recent closes)
+export function inferTickSize(bars) {
+  let dec = 0;
+  for (const b of (bars || []).slice(-50)) {
+    const s = String(b.close);
+    const i = s.indexOf(".");
+    if (i >= 0) dec = Math.max(dec, s.length - i - 1);
+  }
+  return Math.pow(10, -Math.min(dec, 10));
+}
+
+// `steps` ticks away from price, rounded to the tick grid so repeated nudges don't drift
+export function nudgePrice(price, tickSize, steps) {
+  const decimals = Math.max(0, Math.round(-Math.log10(tickSize)));
+  return Number((price + steps * tickSize).toFixed(decimals));
+}
+
+// Whether the policy lets a line fire now (state lives on the line)
+export function policyAllows(ln, { barTime, now }) {
+  const policy = ln.firePolicy || DEFAULT_FIRE_POLICY.firePolicy;
+  if (policy === "bar") return ln.lastFiredBar !== barTime;
+  if (policy === "rearm") return ln.armed !== false;
+  if (policy === "cooldown") {
+    const ms = Math.max(0, Number(ln.cooldownMin) || 0) * 60000;
+    return !ln.lastFiredAt || now - ln.lastFiredAt >= ms;
+  }
+  return true;
+}
+
+// For "rearm" lines that already fired: has price moved back far enough?
+export function rearmReached(ln, price, tickSize) {
+  if (ln.armed !== false || ln.price == null || price == null) return false;
+  const byPct = Math.abs(ln.price) * (Math.max(0, Number(ln.rearmPct) || 0) / 100);
+  const byTicks = Math.max(0, Number(ln.rearmTicks) || 0) * (tickSize || 0);
+  const dist = Math.max(byPct, byTicks);
+  // Fired on an up-cross -> must drop back below; down-cross -> rise back above
+  return ln.firedDir === "down" ? price >= ln.price + dist : price <= ln.price - dist;
+}
+
+// State patch to apply to a line after it fired
+export function firedPatch(ln, { barTime, now, direction }) {
+  const patch = {
+    lastFiredAt: now,
+    lastFiredBar: barTime,
+    fireCount: (ln.fireCount || 0) + 1,
+    firedDir: direction,
+  };
+  if ((ln.firePolicy || DEFAULT_FIRE_POLICY.firePolicy) === "rearm") patch.armed = false;
+  if (ln.oneShot) patch.alertEnabled = false;
+  return patch;
+}
@@ -0,0 +1,74 @@
+import { crossDirection, lineAlertFires, inferTickSize, nudgePrice, policyAllows, rearmReached, firedPatch } from "./alertLogic";
+
+const line = (patch = {}) => ({ id: "l1", ratio: 0.618, price: 100, enabled: true, alertEnabled: true, rsiThreshold: 0, rsiOp: ">=", ...patch });
+
+test("a cross is the close moving to the other side of the line", () => {
+  expect(crossDirection(100, 99, 101)).toBe("up");
+  expect(crossDirection(100, 101, 99)).toBe("down");
+  expect(crossDirection(100, 101, 100)).toBeNull(); // touching from above is not below
+  expect(crossDirection(100, 99, 99.5)).toBeNull();
+  expect(crossDirection(null, 99, 101)).toBeNull();
+});
+
+test("a line fires on a cross that passes its RSI filter", () => {
+  expect(lineAlertFires(line({ rsiThreshold: 50 }), 99, 101, 60)).toBe("up");
+  expect(lineAlertFires(line({ rsiThreshold: 50 }), 99, 101, 40)).toBeNull();
+  expect(lineAlertFires(line({ rsiThreshold: 30, rsiOp: "<=" }), 101, 99, 25)).toBe("down");
+  expect(lineAlertFires(line({ alertEnabled: false }), 99, 101, 60)).toBeNull();
+});
+
+test("tick size follows the decimals of recent closes", () => {
+  expect(inferTickSize([{ close: 100 }, { close: 100.25 }, { close: 100.5 }])).toBe(0.01);
+  expect(inferTickSize([{ close: 3 }])).toBe(1);
+  expect(inferTickSize([])).toBe(1);
+});
+
+test("nudges stay on the tick grid", () => {
+  expect(nudgePrice(100.1, 0.01, 1)).toBe(100.11);
+  expect(nudgePrice(100.1, 0.01, -10)).toBe(100);
+  // Ten thousand single-tick nudges land exactly ten thousand ticks away
+  let p = 0.1;
+  for (let i = 0; i < 10000; i++) p = nudgePrice(p, 0.001, 1);
+  expect(p).toBe(10.1);
+  // An off-grid price snaps onto the grid
+  expect(nudgePrice(1.23456, 0.01, 1)).toBe(1.24);
+  expect(nudgePrice(250, 1, -3)).toBe(247);
+});
+
+test("once per bar: silent for the rest of the bar it fired on", () => {
+  const ln = line({ firePolicy: "bar" });
+  expect(policyAllows(ln, { barTime: 60, now: 0 })).toBe(true);
+  const fired = { ...ln, ...firedPatch(ln, { barTime: 60, now: 0, direction: "up" }) };
+  expect(policyAllows(fired, { barTime: 60, now: 1000 })).toBe(false);
+  expect(policyAllows(fired, { barTime: 120, now: 2000 })).toBe(true);
+  expect(fired.fireCount).toBe(1);
+});
+
+test("cooldown: silent for cooldownMin minutes after a fire", () => {
+  const ln = line({ firePolicy: "cooldown", cooldownMin: 15 });
+  const fired = { ...ln, ...firedPatch(ln, { barTime: 60, now: 1000, direction: "up" }) };
+  expect(policyAllows(fired, { barTime: 120, now: 1000 + 14 * 60000 })).toBe(false);
+  expect(policyAllows(fired, { barTime: 180, now: 1000 + 15 * 60000 })).toBe(true);
+});
+
+test("rearm: disarmed by a fire until price moves back by rearmPct or rearmTicks", () => {
+  const ln = line({ firePolicy: "rearm", rearmPct: 1, rearmTicks: 0 });
+  const fired = { ...ln, ...firedPatch(ln, { barTime: 60, now: 0, direction: "up" }) };
+  expect(fired.armed).toBe(false);
+  expect(policyAllows(fired, { barTime: 120, now: 0 })).toBe(false);
+  // Fired going up: re-armed once back 1% below the line
+  expect(rearmReached(fired, 99.5, 0.01)).toBe(false);
+  expect(rearmReached(fired, 99, 0.01)).toBe(true);
+
+  // The larger of the two distances wins; a down-cross re-arms above the line
+  const byTicks = { ...line({ firePolicy: "rearm", rearmPct: 0.1, rearmTicks: 50 }), armed: false, firedDir: "down" };
+  expect(rearmReached(byTicks, 100.2, 0.01)).toBe(false);
+  expect(rearmReached(byTicks, 100.5, 0.01)).toBe(true);
+  expect(rearmReached(line({ firePolicy: "rearm" }), 50, 0.01)).toBe(false); // never fired
+});
+
+test("one-shot lines switch their alert off when they fire", () => {
+  const ln = line({ oneShot: true });
+  expect(firedPatch(ln, { barTime: 60, now: 0, direction: "down" })).toMatchObject({ alertEnabled: false, firedDir: "down" });
+  expect(firedPatch(line(), { barTime: 60, now: 0, direction: "down" })).not.toHaveProperty("alertEnabled");
+});
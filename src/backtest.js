@@ -0,0 +1,83 @@
+import { rsiAligned } from "./indicators";
+import { lineAlertFires, policyAllows, rearmReached, firedPatch, inferTickSize } from "./alertLogic";
+
+// Fields firedPatch records on a line; the replay starts each line without them
+const FIRING_STATE = ["lastFiredAt", "lastFiredBar", "fireCount", "firedDir", "armed"];
+
+// Replay the fib-line alert rule over closed bars.
+// Each bar's close is compared with the previous close, as the live
+// effect compares the live price with the previous bar's close. Each line's
+// firing policy, re-arm distance, one-shot and bar-close confirmation apply
+// as they do live (a still-forming last bar doesn't count for confirmOnClose),
+// with the bar's time standing in for the clock.
+// Returns { hits, summary } where hits[] = { time, lineId, ratio, linePrice,
+// close, rsi, direction, fwdReturn } and fwdReturn is the % change from the
+// firing close to the close `forwardBars` later (null near the end).
+export function runBacktest(bars, lines, { useHaRsi = false, rsiPeriod = 14, forwardBars = 10, includeDisarmed = true } = {}) {
+  const hits = [];
+  if (!bars || bars.length < 2 || !lines || !lines.length) return { hits, summary: [] };
+
+  const rsiArr = rsiAligned(bars, { useHa: useHaRsi, period: rsiPeriod });
+  // Rule-builder conditions share indicator series across bars
+  const cache = {};
+  const tickSize = inferTickSize(bars);
+  const tested = lines
+    .filter((ln) => ln.enabled && ln.price != null && (includeDisarmed || ln.alertEnabled))
+    .map((ln) => {
+      const c = { ...ln, alertEnabled: true };
+      FIRING_STATE.forEach((f) => delete c[f]);
+      return c;
+    });
+  // Firing state per line as the replay goes
+  const state = Object.fromEntries(tested.map((ln) => [ln.id, {}]));
+
+  for (let i = 1; i < bars.length; i++) {
+    const prevClose = bars[i - 1].close;
+    const close = bars[i].close;
+    const rsiVal = rsiArr[i];
+    const barTime = bars[i].time;
+    const now = barTime * 1000;
+    for (const raw of tested) {
+      const ln = { ...raw, ...state[raw.id] };
+      if (ln.confirmOnClose && bars[i].closed === false) continue;
+      if (rearmReached(ln, close, tickSize)) {
+        state[ln.id].armed = true;
+        continue;
+      }
+      const direction = lineAlertFires(ln, prevClose, close, rsiVal, { bars, index: i, rsiPeriod, cache });
+      if (!direction || !policyAllows(ln, { barTime, now })) continue;
+      Object.assign(state[ln.id], firedPatch(ln, { barTime, now, direction }));
+      const fwd = bars[i + forwardBars];
+      hits.push({
+        time: bars[i].time,
+        lineId: ln.id,
+        ratio: ln.ratio,
+        linePrice: ln.price,
+        close,
+        rsi: rsiVal,
+        direction,
+        fwdReturn: fwd ? ((fwd.close - close) / close) * 100 : null,
+      });
+    }
+  }
+
+  const summary = tested.map((ln) => {
+    const mine = hits.filter((h) => h.lineId === ln.id);
+    const withFwd = mine.filter((h) => h.fwdReturn != null);
+    const avg = withFwd.length ? withFwd.reduce((a, h) => a + h.fwdReturn, 0) / withFwd.length : null;
+    return { lineId: ln.id, ratio: ln.ratio, count: mine.length, avgFwdReturn: avg };
+  });
+
+  return { hits, summary };
+}
+
+// Chart markers for backtest hits
+export function backtestMarkers(hits) {
+  return hits.map((h) => ({
+    time: h.time,
+    position: h.direction === "up" ? "belowBar" : "aboveBar",
+    color: h.direction === "up" ? "#10b981" : "#ef4444",
+    shape: h.direction === "up" ? "arrowUp" : "arrowDown",
+    text: String(h.ratio),
+  }));
+}
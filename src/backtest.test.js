@@ -0,0 +1,81 @@
+import { runBacktest, backtestMarkers } from "./backtest";
+
+// Hourly bars closing at `closes` from time 0, after a quiet warm-up below 100
+// so the 14-bar RSI is defined from the first of them
+const WARM = [95, 96, 95, 96, 95, 96, 95, 96, 95, 96, 95, 96, 95, 96];
+const hourly = (closes) =>
+  [...WARM, ...closes].map((close, i) => ({ time: (i - WARM.length) * 3600, open: close, high: close + 0.5, low: close - 0.5, close, volume: 1, closed: true }));
+
+const line = (id, patch = {}) => ({ id, ratio: 0.5, price: 100, enabled: true, alertEnabled: true, rsiOp: ">=", rsiThreshold: 0, ...patch });
+
+// Crosses 100 up at bar 2, down at 4, up again at 6
+const BARS = hourly([95, 96, 104, 103, 97, 98, 105, 106, 107, 108, 109, 110]);
+const at = (hits, id) => hits.filter((h) => h.lineId === id).map((h) => [h.time / 3600, h.direction]);
+
+test("lists every cross of a line that passes its RSI filter", () => {
+  const { hits } = runBacktest(BARS, [line("any"), line("strong", { rsiThreshold: 60 }), line("weak", { rsiOp: "<=", rsiThreshold: 55 })]);
+  expect(at(hits, "any")).toEqual([[2, "up"], [4, "down"], [6, "up"]]);
+  expect(at(hits, "strong")).toEqual([[2, "up"], [6, "up"]]);
+  expect(at(hits, "weak")).toEqual([[4, "down"]]);
+  expect(hits[0]).toMatchObject({ lineId: "any", ratio: 0.5, linePrice: 100, close: 104, rsi: expect.any(Number) });
+});
+
+test("measures the return forwardBars after each hit and averages it per line", () => {
+  const { hits, summary } = runBacktest(BARS, [line("a")], { forwardBars: 6 });
+  expect(hits.map((h) => h.fwdReturn)).toEqual([((107 - 104) / 104) * 100, ((109 - 97) / 97) * 100, null]);
+  expect(summary).toEqual([{ lineId: "a", ratio: 0.5, count: 3, avgFwdReturn: (hits[0].fwdReturn + hits[1].fwdReturn) / 2 }]);
+});
+
+test("skips disabled and unpriced lines, and disarmed ones on request", () => {
+  const lines = [line("on"), line("off", { enabled: false }), line("unpriced", { price: null }), line("disarmed", { alertEnabled: false })];
+  expect(runBacktest(BARS, lines).summary.map((s) => [s.lineId, s.count])).toEqual([["on", 3], ["disarmed", 3]]);
+  expect(runBacktest(BARS, lines, { includeDisarmed: false }).summary.map((s) => s.lineId)).toEqual(["on"]);
+  expect(runBacktest(BARS.slice(0, 1), lines)).toEqual({ hits: [], summary: [] });
+});
+
+test("marks up-crosses below the bar and down-crosses above it", () => {
+  const { hits } = runBacktest(BARS, [line("a")]);
+  expect(backtestMarkers(hits).slice(0, 2)).toEqual([
+    { time: 7200, position: "belowBar", color: "#10b981", shape: "arrowUp", text: "0.5" },
+    { time: 14400, position: "aboveBar", color: "#ef4444", shape: "arrowDown", text: "0.5" },
+  ]);
+});
+
+// Hugs 100 (a cross on every bar from 2), drops 2% below it and crosses again
+const CHOP = hourly([99.8, 99.9, 100.1, 99.9, 100.1, 98, 101]);
+
+test("firing policies suppress the fires the live chart would", () => {
+  const lines = [
+    line("bar"),
+    line("rearm", { firePolicy: "rearm", rearmPct: 1 }),
+    line("cooldown", { firePolicy: "cooldown", cooldownMin: 90 }),
+    line("once", { oneShot: true }),
+  ];
+  const { hits } = runBacktest(CHOP, lines);
+  const times = (id) => at(hits, id).map(([t]) => t);
+  expect(times("bar")).toEqual([2, 3, 4, 5, 6]);
+  // Re-armed by the drop to 98 (1% below the line), not by the chop
+  expect(times("rearm")).toEqual([2, 6]);
+  expect(times("cooldown")).toEqual([2, 4, 6]);
+  expect(times("once")).toEqual([2]);
+});
+
+test("the replay starts from a clean firing state", () => {
+  const fired = { armed: false, firedDir: "up", lastFiredAt: Date.now(), lastFiredBar: 7200, fireCount: 9 };
+  const lines = [line("rearm", { firePolicy: "rearm", ...fired }), line("cooldown", { firePolicy: "cooldown", ...fired })];
+  const { hits } = runBacktest(CHOP, lines);
+  expect(at(hits, "rearm")[0]).toEqual([2, "up"]);
+  expect(at(hits, "cooldown")[0]).toEqual([2, "up"]);
+  expect(lines[0].armed).toBe(false); // the lines themselves are left alone
+});
+
+test("lines confirmed on close skip a last bar that is still forming", () => {
+  const bars = hourly([95, 96, 97, 104]);
+  const last = bars[bars.length - 1];
+  last.closed = false;
+  const { hits } = runBacktest(bars, [line("tick"), line("close", { confirmOnClose: true })]);
+  expect(at(hits, "tick")).toEqual([[3, "up"]]);
+  expect(at(hits, "close")).toEqual([]);
+  last.closed = true;
+  expect(at(runBacktest(bars, [line("close", { confirmOnClose: true })]).hits, "close")).toEqual([[3, "up"]]);
+});
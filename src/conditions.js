@@ -0,0 +1,180 @@
+// Composable alert rules. A line in rule-builder mode carries
+//   conditions: [{ id, type, ...params }]   conditionOp: "and" | "or"
+// instead of the single rsiOp / rsiThreshold check. The line still has to
+// be crossed; the conditions then decide whether that cross fires. They are
+// evaluated on the crossing bar (`index`, default the last bar), and
+// indicator series are computed once per ctx.cache, so the backtest can
+// share one cache across every bar.
+import { rsiAligned, toHeikinAshi } from "./indicators";
+import { emaOf, smaOf, vwapOf } from "./indicatorRegistry";
+
+// fields: editable parameters (`options` makes a select, otherwise a number input)
+const num = (key, label, dflt, extra = {}) => ({ key, label, default: dflt, min: 1, ...extra });
+const pick = (key, options, dflt) => ({ key, options, default: dflt });
+
+export const CONDITION_TYPES = {
+  cross: { label: "Cross direction", fields: [pick("dir", [["up", "up only"], ["down", "down only"]], "up")] },
+  rsi: {
+    label: "RSI range",
+    fields: [
+      pick("source", [["std", "RSI"], ["ha", "HA-RSI"]], "std"),
+      num("min", "from", 0, { min: 0, max: 100, step: 0.1 }),
+      num("max", "to", 30, { min: 0, max: 100, step: 0.1 }),
+    ],
+  },
+  macd: {
+    label: "MACD histogram",
+    fields: [
+      pick("sign", [["pos", "> 0"], ["neg", "< 0"]], "pos"),
+      num("fast", "fast", 12), num("slow", "slow", 26), num("signal", "signal", 9),
+    ],
+  },
+  stochRsi: {
+    label: "Stoch RSI",
+    fields: [
+      pick("op", [[">=", ">="], ["<=", "<="]], ">="),
+      num("threshold", "", 80, { min: 0, max: 100, step: 0.1 }),
+      num("rsiPeriod", "RSI", 14, { min: 2 }), num("stochPeriod", "stoch", 14), num("k", "K", 3),
+    ],
+  },
+  volume: {
+    label: "Volume above average",
+    fields: [num("mult", "x", 1.5, { min: 0.1, step: 0.1 }), num("period", "avg of", 20)],
+  },
+  price: {
+    label: "Price vs average",
+    fields: [
+      pick("op", [["above", "above"], ["below", "below"]], "above"),
+      pick("ref", [["ema", "EMA"], ["vwap", "VWAP"]], "ema"),
+      num("period", "period", 50),
+    ],
+  },
+  haColor: { label: "HA candle color", fields: [pick("color", [["green", "green"], ["red", "red"]], "green")] },
+};
+
+export const CONDITION_KINDS = Object.keys(CONDITION_TYPES);
+
+export function newCondition(type) {
+  const params = Object.fromEntries(CONDITION_TYPES[type].fields.map((f) => [f.key, f.default]));
+  return { id: `${type}-${Date.now().toString(36)}`, type, ...params };
+}
+
+// Legacy single RSI check -> equivalent condition list (none for alerts without one)
+export function conditionsFromLegacy(ln, useHaRsi) {
+  if (!Number.isFinite(ln.rsiThreshold)) return [];
+  const t = ln.rsiThreshold;
+  const range = (ln.rsiOp || ">=") === ">=" ? { min: t, max: 100 } : { min: 0, max: t };
+  return [{ ...newCondition("rsi"), source: useHaRsi ? "ha" : "std", ...range }];
+}
+
+// ---------- Series (cached per ctx) ----------
+
+function series(ctx, key, fn) {
+  if (!(key in ctx.cache)) ctx.cache[key] = fn(ctx.bars);
+  return ctx.cache[key];
+}
+
+function macdHist(bars, { fast, slow, signal }) {
+  const c = bars.map((b) => b.close);
+  const f = emaOf(c, fast);
+  const s = emaOf(c, slow);
+  const macd = c.map((_, i) => f[i] - s[i]);
+  const sig = emaOf(macd, signal);
+  // The EMAs seed on the first close; treat the slow warm-up as unsettled
+  return macd.map((m, i) => (i < slow + signal - 2 ? null : m - sig[i]));
+}
+
+function stochRsi(bars, { rsiPeriod, stochPeriod, k }) {
+  const r = rsiAligned(bars, { period: rsiPeriod });
+  const raw = r.map((v, i) => {
+    if (v == null || i < stochPeriod - 1 || r[i - stochPeriod + 1] == null) return null;
+    const win = r.slice(i - stochPeriod + 1, i + 1);
+    const lo = Math.min(...win);
+    const hi = Math.max(...win);
+    return hi === lo ? 50 : ((v - lo) / (hi - lo)) * 100;
+  });
+  const first = raw.findIndex((v) => v != null);
+  if (first < 0) return raw;
+  const smooth = smaOf(raw.slice(first), Math.max(1, k));
+  return raw.map((_, i) => (i < first ? null : smooth[i - first]));
+}
+
+// Average volume of the `period` bars before each bar
+function priorVolumeAvg(bars, period) {
+  const avg = smaOf(bars.map((b) => b.volume || 0), period);
+  return bars.map((_, i) => (i >= period ? avg[i - 1] : null));
+}
+
+// ---------- Evaluation ----------
+
+function conditionMet(c, ctx, i) {
+  const bar = ctx.bars[i];
+  switch (c.type) {
+    case "cross":
+      return ctx.direction === c.dir;
+    case "rsi": {
+      const v = series(ctx, `rsi:${c.source}:${ctx.rsiPeriod}`, (b) =>
+        rsiAligned(b, { useHa: c.source === "ha", period: ctx.rsiPeriod || 14 })
+      )[i];
+      return v != null && v >= Number(c.min) && v <= Number(c.max);
+    }
+    case "macd": {
+      const h = series(ctx, `macd:${c.fast}:${c.slow}:${c.signal}`, (b) => macdHist(b, c))[i];
+      return h != null && (c.sign === "pos" ? h > 0 : h < 0);
+    }
+    case "stochRsi": {
+      const v = series(ctx, `stoch:${c.rsiPeriod}:${c.stochPeriod}:${c.k}`, (b) => stochRsi(b, c))[i];
+      if (v == null) return false;
+      return c.op === "<=" ? v <= c.threshold : v >= c.threshold;
+    }
+    case "volume": {
+      const avg = series(ctx, `vol:${c.period}`, (b) => priorVolumeAvg(b, c.period))[i];
+      return avg != null && avg > 0 && (bar.volume || 0) > c.mult * avg;
+    }
+    case "price": {
+      const ref = c.ref === "vwap"
+        ? series(ctx, "vwap", vwapOf)[i]
+        : series(ctx, `ema:${c.period}`, (b) => emaOf(b.map((x) => x.close), c.period))[i];
+      if (ref == null) return false;
+      return c.op === "below" ? bar.close < ref : bar.close > ref;
+    }
+    case "haColor": {
+      const ha = series(ctx, "ha", toHeikinAshi)[i];
+      if (!ha) return false;
+      return c.color === "red" ? ha.close < ha.open : ha.close >= ha.open;
+    }
+    default:
+      return false;
+  }
+}
+
+// ctx: { bars, index?, direction, rsiPeriod, cache? }
+export function conditionsMet(ln, ctx) {
+  const list = ln.conditions || [];
+  if (!list.length) return true;
+  const bars = ctx.bars || [];
+  const i = ctx.index == null ? bars.length - 1 : ctx.index;
+  const at = { ...ctx, bars, cache: ctx.cache || {} };
+  const met = (c) => (c.type === "cross" || bars[i] ? conditionMet(c, at, i) : false);
+  return ln.conditionOp === "or" ? list.some(met) : list.every(met);
+}
+
+export function conditionLabel(c) {
+  switch (c.type) {
+    case "cross": return c.dir === "up" ? "cross up" : "cross down";
+    case "rsi": return `${c.source === "ha" ? "HA-RSI" : "RSI"} ${c.min}-${c.max}`;
+    case "macd": return `MACD(${c.fast},${c.slow},${c.signal}) hist ${c.sign === "pos" ? "> 0" : "< 0"}`;
+    case "stochRsi": return `StochRSI ${c.op || ">="} ${c.threshold}`;
+    case "volume": return `vol > ${c.mult}x avg(${c.period})`;
+    case "price": return `close ${c.op} ${c.ref === "vwap" ? "VWAP" : `EMA(${c.period})`}`;
+    case "haColor": return `HA ${c.color}`;
+    default: return c.type;
+  }
+}
+
+// "RSI 0-30 AND HA green" (empty for legacy lines)
+export function ruleSummary(ln) {
+  if (!Array.isArray(ln.conditions)) return "";
+  if (!ln.conditions.length) return "cross";
+  return ln.conditions.map(conditionLabel).join(ln.conditionOp === "or" ? " OR " : " AND ");
+}
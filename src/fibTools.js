@@ -0,0 +1,119 @@
+// Drawable Fibonacci tools beyond the retracement lines: trend-based
+// extensions, time zones, fans and channels. A tool is
+//   { id, type, points: [{ time, price }], color, lines: [line] }
+// and each line carries a ratio plus the same alert fields as a fib line
+// (enabled, alertEnabled, rsiOp, rsiThreshold or conditions, firing policy).
+//
+// Every line resolves to a `level` the chart, the alerts effect and the
+// relay's engine share (times in unix sec):
+//   { kind: "h",    from, price }          horizontal, drawn from `from` on
+//   { kind: "ray",  t1, p1, t2, p2 }       sloped line through two points, extended right
+//   { kind: "zone", time }                 vertical line at a bar time
+import { DEFAULT_FIRE_POLICY, crossDirection, alertConditionsMet, ruleSuffix } from "./alertLogic";
+
+export const TOOL_TYPES = {
+  extension: { label: "Fib extension", points: 3, ratios: [0, 0.618, 1, 1.272, 1.618, 2.618] },
+  timezones: { label: "Fib time zones", points: 2, ratios: [0, 1, 2, 3, 5, 8, 13, 21, 34, 55, 89] },
+  fan: { label: "Fib fan", points: 2, ratios: [0.236, 0.382, 0.5, 0.618, 0.786] },
+  channel: { label: "Fib channel", points: 3, ratios: [0, 0.618, 1, 1.618, 2.618] },
+};
+
+// What each click means while drawing
+export const TOOL_POINT_HINTS = {
+  extension: ["trend start", "trend end", "retracement"],
+  timezones: ["zone 0", "zone 1"],
+  fan: ["trend start", "trend end"],
+  channel: ["trend start", "trend end", "channel width"],
+};
+
+const TOOL_COLORS = { extension: "#f472b6", timezones: "#a3e635", fan: "#fbbf24", channel: "#22d3ee" };
+
+function lineId(toolId, ratio) {
+  return `${toolId}-${String(ratio).replace("-", "m").replace(".", "_")}`;
+}
+
+export function toolLine(toolId, ratio, color) {
+  return {
+    id: lineId(toolId, ratio),
+    ratio,
+    color,
+    enabled: true,
+    alertEnabled: false,
+    rsiThreshold: 50,
+    rsiOp: ">=",
+    ...DEFAULT_FIRE_POLICY,
+  };
+}
+
+export function newTool(type, points, key) {
+  const id = `${key}-${type}-${Date.now().toString(36)}`;
+  const color = TOOL_COLORS[type];
+  return { id, type, points, color, lines: TOOL_TYPES[type].ratios.map((r) => toolLine(id, r, color)) };
+}
+
+// Rewrite a tool's lines to `ratios`, keeping existing lines' settings
+export function setToolRatios(tool, ratios) {
+  const byRatio = Object.fromEntries(tool.lines.map((ln) => [ln.ratio, ln]));
+  return { ...tool, lines: ratios.map((r) => byRatio[r] || toolLine(tool.id, r, tool.color)) };
+}
+
+// Level of one line; intervalSec turns time-zone bar counts into times
+export function toolLevel(tool, ln, intervalSec) {
+  const [a, b, c] = tool.points;
+  const r = Number(ln.ratio);
+  if (tool.type === "extension") {
+    return { kind: "h", from: c.time, price: c.price + r * (b.price - a.price) };
+  }
+  if (tool.type === "fan") {
+    return { kind: "ray", t1: a.time, p1: a.price, t2: b.time, p2: b.price - r * (b.price - a.price) };
+  }
+  if (tool.type === "channel") {
+    const base = levelAt({ kind: "ray", t1: a.time, p1: a.price, t2: b.time, p2: b.price }, c.time);
+    const width = c.price - base;
+    return { kind: "ray", t1: a.time, p1: a.price + r * width, t2: b.time, p2: b.price + r * width };
+  }
+  if (tool.type === "timezones") {
+    const unit = Math.max(1, Math.round((b.time - a.time) / intervalSec));
+    return { kind: "zone", time: a.time + Math.round(r * unit) * intervalSec };
+  }
+  return null;
+}
+
+// Price of a level at `time` (null for zones)
+export function levelAt(level, time) {
+  if (!level) return null;
+  if (level.kind === "h") return level.price;
+  if (level.kind === "ray") {
+    if (level.t2 === level.t1) return level.p2;
+    return level.p1 + ((level.p2 - level.p1) * (time - level.t1)) / (level.t2 - level.t1);
+  }
+  return null;
+}
+
+// Same rule as lineAlertFires for fib lines: sloped lines compare each close with
+// the line's value at that bar; zones fire when a bar opens on or past the zone.
+// Returns "up" | "down" | "zone" | null.
+export function toolLineFires(ln, level, { prevBar, lastBar, price, rsiVal, ctx = {} }) {
+  if (!ln.enabled || !ln.alertEnabled || !level || !prevBar || !lastBar) return null;
+  let direction;
+  if (level.kind === "zone") {
+    direction = prevBar.time < level.time && lastBar.time >= level.time ? "zone" : null;
+  } else {
+    const now = levelAt(level, lastBar.time);
+    const before = levelAt(level, prevBar.time);
+    direction = crossDirection(0, prevBar.close - before, price - now);
+  }
+  if (!direction || !alertConditionsMet(ln, rsiVal, ctx, direction)) return null;
+  return direction;
+}
+
+export function toolLineLabel(tool, ln) {
+  return `${TOOL_TYPES[tool.type].label} ${Number(ln.ratio)}`;
+}
+
+export function toolAlertMessage(symbol, timeframe, tool, ln, level, lastBarTime, rsiVal, useHaRsi) {
+  const where = level.kind === "zone"
+    ? `reached at ${new Date(level.time * 1000).toISOString()}`
+    : `crossed at ${levelAt(level, lastBarTime).toFixed(6)}`;
+  return `${symbol} ${timeframe} ${toolLineLabel(tool, ln)} ${where} | RSI ${useHaRsi ? "(HA)" : ""}=${(rsiVal || 0).toFixed(1)}${ruleSuffix(ln)}`;
+}
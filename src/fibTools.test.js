@@ -0,0 +1,88 @@
+import { TOOL_TYPES, newTool, setToolRatios, toolLevel, levelAt, toolLineFires, toolAlertMessage } from "./fibTools";
+
+const pt = (time, price) => ({ time, price });
+const tool = (type, ...points) => ({ id: "t", type, points, lines: [] });
+const line = (ratio, patch = {}) => ({ id: `l${ratio}`, ratio, enabled: true, alertEnabled: true, rsiOp: ">=", rsiThreshold: 0, ...patch });
+const bar = (time, close) => ({ time, open: close, high: close, low: close, close });
+
+test("extensions project the trend from the retracement point", () => {
+  const ext = tool("extension", pt(0, 100), pt(3600, 120), pt(7200, 110));
+  expect(toolLevel(ext, line(1.618))).toEqual({ kind: "h", from: 7200, price: 110 + 1.618 * 20 });
+  expect(toolLevel(ext, line(0)).price).toBe(110);
+  expect(levelAt(toolLevel(ext, line(1)), 999999)).toBe(130);
+});
+
+test("fan lines run from the trend start through the retraced trend end", () => {
+  const fan = tool("fan", pt(0, 100), pt(3600, 120));
+  const half = toolLevel(fan, line(0.5));
+  expect(half).toEqual({ kind: "ray", t1: 0, p1: 100, t2: 3600, p2: 110 });
+  // Extended right along its slope
+  expect(levelAt(half, 7200)).toBe(120);
+  expect(levelAt(toolLevel(fan, line(0.236)), 3600)).toBeCloseTo(120 - 0.236 * 20);
+});
+
+test("channel lines are parallels of the trend, spaced by the third point", () => {
+  // Trend 100 -> 110 over an hour; the third point sits 10 above it at half-way
+  const ch = tool("channel", pt(0, 100), pt(3600, 110), pt(1800, 115));
+  expect(toolLevel(ch, line(0))).toEqual({ kind: "ray", t1: 0, p1: 100, t2: 3600, p2: 110 });
+  expect(toolLevel(ch, line(1))).toEqual({ kind: "ray", t1: 0, p1: 110, t2: 3600, p2: 120 });
+  expect(levelAt(toolLevel(ch, line(0.618)), 7200)).toBeCloseTo(126.18);
+});
+
+test("time zones count whole bars of the chart's timeframe", () => {
+  const h4 = 4 * 3600;
+  // The second click lands a little past three bars on
+  const tz = tool("timezones", pt(h4 * 10, 1), pt(h4 * 13 + 1000, 1));
+  expect(toolLevel(tz, line(0), h4)).toEqual({ kind: "zone", time: h4 * 10 });
+  expect(toolLevel(tz, line(5), h4)).toEqual({ kind: "zone", time: h4 * 25 });
+  // On a 1h chart the same clicks are 12 bars apart
+  expect(toolLevel(tz, line(5), 3600)).toEqual({ kind: "zone", time: h4 * 10 + 5 * 12 * 3600 });
+  // Both clicks on one bar: zones are still a bar apart
+  expect(toolLevel(tool("timezones", pt(0, 1), pt(60, 1)), line(3), 3600)).toEqual({ kind: "zone", time: 3 * 3600 });
+  expect(levelAt(toolLevel(tz, line(1), h4), h4 * 13)).toBeNull();
+});
+
+test("levels without a slope or a price", () => {
+  expect(levelAt({ kind: "ray", t1: 60, p1: 1, t2: 60, p2: 2 }, 120)).toBe(2);
+  expect(levelAt(null, 60)).toBeNull();
+});
+
+test("sloped lines fire on a cross of the line's value at each bar", () => {
+  // Rising 1 per hour from 100
+  const ray = { kind: "ray", t1: 0, p1: 100, t2: 3600, p2: 101 };
+  const fires = (prev, price, ln = line(0.5)) =>
+    toolLineFires(ln, ray, { prevBar: bar(3600, prev), lastBar: bar(7200, price), price, rsiVal: 60 });
+  expect(fires(100.5, 102.5)).toBe("up");
+  // Above the line's old value but still under its new one: no cross
+  expect(fires(100.5, 101.5)).toBeNull();
+  expect(fires(101.5, 101.5)).toBe("down");
+  expect(fires(100.5, 102.5, line(0.5, { rsiThreshold: 70 }))).toBeNull();
+  expect(fires(100.5, 102.5, line(0.5, { alertEnabled: false }))).toBeNull();
+});
+
+test("zones fire on the first bar at or past them", () => {
+  const zone = { kind: "zone", time: 7200 };
+  const fires = (prevTime, lastTime) =>
+    toolLineFires(line(1), zone, { prevBar: bar(prevTime, 1), lastBar: bar(lastTime, 1), price: 1, rsiVal: 50 });
+  expect(fires(3600, 7200)).toBe("zone");
+  expect(fires(3600, 10800)).toBe("zone"); // a gap in the bars
+  expect(fires(7200, 10800)).toBeNull();
+  expect(fires(0, 3600)).toBeNull();
+});
+
+test("new tools carry one line per default ratio; re-ratioing keeps line settings", () => {
+  const t = newTool("fan", [pt(0, 1), pt(60, 2)], "BTCUSDT@1h");
+  expect(t.lines.map((ln) => ln.ratio)).toEqual(TOOL_TYPES.fan.ratios);
+  expect(t.lines[0]).toMatchObject({ enabled: true, alertEnabled: false, color: t.color });
+  const armed = { ...t, lines: t.lines.map((ln) => (ln.ratio === 0.5 ? { ...ln, alertEnabled: true } : ln)) };
+  const next = setToolRatios(armed, [0.5, 0.707]);
+  expect(next.lines.map((ln) => [ln.ratio, ln.alertEnabled])).toEqual([[0.5, true], [0.707, false]]);
+});
+
+test("alert messages name the tool and where it fired", () => {
+  const fan = tool("fan", pt(0, 100), pt(3600, 120));
+  expect(toolAlertMessage("BTCUSDT", "1h", fan, line(0.5), toolLevel(fan, line(0.5)), 7200, 61.24, false))
+    .toBe("BTCUSDT 1h Fib fan 0.5 crossed at 120.000000 | RSI =61.2");
+  expect(toolAlertMessage("BTCUSDT", "4h", tool("timezones"), line(8), { kind: "zone", time: 0 }, 0, 40, true))
+    .toBe("BTCUSDT 4h Fib time zones 8 reached at 1970-01-01T00:00:00.000Z | RSI (HA)=40.0");
+});
@@ -0,0 +1,507 @@
+// Price-overlay indicators. A symbol's overlays are a list of instances
+//   { id, type, params, show, color, opacity, smooth }
+// (perSymMeta[symbol].indicators); `type` names an entry of INDICATORS.
+// compute(bars, params) returns one value array (aligned to bars) per output line.
+
+// Simple moving average for smoothing any line array of {time, value}
+export function sma(arr, window) {
+  const w = Math.max(1, Math.floor(window));
+  if (w <= 1) return arr.slice();
+  const out = [];
+  let sum = 0;
+  for (let i = 0; i < arr.length; i++) {
+    sum += arr[i].value;
+    if (i >= w) sum -= arr[i - w].value;
+    if (i >= w - 1) out.push({ time: arr[i].time, value: sum / w });
+    else out.push({ time: arr[i].time, value: arr[i].value });
+  }
+  return out;
+}
+
+// ---------- Series math (plain number arrays; null during warm-up) ----------
+
+export function emaOf(values, period) {
+  const k = 2 / (period + 1);
+  const out = [];
+  let prev = null;
+  for (const v of values) {
+    prev = prev == null ? v : v * k + prev * (1 - k);
+    out.push(prev);
+  }
+  return out;
+}
+
+export function smaOf(values, period) {
+  const out = [];
+  let sum = 0;
+  for (let i = 0; i < values.length; i++) {
+    sum += values[i];
+    if (i >= period) sum -= values[i - period];
+    out.push(i >= period - 1 ? sum / period : null);
+  }
+  return out;
+}
+
+function wmaOf(values, period) {
+  const denom = (period * (period + 1)) / 2;
+  return values.map((_, i) => {
+    if (i < period - 1) return null;
+    let acc = 0;
+    for (let j = 0; j < period; j++) acc += values[i - j] * (period - j);
+    return acc / denom;
+  });
+}
+
+function stdevOf(values, means, period) {
+  return values.map((_, i) => {
+    if (means[i] == null) return null;
+    let acc = 0;
+    for (let j = i - period + 1; j <= i; j++) acc += (values[j] - means[i]) ** 2;
+    return Math.sqrt(acc / period);
+  });
+}
+
+// Wilder ATR
+function atrOf(bars, period) {
+  const out = [];
+  let atr = null;
+  bars.forEach((b, i) => {
+    const pc = i ? bars[i - 1].close : b.close;
+    const tr = Math.max(b.high - b.low, Math.abs(b.high - pc), Math.abs(b.low - pc));
+    atr = atr == null ? tr : (atr * (period - 1) + tr) / period;
+    out.push(i >= period - 1 ? atr : null);
+  });
+  return out;
+}
+
+// Midpoint of the highest high and lowest low over `period` bars
+function midOf(bars, period) {
+  return bars.map((_, i) => {
+    if (i < period - 1) return null;
+    let hi = -Infinity, lo = Infinity;
+    for (let j = i - period + 1; j <= i; j++) { hi = Math.max(hi, bars[j].high); lo = Math.min(lo, bars[j].low); }
+    return (hi + lo) / 2;
+  });
+}
+
+// values[i - shift] plotted at bars[i] (shift < 0 plots later values earlier)
+function shifted(values, shift) {
+  return values.map((_, i) => (i - shift >= 0 && i - shift < values.length ? values[i - shift] : null));
+}
+
+export function vwapOf(bars) {
+  let cumPV = 0;
+  let cumVol = 0;
+  return bars.map((b) => {
+    const typical = (b.high + b.low + b.close) / 3;
+    cumPV += typical * (b.volume || 0);
+    cumVol += b.volume || 0;
+    return cumVol > 0 ? cumPV / cumVol : typical;
+  });
+}
+
+// ---------- Session / anchored VWAP ----------
+
+// Calendar parts of a unix time in an IANA timezone ("local": the browser's)
+const partsFormatters = {};
+const sessionKeys = new Map(); // `${tz}|${reset}|${time}` -> session key
+function sessionKey(time, reset, tz) {
+  const k = `${tz}|${reset}|${time}`;
+  let key = sessionKeys.get(k);
+  if (key != null) return key;
+  const zone = tz === "local" ? undefined : tz;
+  const fmt = partsFormatters[tz] || (partsFormatters[tz] = new Intl.DateTimeFormat("en-US", {
+    timeZone: zone, year: "numeric", month: "numeric", day: "numeric",
+  }));
+  const p = Object.fromEntries(fmt.formatToParts(new Date(time * 1000)).map((x) => [x.type, Number(x.value)]));
+  const day = Math.floor(Date.UTC(p.year, p.month - 1, p.day) / 86400000);
+  // Day 0 (1970-01-01) was a Thursday; weeks start on Monday
+  key = reset === "day" ? day : reset === "week" ? Math.floor((day + 3) / 7) : p.year * 12 + p.month;
+  if (sessionKeys.size > 50000) sessionKeys.clear();
+  sessionKeys.set(k, key);
+  return key;
+}
+
+// VWAP and its volume-weighted standard deviation, restarting at each new
+// session (reset "day" | "week" | "month"; "none" runs over all loaded bars)
+// and starting at `from` (unix sec) when given; null before the start
+function vwapBands(bars, opts) {
+  const next = vwapStep(opts);
+  const vwap = [];
+  const sd = [];
+  let s;
+  bars.forEach((b) => {
+    const r = next(s, b);
+    s = r.state;
+    vwap.push(r.values.vwap);
+    sd.push(r.values.sd);
+  });
+  return { vwap, sd };
+}
+
+// vwapBands one bar at a time, from the running sums of the bar before
+function vwapStep({ reset = "none", tz = "UTC", from = null } = {}) {
+  return (s, b) => {
+    if (from != null && b.time < from) return { state: s, values: { vwap: null, sd: null } };
+    let { cumV, cumPV, cumPV2, session } = s || { cumV: 0, cumPV: 0, cumPV2: 0, session: null };
+    if (reset !== "none") {
+      const key = sessionKey(b.time, reset, tz);
+      if (key !== session) { session = key; cumV = cumPV = cumPV2 = 0; }
+    }
+    const tp = (b.high + b.low + b.close) / 3;
+    const v = b.volume || 0;
+    cumV += v; cumPV += tp * v; cumPV2 += tp * tp * v;
+    const mean = cumV > 0 ? cumPV / cumV : tp;
+    const sd = cumV > 0 ? Math.sqrt(Math.max(0, cumPV2 / cumV - mean * mean)) : 0;
+    return { state: { cumV, cumPV, cumPV2, session }, values: { vwap: mean, sd } };
+  };
+}
+
+// vwap line plus ±1..bands standard-deviation lines
+function withBands({ vwap, sd }, bands) {
+  const out = { vwap };
+  for (let k = 1; k <= bands; k++) {
+    out[`upper${k}`] = vwap.map((m, i) => (m == null ? null : m + k * sd[i]));
+    out[`lower${k}`] = vwap.map((m, i) => (m == null ? null : m - k * sd[i]));
+  }
+  return out;
+}
+
+// withBands for a single point
+function bandPoint({ vwap, sd }, bands) {
+  const out = { vwap };
+  for (let k = 1; k <= bands; k++) {
+    out[`upper${k}`] = vwap == null ? null : vwap + k * sd;
+    out[`lower${k}`] = vwap == null ? null : vwap - k * sd;
+  }
+  return out;
+}
+
+const bandOutputs = (p) => [{ key: "vwap" }].concat(
+  ...[1, 2, 3].filter((k) => k <= p.bands).map((k) => [{ key: `upper${k}`, dashed: true }, { key: `lower${k}`, dashed: true }])
+);
+
+const VWAP_RESETS = [["day", "Daily"], ["week", "Weekly"], ["month", "Monthly"], ["none", "Loaded bars"]];
+const VWAP_ZONES = [
+  ["UTC", "UTC"], ["local", "Local"], ["America/New_York", "New York"],
+  ["Europe/London", "London"], ["Asia/Tokyo", "Tokyo"], ["Asia/Hong_Kong", "Hong Kong"],
+];
+const VWAP_BANDS = [[0, "No bands"], [1, "±1σ"], [2, "±1, 2σ"], [3, "±1, 2, 3σ"]];
+
+// Session of a new VWAP: intraday bars reset daily, daily bars weekly, weekly
+// bars monthly; monthly bars run over the loaded bars (a monthly session would
+// be each bar on its own)
+const VWAP_SESSION_FOR = { "1d": "week", "1w": "month", "1M": "none" };
+const vwapResetFor = (timeframe) => VWAP_SESSION_FOR[timeframe] || "day";
+
+const closes = (bars) => bars.map((b) => b.close);
+
+// Step helpers: states are never mutated, so a window slides into a new array
+const slide = (win, v, n) => (!win ? [v] : win.length < n ? [...win, v] : [...win.slice(1), v]);
+const meanOf = (win) => win.reduce((acc, v) => acc + v, 0) / win.length;
+
+// ---------- Registry ----------
+// params: editable numbers (`options`: a select, `kind: "time"`: a unix-sec date;
+//   `defaultFor(timeframe)`: a default that depends on the chart's timeframe);
+// outputs: line keys (optional fixed colors / dashed style), or a function of the params;
+// warmup: bars needed before values settle (drives how much history is loaded);
+// name: optional label from the params (default "Label(p1, p2)");
+// step: optional incremental form for live ticks, (params) -> (state, bar) -> { state, values }
+// with `state` undefined on the first bar; types without one are recomputed in full
+export const INDICATORS = {
+  vwap: {
+    label: "VWAP",
+    params: [
+      { key: "reset", label: "Session", default: "none", options: VWAP_RESETS, defaultFor: vwapResetFor },
+      { key: "tz", label: "Zone", default: "UTC", options: VWAP_ZONES },
+      { key: "bands", label: "Bands", default: 0, options: VWAP_BANDS },
+    ],
+    outputs: bandOutputs,
+    warmup: () => 0,
+    name: (p) => (p.reset === "none" ? "VWAP" : `VWAP ${p.reset}${p.tz === "UTC" ? "" : ` ${p.tz}`}`),
+    compute: (bars, p) => withBands(vwapBands(bars, { reset: p.reset, tz: p.tz }), p.bands),
+    step: (p) => {
+      const next = vwapStep({ reset: p.reset, tz: p.tz });
+      return (s, b) => {
+        const r = next(s, b);
+        return { state: r.state, values: bandPoint(r.values, p.bands) };
+      };
+    },
+  },
+  // Anchored at a bar (several instances, one anchor each); blank until history reaches the anchor
+  avwap: {
+    label: "Anchored VWAP",
+    params: [
+      { key: "anchor", label: "From", default: null, kind: "time" },
+      { key: "bands", label: "Bands", default: 0, options: VWAP_BANDS },
+    ],
+    outputs: bandOutputs,
+    warmup: () => 0,
+    name: (p) => `AVWAP ${p.anchor ? new Date(p.anchor * 1000).toLocaleString() : "(no anchor)"}`,
+    compute: (bars, p) => {
+      if (p.anchor == null || !bars.length || p.anchor < bars[0].time) {
+        return withBands({ vwap: bars.map(() => null), sd: bars.map(() => null) }, p.bands);
+      }
+      return withBands(vwapBands(bars, { from: p.anchor }), p.bands);
+    },
+    step: (p) => {
+      const next = vwapStep({ from: p.anchor });
+      const blank = bandPoint({ vwap: null, sd: null }, p.bands);
+      return (s, b) => {
+        // As in compute: nothing unless the first bar is at or before the anchor
+        if (p.anchor == null || (s ? s.missed : p.anchor < b.time)) return { state: { missed: true }, values: blank };
+        const r = next(s && s.vwap, b);
+        return { state: { missed: false, vwap: r.state }, values: bandPoint(r.values, p.bands) };
+      };
+    },
+  },
+  ema: {
+    label: "EMA",
+    params: [{ key: "period", label: "Period", default: 20, min: 1 }],
+    outputs: [{ key: "ema" }],
+    warmup: (p) => 3 * p.period,
+    compute: (bars, p) => ({ ema: emaOf(closes(bars), p.period) }),
+    step: (p) => {
+      const k = 2 / (p.period + 1);
+      return (s, b) => {
+        const ema = s == null ? b.close : b.close * k + s * (1 - k);
+        return { state: ema, values: { ema } };
+      };
+    },
+  },
+  sma: {
+    label: "SMA",
+    params: [{ key: "period", label: "Period", default: 50, min: 1 }],
+    outputs: [{ key: "sma" }],
+    warmup: (p) => p.period,
+    compute: (bars, p) => ({ sma: smaOf(closes(bars), p.period) }),
+    step: (p) => (s, b) => {
+      const win = slide(s, b.close, p.period);
+      return { state: win, values: { sma: win.length === p.period ? meanOf(win) : null } };
+    },
+  },
+  wma: {
+    label: "WMA",
+    params: [{ key: "period", label: "Period", default: 20, min: 1 }],
+    outputs: [{ key: "wma" }],
+    warmup: (p) => p.period,
+    compute: (bars, p) => ({ wma: wmaOf(closes(bars), p.period) }),
+    step: (p) => (s, b) => {
+      const win = slide(s, b.close, p.period);
+      if (win.length < p.period) return { state: win, values: { wma: null } };
+      const acc = win.reduce((sum, v, j) => sum + v * (j + 1), 0);
+      return { state: win, values: { wma: acc / ((p.period * (p.period + 1)) / 2) } };
+    },
+  },
+  bb: {
+    label: "Bollinger",
+    params: [
+      { key: "period", label: "Period", default: 20, min: 2 },
+      { key: "mult", label: "StdDev", default: 2, min: 0.1, step: 0.1 },
+    ],
+    outputs: [{ key: "upper" }, { key: "basis", dashed: true }, { key: "lower" }],
+    warmup: (p) => p.period,
+    compute: (bars, p) => {
+      const c = closes(bars);
+      const basis = smaOf(c, p.period);
+      const sd = stdevOf(c, basis, p.period);
+      return {
+        upper: basis.map((m, i) => (m == null ? null : m + p.mult * sd[i])),
+        basis,
+        lower: basis.map((m, i) => (m == null ? null : m - p.mult * sd[i])),
+      };
+    },
+    step: (p) => (s, b) => {
+      const win = slide(s, b.close, p.period);
+      if (win.length < p.period) return { state: win, values: { upper: null, basis: null, lower: null } };
+      const basis = meanOf(win);
+      const sd = Math.sqrt(win.reduce((acc, v) => acc + (v - basis) ** 2, 0) / p.period);
+      return { state: win, values: { upper: basis + p.mult * sd, basis, lower: basis - p.mult * sd } };
+    },
+  },
+  keltner: {
+    label: "Keltner",
+    params: [
+      { key: "period", label: "EMA", default: 20, min: 1 },
+      { key: "atrPeriod", label: "ATR", default: 10, min: 1 },
+      { key: "mult", label: "Mult", default: 2, min: 0.1, step: 0.1 },
+    ],
+    outputs: [{ key: "upper" }, { key: "middle", dashed: true }, { key: "lower" }],
+    warmup: (p) => 3 * Math.max(p.period, p.atrPeriod),
+    compute: (bars, p) => {
+      const mid = emaOf(closes(bars), p.period);
+      const atr = atrOf(bars, p.atrPeriod);
+      return {
+        upper: mid.map((m, i) => (atr[i] == null ? null : m + p.mult * atr[i])),
+        middle: mid,
+        lower: mid.map((m, i) => (atr[i] == null ? null : m - p.mult * atr[i])),
+      };
+    },
+    step: (p) => {
+      const k = 2 / (p.period + 1);
+      return (s, b) => {
+        const pc = s ? s.close : b.close;
+        const tr = Math.max(b.high - b.low, Math.abs(b.high - pc), Math.abs(b.low - pc));
+        const ema = s ? b.close * k + s.ema * (1 - k) : b.close;
+        const atr = s ? (s.atr * (p.atrPeriod - 1) + tr) / p.atrPeriod : tr;
+        const n = (s ? s.n : 0) + 1;
+        const band = n >= p.atrPeriod ? p.mult * atr : null;
+        return {
+          state: { ema, atr, close: b.close, n },
+          values: { upper: band == null ? null : ema + band, middle: ema, lower: band == null ? null : ema - band },
+        };
+      };
+    },
+  },
+  ichimoku: {
+    label: "Ichimoku",
+    params: [
+      { key: "conversion", label: "Tenkan", default: 9, min: 1 },
+      { key: "base", label: "Kijun", default: 26, min: 1 },
+      { key: "spanB", label: "Span B", default: 52, min: 1 },
+      { key: "displacement", label: "Shift", default: 26, min: 0 },
+    ],
+    // Spans are drawn shifted forward up to the last bar; chikou shifted back
+    // (a tick moves a point `displacement` bars back, so no step form)
+    outputs: [
+      { key: "tenkan" },
+      { key: "kijun", color: "#f87171" },
+      { key: "spanA", color: "#34d399" },
+      { key: "spanB", color: "#fb7185" },
+      { key: "chikou", color: "#94a3b8", dashed: true },
+    ],
+    warmup: (p) => p.spanB + p.displacement,
+    compute: (bars, p) => {
+      const tenkan = midOf(bars, p.conversion);
+      const kijun = midOf(bars, p.base);
+      const spanA = tenkan.map((t, i) => (t == null || kijun[i] == null ? null : (t + kijun[i]) / 2));
+      return {
+        tenkan,
+        kijun,
+        spanA: shifted(spanA, p.displacement),
+        spanB: shifted(midOf(bars, p.spanB), p.displacement),
+        chikou: shifted(closes(bars), -p.displacement),
+      };
+    },
+  },
+};
+
+export const INDICATOR_TYPES = Object.keys(INDICATORS);
+
+const DEFAULT_COLORS = {
+  vwap: "#ffffff", avwap: "#fde68a", ema: "#60a5fa", sma: "#fbbf24", wma: "#f472b6", bb: "#a78bfa", keltner: "#22d3ee", ichimoku: "#60a5fa",
+};
+
+function defaultParams(type, timeframe) {
+  return Object.fromEntries(
+    INDICATORS[type].params.map((p) => [p.key, p.defaultFor && timeframe ? p.defaultFor(timeframe) : p.default])
+  );
+}
+
+// timeframe: the chart's, for timeframe-dependent defaults (VWAP session)
+export function newIndicator(type, patch = {}, timeframe) {
+  return {
+    id: `${type}-${Date.now().toString(36)}`,
+    type,
+    params: defaultParams(type, timeframe),
+    show: true,
+    color: DEFAULT_COLORS[type],
+    opacity: 0.75,
+    smooth: 1,
+    ...patch,
+  };
+}
+
+// VWAP shown, as new symbols always had it
+export function defaultIndicators(timeframe) {
+  return [newIndicator("vwap", { id: "vwap", opacity: 0.5 }, timeframe)];
+}
+
+// Older perSymMeta held fixed vwap / ema9 / ema20 / ema200 entries
+const LEGACY = [
+  ["vwap", "vwap", {}, { show: true, color: "#ffffff", opacity: 0.5 }],
+  ["ema9", "ema", { period: 9 }, { show: false, color: "#a78bfa", opacity: 0.75 }],
+  ["ema20", "ema", { period: 20 }, { show: false, color: "#60a5fa", opacity: 0.75 }],
+  ["ema200", "ema", { period: 200 }, { show: false, color: "#f87171", opacity: 0.9 }],
+];
+
+// perSymMeta entry -> same entry with an `indicators` list (legacy keys folded in)
+export function migrateMeta(meta) {
+  const m = { ...(meta || {}) };
+  if (!Array.isArray(m.indicators)) {
+    const hasLegacy = LEGACY.some(([k]) => m[k]);
+    m.indicators = hasLegacy
+      ? LEGACY.map(([k, type, params, defaults]) => ({
+          id: k, type, params, smooth: 1, ...defaults, ...(m[k] || {}),
+        }))
+      : defaultIndicators();
+  }
+  LEGACY.forEach(([k]) => delete m[k]);
+  m.indicators = m.indicators
+    .filter((ind) => ind && INDICATORS[ind.type])
+    .map((ind) => {
+      const params = { ...defaultParams(ind.type), ...(ind.params || {}) };
+      // VWAPs saved before sessions existed ran over all loaded bars; keep them that way
+      if (ind.type === "vwap" && (ind.params || {}).reset == null) params.reset = "none";
+      return { ...ind, params };
+    });
+  return m;
+}
+
+export function indicatorLabel(ind) {
+  const def = INDICATORS[ind.type];
+  const params = { ...defaultParams(ind.type), ...ind.params };
+  if (def.name) return def.name(params);
+  const args = def.params.map((p) => params[p.key]).join(", ");
+  return args ? `${def.label}(${args})` : def.label;
+}
+
+// Output lines of an instance (some depend on its params, e.g. VWAP bands)
+export function indicatorOutputs(ind) {
+  const def = INDICATORS[ind.type];
+  if (!def) return [];
+  return typeof def.outputs === "function" ? def.outputs({ ...defaultParams(ind.type), ...ind.params }) : def.outputs;
+}
+
+// Raw output arrays of an instance, aligned to bars (null during warm-up)
+export function indicatorValues(ind, bars) {
+  return INDICATORS[ind.type].compute(bars, { ...defaultParams(ind.type), ...ind.params });
+}
+
+// Incremental form of an instance (see `step`), or null when it has none
+export function indicatorStep(ind) {
+  const def = INDICATORS[ind.type];
+  return def && def.step ? def.step({ ...defaultParams(ind.type), ...ind.params }) : null;
+}
+
+// -> [{ key, name, data: [{ time, value }], color, dashed }] for a shown instance;
+// smoothing (SMA over `smooth` points) applies to every output
+export function computeIndicator(ind, bars) {
+  const def = INDICATORS[ind.type];
+  if (!def || !bars.length) return [];
+  const values = indicatorValues(ind, bars);
+  const name = indicatorLabel(ind);
+  const outputs = indicatorOutputs(ind);
+  return outputs.map((o) => {
+    let data = [];
+    values[o.key].forEach((v, i) => {
+      if (v != null && Number.isFinite(v)) data.push({ time: bars[i].time, value: v });
+    });
+    if (ind.smooth > 1) data = sma(data, ind.smooth);
+    return {
+      key: o.key,
+      name: outputs.length > 1 ? `${name} ${o.key}` : name,
+      data,
+      color: o.color || ind.color,
+      dashed: !!o.dashed,
+    };
+  });
+}
+
+// Bars of warm-up the shown instances need
+export function indicatorWarmup(list) {
+  return (list || []).reduce((n, ind) => {
+    const def = ind.show && INDICATORS[ind.type];
+    return def ? Math.max(n, def.warmup({ ...defaultParams(ind.type), ...ind.params })) : n;
+  }, 0);
+}
@@ -0,0 +1,113 @@
+import {
+  sma, emaOf, smaOf, INDICATORS, newIndicator, defaultIndicators, migrateMeta, indicatorLabel, indicatorWarmup, indicatorValues, computeIndicator,
+} from "./indicatorRegistry";
+
+const barsOf = (closes) => closes.map((c, i) => ({ time: i * 60, open: c, high: c + 1, low: c - 1, close: c, volume: 10 }));
+
+test("series math matches hand-computed values", () => {
+  expect(smaOf([1, 2, 3, 4, 5], 3)).toEqual([null, null, 2, 3, 4]);
+  expect(emaOf([10, 20, 20], 3)).toEqual([10, 15, 17.5]);
+  const pts = [1, 2, 3, 4].map((value, i) => ({ time: i, value }));
+  expect(sma(pts, 2).map((p) => p.value)).toEqual([1, 1.5, 2.5, 3.5]);
+});
+
+test("new instances take each type's defaults", () => {
+  const ind = newIndicator("bb", { id: "bb1" });
+  expect(ind).toMatchObject({ id: "bb1", type: "bb", params: { period: 20, mult: 2 }, show: true, smooth: 1 });
+  Object.keys(INDICATORS).forEach((type) => {
+    expect(Object.keys(newIndicator(type).params)).toEqual(INDICATORS[type].params.map((p) => p.key));
+  });
+});
+
+test("folds the legacy fixed overlays into an indicator list", () => {
+  const m = migrateMeta({ vwap: { show: false }, ema20: { show: true, opacity: 0.4 }, other: 1 });
+  expect(m).not.toHaveProperty("vwap");
+  expect(m).not.toHaveProperty("ema20");
+  expect(m.other).toBe(1);
+  expect(m.indicators.map((i) => [i.id, i.type, i.show])).toEqual([
+    ["vwap", "vwap", false],
+    ["ema9", "ema", false],
+    ["ema20", "ema", true],
+    ["ema200", "ema", false],
+  ]);
+  expect(m.indicators[2]).toMatchObject({ params: { period: 20 }, opacity: 0.4 });
+  // Unknown types are dropped; missing params are filled in
+  const n = migrateMeta({ indicators: [{ id: "x", type: "nope" }, { id: "s", type: "sma", params: {} }] });
+  expect(n.indicators).toEqual([{ id: "s", type: "sma", params: { period: 50 } }]);
+  expect(migrateMeta(undefined).indicators.map((i) => i.type)).toEqual(["vwap"]);
+});
+
+test("labels instances from their params", () => {
+  expect(indicatorLabel({ type: "ema", params: { period: 9 } })).toBe("EMA(9)");
+  expect(indicatorLabel({ type: "keltner", params: {} })).toBe("Keltner(20, 10, 2)");
+  expect(indicatorLabel({ type: "vwap", params: { reset: "day", tz: "Asia/Tokyo" } })).toBe("VWAP day Asia/Tokyo");
+});
+
+test("loads enough history for the slowest shown instance", () => {
+  expect(indicatorWarmup([
+    { type: "ema", params: { period: 50 }, show: true },
+    { type: "sma", params: { period: 400 }, show: false },
+    { type: "ichimoku", params: {}, show: true },
+  ])).toBe(150);
+  expect(indicatorWarmup([])).toBe(0);
+});
+
+test("computes named, time-aligned output lines without warm-up gaps", () => {
+  const bars = barsOf([1, 2, 3, 4, 5, 6]);
+  const [line] = computeIndicator({ id: "s", type: "sma", params: { period: 3 } }, bars);
+  expect(line).toMatchObject({ key: "sma", name: "SMA(3)", dashed: false });
+  expect(line.data).toEqual([{ time: 120, value: 2 }, { time: 180, value: 3 }, { time: 240, value: 4 }, { time: 300, value: 5 }]);
+
+  const bb = computeIndicator({ id: "b", type: "bb", params: { period: 2, mult: 1 } }, bars);
+  expect(bb.map((o) => [o.key, o.name, o.dashed])).toEqual([
+    ["upper", "Bollinger(2, 1) upper", false],
+    ["basis", "Bollinger(2, 1) basis", true],
+    ["lower", "Bollinger(2, 1) lower", false],
+  ]);
+  expect(bb[0].data[0]).toEqual({ time: 60, value: 2 });
+
+  // Smoothing runs an SMA over each output
+  const [smooth] = computeIndicator({ id: "e", type: "ema", params: { period: 1 }, smooth: 2 }, bars);
+  expect(smooth.data.map((p) => p.value)).toEqual([1, 1.5, 2.5, 3.5, 4.5, 5.5]);
+  expect(computeIndicator({ id: "e", type: "ema", params: { period: 1 } }, [])).toEqual([]);
+});
+
+// Hourly bars from 2024-01-01 20:00 UTC (a Monday) with typical price = close
+const hourly = (closes, volume = 1) =>
+  closes.map((c, i) => ({ time: 1704139200 + i * 3600, open: c, high: c, low: c, close: c, volume }));
+
+test("session VWAPs restart at the session boundary of their zone", () => {
+  const bars = hourly([10, 20, 30, 40, 50, 60]); // 20:00 .. 01:00 UTC
+  expect(indicatorValues({ type: "vwap", params: { reset: "none" } }, bars).vwap).toEqual([10, 15, 20, 25, 30, 35]);
+  expect(indicatorValues({ type: "vwap", params: { reset: "day", tz: "UTC" } }, bars).vwap).toEqual([10, 15, 20, 25, 50, 55]);
+  // Tokyo's day starts at 15:00 UTC, so these bars share one
+  expect(indicatorValues({ type: "vwap", params: { reset: "day", tz: "Asia/Tokyo" } }, bars).vwap).toEqual([10, 15, 20, 25, 30, 35]);
+});
+
+test("VWAP bands are volume-weighted standard deviations", () => {
+  const v = indicatorValues({ type: "vwap", params: { reset: "none", bands: 2 } }, hourly([10, 20]));
+  expect(v.vwap).toEqual([10, 15]);
+  expect(v.upper1).toEqual([10, 20]);
+  expect(v.lower2).toEqual([10, 5]);
+});
+
+test("an anchored VWAP starts at its anchor and is blank without history there", () => {
+  const bars = hourly([10, 20, 30, 40]);
+  expect(indicatorValues({ type: "avwap", params: { anchor: bars[2].time } }, bars).vwap).toEqual([null, null, 30, 35]);
+  expect(indicatorValues({ type: "avwap", params: { anchor: bars[0].time - 3600 } }, bars.slice(1)).vwap).toEqual([null, null, null]);
+});
+
+test("new VWAPs pick their session from the timeframe", () => {
+  expect(newIndicator("vwap", {}, "5m").params.reset).toBe("day");
+  expect(newIndicator("vwap", {}, "12h").params.reset).toBe("day");
+  expect(newIndicator("vwap", {}, "1d").params.reset).toBe("week");
+  expect(defaultIndicators("1w")[0].params.reset).toBe("month");
+  expect(newIndicator("vwap", {}, "1M").params.reset).toBe("none");
+  expect(newIndicator("vwap").params.reset).toBe("none");
+});
+
+test("saved VWAPs keep running over the loaded bars unless they chose a session", () => {
+  const m = migrateMeta({ indicators: [{ id: "a", type: "vwap", params: {} }, { id: "b", type: "vwap", params: { reset: "day" } }] });
+  expect(m.indicators.map((i) => i.params.reset)).toEqual(["none", "day"]);
+  expect(migrateMeta({ vwap: { show: true } }).indicators[0].params.reset).toBe("none");
+});
@@ -0,0 +1,57 @@
+import { RSI as rsiCalc } from "technicalindicators";
+
+export function toHeikinAshi(bars) {
+  if (!bars || !bars.length) return [];
+  const out = [];
+  let prev;
+  for (const b of bars) {
+    prev = heikinAshiStep(prev, b).state;
+    out.push(prev);
+  }
+  return out;
+}
+
+// One HA candle from the previous HA candle (undefined for the first bar)
+export function heikinAshiStep(prev, b) {
+  const c = (b.open + b.high + b.low + b.close) / 4;
+  const o = prev ? (prev.open + prev.close) / 2 : (b.open + b.close) / 2;
+  const ha = { time: b.time, open: o, high: Math.max(b.high, o, c), low: Math.min(b.low, o, c), close: c, volume: b.volume };
+  return { state: ha, values: ha };
+}
+
+// RSI aligned to bars: result[i] is the RSI at bars[i] (null during warm-up)
+export function rsiAligned(bars, { useHa = false, period = 14 } = {}) {
+  const src = useHa ? toHeikinAshi(bars) : bars;
+  const r = rsiCalc.calculate({ period, values: src.map((x) => x.close) });
+  const pad = bars.length - r.length;
+  return bars.map((_, i) => (i >= pad ? r[i - pad] : null));
+}
+
+// Wilder RSI one close at a time: (state, close) -> { state, values: rsi | null }.
+// Same arithmetic as technicalindicators' RSI (simple average of the first
+// `period` changes, then Wilder smoothing, rounded to 2 decimals), so live
+// ticks agree with rsiAligned over the full history.
+export function rsiStep(period) {
+  return (s, close) => {
+    if (!s) return { state: { prev: close, n: 0, gain: 0, loss: 0 }, values: null };
+    const d = close - s.prev;
+    const up = d > 0 ? d : 0;
+    const down = d < 0 ? -d : 0;
+    const n = s.n + 1;
+    // Sums during warm-up, averages from the period-th change on
+    let gain = s.gain + up;
+    let loss = s.loss + down;
+    if (n === period) {
+      gain /= period;
+      loss /= period;
+    } else if (n > period) {
+      gain = (s.gain * (period - 1) + up) / period;
+      loss = (s.loss * (period - 1) + down) / period;
+    }
+    let value = null;
+    if (n >= period) {
+      value = loss === 0 ? 100 : gain === 0 ? 0 : parseFloat((100 - 100 / (1 + gain / loss)).toFixed(2));
+    }
+    return { state: { prev: close, n, gain, loss }, values: value };
+  };
+}
@@ -0,0 +1,112 @@
+// Rolling indicator state for live ticks. A full render computes every series
+// over the whole history; a websocket tick only revises the last bar or
+// appends one, so the engine keeps each series' state as of the bar before
+// the last and re-derives just the last point from it. Per tick that is O(1)
+// in history length (window indicators cost O(period)). The engine is built
+// from the rendered bars and rebuilt on every full render (load, scroll-back,
+// overlay or RSI period changes).
+import { heikinAshiStep, rsiStep } from "./indicators";
+import { INDICATORS, indicatorOutputs, indicatorStep } from "./indicatorRegistry";
+
+// One series: `before` is the state without the last bar, `after` with it
+function track(next) {
+  let before;
+  let after;
+  return {
+    push(input) {
+      before = after;
+      const r = next(after, input);
+      after = r.state;
+      return r.values;
+    },
+    replace(input) {
+      const r = next(before, input);
+      after = r.state;
+      return r.values;
+    },
+  };
+}
+
+// Overlay smoothing (sma() in the registry) over the finite points only
+function smoothStep(window) {
+  return (s, v) => {
+    if (v == null || !Number.isFinite(v)) return { state: s, values: null };
+    const win = !s ? [v] : s.length < window ? [...s, v] : [...s.slice(1), v];
+    return { state: win, values: win.length < window ? v : win.reduce((a, x) => a + x, 0) / window };
+  };
+}
+
+const finite = (v) => (v != null && Number.isFinite(v) ? v : null);
+
+// bars: the rendered history; options as used by the chart's full render, plus
+// `lines`: [{ key, indicator }] stepped on the plain bars even on a Heikin Ashi
+// chart (the EMAs of EMA-cross alerts), each reporting its first output.
+// -> { tick(bar), full }: tick returns the new last point
+//   { time, appended, candle, rsi, haRsi, overlays: [{ key: `${id}:${output}`, value }], lines: [{ key, value }] }
+// or null for a bar older than the last one (the caller renders in full);
+// `full` lists shown overlays without a step form, recomputed on each tick.
+export function createLiveEngine(bars, { indicators, rsiPeriod = 14, useHeikinAshi = false, lines = [] } = {}) {
+  const ha = track(heikinAshiStep);
+  const rsi = track(rsiStep(rsiPeriod));
+  const haRsi = track(rsiStep(rsiPeriod));
+  const overlays = [];
+  const full = [];
+  (indicators || []).forEach((ind) => {
+    if (!ind.show || !INDICATORS[ind.type]) return;
+    const next = indicatorStep(ind);
+    if (!next) {
+      full.push(ind);
+      return;
+    }
+    overlays.push({
+      series: track(next),
+      outputs: indicatorOutputs(ind).map((o) => ({
+        key: o.key,
+        id: `${ind.id}:${o.key}`,
+        smooth: ind.smooth > 1 ? track(smoothStep(Math.floor(ind.smooth))) : null,
+      })),
+    });
+  });
+  const plain = lines
+    .map(({ key, indicator }) => {
+      const next = indicatorStep(indicator);
+      return next && { key, series: track(next), output: indicatorOutputs(indicator)[0].key };
+    })
+    .filter(Boolean);
+
+  // op: "push" (new bar) or "replace" (revised last bar)
+  function apply(bar, op) {
+    const h = ha[op](bar);
+    const candle = useHeikinAshi ? h : bar;
+    const point = { time: bar.time, candle, rsi: rsi[op](bar.close), haRsi: haRsi[op](h.close), overlays: [], lines: [] };
+    overlays.forEach(({ series, outputs }) => {
+      const values = series[op](candle);
+      outputs.forEach((o) => {
+        const v = finite(values[o.key]);
+        point.overlays.push({ key: o.id, value: o.smooth ? o.smooth[op](v) : v });
+      });
+    });
+    plain.forEach(({ key, series, output }) => {
+      point.lines.push({ key, value: finite(series[op](bar)[output]) });
+    });
+    return point;
+  }
+
+  let last = null;
+  (bars || []).forEach((b) => {
+    apply(b, "push");
+    last = b.time;
+  });
+
+  return {
+    full,
+    tick(bar) {
+      if (last == null || bar.time > last) {
+        last = bar.time;
+        return { ...apply(bar, "push"), appended: true };
+      }
+      if (bar.time === last) return { ...apply(bar, "replace"), appended: false };
+      return null;
+    },
+  };
+}
@@ -0,0 +1,120 @@
+import { createLiveEngine } from "./liveEngine";
+import { rsiAligned, toHeikinAshi } from "./indicators";
+import { INDICATORS, newIndicator, computeIndicator, emaOf } from "./indicatorRegistry";
+
+// Deterministic random walk of hourly bars
+function walk(n, seed = 1) {
+  let s = seed;
+  const rnd = () => ((s = (s * 16807) % 2147483647) / 2147483647);
+  const bars = [];
+  let price = 100;
+  for (let i = 0; i < n; i++) {
+    const open = price;
+    price = Math.max(1, price + (rnd() - 0.5) * 2);
+    bars.push({
+      time: 1704067200 + i * 3600, open, close: price,
+      high: Math.max(open, price) + rnd(), low: Math.min(open, price) - rnd(), volume: 1 + rnd() * 10,
+    });
+  }
+  return bars;
+}
+
+// Every overlay type with a step form, in the variants that change its state
+const STEPPED = [
+  newIndicator("vwap", { id: "vwap", params: { reset: "none", tz: "UTC", bands: 0 } }),
+  newIndicator("vwap", { id: "vwapDay", params: { reset: "day", tz: "America/New_York", bands: 3 } }),
+  newIndicator("vwap", { id: "vwapWeek", params: { reset: "week", tz: "UTC", bands: 1 } }),
+  newIndicator("avwap", { id: "avwap", params: { anchor: 1704067200 + 40 * 3600, bands: 2 } }),
+  newIndicator("ema", { id: "ema", params: { period: 9 } }),
+  newIndicator("ema", { id: "emaSmooth", params: { period: 20 }, smooth: 3 }),
+  newIndicator("sma", { id: "sma", params: { period: 10 } }),
+  newIndicator("wma", { id: "wma", params: { period: 10 } }),
+  newIndicator("bb", { id: "bb" }),
+  newIndicator("keltner", { id: "keltner" }),
+];
+
+// A forming bar's revisions, then its close
+function revisions(prev, time, seed) {
+  const walked = walk(4, seed).map((b) => b.close - 100);
+  return walked.map((d, k) => {
+    const close = prev.close + d;
+    return {
+      time, open: prev.close, close,
+      high: Math.max(prev.close, close) + 0.5, low: Math.min(prev.close, close) - 0.5,
+      volume: 1 + k, closed: k === walked.length - 1,
+    };
+  });
+}
+
+// The last point of each series, computed over all bars
+function recompute(bars, indicators, useHeikinAshi) {
+  const shown = useHeikinAshi ? toHeikinAshi(bars) : bars;
+  const overlays = {};
+  indicators.forEach((ind) => {
+    computeIndicator(ind, shown).forEach((o) => {
+      const last = o.data[o.data.length - 1];
+      overlays[`${ind.id}:${o.key}`] = last && last.time === bars[bars.length - 1].time ? last.value : null;
+    });
+  });
+  const r = rsiAligned(bars, { period: 14 });
+  const rha = rsiAligned(bars, { useHa: true, period: 14 });
+  return { rsi: r[r.length - 1], haRsi: rha[rha.length - 1], overlays };
+}
+
+test("covers every overlay type that has a step form", () => {
+  const stepped = Object.keys(INDICATORS).filter((type) => INDICATORS[type].step);
+  expect(new Set(STEPPED.map((i) => i.type))).toEqual(new Set(stepped));
+});
+
+[false, true].forEach((useHeikinAshi) => {
+  test(`ticks agree with a full recompute${useHeikinAshi ? " on Heikin Ashi candles" : ""}`, () => {
+    const bars = walk(80);
+    const engine = createLiveEngine(bars, { indicators: STEPPED, rsiPeriod: 14, useHeikinAshi });
+    expect(engine.full).toEqual([]);
+    for (let n = 0; n < 40; n++) {
+      const prev = bars[bars.length - 1];
+      revisions(prev, prev.time + 3600, n + 2).forEach((bar, k) => {
+        if (k === 0) bars.push(bar);
+        else bars[bars.length - 1] = bar;
+        const pt = engine.tick(bar);
+        expect(pt.appended).toBe(k === 0);
+        const ref = recompute(bars, STEPPED, useHeikinAshi);
+        expect(pt.rsi).toBeCloseTo(ref.rsi, 9);
+        expect(pt.haRsi).toBeCloseTo(ref.haRsi, 9);
+        pt.overlays.forEach(({ key, value }) => {
+          if (ref.overlays[key] == null) expect([key, value]).toEqual([key, null]);
+          else expect([key, value]).toEqual([key, expect.closeTo(ref.overlays[key], 9)]);
+        });
+      });
+    }
+  });
+});
+
+test("candles follow the chart style; lines always read the plain bars", () => {
+  const bars = walk(40);
+  const lines = [{ key: "cross:fast", indicator: { type: "ema", params: { period: 12 } } }];
+  const engine = createLiveEngine(bars, { indicators: [], useHeikinAshi: true, lines });
+  const next = { ...bars[39], time: bars[39].time + 3600, close: bars[39].close + 3 };
+  const pt = engine.tick(next);
+  const all = bars.concat(next);
+  const ha = toHeikinAshi(all);
+  expect(pt.candle).toEqual(ha[ha.length - 1]);
+  const ema = emaOf(all.map((b) => b.close), 12);
+  expect(pt.lines).toEqual([{ key: "cross:fast", value: expect.closeTo(ema[ema.length - 1], 9) }]);
+});
+
+test("leaves overlays without a step form to a full recompute and refuses older bars", () => {
+  const bars = walk(30);
+  const ichimoku = newIndicator("ichimoku", { id: "ichi" });
+  const hidden = newIndicator("ema", { id: "off", show: false });
+  const engine = createLiveEngine(bars, { indicators: [ichimoku, hidden] });
+  expect(engine.full).toEqual([ichimoku]);
+  expect(engine.tick(bars[bars.length - 1]).overlays).toEqual([]);
+  expect(engine.tick(bars[10])).toBeNull();
+});
+
+test("an engine over no bars starts with the first tick", () => {
+  const engine = createLiveEngine([], { indicators: [newIndicator("ema", { id: "e" })] });
+  const [bar] = walk(1);
+  expect(engine.tick(bar)).toMatchObject({ appended: true, candle: bar, rsi: null, overlays: [{ key: "e:ema", value: bar.close }] });
+});
@@ -0,0 +1,70 @@
+// The chart's live-tick path, kept out of the component so it can be timed on
+// its own (scripts/bench-live.mjs). A tick revises the last bar or appends one
+// in place and hands every series its new last point through update(), which
+// lightweight-charts applies in O(1); nothing walks the history.
+import { toHeikinAshi } from "./indicators";
+import { computeIndicator } from "./indicatorRegistry";
+import { levelAt } from "./fibTools";
+
+// chart: {
+//   bars,                  the rendered bars (the tick is applied to them)
+//   engine,                createLiveEngine over them (liveEngine.js)
+//   candles, rsi, haRsi,   series, each optional
+//   overlays,              { `${id}:${output}`: series } of the shown overlays
+//   overlayData,           [{ key, data }] hover data of those overlays, kept current
+//   lines,                 { key: series } of the engine's `lines`
+//   tools,                 [{ series, level }] drawn tool levels (sloped/horizontal),
+//                          extended to each new bar
+//   zigzag,                createZigzag over the bars (swings.js), optional
+//   rsiAt,                 Map bar time -> RSI, for the synced crosshair
+//   useHeikinAshi,
+// }
+// -> { appended, rsi, haRsi, pivotsChanged }, or null for a bar older than the last
+export function applyTick(chart, bar) {
+  const { bars, engine } = chart;
+  const pt = engine.tick(bar);
+  if (!pt) return null;
+  if (pt.appended) bars.push(bar);
+  else bars[bars.length - 1] = bar;
+
+  const { time } = pt;
+  const point = (v) => (v == null ? { time } : { time, value: v });
+  if (chart.candles) chart.candles.update(pt.candle);
+  if (chart.rsi) chart.rsi.update(point(pt.rsi));
+  if (chart.haRsi) chart.haRsi.update(point(pt.haRsi));
+  if (chart.rsiAt) chart.rsiAt.set(time, pt.rsi);
+
+  const shown = new Map((chart.overlayData || []).map((o) => [o.key, o]));
+  pt.overlays.forEach(({ key, value }) => {
+    if (value == null) return;
+    const series = chart.overlays && chart.overlays[key];
+    if (series) series.update({ time, value });
+    const data = shown.has(key) && shown.get(key).data;
+    if (!data) return;
+    if (data.length && data[data.length - 1].time === time) data[data.length - 1] = { time, value };
+    else data.push({ time, value });
+  });
+  pt.lines.forEach(({ key, value }) => {
+    const series = chart.lines && chart.lines[key];
+    if (series) series.update(point(value));
+  });
+  if (pt.appended) {
+    (chart.tools || []).forEach(({ series, level }) => series.update({ time, value: levelAt(level, time) }));
+  }
+
+  // Overlays without a step form (Ichimoku) are still recomputed in full
+  if (engine.full.length) {
+    const useBars = chart.useHeikinAshi ? toHeikinAshi(bars) : bars;
+    engine.full.forEach((ind) => {
+      computeIndicator(ind, useBars).forEach((out) => {
+        const key = `${ind.id}:${out.key}`;
+        const series = chart.overlays && chart.overlays[key];
+        if (series) series.setData(out.data);
+        if (shown.has(key)) shown.get(key).data = out.data;
+      });
+    });
+  }
+
+  const pivotsChanged = !!chart.zigzag && chart.zigzag.push(bar);
+  return { appended: pt.appended, rsi: pt.rsi, haRsi: pt.haRsi, pivotsChanged };
+}
@@ -0,0 +1,90 @@
+import { applyTick } from "./liveTick";
+import { createLiveEngine } from "./liveEngine";
+import { newIndicator, computeIndicator } from "./indicatorRegistry";
+import { createZigzag } from "./swings";
+
+// A chart series: update() may only revise the last point or append one
+function fakeSeries(data = []) {
+  return {
+    data: data.slice(),
+    setData: jest.fn(function (d) { this.data = d.slice(); }),
+    update: jest.fn(function (p) {
+      const last = this.data[this.data.length - 1];
+      if (last && p.time < last.time) throw new Error("Cannot update oldest data");
+      if (last && p.time === last.time) this.data[this.data.length - 1] = p;
+      else this.data.push(p);
+    }),
+  };
+}
+
+const bar = (i, close, patch = {}) => ({ time: i * 60, open: close, high: close + 1, low: close - 1, close, volume: 1, ...patch });
+
+function chartOf(bars, indicators = []) {
+  const ema = newIndicator("ema", { id: "e", params: { period: 3 } });
+  const overlays = {};
+  const overlayData = [];
+  [ema, ...indicators].forEach((ind) => computeIndicator(ind, bars).forEach((o) => {
+    overlays[`${ind.id}:${o.key}`] = fakeSeries(o.data);
+    overlayData.push({ key: `${ind.id}:${o.key}`, data: o.data.slice() });
+  }));
+  const last = bars[bars.length - 1].time;
+  const level = { kind: "ray", t1: 0, p1: 100, t2: 600, p2: 110 };
+  return {
+    bars,
+    engine: createLiveEngine(bars, { indicators: [ema, ...indicators], lines: [{ key: "a:fast", indicator: { type: "ema", params: { period: 2 } } }] }),
+    candles: fakeSeries(bars),
+    rsi: fakeSeries(),
+    overlays,
+    overlayData,
+    lines: { "a:fast": fakeSeries() },
+    tools: [{ series: fakeSeries([{ time: 0, value: 100 }, { time: last, value: 100 + last / 60 }]), level }],
+    zigzag: createZigzag(bars, { depth: 1, deviationPct: 0 }),
+    rsiAt: new Map(),
+  };
+}
+
+const all = (chart) => [chart.candles, chart.rsi, ...Object.values(chart.overlays), ...Object.values(chart.lines), ...chart.tools.map((t) => t.series)];
+
+test("a forming tick revises the last bar and the last point of each series", () => {
+  const bars = [100, 101, 102, 103].map((c, i) => bar(i, c));
+  const chart = chartOf(bars);
+  const r = applyTick(chart, bar(3, 105));
+  expect(r).toEqual({ appended: false, rsi: null, haRsi: null, pivotsChanged: false });
+  expect(bars).toHaveLength(4);
+  expect(bars[3].close).toBe(105);
+  expect(chart.candles.update).toHaveBeenCalledWith(bar(3, 105));
+  expect(chart.overlays["e:ema"].data).toHaveLength(4);
+  expect(chart.overlayData[0].data[3].value).toBe(chart.overlays["e:ema"].data[3].value);
+  // Drawn tools only move when a bar is added
+  expect(chart.tools[0].series.update).not.toHaveBeenCalled();
+  all(chart).forEach((s) => expect(s.setData).not.toHaveBeenCalled());
+});
+
+test("a new bar extends every series, drawn tools included, and feeds the zigzag", () => {
+  const bars = [100, 104, 101, 99].map((c, i) => bar(i, c));
+  const chart = chartOf(bars);
+  const r = applyTick(chart, bar(4, 102, { closed: true }));
+  expect(r).toMatchObject({ appended: true, pivotsChanged: true });
+  expect(chart.zigzag.pivots.map((p) => p.type)).toEqual(["high", "low"]);
+  expect(bars).toHaveLength(5);
+  expect(chart.tools[0].series.data[2]).toEqual({ time: 240, value: 104 });
+  expect(chart.lines["a:fast"].data).toEqual([{ time: 240, value: expect.any(Number) }]);
+  expect(chart.overlayData[0].data).toHaveLength(5);
+  expect(chart.rsiAt.has(240)).toBe(true);
+  all(chart).forEach((s) => expect(s.setData).not.toHaveBeenCalled());
+});
+
+test("overlays without a step form are redrawn in full", () => {
+  const bars = Array.from({ length: 60 }, (_, i) => bar(i, 100 + Math.sin(i / 5) * 10));
+  const chart = chartOf(bars, [newIndicator("ichimoku", { id: "ichi" })]);
+  applyTick(chart, bar(60, 95));
+  expect(chart.overlays["ichi:tenkan"].setData).toHaveBeenCalledTimes(1);
+  expect(chart.overlays["e:ema"].setData).not.toHaveBeenCalled();
+});
+
+test("an older bar is left to the caller", () => {
+  const bars = [100, 101].map((c, i) => bar(i, c));
+  const chart = chartOf(bars);
+  expect(applyTick(chart, bar(0, 90))).toBeNull();
+  expect(bars[0].close).toBe(100);
+});
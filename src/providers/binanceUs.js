@@ -0,0 +1,66 @@
+// Binance US: REST klines + kline streams on one combined-stream websocket
+const REST = "https://api.binance.us/api";
+const WS   = "wss://stream.binance.us:9443/stream";
+
+const INTERVALS = {
+  "1m": "1m", "3m": "3m", "5m": "5m", "15m": "15m", "30m": "30m",
+  "1h": "1h", "2h": "2h", "4h": "4h", "6h": "6h", "12h": "12h",
+  "1d": "1d", "1w": "1w", "1M": "1M",
+};
+
+function parseRestKline(k) {
+  return {
+    time: Math.floor(k[0] / 1000),
+    open: +k[1], high: +k[2], low: +k[3], close: +k[4], volume: +k[5],
+    // the newest REST kline is usually still forming
+    closed: +k[6] < Date.now(),
+  };
+}
+
+async function fetchKlines(symbol, interval, { limit = 500, endTime } = {}) {
+  let url = `${REST}/v3/klines?symbol=${symbol}&interval=${INTERVALS[interval]}&limit=${limit}`;
+  if (endTime != null) url += `&endTime=${endTime * 1000}`;
+  const res = await fetch(url);
+  if (!res.ok) throw new Error(`Binance US klines ${symbol}: HTTP ${res.status}`);
+  const arr = await res.json();
+  return arr.map(parseRestKline);
+}
+
+const streamName = (s) => `${s.symbol.toLowerCase()}@kline_${INTERVALS[s.interval]}`;
+const TF_OF = Object.fromEntries(Object.entries(INTERVALS).map(([tf, v]) => [v, tf]));
+let requestId = 0;
+
+// Combined stream (see stream.js): messages arrive as { stream, data }
+const stream = {
+  url: (subs) => `${WS}?streams=${subs.map(streamName).join("/")}`,
+  subscribe: (subs, send) => send({ method: "SUBSCRIBE", params: subs.map(streamName), id: ++requestId }),
+  unsubscribe: (subs, send) => send({ method: "UNSUBSCRIBE", params: subs.map(streamName), id: ++requestId }),
+  parse: (msg, subs, emit) => {
+    const k = msg.data && msg.data.k;
+    if (!k) return;
+    emit(k.s, TF_OF[k.i], {
+      time: Math.floor(k.t / 1000), open: +k.o, high: +k.h, low: +k.l, close: +k.c, volume: +k.v, closed: !!k.x,
+    });
+  },
+  maxBackfill: 1000,
+};
+
+async function listSymbols() {
+  const res = await fetch(`${REST}/v3/exchangeInfo`);
+  const j = await res.json();
+  return (j.symbols || [])
+    .filter((s) => s.status === "TRADING")
+    .map((s) => ({ symbol: s.symbol, base: s.baseAsset, quote: s.quoteAsset }));
+}
+
+const binanceUs = {
+  id: "binanceus",
+  label: "Binance US",
+  intervals: Object.keys(INTERVALS),
+  symbolHint: "BTCUSD",
+  fetchKlines,
+  stream,
+  listSymbols,
+};
+
+export default binanceUs;
@@ -0,0 +1,119 @@
+// Coinbase Exchange: REST candles + bars built from the "matches" channel
+// (Coinbase has no kline stream), every product on one websocket; the
+// heartbeat channel keeps quiet products from looking stale. Symbols are
+// product ids, e.g. BTC-USD.
+const REST = "https://api.exchange.coinbase.com";
+const WS   = "wss://ws-feed.exchange.coinbase.com";
+
+// granularity in seconds; Coinbase serves no other sizes
+const INTERVALS = { "1m": 60, "5m": 300, "15m": 900, "1h": 3600, "6h": 21600, "1d": 86400 };
+const MAX_CANDLES = 300;
+
+async function fetchKlines(symbol, interval, { limit = 300, endTime } = {}) {
+  const g = INTERVALS[interval];
+  const n = Math.min(limit, MAX_CANDLES);
+  const end = endTime ?? Math.floor(Date.now() / 1000);
+  const start = end - g * n;
+  const url = `${REST}/products/${symbol}/candles?granularity=${g}` +
+    `&start=${new Date(start * 1000).toISOString()}&end=${new Date(end * 1000).toISOString()}`;
+  const res = await fetch(url);
+  if (!res.ok) throw new Error(`Coinbase candles ${symbol}: HTTP ${res.status}`);
+  const arr = await res.json();
+  const now = Date.now() / 1000;
+  // [time, low, high, open, close, volume], newest first
+  return arr
+    .map((c) => ({ time: c[0], open: +c[3], high: +c[2], low: +c[1], close: +c[4], volume: +c[5], closed: c[0] + g <= now }))
+    .sort((a, b) => a.time - b.time);
+}
+
+const CHANNELS = ["matches", "heartbeat"];
+const products = (subs) => [...new Set(subs.map((s) => s.symbol))];
+let building = {}; // `${product}|${interval}` -> bar being built
+
+// Start each subscribed bar from the REST candle of the same period, so it
+// keeps the open, range and volume traded before the subscription; trades
+// then add on top. Trades that beat the candle here may already be counted
+// in it, hence the larger volume rather than the sum.
+async function seed(subs) {
+  await Promise.all(subs.map(async ({ symbol, interval }) => {
+    const bars = await fetchKlines(symbol, interval, { limit: 2 });
+    const last = bars[bars.length - 1];
+    if (!last || last.closed) return;
+    const key = `${symbol}|${interval}`;
+    const bar = building[key];
+    if (!bar) {
+      building[key] = { time: last.time, open: last.open, high: last.high, low: last.low, close: last.close, volume: last.volume };
+    } else if (bar.time === last.time) {
+      building[key] = {
+        ...bar,
+        open: last.open,
+        high: Math.max(bar.high, last.high),
+        low: Math.min(bar.low, last.low),
+        volume: Math.max(bar.volume, last.volume),
+      };
+    }
+  }));
+}
+
+// One connection for every product (see stream.js); each trade updates the
+// bar of every interval subscribed for its product
+const stream = {
+  url: () => WS,
+  subscribe: (subs, send) => {
+    send({ type: "subscribe", product_ids: products(subs), channels: CHANNELS });
+    return seed(subs);
+  },
+  unsubscribe: (subs, send, remaining) => {
+    const still = new Set(products(remaining));
+    const gone = products(subs).filter((p) => !still.has(p));
+    subs.forEach((s) => delete building[`${s.symbol}|${s.interval}`]);
+    if (gone.length) send({ type: "unsubscribe", product_ids: gone, channels: CHANNELS });
+  },
+  reset: () => { building = {}; },
+  parse: (d, subs, emit, touch) => {
+    if (d.type === "heartbeat") touch(d.product_id);
+    if (d.type !== "match" && d.type !== "last_match") return;
+    const price = +d.price;
+    const size = +d.size;
+    const sec = Date.parse(d.time) / 1000;
+    subs.forEach(({ symbol, interval }) => {
+      if (symbol !== d.product_id) return;
+      const g = INTERVALS[interval];
+      const key = `${symbol}|${interval}`;
+      const t = Math.floor(sec / g) * g;
+      let bar = building[key];
+      if (bar && t > bar.time) {
+        emit(symbol, interval, { ...bar, closed: true });
+        bar = null;
+      }
+      if (!bar) bar = { time: t, open: price, high: price, low: price, close: price, volume: 0 };
+      bar.high = Math.max(bar.high, price);
+      bar.low = Math.min(bar.low, price);
+      bar.close = price;
+      bar.volume += size;
+      building[key] = bar;
+      emit(symbol, interval, { ...bar, closed: false });
+    });
+  },
+  maxBackfill: MAX_CANDLES,
+};
+
+async function listSymbols() {
+  const res = await fetch(`${REST}/products`);
+  const arr = await res.json();
+  return (arr || [])
+    .filter((p) => !p.trading_disabled)
+    .map((p) => ({ symbol: p.id, base: p.base_currency, quote: p.quote_currency }));
+}
+
+const coinbase = {
+  id: "coinbase",
+  label: "Coinbase",
+  intervals: Object.keys(INTERVALS),
+  symbolHint: "BTC-USD",
+  fetchKlines,
+  stream,
+  listSymbols,
+};
+
+export default coinbase;
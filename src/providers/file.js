@@ -0,0 +1,79 @@
+// Static file provider: bars from public/data/<SYMBOL>.json or .csv.
+// JSON: [{ time, open, high, low, close, volume }]
+// CSV:  header row with time,open,high,low,close[,volume]
+// time may be unix seconds, unix ms or an ISO date. No live stream.
+import { INTERVALS } from "./intervals";
+
+const BASE = `${process.env.PUBLIC_URL || ""}/data`;
+
+function toSeconds(t) {
+  if (typeof t === "number" || /^\d+(\.\d+)?$/.test(String(t))) {
+    const n = Number(t);
+    return n > 1e12 ? Math.floor(n / 1000) : Math.floor(n);
+  }
+  return Math.floor(Date.parse(t) / 1000);
+}
+
+function normalize(rows) {
+  return rows
+    .map((r) => ({
+      time: toSeconds(r.time),
+      open: +r.open, high: +r.high, low: +r.low, close: +r.close, volume: +(r.volume || 0),
+      closed: true,
+    }))
+    .filter((b) => Number.isFinite(b.time) && Number.isFinite(b.close))
+    .sort((a, b) => a.time - b.time);
+}
+
+function parseCSV(text) {
+  const lines = text.split(/\r?\n/).filter((l) => l.trim());
+  if (!lines.length) return [];
+  const head = lines[0].split(",").map((h) => h.trim().toLowerCase());
+  return lines.slice(1).map((l) => {
+    const cells = l.split(",");
+    const row = {};
+    head.forEach((h, i) => (row[h] = cells[i] != null ? cells[i].trim() : ""));
+    return row;
+  });
+}
+
+async function loadFile(symbol) {
+  const json = await fetch(`${BASE}/${symbol}.json`);
+  if (json.ok && (json.headers.get("content-type") || "").includes("json")) {
+    return normalize(await json.json());
+  }
+  const csv = await fetch(`${BASE}/${symbol}.csv`);
+  if (!csv.ok) throw new Error(`File provider: no data/${symbol}.json or .csv`);
+  return normalize(parseCSV(await csv.text()));
+}
+
+async function fetchKlines(symbol, interval, { limit = 500, endTime } = {}) {
+  let bars = await loadFile(symbol);
+  if (endTime != null) bars = bars.filter((b) => b.time < endTime);
+  return bars.slice(-limit);
+}
+
+function subscribe() {
+  return () => {};
+}
+
+// Optional public/data/index.json: ["SYMBOL", ...]
+async function listSymbols() {
+  const res = await fetch(`${BASE}/index.json`);
+  if (!res.ok) return [];
+  const arr = await res.json();
+  return (arr || []).map((s) => ({ symbol: String(s), base: String(s), quote: "" }));
+}
+
+const file = {
+  id: "file",
+  label: "File (CSV/JSON)",
+  // the file's bars are shown as-is, whatever timeframe is picked
+  intervals: INTERVALS,
+  symbolHint: "MYPAIR",
+  fetchKlines,
+  subscribe,
+  listSymbols,
+};
+
+export default file;
@@ -0,0 +1,51 @@
+// Market-data providers. Each one implements:
+//   fetchKlines(symbol, interval, { limit, endTime }) -> Promise<bar[]> (oldest first)
+//   stream                                            -> websocket adapter shared by all charts (stream.js)
+//     or subscribe(symbol, interval, onBar)           -> unsubscribe(), for providers without a socket
+//   listSymbols()                                     -> Promise<{ symbol, base, quote }[]>
+// Bars are { time (unix sec), open, high, low, close, volume, closed }.
+import binanceUs from "./binanceUs";
+import coinbase from "./coinbase";
+import kraken from "./kraken";
+import file from "./file";
+import { streamFor } from "./stream";
+
+export { INTERVALS, intervalSeconds } from "./intervals";
+
+export const PROVIDERS = [binanceUs, coinbase, kraken, file];
+export const DEFAULT_PROVIDER = binanceUs.id;
+
+export function getProvider(id) {
+  return PROVIDERS.find((p) => p.id === id) || binanceUs;
+}
+
+// Live bars of one symbol/interval over the provider's shared stream -> unsubscribe().
+// onStatus gets "live" | "stale" | "reconnecting" | "error" and, for "error", the reason
+// (never called for providers without a socket).
+export function subscribeBars(providerId, symbol, interval, { onBar, onStatus }) {
+  const provider = getProvider(providerId);
+  if (!provider.stream) return provider.subscribe(symbol, interval, onBar);
+  return streamFor(provider).subscribe(symbol, interval, { onBar, onStatus });
+}
+
+// Walk back in time with endTime paging; returns up to pages * limit bars, oldest first
+export async function fetchPagedKlines(providerId, symbol, interval, { pages = 1, limit = 500 } = {}) {
+  const provider = getProvider(providerId);
+  let out = [];
+  let endTime;
+  for (let i = 0; i < pages; i++) {
+    const page = await provider.fetchKlines(symbol, interval, { limit, endTime });
+    const older = out.length ? page.filter((b) => b.time < out[0].time) : page;
+    if (!older.length) break;
+    out = older.concat(out);
+    endTime = older[0].time - 1;
+  }
+  return out;
+}
+
+// The bar containing `time` (unix sec), or null when the provider can't reach back that far
+export async function fetchBarAt(providerId, symbol, interval, time) {
+  const page = await getProvider(providerId).fetchKlines(symbol, interval, { limit: 2, endTime: time + 1 });
+  const at = page.filter((b) => b.time <= time);
+  return at.length ? at[at.length - 1] : null;
+}
@@ -0,0 +1,11 @@
+// Every timeframe the dashboard offers, shortest first. A provider's
+// `intervals` is the subset it can serve.
+export const INTERVALS = ["1m", "3m", "5m", "15m", "30m", "1h", "2h", "4h", "6h", "12h", "1d", "1w", "1M"];
+
+const UNIT_SECONDS = { m: 60, h: 3600, d: 86400, w: 604800, M: 2592000 }; // 1M ~ 30 days
+
+// "4h" -> 14400
+export function intervalSeconds(tf) {
+  const m = /^(\d+)([mhdwM])$/.exec(tf || "");
+  return m ? Number(m[1]) * UNIT_SECONDS[m[2]] : null;
+}
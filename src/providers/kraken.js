@@ -0,0 +1,105 @@
+// Kraken: REST OHLC + v1 websocket "ohlc" subscriptions, all on one socket.
+// Symbols are Kraken altnames, e.g. XBTUSD; the websocket needs the
+// pair's wsname (XBT/USD), looked up from AssetPairs.
+const REST = "https://api.kraken.com/0/public";
+const WS   = "wss://ws.kraken.com";
+
+// interval in minutes
+const INTERVALS = { "1m": 1, "5m": 5, "15m": 15, "30m": 30, "1h": 60, "4h": 240, "1d": 1440, "1w": 10080 };
+
+let pairsCache = null;
+async function assetPairs() {
+  if (!pairsCache) {
+    pairsCache = fetch(`${REST}/AssetPairs`)
+      .then((r) => r.json())
+      .then((j) => Object.values(j.result || {}))
+      .catch((e) => { pairsCache = null; throw e; });
+  }
+  return pairsCache;
+}
+
+async function fetchKlines(symbol, interval, { limit = 500, endTime } = {}) {
+  const url = `${REST}/OHLC?pair=${symbol}&interval=${INTERVALS[interval]}`;
+  const res = await fetch(url);
+  if (!res.ok) throw new Error(`Kraken OHLC ${symbol}: HTTP ${res.status}`);
+  const j = await res.json();
+  if (j.error && j.error.length) throw new Error(`Kraken OHLC ${symbol}: ${j.error.join(", ")}`);
+  const key = Object.keys(j.result || {}).find((k) => k !== "last");
+  const now = Date.now() / 1000;
+  const secs = INTERVALS[interval] * 60;
+  // [time, open, high, low, close, vwap, volume, count]
+  let bars = (j.result[key] || []).map((k) => ({
+    time: +k[0], open: +k[1], high: +k[2], low: +k[3], close: +k[4], volume: +k[6], closed: +k[0] + secs <= now,
+  }));
+  // Kraken only serves the most recent 720 bars; honor endTime by trimming
+  if (endTime != null) bars = bars.filter((b) => b.time < endTime);
+  return bars.slice(-limit);
+}
+
+const TF_OF = Object.fromEntries(Object.entries(INTERVALS).map(([tf, m]) => [m, tf]));
+const altnames = {}; // wsname -> altname, for incoming messages
+let current = {}; // `${altname}|${interval}` -> last bar
+
+// One (un)subscribe message per pair and interval, as Kraken groups them by interval
+async function sendOhlc(event, subs, send, fail) {
+  const pairs = await assetPairs();
+  subs.forEach(({ symbol, interval }) => {
+    const pair = pairs.find((p) => p.altname === symbol);
+    if (!pair || !pair.wsname) {
+      if (fail) fail(symbol, `Kraken has no pair ${symbol}`);
+      return;
+    }
+    altnames[pair.wsname] = symbol;
+    send({ event, pair: [pair.wsname], subscription: { name: "ohlc", interval: INTERVALS[interval] } });
+  });
+}
+
+// See stream.js. Heartbeats (every second while the connection is quiet) name
+// no pair: they keep the socket alive, but a pair without trades reads stale.
+const stream = {
+  url: () => WS,
+  subscribe: (subs, send, fail) => sendOhlc("subscribe", subs, send, fail),
+  unsubscribe: (subs, send) => {
+    subs.forEach((s) => delete current[`${s.symbol}|${s.interval}`]);
+    return sendOhlc("unsubscribe", subs, send);
+  },
+  reset: () => { current = {}; },
+  parse: (d, subs, emit) => {
+    // [channelID, [time, etime, open, high, low, close, vwap, volume, count], "ohlc-1", "XBT/USD"]
+    if (!Array.isArray(d) || !String(d[2] || "").startsWith("ohlc")) return;
+    const mins = Number(String(d[2]).slice(5));
+    const symbol = altnames[d[3]];
+    const interval = TF_OF[mins];
+    if (!symbol || !interval) return;
+    const k = d[1];
+    const key = `${symbol}|${interval}`;
+    const time = Math.round(+k[1]) - mins * 60;
+    const prev = current[key];
+    if (prev && time > prev.time) emit(symbol, interval, { ...prev, closed: true });
+    current[key] = { time, open: +k[2], high: +k[3], low: +k[4], close: +k[5], volume: +k[7] };
+    emit(symbol, interval, { ...current[key], closed: false });
+  },
+  maxBackfill: 720,
+};
+
+async function listSymbols() {
+  const pairs = await assetPairs();
+  return pairs
+    .filter((p) => p.status == null || p.status === "online")
+    .map((p) => {
+      const [base, quote] = String(p.wsname || "").split("/");
+      return { symbol: p.altname, base: base || p.base, quote: quote || p.quote };
+    });
+}
+
+const kraken = {
+  id: "kraken",
+  label: "Kraken",
+  intervals: Object.keys(INTERVALS),
+  symbolHint: "XBTUSD",
+  fetchKlines,
+  stream,
+  listSymbols,
+};
+
+export default kraken;
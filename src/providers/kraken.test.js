@@ -0,0 +1,28 @@
+import kraken from "./kraken";
+
+const realFetch = global.fetch;
+afterEach(() => { global.fetch = realFetch; });
+
+// fetch answering AssetPairs and OHLC requests from `routes` (path -> [status, body])
+function stubFetch(routes) {
+  global.fetch = jest.fn(async (url) => {
+    const [status, body] = routes[new URL(url).pathname.split("/").pop()];
+    return { ok: status < 400, status, json: async () => body };
+  });
+}
+
+test("an HTTP error fails the kline request instead of reading as no bars", async () => {
+  stubFetch({ OHLC: [503, { error: [], result: {} }] });
+  await expect(kraken.fetchKlines("XBTUSD", "1h")).rejects.toThrow("Kraken OHLC XBTUSD: HTTP 503");
+  stubFetch({ OHLC: [200, { error: ["EQuery:Unknown asset pair"] }] });
+  await expect(kraken.fetchKlines("NOPE", "1h")).rejects.toThrow("Kraken OHLC NOPE: EQuery:Unknown asset pair");
+});
+
+test("subscribing to an unknown pair fails it through the stream manager", async () => {
+  stubFetch({ AssetPairs: [200, { error: [], result: { XXBTZUSD: { altname: "XBTUSD", wsname: "XBT/USD" } } }] });
+  const sent = [];
+  const fail = jest.fn();
+  await kraken.stream.subscribe([{ symbol: "XBTUSD", interval: "1h" }, { symbol: "NOPEUSD", interval: "1h" }], (m) => sent.push(m), fail);
+  expect(sent).toEqual([{ event: "subscribe", pair: ["XBT/USD"], subscription: { name: "ohlc", interval: 60 } }]);
+  expect(fail).toHaveBeenCalledWith("NOPEUSD", "Kraken has no pair NOPEUSD");
+});
@@ -0,0 +1,271 @@
+// Shared market streams: one websocket per provider carries every chart's
+// symbol/interval (a Binance combined stream, one Coinbase or Kraken
+// connection with several subscriptions). A provider describes its socket
+// with a `stream` adapter:
+//   url(subs)                          connection URL for the current [{ symbol, interval }]
+//   subscribe(subs, send, fail)        send subscribe messages (may be async); fail(symbol, reason)
+//                                      for a symbol the exchange can't stream
+//   unsubscribe(subs, send, remaining) send unsubscribe messages
+//   parse(msg, subs, emit, touch)      one decoded message -> emit(symbol, interval, bar),
+//                                      or touch(symbol) for a per-product heartbeat
+//   reset()                            optional: drop per-connection state (bars being built)
+//   maxBackfill                        most klines one REST page returns
+// The manager reconnects with exponential backoff, re-subscribes, backfills
+// the klines missed while it was down over REST (fetchKlines, paging back
+// until the gap is covered) and reports each subscription's status:
+//   "live"          data flowing
+//   "stale"         connected but nothing for this subscription for STALE_MS
+//                   (re-subscribed after DEAD_MS; a silent socket reconnects)
+//   "reconnecting"  socket down, connecting or backfilling
+//   "error"         the adapter rejected the symbol (onStatus gets the reason too)
+import { intervalSeconds } from "./intervals";
+
+const BACKOFF_MS = 1000; // first retry; doubles per failed attempt
+const MAX_BACKOFF_MS = 30000;
+const STALE_MS = 20000;
+const DEAD_MS = 60000;
+const CHECK_MS = 5000;
+
+const managers = new Map(); // provider id -> manager
+
+export function streamFor(provider) {
+  if (!managers.has(provider.id)) managers.set(provider.id, createStreamManager(provider));
+  return managers.get(provider.id);
+}
+
+function createStreamManager(provider) {
+  const adapter = provider.stream;
+  const subs = new Map(); // `${symbol}|${interval}` -> { symbol, interval, listeners, last, since, seen, backfilling, pending, status, error }
+  let sent = new Set(); // keys subscribed on the current socket
+  let ws = null;
+  let open = false;
+  let connectedOnce = false;
+  let attempts = 0;
+  let retryTimer = null;
+  let checkTimer = null;
+  let syncQueued = false;
+  let lastMessage = 0; // anything on the socket
+
+  const keyOf = (symbol, interval) => `${symbol}|${interval}`;
+  const active = () => [...subs.values()].filter((s) => s.listeners.size);
+
+  // sub.seen: last message for this subscription (or when it was (re)subscribed)
+  function statusOf(sub) {
+    if (sub.error) return "error";
+    if (!open || sub.backfilling) return "reconnecting";
+    return Date.now() - sub.seen > STALE_MS ? "stale" : "live";
+  }
+
+  function report() {
+    subs.forEach((sub) => {
+      const status = statusOf(sub);
+      if (status === sub.status) return;
+      sub.status = status;
+      sub.listeners.forEach((l) => l.onStatus && l.onStatus(status, sub.error));
+    });
+  }
+
+  // The adapter can't stream `symbol`: its subscriptions report "error" instead
+  // of going stale
+  function fail(symbol, reason) {
+    subs.forEach((sub) => { if (sub.symbol === symbol) sub.error = reason; });
+    report();
+  }
+
+  function deliver(sub, bar) {
+    if (sub.last != null && bar.time < sub.last) return;
+    sub.last = bar.time;
+    sub.listeners.forEach((l) => l.onBar(bar));
+  }
+
+  function touch(symbol) {
+    const now = Date.now();
+    subs.forEach((sub) => { if (sub.symbol === symbol) sub.seen = now; });
+  }
+
+  function emit(symbol, interval, bar) {
+    const sub = subs.get(keyOf(symbol, interval));
+    if (!sub) return;
+    sub.seen = Date.now();
+    // Held back until the REST backfill before them is delivered
+    if (sub.backfilling) sub.pending.push(bar);
+    else deliver(sub, bar);
+  }
+
+  function send(socket) {
+    return (msg) => {
+      if (socket === ws && socket.readyState === WebSocket.OPEN) socket.send(JSON.stringify(msg));
+    };
+  }
+
+  function connect() {
+    clearTimeout(retryTimer);
+    retryTimer = null;
+    const list = active();
+    if (!list.length) return;
+    const socket = new WebSocket(adapter.url(list));
+    ws = socket;
+    sent = new Set();
+    adapter.reset && adapter.reset();
+    report();
+
+    socket.onopen = () => {
+      if (socket !== ws) return;
+      open = true;
+      attempts = 0;
+      lastMessage = Date.now();
+      const now = active();
+      now.forEach((sub) => { sub.seen = lastMessage; });
+      sent = new Set(now.map((s) => keyOf(s.symbol, s.interval)));
+      Promise.resolve(adapter.subscribe(now, send(socket), fail)).catch((e) => console.error(e));
+      if (connectedOnce) {
+        now.forEach((sub) => { sub.backfilling = true; sub.pending = []; });
+        now.forEach(backfill);
+      }
+      connectedOnce = true;
+      report();
+    };
+    socket.onmessage = (ev) => {
+      if (socket !== ws) return;
+      lastMessage = Date.now();
+      try {
+        adapter.parse(JSON.parse(ev.data), active(), emit, touch);
+      } catch {}
+      report();
+    };
+    socket.onerror = () => {
+      try { socket.close(); } catch {}
+    };
+    socket.onclose = () => {
+      if (socket !== ws) return;
+      ws = null;
+      open = false;
+      report();
+      if (!active().length) return;
+      const delay = Math.min(MAX_BACKOFF_MS, BACKOFF_MS * 2 ** attempts);
+      attempts++;
+      retryTimer = setTimeout(connect, delay);
+    };
+  }
+
+  // Klines since the subscription's last bar (or since it started), over REST:
+  // the newest page, then older ones (endTime paging) until the gap is covered
+  // or the provider has nothing older. Live bars meanwhile wait in sub.pending.
+  async function backfill(sub) {
+    const secs = intervalSeconds(sub.interval) || 60;
+    const from = sub.last ?? Math.floor(sub.since / secs) * secs;
+    const missed = Math.ceil((Date.now() / 1000 - from) / secs) + 1;
+    const limit = Math.max(2, Math.min(adapter.maxBackfill || 500, missed));
+    try {
+      let bars = [];
+      let endTime;
+      for (;;) {
+        const page = await provider.fetchKlines(sub.symbol, sub.interval, { limit, endTime });
+        const oldest = bars.length ? bars[0].time : Infinity;
+        const older = page.filter((b) => b.time < oldest);
+        if (!older.length) break;
+        bars = older.concat(bars);
+        if (older[0].time <= from) break;
+        endTime = older[0].time - 1;
+      }
+      bars.filter((b) => b.time >= from).forEach((b) => deliver(sub, b));
+    } catch (e) {
+      console.error(e);
+    } finally {
+      sub.backfilling = false;
+      const pending = sub.pending;
+      sub.pending = [];
+      pending.forEach((b) => deliver(sub, b));
+      report();
+    }
+  }
+
+  // Bring the socket's subscriptions in line with the listeners (batched, so
+  // a chart re-subscribing on re-render doesn't churn the socket)
+  function queueSync() {
+    if (syncQueued) return;
+    syncQueued = true;
+    setTimeout(() => {
+      syncQueued = false;
+      const list = active();
+      subs.forEach((sub, key) => { if (!sub.listeners.size) subs.delete(key); });
+      if (!list.length) {
+        stop();
+        return;
+      }
+      if (!checkTimer) checkTimer = setInterval(check, CHECK_MS);
+      if (!ws && !retryTimer) {
+        connect();
+        return;
+      }
+      if (!open) return; // onopen subscribes everything
+      const want = new Set(list.map((s) => keyOf(s.symbol, s.interval)));
+      const added = list.filter((s) => !sent.has(keyOf(s.symbol, s.interval)));
+      const removed = [...sent].filter((k) => !want.has(k)).map((k) => {
+        const [symbol, interval] = k.split("|");
+        return { symbol, interval };
+      });
+      sent = want;
+      added.forEach((sub) => { sub.seen = Date.now(); });
+      const out = send(ws);
+      if (removed.length) Promise.resolve(adapter.unsubscribe(removed, out, list)).catch((e) => console.error(e));
+      if (added.length) Promise.resolve(adapter.subscribe(added, out, fail)).catch((e) => console.error(e));
+    }, 0);
+  }
+
+  function stop() {
+    clearTimeout(retryTimer);
+    clearInterval(checkTimer);
+    retryTimer = null;
+    checkTimer = null;
+    attempts = 0;
+    connectedOnce = false;
+    open = false;
+    const socket = ws;
+    ws = null;
+    try { socket && socket.close(); } catch {}
+  }
+
+  // Silent sockets get replaced; subscriptions silent on a busy socket get
+  // re-subscribed
+  function check() {
+    const now = Date.now();
+    if (open && now - lastMessage > DEAD_MS) {
+      try { ws.close(); } catch {}
+    } else if (open) {
+      const dead = active().filter((sub) => !sub.backfilling && !sub.error && now - sub.seen > DEAD_MS);
+      if (dead.length) {
+        const out = send(ws);
+        dead.forEach((sub) => { sub.seen = now; });
+        Promise.resolve(adapter.unsubscribe(dead, out, active()))
+          .then(() => adapter.subscribe(dead, out, fail))
+          .catch((e) => console.error(e));
+      }
+    }
+    report();
+  }
+
+  // -> unsubscribe(); onStatus(status, error) is called on every status change (and once now)
+  function subscribe(symbol, interval, { onBar, onStatus }) {
+    const key = keyOf(symbol, interval);
+    let sub = subs.get(key);
+    if (!sub) {
+      sub = {
+        symbol, interval, listeners: new Set(), last: null, since: Math.floor(Date.now() / 1000),
+        seen: Date.now(), backfilling: false, pending: [], status: null, error: null,
+      };
+      subs.set(key, sub);
+    }
+    const listener = { onBar, onStatus };
+    sub.listeners.add(listener);
+    if (!sub.status) sub.status = statusOf(sub);
+    onStatus && onStatus(sub.status, sub.error);
+    queueSync();
+    return () => {
+      sub.listeners.delete(listener);
+      queueSync();
+    };
+  }
+
+  return { subscribe };
+}
@@ -0,0 +1,205 @@
+import { streamFor } from "./stream";
+
+// Sockets the manager opened, newest last
+let sockets = [];
+
+class FakeSocket {
+  static OPEN = 1;
+
+  constructor(url) {
+    this.url = url;
+    this.readyState = 0;
+    this.sent = [];
+    sockets.push(this);
+  }
+
+  send(msg) {
+    this.sent.push(JSON.parse(msg));
+  }
+
+  close() {
+    this.readyState = 3;
+    if (this.onclose) this.onclose();
+  }
+
+  // Test side of the connection
+  accept() {
+    this.readyState = FakeSocket.OPEN;
+    this.onopen();
+  }
+
+  receive(msg) {
+    this.onmessage({ data: JSON.stringify(msg) });
+  }
+}
+
+let nextId = 0;
+
+// A provider whose socket speaks { symbol, interval, bar } and { beat: symbol }
+// and has no BAD* symbols
+function fakeProvider(fetchKlines = jest.fn(async () => [])) {
+  nextId += 1;
+  return {
+    id: `fake-${nextId}`,
+    fetchKlines,
+    stream: {
+      url: () => "wss://fake",
+      subscribe: (subs, send, fail) => {
+        subs.filter((s) => s.symbol.startsWith("BAD")).forEach((s) => fail(s.symbol, `no pair ${s.symbol}`));
+        send({ op: "sub", keys: subs.map((s) => `${s.symbol}|${s.interval}`) });
+      },
+      unsubscribe: (subs, send) => send({ op: "unsub", keys: subs.map((s) => `${s.symbol}|${s.interval}`) }),
+      parse: (msg, subs, emit, touch) => {
+        if (msg.beat) touch(msg.beat);
+        else emit(msg.symbol, msg.interval, msg.bar);
+      },
+      maxBackfill: 3,
+    },
+  };
+}
+
+function listen(provider, symbol, interval) {
+  const got = { bars: [], statuses: [], errors: [] };
+  got.stop = streamFor(provider).subscribe(symbol, interval, {
+    onBar: (bar) => got.bars.push(bar),
+    onStatus: (status, error) => {
+      got.statuses.push(status);
+      if (error) got.errors.push(error);
+    },
+  });
+  return got;
+}
+
+const flush = async () => {
+  for (let i = 0; i < 20; i++) await Promise.resolve();
+};
+
+const T0 = 1700000040; // a minute boundary
+const bar = (time, close = 1) => ({ time, open: close, high: close, low: close, close, volume: 1, closed: false });
+
+let realWebSocket;
+beforeEach(() => {
+  jest.useFakeTimers();
+  jest.setSystemTime(T0 * 1000);
+  sockets = [];
+  realWebSocket = global.WebSocket;
+  global.WebSocket = FakeSocket;
+});
+
+afterEach(() => {
+  global.WebSocket = realWebSocket;
+  jest.useRealTimers();
+});
+
+test("carries every subscription of a provider on one socket", () => {
+  const provider = fakeProvider();
+  const a = listen(provider, "AAA", "1m");
+  const b = listen(provider, "BBB", "1m");
+  jest.advanceTimersByTime(0);
+  expect(sockets).toHaveLength(1);
+  expect(a.statuses).toEqual(["reconnecting"]);
+
+  sockets[0].accept();
+  expect(sockets[0].sent).toEqual([{ op: "sub", keys: ["AAA|1m", "BBB|1m"] }]);
+  expect(a.statuses).toEqual(["reconnecting", "live"]);
+
+  sockets[0].receive({ symbol: "AAA", interval: "1m", bar: bar(T0) });
+  expect(a.bars).toEqual([bar(T0)]);
+  expect(b.bars).toEqual([]);
+  a.stop();
+  b.stop();
+});
+
+test("tracks staleness per subscription, not per socket", () => {
+  const provider = fakeProvider();
+  const a = listen(provider, "AAA", "1m");
+  const b = listen(provider, "BBB", "1m");
+  jest.advanceTimersByTime(0);
+  sockets[0].accept();
+
+  // AAA keeps trading, BBB goes quiet
+  for (let i = 0; i < 5; i++) {
+    jest.advanceTimersByTime(5000);
+    sockets[0].receive({ symbol: "AAA", interval: "1m", bar: bar(T0, 1 + i) });
+  }
+  expect(a.statuses[a.statuses.length - 1]).toBe("live");
+  expect(b.statuses[b.statuses.length - 1]).toBe("stale");
+
+  // A heartbeat naming the product counts as data
+  sockets[0].receive({ beat: "BBB" });
+  expect(b.statuses[b.statuses.length - 1]).toBe("live");
+  a.stop();
+  b.stop();
+});
+
+test("re-subscribes a silent subscription without dropping the socket", async () => {
+  const provider = fakeProvider();
+  const a = listen(provider, "AAA", "1m");
+  const b = listen(provider, "BBB", "1m");
+  jest.advanceTimersByTime(0);
+  sockets[0].accept();
+
+  for (let i = 0; i < 13; i++) {
+    jest.advanceTimersByTime(5000);
+    sockets[0].receive({ symbol: "AAA", interval: "1m", bar: bar(T0) });
+  }
+  await flush();
+  expect(sockets).toHaveLength(1);
+  expect(sockets[0].sent.slice(1)).toEqual([
+    { op: "unsub", keys: ["BBB|1m"] },
+    { op: "sub", keys: ["BBB|1m"] },
+  ]);
+  a.stop();
+  b.stop();
+});
+
+test("pages back over REST until a reconnect's gap is covered", async () => {
+  // 1m klines up to endTime (or now), `limit` per page
+  const fetchKlines = jest.fn(async (symbol, interval, { limit, endTime }) => {
+    const newest = Math.floor((endTime ?? Date.now() / 1000) / 60) * 60;
+    return Array.from({ length: limit }, (_, i) => bar(newest - (limit - 1 - i) * 60, 2));
+  });
+  const provider = fakeProvider(fetchKlines);
+  const a = listen(provider, "AAA", "1m");
+  jest.advanceTimersByTime(0);
+  sockets[0].accept();
+  sockets[0].receive({ symbol: "AAA", interval: "1m", bar: bar(T0) });
+
+  // Down for ten minutes
+  sockets[0].close();
+  expect(a.statuses[a.statuses.length - 1]).toBe("reconnecting");
+  jest.advanceTimersByTime(10 * 60 * 1000);
+  const socket = sockets[sockets.length - 1];
+  socket.accept();
+  // A live bar that beats the backfill waits for it
+  socket.receive({ symbol: "AAA", interval: "1m", bar: bar(T0 + 600, 3) });
+  await flush();
+
+  expect(fetchKlines.mock.calls.map((c) => c[2].endTime)).toEqual([undefined, T0 + 479, T0 + 299, T0 + 119]);
+  // Minutes since T0: the bar before the outage, its REST revision, the gap, then the held live bar
+  expect(a.bars.map((b) => (b.time - T0) / 60)).toEqual([0, 0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 10]);
+  expect(a.bars[a.bars.length - 1].close).toBe(3);
+  expect(a.statuses[a.statuses.length - 1]).toBe("live");
+  a.stop();
+});
+
+test("a symbol the adapter rejects reports an error instead of going stale", () => {
+  const provider = fakeProvider();
+  const a = listen(provider, "AAA", "1m");
+  const bad = listen(provider, "BADUSD", "1m");
+  jest.advanceTimersByTime(0);
+  sockets[0].accept();
+  expect(bad.statuses).toEqual(["reconnecting", "error"]);
+  expect(bad.errors).toEqual(["no pair BADUSD"]);
+
+  // Still an error a minute on, and never re-subscribed
+  for (let i = 0; i < 13; i++) {
+    jest.advanceTimersByTime(5000);
+    sockets[0].receive({ symbol: "AAA", interval: "1m", bar: bar(T0) });
+  }
+  expect(bad.statuses).toEqual(["reconnecting", "error"]);
+  expect(sockets[0].sent).toHaveLength(1);
+  expect(a.statuses[a.statuses.length - 1]).toBe("live");
+  a.stop();
+  bad.stop();
+});
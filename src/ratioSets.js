@@ -0,0 +1,29 @@
+// Fib ratio presets and user-defined ratio sets.
+// A symbol's active ratios are the ratios of its fib lines; applying a set
+// rewrites those lines (see applyRatios in Dashboard.js).
+
+export const DEFAULT_RATIOS = [-1.0, -0.618, -0.272, 0.236, 0.382, 0.5, 0.618, 0.786, 1.272, 1.618, 2.0];
+
+export const BUILTIN_RATIO_SETS = [
+  { name: "Core", ratios: [0.236, 0.382, 0.5, 0.618, 0.786] },
+  { name: "Core+1.618", ratios: [0.236, 0.382, 0.5, 0.618, 0.786, 1.618] },
+  { name: "All", ratios: DEFAULT_RATIOS },
+  { name: "Minimal", ratios: [0.382, 0.5, 0.618] },
+];
+
+// Finite, rounded to 6 decimals, unique, ascending
+export function normalizeRatios(list) {
+  const out = [];
+  (list || []).forEach((v) => {
+    const r = Math.round(Number(v) * 1e6) / 1e6;
+    if (Number.isFinite(r) && !out.includes(r)) out.push(r);
+  });
+  return out.sort((a, b) => a - b);
+}
+
+// "0.707, 0.886 2.618" -> [0.707, 0.886, 2.618]; null if any token isn't a number
+export function parseRatios(text) {
+  const tokens = String(text || "").split(/[\s,;]+/).filter(Boolean);
+  if (!tokens.length || tokens.some((t) => !Number.isFinite(Number(t)))) return null;
+  return normalizeRatios(tokens);
+}
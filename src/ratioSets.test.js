@@ -0,0 +1,17 @@
+import { BUILTIN_RATIO_SETS, normalizeRatios, parseRatios } from "./ratioSets";
+
+test("normalizes ratios to unique, ascending, 6-decimal values", () => {
+  expect(normalizeRatios([0.618, "0.5", 0.6180000001, -0.272, 0.5])).toEqual([-0.272, 0.5, 0.618]);
+  expect(normalizeRatios(["x", Infinity, 1])).toEqual([1]);
+  expect(normalizeRatios(undefined)).toEqual([]);
+});
+
+test("parses typed ratio lists with any separator", () => {
+  expect(parseRatios("0.707, 0.886 2.618;1")).toEqual([0.707, 0.886, 1, 2.618]);
+  expect(parseRatios("0.5, abc")).toBeNull();
+  expect(parseRatios("  ")).toBeNull();
+});
+
+test("built-in sets are already normalized", () => {
+  BUILTIN_RATIO_SETS.forEach((set) => expect(normalizeRatios(set.ratios)).toEqual(set.ratios));
+});
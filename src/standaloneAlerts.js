@@ -0,0 +1,144 @@
+// Alerts that don't hang off a fib line, kept per symbol (perSymAlerts[symbol]):
+//   { id, kind, timeframe, enabled, alertEnabled, color, ...params, firing policy, conditions? }
+// Kinds and their params:
+//   price      price crosses a fixed level               { price, dir }
+//   indicator  price crosses a shown VWAP / EMA overlay  { indicatorId, dir }
+//   emaCross   EMA(fast) crosses EMA(slow)               { fast, slow, dir }  (up = golden, down = death)
+//   rsiZone    RSI enters or leaves [min, max]           { source, min, max, event }
+// An alert is evaluated by the chart showing its timeframe, on the same
+// bars, firing policies and /alert relay path as fib lines; rule-builder
+// conditions (conditions.js) filter its events the same way too.
+import { DEFAULT_FIRE_POLICY, crossDirection, rearmReached, ruleSuffix } from "./alertLogic";
+import { conditionsMet } from "./conditions";
+import { rsiAligned } from "./indicators";
+import { INDICATORS, emaOf, indicatorLabel, indicatorOutputs, indicatorValues } from "./indicatorRegistry";
+
+export const ALERT_KINDS = {
+  price: { label: "Price level", defaults: { price: null, dir: "both" } },
+  indicator: { label: "Price × VWAP/EMA", defaults: { indicatorId: "vwap", dir: "both" } },
+  emaCross: { label: "EMA cross", defaults: { fast: 9, slow: 20, dir: "both" } },
+  rsiZone: { label: "RSI zone", defaults: { source: "std", min: 70, max: 100, event: "enter" } },
+};
+
+const KIND_COLORS = { price: "#facc15", indicator: "#38bdf8", emaCross: "#c084fc", rsiZone: "#fb923c" };
+
+export function newStandaloneAlert(symbol, kind, timeframe, params = {}) {
+  return {
+    id: `${symbol}-${kind}-${Date.now().toString(36)}`,
+    kind,
+    timeframe,
+    enabled: true,
+    alertEnabled: true,
+    color: KIND_COLORS[kind],
+    ...ALERT_KINDS[kind].defaults,
+    ...params,
+    ...DEFAULT_FIRE_POLICY,
+  };
+}
+
+// Overlays price-cross alerts can follow: shown VWAP (session or anchored) and EMA instances
+export function crossableIndicators(indicators) {
+  return (indicators || []).filter((ind) => ind.show && (ind.type === "vwap" || ind.type === "avwap" || ind.type === "ema"));
+}
+
+function series(ctx, key, fn) {
+  if (!(key in ctx.cache)) ctx.cache[key] = fn(ctx.bars);
+  return ctx.cache[key];
+}
+
+// Value of an overlay's main line (VWAP / EMA) at bar i; computed on the raw
+// bars, so the live price is compared with the same source
+function overlayAt(ctx, ind, i) {
+  const values = series(ctx, `ind:${ind.id}:${JSON.stringify(ind.params)}`, (b) => indicatorValues(ind, b)[indicatorOutputs(ind)[0].key]);
+  return values[i];
+}
+
+// What happened on the last bar, regardless of the alert's filters:
+// { event: "up" | "down" | "enter" | "leave" | null, level } where `level`
+// is the crossed price for price / indicator alerts.
+// ctx: { bars, price, indicators, rsiPeriod, cache }
+export function standaloneEvent(a, ctx) {
+  const bars = ctx.bars || [];
+  if (bars.length < 2) return { event: null, level: null };
+  const at = { ...ctx, bars, cache: ctx.cache || {} };
+  const i = bars.length - 1;
+  const prevClose = bars[i - 1].close;
+  const price = ctx.price ?? bars[i].close;
+
+  if (a.kind === "price") {
+    return { event: crossDirection(a.price, prevClose, price), level: a.price };
+  }
+  if (a.kind === "indicator") {
+    const ind = (ctx.indicators || []).find((x) => x.id === a.indicatorId);
+    if (!ind || !INDICATORS[ind.type]) return { event: null, level: null };
+    const now = overlayAt(at, ind, i);
+    const before = overlayAt(at, ind, i - 1);
+    if (now == null || before == null) return { event: null, level: now };
+    return { event: crossDirection(0, prevClose - before, price - now), level: now };
+  }
+  if (a.kind === "emaCross") {
+    const fast = series(at, `ema:${a.fast}`, (b) => emaOf(b.map((x) => x.close), a.fast));
+    const slow = series(at, `ema:${a.slow}`, (b) => emaOf(b.map((x) => x.close), a.slow));
+    // Need the slow EMA settled before its crosses mean anything
+    if (i < a.slow) return { event: null, level: null };
+    return { event: crossDirection(0, fast[i - 1] - slow[i - 1], fast[i] - slow[i]), level: null };
+  }
+  if (a.kind === "rsiZone") {
+    const r = series(at, `rsi:${a.source}:${ctx.rsiPeriod}`, (b) =>
+      rsiAligned(b, { useHa: a.source === "ha", period: ctx.rsiPeriod || 14 })
+    );
+    if (r[i] == null || r[i - 1] == null) return { event: null, level: null };
+    const inside = (v) => v >= Number(a.min) && v <= Number(a.max);
+    const [was, is] = [inside(r[i - 1]), inside(r[i])];
+    return { event: was === is ? null : is ? "enter" : "leave", level: null };
+  }
+  return { event: null, level: null };
+}
+
+// The event when the alert fires on it, else null
+export function standaloneFires(a, ev, ctx) {
+  if (!a.enabled || !a.alertEnabled || !ev.event) return null;
+  const wanted = a.kind === "rsiZone" ? a.event : a.dir;
+  if (wanted && wanted !== "both" && wanted !== ev.event) return null;
+  if (Array.isArray(a.conditions) && !conditionsMet(a, { ...ctx, direction: ev.event })) return null;
+  return ev.event;
+}
+
+// "rearm" policy: level alerts re-arm when price moves back from the level,
+// cross / zone alerts on the opposite event
+export function standaloneRearmed(a, ev, price, tickSize) {
+  if (a.armed !== false) return false;
+  if (a.kind === "price" || a.kind === "indicator") {
+    return ev.level != null && rearmReached({ ...a, price: ev.level }, price, tickSize);
+  }
+  return !!ev.event && ev.event !== a.firedDir;
+}
+
+const DIR_TEXT = { up: "up", down: "down", both: "" };
+
+export function standaloneLabel(a, indicators) {
+  const dir = a.dir && a.dir !== "both" ? ` ${DIR_TEXT[a.dir]}` : "";
+  if (a.kind === "price") return `Price ${a.price ?? "?"}${dir}`;
+  if (a.kind === "indicator") {
+    const ind = (indicators || []).find((x) => x.id === a.indicatorId);
+    return `Price × ${ind ? indicatorLabel(ind) : "missing overlay"}${dir}`;
+  }
+  if (a.kind === "emaCross") {
+    const which = a.dir === "up" ? "golden cross" : a.dir === "down" ? "death cross" : "cross";
+    return `EMA ${a.fast}/${a.slow} ${which}`;
+  }
+  if (a.kind === "rsiZone") {
+    const ev = a.event === "both" ? "enters/leaves" : `${a.event}s`;
+    return `${a.source === "ha" ? "HA-RSI" : "RSI"} ${ev} ${a.min}-${a.max}`;
+  }
+  return a.kind;
+}
+
+const EVENT_TEXT = { up: "crossed up", down: "crossed down", enter: "entered", leave: "left" };
+
+export function standaloneMessage(symbol, a, event, price, indicators) {
+  const what = a.kind === "emaCross"
+    ? (event === "up" ? "golden cross" : "death cross")
+    : EVENT_TEXT[event] || event;
+  return `${symbol} ${a.timeframe} ${standaloneLabel(a, indicators)}: ${what} at ${Number(price).toFixed(6)}${ruleSuffix(a)}`;
+}
@@ -0,0 +1,100 @@
+import { newStandaloneAlert, standaloneEvent, standaloneFires, standaloneRearmed, standaloneLabel, standaloneMessage } from "./standaloneAlerts";
+import { newIndicator } from "./indicatorRegistry";
+import { newCondition } from "./conditions";
+
+const hourly = (closes) => closes.map((close, i) => ({ time: i * 3600, open: close, high: close, low: close, close, volume: 1 }));
+const alert = (kind, patch = {}) => ({ ...newStandaloneAlert("BTCUSDT", kind, "1h"), id: kind, ...patch });
+const ctxOf = (closes, extra = {}) => ({ bars: hourly(closes), rsiPeriod: 14, cache: {}, ...extra });
+
+// Events on every bar as the chart sees them, one bar at a time
+function events(a, closes, extra = {}) {
+  const out = [];
+  for (let n = 2; n <= closes.length; n++) {
+    const { event } = standaloneEvent(a, ctxOf(closes.slice(0, n), extra));
+    if (event) out.push([n - 1, event]);
+  }
+  return out;
+}
+
+// 40 bars down from 140 to 101, then 40 up to 180
+const V = [...Array.from({ length: 40 }, (_, i) => 140 - i), ...Array.from({ length: 40 }, (_, i) => 102 + i * 2)];
+// V after 20 bars of chop, so RSI starts out mid-range
+const CHOP_V = [...Array.from({ length: 20 }, (_, i) => 140 + (i % 2)), ...V];
+
+test("price alerts fire on a cross of their level in the wanted direction", () => {
+  const up = standaloneEvent(alert("price", { price: 100 }), ctxOf([99, 101]));
+  expect(up).toEqual({ event: "up", level: 100 });
+  // The live price stands in for the last close
+  expect(standaloneEvent(alert("price", { price: 100 }), ctxOf([99, 99], { price: 100.5 })).event).toBe("up");
+  expect(standaloneFires(alert("price", { price: 100 }), up, {})).toBe("up");
+  expect(standaloneFires(alert("price", { price: 100, dir: "down" }), up, {})).toBeNull();
+  expect(standaloneFires(alert("price", { price: 100, alertEnabled: false }), up, {})).toBeNull();
+});
+
+test("indicator alerts fire on a cross of the overlay's value at each bar", () => {
+  const ema = newIndicator("ema", { id: "ema5", params: { period: 5 } });
+  const a = alert("indicator", { indicatorId: "ema5" });
+  const closes = [100, 100, 100, 100, 100, 100, 99, 98, 104];
+  const { event, level } = standaloneEvent(a, ctxOf(closes, { indicators: [ema] }));
+  expect(event).toBe("up");
+  expect(level).toBeGreaterThan(99);
+  expect(level).toBeLessThan(104);
+  expect(events(a, closes, { indicators: [ema] })).toEqual([[6, "down"], [8, "up"]]);
+  expect(standaloneEvent(alert("indicator", { indicatorId: "gone" }), ctxOf(closes, { indicators: [ema] }))).toEqual({ event: null, level: null });
+});
+
+test("EMA cross alerts report golden and death crosses once the slow EMA has settled", () => {
+  const a = alert("emaCross", { fast: 5, slow: 20 });
+  const golden = events(a, V);
+  expect(golden).toEqual([[golden[0][0], "up"]]);
+  expect(golden[0][0]).toBeGreaterThan(40);
+  const death = events(a, V.map((c) => 300 - c));
+  expect(death.map(([, e]) => e)).toEqual(["down"]);
+  // Nothing before `slow` bars
+  expect(standaloneEvent(a, ctxOf(V.slice(0, 20))).event).toBeNull();
+  expect(standaloneMessage("BTCUSDT", a, "up", 123.4)).toBe("BTCUSDT 1h EMA 5/20 cross: golden cross at 123.400000");
+});
+
+test("RSI zone alerts report entering and leaving the zone", () => {
+  const oversold = alert("rsiZone", { min: 0, max: 30, event: "both" });
+  expect(events(oversold, CHOP_V).map(([, e]) => e)).toEqual(["enter", "leave"]);
+  const [[enteredAt], [leftAt]] = events(oversold, CHOP_V);
+  expect(enteredAt).toBeGreaterThan(20);
+  expect(enteredAt).toBeLessThan(60);
+  expect(leftAt).toBeGreaterThanOrEqual(60);
+  const ctx = ctxOf(CHOP_V.slice(0, enteredAt + 1));
+  const ev = standaloneEvent(oversold, ctx);
+  expect(standaloneFires({ ...oversold, event: "enter" }, ev, ctx)).toBe("enter");
+  expect(standaloneFires({ ...oversold, event: "leave" }, ev, ctx)).toBeNull();
+  expect(standaloneLabel({ ...oversold, source: "ha", event: "enter" })).toBe("HA-RSI enters 0-30");
+});
+
+test("rule-builder conditions filter events like they filter fib crosses", () => {
+  const ctx = ctxOf([99, 101]);
+  const ev = standaloneEvent(alert("price", { price: 100 }), ctx);
+  const only = (dir) => alert("price", { price: 100, conditions: [{ ...newCondition("cross"), dir }] });
+  expect(standaloneFires(only("up"), ev, ctx)).toBe("up");
+  expect(standaloneFires(only("down"), ev, ctx)).toBeNull();
+});
+
+test("re-arm: level alerts when price moves back from the level, others on the opposite event", () => {
+  const fired = { armed: false, firedDir: "up", firePolicy: "rearm", rearmPct: 1, rearmTicks: 0 };
+  const price = alert("price", { price: 100, ...fired });
+  expect(standaloneRearmed(price, { event: null, level: 100 }, 99.5, 0.01)).toBe(false);
+  expect(standaloneRearmed(price, { event: null, level: 100 }, 99, 0.01)).toBe(true);
+  // Indicator alerts measure from the overlay's current value
+  const ind = alert("indicator", { indicatorId: "ema5", ...fired });
+  expect(standaloneRearmed(ind, { event: null, level: 110 }, 108.8, 0.01)).toBe(true);
+  expect(standaloneRearmed(ind, { event: null, level: null }, 50, 0.01)).toBe(false);
+
+  const cross = alert("emaCross", fired);
+  expect(standaloneRearmed(cross, { event: "down", level: null }, 0, 0.01)).toBe(true);
+  expect(standaloneRearmed(cross, { event: "up", level: null }, 0, 0.01)).toBe(false);
+  expect(standaloneRearmed(cross, { event: null, level: null }, 0, 0.01)).toBe(false);
+
+  const zone = alert("rsiZone", { ...fired, firedDir: "enter" });
+  expect(standaloneRearmed(zone, { event: "leave", level: null }, 0, 0.01)).toBe(true);
+  expect(standaloneRearmed(zone, { event: "enter", level: null }, 0, 0.01)).toBe(false);
+  // Only alerts a fire disarmed re-arm
+  expect(standaloneRearmed({ ...zone, armed: true }, { event: "leave", level: null }, 0, 0.01)).toBe(false);
+});
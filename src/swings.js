@@ -0,0 +1,78 @@
+// Automatic swing detection for anchoring fibs (ZigZag over pivot highs/lows).
+//   depth:        a pivot high/low must be the extreme of `depth` bars on each side
+//   deviationPct: minimum move from the previous pivot for the zigzag to turn
+// Only closed bars are used, and a pivot needs `depth` bars after it, so every
+// returned pivot is confirmed and won't repaint.
+
+export const DEFAULT_ZIGZAG = { enabled: false, depth: 5, deviationPct: 3, showPivots: true };
+
+function isPivot(bars, i, depth, key, better) {
+  const v = bars[i][key];
+  for (let j = i - depth; j <= i + depth; j++) {
+    if (j === i) continue;
+    if (!better(v, bars[j][key]) && !(v === bars[j][key] && j > i)) return false;
+  }
+  return true;
+}
+
+// Incremental form for live charts: push() closed bars in time order (others
+// are skipped); `pivots` is the list zigzagPivots returns for the same bars,
+// updated in place, and push() says whether it changed. Only the last
+// 2 * depth + 1 closed bars are kept, so each push is O(depth).
+export function createZigzag(bars, { depth = 5, deviationPct = 3 } = {}) {
+  const d = Math.max(1, Math.floor(depth));
+  const dev = Math.max(0, Number(deviationPct) || 0) / 100;
+  const win = [];
+  const out = [];
+
+  function push(bar) {
+    if (!bar || bar.closed === false) return false;
+    if (win.length && bar.time <= win[win.length - 1].time) return false;
+    win.push(bar);
+    if (win.length > 2 * d + 1) win.shift();
+    if (win.length < 2 * d + 1) return false;
+
+    // The middle bar now has `depth` bars on each side
+    const mid = win[d];
+    const cands = [];
+    if (isPivot(win, d, d, "high", (a, b) => a > b)) cands.push({ time: mid.time, price: mid.high, type: "high" });
+    if (isPivot(win, d, d, "low", (a, b) => a < b)) cands.push({ time: mid.time, price: mid.low, type: "low" });
+
+    let changed = false;
+    for (const p of cands) {
+      const last = out[out.length - 1];
+      if (!last) {
+        out.push(p);
+        changed = true;
+      } else if (last.type === p.type) {
+        // Same direction: keep the more extreme pivot
+        if (p.type === "high" ? p.price > last.price : p.price < last.price) {
+          out[out.length - 1] = p;
+          changed = true;
+        }
+      } else if (Math.abs(p.price - last.price) >= Math.abs(last.price) * dev) {
+        out.push(p);
+        changed = true;
+      }
+    }
+    return changed;
+  }
+
+  (bars || []).forEach(push);
+  return { pivots: out, push };
+}
+
+// -> alternating [{ time, price, type: "high" | "low" }], oldest first
+export function zigzagPivots(bars, opts) {
+  return createZigzag(bars, opts).pivots;
+}
+
+// The most recent completed swing leg as fib anchors { low, high }, or null
+export function lastSwing(pivots) {
+  if (!pivots || pivots.length < 2) return null;
+  const a = pivots[pivots.length - 2];
+  const b = pivots[pivots.length - 1];
+  const low = a.type === "low" ? a : b;
+  const high = a.type === "high" ? a : b;
+  return { low: { time: low.time, price: low.price }, high: { time: high.time, price: high.price } };
+}
@@ -0,0 +1,58 @@
+import { createZigzag, zigzagPivots, lastSwing } from "./swings";
+
+// Bars through the given closes (high/low one above/below), one a minute
+const barsOf = (closes, from = 0) =>
+  closes.map((c, i) => ({ time: (from + i) * 60, open: c, high: c + 1, low: c - 1, close: c, closed: true }));
+
+// Two swings: 10 -> 30 -> 12 -> 25
+const WAVE = [10, 12, 14, 16, 18, 20, 22, 24, 26, 28, 30, 28, 26, 24, 22, 20, 18, 16, 14, 12, 14, 16, 18, 20, 22, 25, 23, 22, 21, 20, 19];
+
+test("finds alternating pivots that have depth bars on each side", () => {
+  const pivots = zigzagPivots(barsOf(WAVE), { depth: 3, deviationPct: 5 });
+  expect(pivots.map((p) => [p.type, p.price])).toEqual([
+    ["high", 31],
+    ["low", 11],
+    ["high", 26],
+  ]);
+  // The last high only has five bars after it; a pivot four bars from the end isn't confirmed
+  expect(zigzagPivots(barsOf(WAVE.slice(0, 28)), { depth: 3, deviationPct: 5 }).map((p) => p.price)).toEqual([31, 11]);
+});
+
+test("skips turns smaller than deviationPct and keeps the more extreme of two like pivots", () => {
+  // Highs 15 and 18 around a low of 8: the dip is 47% of 15
+  const closes = [10, 12, 14, 12, 10, 9, 10, 11, 13, 15, 17, 15, 13, 11, 10];
+  expect(zigzagPivots(barsOf(closes), { depth: 2, deviationPct: 0 }).map((p) => p.price)).toEqual([15, 8, 18]);
+  expect(zigzagPivots(barsOf(closes), { depth: 2, deviationPct: 50 }).map((p) => p.price)).toEqual([18]);
+});
+
+test("counts a bar only once it has closed", () => {
+  const bars = barsOf(WAVE);
+  const zz = createZigzag(bars, { depth: 3, deviationPct: 5 });
+  const [forming] = barsOf([40], WAVE.length);
+  forming.closed = false;
+  zz.push(forming);
+  expect(zz.pivots).toEqual(zigzagPivots(bars, { depth: 3, deviationPct: 5 }));
+
+  // It closed at 18: that, not the 40 seen while forming, can become a pivot
+  const [closed] = barsOf([18], WAVE.length);
+  zz.push(closed);
+  const more = barsOf([17, 16, 15], WAVE.length + 1);
+  more.forEach(zz.push);
+  expect(zz.pivots).toEqual(zigzagPivots(bars.concat(closed, more), { depth: 3, deviationPct: 5 }));
+});
+
+test("pushing bars one by one matches a rebuild over all of them", () => {
+  const all = barsOf(WAVE.concat(WAVE.map((c) => c + 5)));
+  const zz = createZigzag(all.slice(0, 10), { depth: 3, deviationPct: 5 });
+  const changed = all.slice(10).map((b) => zz.push(b));
+  expect(zz.pivots).toEqual(zigzagPivots(all, { depth: 3, deviationPct: 5 }));
+  expect(changed.filter(Boolean).length).toBeGreaterThan(0);
+  // Repeats of an older bar are no-ops
+  expect(zz.push(all[20])).toBe(false);
+});
+
+test("the last swing leg becomes the fib anchors", () => {
+  const pivots = zigzagPivots(barsOf(WAVE), { depth: 3, deviationPct: 5 });
+  expect(lastSwing(pivots)).toEqual({ low: { time: 19 * 60, price: 11 }, high: { time: 25 * 60, price: 26 } });
+  expect(lastSwing(pivots.slice(0, 1))).toBeNull();
+});
@@ -0,0 +1,95 @@
+// Tradable symbols per provider (listSymbols: Binance US exchangeInfo,
+// Coinbase products, Kraken AssetPairs, the file provider's index.json),
+// cached in localStorage for a day so the picker works offline and at once.
+import { getProvider } from "./providers";
+
+const LS_KEY = "fibdash.symbolCatalog"; // provider id -> { ts, list: [[symbol, base, quote]] }
+const TTL_MS = 24 * 60 * 60 * 1000;
+
+const loading = {}; // provider id -> Promise<list>
+
+function readCache() {
+  try {
+    return JSON.parse(localStorage.getItem(LS_KEY)) || {};
+  } catch {
+    return {};
+  }
+}
+
+function writeCache(providerId, list) {
+  try {
+    const all = readCache();
+    all[providerId] = { ts: Date.now(), list: list.map((s) => [s.symbol, s.base, s.quote]) };
+    localStorage.setItem(LS_KEY, JSON.stringify(all));
+  } catch {}
+}
+
+// -> Promise<{ symbol, base, quote }[]>; a stale cache beats none when the
+// exchange can't be reached, and an empty list means "unknown"
+export function loadSymbols(providerId) {
+  const cached = readCache()[providerId];
+  const fromCache = () => (cached ? cached.list.map(([symbol, base, quote]) => ({ symbol, base, quote })) : []);
+  if (cached && Date.now() - cached.ts < TTL_MS && cached.list.length) return Promise.resolve(fromCache());
+  if (!loading[providerId]) {
+    loading[providerId] = getProvider(providerId)
+      .listSymbols()
+      .then((list) => {
+        if (list.length) writeCache(providerId, list);
+        return list.length ? list : fromCache();
+      })
+      .catch((e) => {
+        console.error(e);
+        return fromCache();
+      })
+      .finally(() => { delete loading[providerId]; });
+  }
+  return loading[providerId];
+}
+
+const squash = (s) => String(s || "").toUpperCase().replace(/[\s/\-_:.]+/g, "");
+
+// How well `entry` matches the query (higher is better), or 0.
+// "btc usd", "btc/usd" and "btcusd" all find BTCUSD / BTC-USD; "btc" ranks
+// BTC pairs first, "usd" finds USD-quoted pairs, "bcu" falls back to a
+// subsequence match.
+function score(entry, query, tokens) {
+  const sym = squash(entry.symbol);
+  const base = squash(entry.base);
+  const quote = squash(entry.quote);
+  if (tokens.length > 1) {
+    if (!base.startsWith(tokens[0]) || !quote.startsWith(tokens[1])) return 0;
+    return base === tokens[0] ? 95 : 90;
+  }
+  if (sym === query) return 100;
+  if (base === query) return 85;
+  if (sym.startsWith(query)) return 75;
+  if (base.startsWith(query)) return 70;
+  if (quote === query) return 50;
+  if (sym.includes(query)) return 40;
+  let i = 0;
+  for (const ch of sym) if (ch === query[i]) i++;
+  return i === query.length ? 20 : 0;
+}
+
+// Best matches first (shorter symbols win ties)
+export function searchSymbols(list, text, limit = 8) {
+  const tokens = String(text || "").toUpperCase().split(/[\s/\-_:]+/).filter(Boolean);
+  const query = tokens.join("");
+  if (!query) return [];
+  return list
+    .map((entry) => ({ entry, s: score(entry, query, tokens) }))
+    .filter((x) => x.s > 0)
+    .sort((a, b) => b.s - a.s || a.entry.symbol.length - b.entry.symbol.length || a.entry.symbol.localeCompare(b.entry.symbol))
+    .slice(0, limit)
+    .map((x) => x.entry);
+}
+
+// The listed symbol `text` names exactly ("btc/usd" -> BTCUSD), or null
+export function resolveSymbol(list, text) {
+  const tokens = String(text || "").toUpperCase().split(/[\s/\-_:]+/).filter(Boolean);
+  const query = tokens.join("");
+  if (!query) return null;
+  const hit = list.find((e) => squash(e.symbol) === query)
+    || (tokens.length > 1 && list.find((e) => squash(e.base) === tokens[0] && squash(e.quote) === tokens[1]));
+  return hit ? hit.symbol : null;
+}
@@ -0,0 +1,97 @@
+import { loadSymbols, searchSymbols, resolveSymbol } from "./symbolCatalog";
+import { getProvider } from "./providers";
+
+jest.mock("./providers", () => ({ getProvider: jest.fn() }));
+
+const LS_KEY = "fibdash.symbolCatalog";
+const DAY = 24 * 60 * 60 * 1000;
+
+const entry = (symbol, base, quote) => ({ symbol, base, quote });
+const LIST = [
+  entry("BTCUSD", "BTC", "USD"),
+  entry("BTCUSDT", "BTC", "USDT"),
+  entry("ETHBTC", "ETH", "BTC"),
+  entry("ETHUSD", "ETH", "USD"),
+  entry("WBTCUSD", "WBTC", "USD"),
+  entry("BCHUSD", "BCH", "USD"),
+];
+
+// A provider whose listSymbols resolves (or rejects) with `result`
+function provide(result) {
+  const listSymbols = jest.fn(() => (result instanceof Error ? Promise.reject(result) : Promise.resolve(result)));
+  getProvider.mockReturnValue({ listSymbols });
+  return listSymbols;
+}
+
+function cache(providerId, list, ageMs) {
+  const all = JSON.parse(localStorage.getItem(LS_KEY)) || {};
+  all[providerId] = { ts: Date.now() - ageMs, list: list.map((s) => [s.symbol, s.base, s.quote]) };
+  localStorage.setItem(LS_KEY, JSON.stringify(all));
+}
+
+beforeEach(() => localStorage.clear());
+
+test("ranks exact symbols, then bases, then prefixes", () => {
+  const symbols = (text) => searchSymbols(LIST, text).map((e) => e.symbol);
+  expect(symbols("btcusd")[0]).toBe("BTCUSD");
+  expect(symbols("btc")).toEqual(["BTCUSD", "BTCUSDT", "ETHBTC", "WBTCUSD"]);
+  expect(symbols("usd")).toEqual(["BCHUSD", "BTCUSD", "ETHUSD", "WBTCUSD", "BTCUSDT"]); // quote matches, shortest then A-Z
+  expect(symbols("")).toEqual([]);
+  expect(searchSymbols(LIST, "btc", 2)).toHaveLength(2);
+});
+
+test("reads separated base and quote as two tokens", () => {
+  const symbols = (text) => searchSymbols(LIST, text).map((e) => e.symbol);
+  expect(symbols("btc usd")).toEqual(["BTCUSD", "BTCUSDT"]);
+  expect(symbols("btc/usd")).toEqual(["BTCUSD", "BTCUSDT"]);
+  expect(symbols("eth-btc")).toEqual(["ETHBTC"]);
+  // A subsequence is the last resort
+  expect(symbols("bcu")).toEqual(["BCHUSD", "BTCUSD", "BTCUSDT", "WBTCUSD"]);
+});
+
+test("resolves text to the symbol it names exactly", () => {
+  expect(resolveSymbol(LIST, "btc/usd")).toBe("BTCUSD");
+  expect(resolveSymbol(LIST, "eth usd")).toBe("ETHUSD");
+  expect(resolveSymbol(LIST, "btcusdt")).toBe("BTCUSDT");
+  expect(resolveSymbol(LIST, "btc")).toBeNull();
+  expect(resolveSymbol(LIST, "  ")).toBeNull();
+});
+
+test("serves a fresh cache without asking the exchange", async () => {
+  const listSymbols = provide([]);
+  cache("binanceus", LIST, DAY - 60000);
+  expect(await loadSymbols("binanceus")).toEqual(LIST);
+  expect(listSymbols).not.toHaveBeenCalled();
+});
+
+test("refreshes an expired cache and stores the new list", async () => {
+  const fresh = LIST.slice(0, 2);
+  const listSymbols = provide(fresh);
+  cache("binanceus", LIST, DAY + 1);
+  cache("kraken", LIST, 0);
+  expect(await loadSymbols("binanceus")).toEqual(fresh);
+  expect(listSymbols).toHaveBeenCalledTimes(1);
+  const stored = JSON.parse(localStorage.getItem(LS_KEY));
+  expect(stored.binanceus.list).toEqual([["BTCUSD", "BTC", "USD"], ["BTCUSDT", "BTC", "USDT"]]);
+  expect(stored.kraken.list).toHaveLength(LIST.length); // other providers' entries are kept
+});
+
+test("falls back to a stale cache when the exchange fails or lists nothing", async () => {
+  jest.spyOn(console, "error").mockImplementation(() => {});
+  cache("coinbase", LIST, 2 * DAY);
+  provide(new Error("offline"));
+  expect(await loadSymbols("coinbase")).toEqual(LIST);
+  provide([]);
+  expect(await loadSymbols("coinbase")).toEqual(LIST);
+  // No cache at all: an empty list means "unknown"
+  provide(new Error("offline"));
+  expect(await loadSymbols("kraken")).toEqual([]);
+  console.error.mockRestore();
+});
+
+test("concurrent loads share one request", async () => {
+  const listSymbols = provide(LIST);
+  const [a, b] = await Promise.all([loadSymbols("kraken"), loadSymbols("kraken")]);
+  expect(a).toBe(b);
+  expect(listSymbols).toHaveBeenCalledTimes(1);
+});
@@ -0,0 +1,343 @@
+// Workspace export/import: the dashboard's persisted setup as one versioned
+// JSON document, plus a compact form for share links (#ws=<token>).
+import { DEFAULT_FIRE_POLICY } from "./alertLogic";
+import { PROVIDERS, DEFAULT_PROVIDER, INTERVALS } from "./providers";
+import { TOOL_TYPES } from "./fibTools";
+import { CONDITION_TYPES } from "./conditions";
+import { ALERT_KINDS } from "./standaloneAlerts";
+
+export const WORKSPACE_VERSION = 1;
+const APP = "fibdash";
+
+// Firing state recorded on lines; it belongs to the machine that fired, not the setup
+const RUNTIME_FIELDS = ["lastFiredAt", "lastFiredBar", "fireCount", "firedDir", "armed"];
+
+function stripRuntime(perSymFib) {
+  const out = {};
+  Object.entries(perSymFib || {}).forEach(([key, lines]) => {
+    out[key] = (lines || []).map((ln) => {
+      const c = { ...ln };
+      RUNTIME_FIELDS.forEach((f) => delete c[f]);
+      return c;
+    });
+  });
+  return out;
+}
+
+function stripToolRuntime(perSymTools) {
+  const out = {};
+  Object.entries(perSymTools || {}).forEach(([key, tools]) => {
+    out[key] = (tools || []).map((t) => ({ ...t, lines: stripRuntime({ [key]: t.lines })[key] }));
+  });
+  return out;
+}
+
+// s: { symbols, perSymFib, perSymMeta, perSymProvider, perSymView, perSymAnchors, perSymTools, perSymAlerts,
+//      timeframe, useHeikinAshi, useHaRsi, ttsEnabled }
+export function buildWorkspace(s) {
+  return {
+    app: APP,
+    version: WORKSPACE_VERSION,
+    exportedAt: new Date().toISOString(),
+    symbols: s.symbols,
+    perSymFib: stripRuntime(s.perSymFib),
+    perSymMeta: s.perSymMeta,
+    perSymProvider: s.perSymProvider,
+    perSymView: s.perSymView,
+    perSymAnchors: s.perSymAnchors || {},
+    perSymTools: stripToolRuntime(s.perSymTools),
+    perSymAlerts: stripRuntime(s.perSymAlerts),
+    timeframe: s.timeframe,
+    useHeikinAshi: !!s.useHeikinAshi,
+    useHaRsi: !!s.useHaRsi,
+    ttsEnabled: !!s.ttsEnabled,
+  };
+}
+
+const isObj = (v) => v != null && typeof v === "object" && !Array.isArray(v);
+
+// Anchors and tool points: { time, price }
+const validPoint = (p) => isObj(p) && Number.isFinite(p.time) && Number.isFinite(p.price);
+
+// Rule-builder lines: `conditions` absent, or a list of known condition types
+const validConditions = (ln) =>
+  ln.conditions == null ||
+  (Array.isArray(ln.conditions) && ln.conditions.every((c) => isObj(c) && CONDITION_TYPES[c.type]));
+
+// Lines carry the symbol and timeframe of their SYMBOL@tf key
+function withKeyFields(perSymFib) {
+  const out = {};
+  Object.entries(perSymFib).forEach(([key, lines]) => {
+    const [symbol, timeframe] = key.split("@");
+    out[key] = lines.map((ln) => ({ ...ln, symbol, timeframe }));
+  });
+  return out;
+}
+
+// -> { workspace, errors }; workspace is null when anything is wrong
+export function validateWorkspace(obj) {
+  const errors = [];
+  if (!isObj(obj) || obj.app !== APP) return { workspace: null, errors: ["Not a Fib Alerts workspace file"] };
+  if (!Number.isInteger(obj.version) || obj.version < 1) errors.push("Missing or invalid version");
+  else if (obj.version > WORKSPACE_VERSION) errors.push(`Workspace version ${obj.version} is newer than this dashboard (${WORKSPACE_VERSION})`);
+
+  const symbols = Array.isArray(obj.symbols) ? obj.symbols : null;
+  if (!symbols || !symbols.length || !symbols.every((s) => typeof s === "string" && s.trim())) {
+    errors.push("symbols must be a non-empty list of symbol names");
+  }
+
+  const perSymFib = isObj(obj.perSymFib) ? obj.perSymFib : null;
+  if (!perSymFib) errors.push("perSymFib must be an object");
+  else {
+    Object.entries(perSymFib).forEach(([key, lines]) => {
+      const [sym, tf] = key.split("@");
+      if (!tf || !INTERVALS.includes(tf)) errors.push(`perSymFib.${key}: key must be SYMBOL@timeframe`);
+      else if (symbols && !symbols.includes(sym)) errors.push(`perSymFib.${key}: ${sym} is not in symbols`);
+      if (!Array.isArray(lines)) return errors.push(`perSymFib.${key} must be a list of lines`);
+      lines.forEach((ln, i) => {
+        if (!isObj(ln) || typeof ln.id !== "string" || !Number.isFinite(ln.ratio)) {
+          errors.push(`perSymFib.${key}[${i}]: needs an id and a numeric ratio`);
+        } else if (ln.price != null && !Number.isFinite(ln.price)) {
+          errors.push(`perSymFib.${key}[${i}]: price must be a number or null`);
+        } else if (!validConditions(ln)) {
+          errors.push(`perSymFib.${key}[${i}]: conditions must be a list of known condition types`);
+        } else if ((ln.symbol != null && ln.symbol !== sym) || (ln.timeframe != null && ln.timeframe !== tf)) {
+          errors.push(`perSymFib.${key}[${i}]: line is for ${ln.symbol ?? sym}@${ln.timeframe ?? tf}, not ${key}`);
+        }
+      });
+    });
+  }
+
+  ["perSymMeta", "perSymProvider", "perSymView", "perSymAnchors", "perSymTools", "perSymAlerts"].forEach((k) => {
+    if (obj[k] != null && !isObj(obj[k])) errors.push(`${k} must be an object`);
+  });
+  Object.entries(isObj(obj.perSymMeta) ? obj.perSymMeta : {}).forEach(([sym, m]) => {
+    if (!isObj(m)) return errors.push(`perSymMeta.${sym} must be an object`);
+    if (m.indicators != null && !(Array.isArray(m.indicators) && m.indicators.every(isObj))) {
+      errors.push(`perSymMeta.${sym}: indicators must be a list of indicators`);
+    }
+    ["rsi", "zigzag"].forEach((k) => {
+      if (m[k] != null && !isObj(m[k])) errors.push(`perSymMeta.${sym}: ${k} must be an object`);
+    });
+  });
+  Object.entries(isObj(obj.perSymView) ? obj.perSymView : {}).forEach(([sym, v]) => {
+    if (!isObj(v) || !INTERVALS.includes(v.timeframe) || typeof v.grid !== "boolean" ||
+        !Array.isArray(v.gridTfs) || !v.gridTfs.every((tf) => INTERVALS.includes(tf))) {
+      errors.push(`perSymView.${sym}: needs a timeframe, a boolean grid and a list of grid timeframes`);
+    }
+  });
+  Object.entries(isObj(obj.perSymAnchors) ? obj.perSymAnchors : {}).forEach(([key, a]) => {
+    if (!isObj(a) || !validPoint(a.low) || !validPoint(a.high)) {
+      errors.push(`perSymAnchors.${key}: needs low and high of { time, price }`);
+    }
+  });
+  Object.entries(isObj(obj.perSymTools) ? obj.perSymTools : {}).forEach(([key, tools]) => {
+    if (!Array.isArray(tools)) return errors.push(`perSymTools.${key} must be a list of tools`);
+    tools.forEach((t, i) => {
+      const def = isObj(t) && TOOL_TYPES[t.type];
+      if (!def || typeof t.id !== "string") return errors.push(`perSymTools.${key}[${i}]: unknown tool type`);
+      const pts = Array.isArray(t.points) ? t.points : [];
+      if (pts.length !== def.points || !pts.every(validPoint)) {
+        errors.push(`perSymTools.${key}[${i}]: needs ${def.points} points of { time, price }`);
+      }
+      if (!Array.isArray(t.lines) || !t.lines.every((ln) => isObj(ln) && typeof ln.id === "string" && Number.isFinite(ln.ratio))) {
+        errors.push(`perSymTools.${key}[${i}]: lines need an id and a numeric ratio`);
+      } else if (!t.lines.every(validConditions)) {
+        errors.push(`perSymTools.${key}[${i}]: conditions must be a list of known condition types`);
+      }
+    });
+  });
+  Object.entries(isObj(obj.perSymAlerts) ? obj.perSymAlerts : {}).forEach(([sym, alerts]) => {
+    if (!Array.isArray(alerts)) return errors.push(`perSymAlerts.${sym} must be a list of alerts`);
+    alerts.forEach((a, i) => {
+      if (!isObj(a) || typeof a.id !== "string" || !ALERT_KINDS[a.kind]) {
+        errors.push(`perSymAlerts.${sym}[${i}]: unknown alert kind`);
+      } else if (!INTERVALS.includes(a.timeframe)) {
+        errors.push(`perSymAlerts.${sym}[${i}]: unknown timeframe "${a.timeframe}"`);
+      } else if (!validConditions(a)) {
+        errors.push(`perSymAlerts.${sym}[${i}]: conditions must be a list of known condition types`);
+      }
+    });
+  });
+  const providerIds = PROVIDERS.map((p) => p.id);
+  Object.entries(obj.perSymProvider || {}).forEach(([sym, id]) => {
+    if (!providerIds.includes(id)) errors.push(`perSymProvider.${sym}: unknown provider "${id}"`);
+  });
+  if (obj.timeframe != null && !INTERVALS.includes(obj.timeframe)) errors.push(`Unknown timeframe "${obj.timeframe}"`);
+
+  if (errors.length) return { workspace: null, errors };
+  return {
+    errors,
+    workspace: {
+      ...obj,
+      perSymFib: withKeyFields(stripRuntime(perSymFib)),
+      perSymMeta: obj.perSymMeta || {},
+      perSymProvider: obj.perSymProvider || {},
+      perSymView: obj.perSymView || {},
+      perSymAnchors: obj.perSymAnchors || {},
+      perSymTools: stripToolRuntime(obj.perSymTools),
+      perSymAlerts: stripRuntime(obj.perSymAlerts),
+      timeframe: obj.timeframe || "1d",
+      useHeikinAshi: !!obj.useHeikinAshi,
+      useHaRsi: !!obj.useHaRsi,
+      ttsEnabled: !!obj.ttsEnabled,
+    },
+  };
+}
+
+// Key order differs between stored and link-decoded lines; compare sorted
+function canon(v) {
+  if (Array.isArray(v)) return v.map(canon);
+  if (!isObj(v)) return v;
+  return Object.keys(v).sort().reduce((o, k) => ((o[k] = canon(v[k])), o), {});
+}
+const same = (a, b) => JSON.stringify(canon(a)) === JSON.stringify(canon(b));
+
+// What importing `inc` would change, as [{ kind: "add" | "remove" | "change", text }].
+// "remove" entries only apply to Replace; Merge keeps them.
+export function diffWorkspace(cur, inc) {
+  const out = [];
+  inc.symbols.filter((s) => !cur.symbols.includes(s)).forEach((s) => out.push({ kind: "add", text: `New symbol ${s}` }));
+  cur.symbols.filter((s) => !inc.symbols.includes(s)).forEach((s) => out.push({ kind: "remove", text: `${s} is not in the import` }));
+
+  const curFib = stripRuntime(cur.perSymFib);
+  Object.entries(inc.perSymFib).forEach(([key, lines]) => {
+    const [sym] = key.split("@");
+    if (!cur.symbols.includes(sym)) return;
+    const before = curFib[key];
+    if (!before) return out.push({ kind: "add", text: `${key}: new fib set (${lines.length} lines)` });
+    const byId = Object.fromEntries(before.map((ln) => [ln.id, ln]));
+    const changed = lines.filter((ln) => !byId[ln.id] || !same(byId[ln.id], ln)).length;
+    const dropped = before.filter((ln) => !lines.some((x) => x.id === ln.id)).length;
+    if (changed || dropped) {
+      out.push({ kind: "change", text: `${key}: ${changed} line${changed === 1 ? "" : "s"} differ${dropped ? `, ${dropped} only here` : ""}` });
+    }
+  });
+
+  inc.symbols.filter((s) => cur.symbols.includes(s)).forEach((s) => {
+    const [pa, pb] = [cur.perSymProvider[s] || DEFAULT_PROVIDER, inc.perSymProvider[s] || DEFAULT_PROVIDER];
+    if (pa !== pb) out.push({ kind: "change", text: `${s}: provider ${pa} → ${pb}` });
+    if (inc.perSymMeta[s] && !same(inc.perSymMeta[s], cur.perSymMeta[s])) out.push({ kind: "change", text: `${s}: overlay settings` });
+    if (inc.perSymView[s] && !same(inc.perSymView[s], cur.perSymView[s])) out.push({ kind: "change", text: `${s}: timeframe / grid` });
+  });
+
+  Object.entries(inc.perSymAnchors).forEach(([key, a]) => {
+    if (cur.symbols.includes(key.split("@")[0]) && !same(a, (cur.perSymAnchors || {})[key])) {
+      out.push({ kind: "change", text: `${key}: swing anchors` });
+    }
+  });
+
+  const curTools = stripToolRuntime(cur.perSymTools);
+  Object.entries(inc.perSymTools).forEach(([key, tools]) => {
+    if (cur.symbols.includes(key.split("@")[0]) && !same(tools, curTools[key] || [])) {
+      out.push({ kind: "change", text: `${key}: drawn fib tools (${tools.length})` });
+    }
+  });
+
+  const curAlerts = stripRuntime(cur.perSymAlerts);
+  Object.entries(inc.perSymAlerts).forEach(([sym, alerts]) => {
+    if (cur.symbols.includes(sym) && !same(alerts, curAlerts[sym] || [])) {
+      out.push({ kind: "change", text: `${sym}: standalone alerts (${alerts.length})` });
+    }
+  });
+
+  [["timeframe", "Default timeframe"], ["useHeikinAshi", "HA candles"], ["useHaRsi", "HA-RSI"], ["ttsEnabled", "TTS"]]
+    .forEach(([k, label]) => {
+      if (inc[k] !== cur[k]) out.push({ kind: "change", text: `${label}: ${String(cur[k])} → ${String(inc[k])}` });
+    });
+  return out;
+}
+
+// Union of both; the import wins wherever both have an entry
+export function mergeWorkspace(cur, inc) {
+  return {
+    ...inc,
+    symbols: cur.symbols.concat(inc.symbols.filter((s) => !cur.symbols.includes(s))),
+    perSymFib: { ...cur.perSymFib, ...inc.perSymFib },
+    perSymMeta: { ...cur.perSymMeta, ...inc.perSymMeta },
+    perSymProvider: { ...cur.perSymProvider, ...inc.perSymProvider },
+    perSymView: { ...cur.perSymView, ...inc.perSymView },
+    perSymAnchors: { ...cur.perSymAnchors, ...inc.perSymAnchors },
+    perSymTools: { ...cur.perSymTools, ...inc.perSymTools },
+    perSymAlerts: { ...cur.perSymAlerts, ...inc.perSymAlerts },
+  };
+}
+
+// ---------- Share links ----------
+// Token: "z" + base64url(deflate(json)) where CompressionStream exists, else "j" + base64url(json).
+// Lines drop what the key and DEFAULT_FIRE_POLICY already say.
+
+function compactLines(perSymFib) {
+  const out = {};
+  Object.entries(perSymFib).forEach(([key, lines]) => {
+    out[key] = lines.map((ln) => {
+      const c = { ...ln };
+      delete c.symbol;
+      delete c.timeframe;
+      Object.entries(DEFAULT_FIRE_POLICY).forEach(([k, v]) => { if (c[k] === v) delete c[k]; });
+      return c;
+    });
+  });
+  return out;
+}
+
+function expandLines(perSymFib) {
+  const out = {};
+  Object.entries(perSymFib || {}).forEach(([key, lines]) => {
+    const [symbol, timeframe] = key.split("@");
+    out[key] = (lines || []).map((ln) => ({ ...DEFAULT_FIRE_POLICY, ...ln, symbol, timeframe }));
+  });
+  return out;
+}
+
+function toBase64Url(bytes) {
+  let bin = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) bin += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  return btoa(bin).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function fromBase64Url(s) {
+  const bin = atob(s.replace(/-/g, "+").replace(/_/g, "/"));
+  return Uint8Array.from(bin, (c) => c.charCodeAt(0));
+}
+
+// Through a (De)CompressionStream using only its own writer and reader
+async function pipe(bytes, stream) {
+  const writer = stream.writable.getWriter();
+  // A malformed input fails the reads below
+  writer.write(bytes).catch(() => {});
+  writer.close().catch(() => {});
+  const reader = stream.readable.getReader();
+  const chunks = [];
+  for (let r = await reader.read(); !r.done; r = await reader.read()) chunks.push(r.value);
+  const out = new Uint8Array(chunks.reduce((n, c) => n + c.length, 0));
+  let at = 0;
+  for (const c of chunks) {
+    out.set(c, at);
+    at += c.length;
+  }
+  return out;
+}
+
+export async function encodeWorkspaceLink(ws) {
+  const { exportedAt, ...rest } = ws;
+  const json = new TextEncoder().encode(JSON.stringify({ ...rest, perSymFib: compactLines(ws.perSymFib) }));
+  if (typeof CompressionStream === "function") {
+    return "z" + toBase64Url(await pipe(json, new CompressionStream("deflate-raw")));
+  }
+  return "j" + toBase64Url(json);
+}
+
+// -> parsed (unvalidated) workspace object; throws on a malformed token
+export async function decodeWorkspaceLink(token) {
+  const kind = token[0];
+  let bytes = fromBase64Url(token.slice(1));
+  if (kind === "z") {
+    if (typeof DecompressionStream !== "function") throw new Error("This browser cannot open compressed workspace links");
+    bytes = await pipe(bytes, new DecompressionStream("deflate-raw"));
+  } else if (kind !== "j") {
+    throw new Error("Unrecognized workspace link");
+  }
+  const obj = JSON.parse(new TextDecoder().decode(bytes));
+  return isObj(obj) ? { ...obj, perSymFib: expandLines(obj.perSymFib) } : obj;
+}
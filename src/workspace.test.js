@@ -0,0 +1,192 @@
+/**
+ * @jest-environment node
+ */
+// Node's environment: share links need TextEncoder, which jsdom doesn't provide
+import { CompressionStream, DecompressionStream } from "stream/web";
+import { DEFAULT_FIRE_POLICY } from "./alertLogic";
+import { buildWorkspace, validateWorkspace, diffWorkspace, mergeWorkspace, encodeWorkspaceLink, decodeWorkspaceLink } from "./workspace";
+
+// The browser has the compression streams on the global object; jest's Node
+// environment doesn't pass them through
+beforeAll(() => {
+  global.CompressionStream = CompressionStream;
+  global.DecompressionStream = DecompressionStream;
+});
+
+const line = (id, ratio, patch = {}) => ({
+  id, ratio, price: 100 + ratio * 10, enabled: true, alertEnabled: true, rsiOp: ">=", rsiThreshold: 50,
+  ...DEFAULT_FIRE_POLICY, ...patch,
+});
+
+// A fib set as the dashboard stores it: lines carry their key's symbol and timeframe
+function fib(key, ...lines) {
+  const [symbol, timeframe] = key.split("@");
+  return { [key]: lines.map((ln) => ({ ...ln, symbol, timeframe })) };
+}
+
+function state(patch = {}) {
+  return {
+    symbols: ["BTCUSDT", "ETHUSDT"],
+    perSymFib: {
+      ...fib("BTCUSDT@1h", line("b1", 0.5, { fireCount: 3, lastFiredAt: 123, armed: false })),
+      ...fib("ETHUSDT@1d", line("e1", 0.618)),
+    },
+    perSymMeta: {},
+    perSymProvider: { BTCUSDT: "binanceus" },
+    perSymView: {},
+    perSymAnchors: {},
+    perSymTools: {},
+    perSymAlerts: { BTCUSDT: [{ id: "a1", kind: "price", timeframe: "1h", price: 90, dir: "both", fireCount: 2 }] },
+    timeframe: "1h",
+    useHeikinAshi: false,
+    useHaRsi: false,
+    ttsEnabled: true,
+    ...patch,
+  };
+}
+
+test("exports the setup without the firing state", () => {
+  const ws = buildWorkspace(state());
+  expect(ws).toMatchObject({ app: "fibdash", version: 1, symbols: ["BTCUSDT", "ETHUSDT"] });
+  expect(ws.perSymFib["BTCUSDT@1h"][0]).not.toHaveProperty("fireCount");
+  expect(ws.perSymFib["BTCUSDT@1h"][0]).not.toHaveProperty("armed");
+  expect(ws.perSymAlerts.BTCUSDT[0]).not.toHaveProperty("fireCount");
+});
+
+test("validates a round-tripped export and fills each line's symbol and timeframe", () => {
+  const { workspace, errors } = validateWorkspace(JSON.parse(JSON.stringify(buildWorkspace(state()))));
+  expect(errors).toEqual([]);
+  expect(workspace.perSymFib["ETHUSDT@1d"][0]).toMatchObject({ id: "e1", symbol: "ETHUSDT", timeframe: "1d" });
+});
+
+test("rejects malformed files with a reason per problem", () => {
+  expect(validateWorkspace({ app: "other" }).errors).toEqual(["Not a Fib Alerts workspace file"]);
+
+  const ws = buildWorkspace(state());
+  ws.version = 99;
+  Object.assign(ws.perSymFib, fib("DOGEUSDT@1h", line("d1", 0.5)));
+  ws.perSymFib["BTCUSDT@7m"] = [];
+  ws.perSymFib["ETHUSDT@1d"].push({ id: "e2", ratio: "0.5" });
+  ws.perSymProvider.ETHUSDT = "nasdaq";
+  ws.perSymAlerts.BTCUSDT.push({ id: "a2", kind: "bogus", timeframe: "1h" });
+  const { workspace, errors } = validateWorkspace(ws);
+  expect(workspace).toBeNull();
+  expect(errors).toEqual([
+    "Workspace version 99 is newer than this dashboard (1)",
+    "perSymFib.ETHUSDT@1d[1]: needs an id and a numeric ratio",
+    "perSymFib.DOGEUSDT@1h: DOGEUSDT is not in symbols",
+    "perSymFib.BTCUSDT@7m: key must be SYMBOL@timeframe",
+    "perSymAlerts.BTCUSDT[1]: unknown alert kind",
+    'perSymProvider.ETHUSDT: unknown provider "nasdaq"',
+  ]);
+});
+
+test("rejects lines filed under another symbol or timeframe", () => {
+  const ws = buildWorkspace(state());
+  ws.perSymFib["BTCUSDT@1h"].push(line("b2", 0.618, { symbol: "ETHUSDT", timeframe: "1h" }));
+  ws.perSymFib["ETHUSDT@1d"].push(line("e2", 0.5, { symbol: "ETHUSDT", timeframe: "4h" }));
+  expect(validateWorkspace(ws).errors).toEqual([
+    "perSymFib.BTCUSDT@1h[1]: line is for ETHUSDT@1h, not BTCUSDT@1h",
+    "perSymFib.ETHUSDT@1d[1]: line is for ETHUSDT@4h, not ETHUSDT@1d",
+  ]);
+});
+
+test("rejects views, anchors and overlay settings the dashboard can't show", () => {
+  const ws = buildWorkspace(state({
+    perSymView: { BTCUSDT: { timeframe: "1h" }, ETHUSDT: { timeframe: "1d", grid: true, gridTfs: ["1h", "4h"] } },
+    perSymAnchors: {
+      "BTCUSDT@1h": { low: { time: 60, price: 90 } },
+      "ETHUSDT@1d": { low: { time: 60, price: 90 }, high: { time: 120, price: "110" } },
+    },
+    perSymMeta: { BTCUSDT: null, ETHUSDT: { indicators: "vwap", rsi: 14, zigzag: true } },
+  }));
+  expect(validateWorkspace(ws).errors).toEqual([
+    "perSymMeta.BTCUSDT must be an object",
+    "perSymMeta.ETHUSDT: indicators must be a list of indicators",
+    "perSymMeta.ETHUSDT: rsi must be an object",
+    "perSymMeta.ETHUSDT: zigzag must be an object",
+    "perSymView.BTCUSDT: needs a timeframe, a boolean grid and a list of grid timeframes",
+    "perSymAnchors.BTCUSDT@1h: needs low and high of { time, price }",
+    "perSymAnchors.ETHUSDT@1d: needs low and high of { time, price }",
+  ]);
+
+  ws.perSymView.BTCUSDT = { timeframe: "1h", grid: "yes", gridTfs: ["1h"] };
+  ws.perSymView.ETHUSDT.gridTfs = ["1h", "7m"];
+  expect(validateWorkspace(ws).errors).toContain("perSymView.BTCUSDT: needs a timeframe, a boolean grid and a list of grid timeframes");
+  expect(validateWorkspace(ws).errors).toContain("perSymView.ETHUSDT: needs a timeframe, a boolean grid and a list of grid timeframes");
+});
+
+test("accepts complete views and anchors", () => {
+  const { errors } = validateWorkspace(buildWorkspace(state({
+    perSymView: { BTCUSDT: { timeframe: "1h", grid: false, gridTfs: ["1h", "4h", "1d"] } },
+    perSymAnchors: { "BTCUSDT@1h": { low: { time: 60, price: 90 }, high: { time: 120, price: 110 } } },
+    perSymMeta: { BTCUSDT: { indicators: [], rsi: { period: 14 }, zigzag: { enabled: true, depth: 5 } } },
+  })));
+  expect(errors).toEqual([]);
+});
+
+test("diffs an import against the current setup", () => {
+  const cur = state();
+  const inc = validateWorkspace(buildWorkspace(state({
+    symbols: ["BTCUSDT", "SOLUSDT"],
+    perSymFib: {
+      ...fib("BTCUSDT@1h", line("b1", 0.5, { price: 111 }), line("b2", 0.786)),
+      ...fib("BTCUSDT@4h", line("b3", 0.382)),
+      ...fib("SOLUSDT@1h", line("s1", 0.5)),
+    },
+    perSymProvider: { BTCUSDT: "coinbase" },
+    ttsEnabled: false,
+  }))).workspace;
+  expect(diffWorkspace(cur, inc)).toEqual([
+    { kind: "add", text: "New symbol SOLUSDT" },
+    { kind: "remove", text: "ETHUSDT is not in the import" },
+    { kind: "change", text: "BTCUSDT@1h: 2 lines differ" },
+    { kind: "add", text: "BTCUSDT@4h: new fib set (1 lines)" },
+    { kind: "change", text: "BTCUSDT: provider binanceus → coinbase" },
+    { kind: "change", text: "TTS: true → false" },
+  ]);
+  // Firing state alone is no difference
+  expect(diffWorkspace(cur, validateWorkspace(buildWorkspace(cur)).workspace)).toEqual([]);
+});
+
+test("merges with the import winning where both have an entry", () => {
+  const cur = state();
+  const inc = validateWorkspace(buildWorkspace(state({
+    symbols: ["SOLUSDT", "BTCUSDT"],
+    perSymFib: { ...fib("BTCUSDT@1h", line("b9", 0.236)), ...fib("SOLUSDT@1h", line("s1", 0.5)) },
+    perSymProvider: { SOLUSDT: "coinbase" },
+  }))).workspace;
+  const merged = mergeWorkspace(cur, inc);
+  expect(merged.symbols).toEqual(["BTCUSDT", "ETHUSDT", "SOLUSDT"]);
+  expect(Object.keys(merged.perSymFib).sort()).toEqual(["BTCUSDT@1h", "ETHUSDT@1d", "SOLUSDT@1h"]);
+  expect(merged.perSymFib["BTCUSDT@1h"].map((ln) => ln.id)).toEqual(["b9"]);
+  expect(merged.perSymProvider).toEqual({ BTCUSDT: "binanceus", SOLUSDT: "coinbase" });
+});
+
+test("share links decode to the workspace they encode", async () => {
+  const ws = validateWorkspace(buildWorkspace(state())).workspace;
+  const token = await encodeWorkspaceLink(ws);
+  expect(token).toMatch(/^z[A-Za-z0-9_-]+$/);
+  const back = validateWorkspace(await decodeWorkspaceLink(token));
+  expect(back.errors).toEqual([]);
+  const { exportedAt, ...rest } = ws;
+  expect(back.workspace).toEqual(rest);
+});
+
+test("share links fall back to plain JSON without CompressionStream", async () => {
+  const ws = validateWorkspace(buildWorkspace(state())).workspace;
+  const real = global.CompressionStream;
+  global.CompressionStream = undefined;
+  try {
+    const token = await encodeWorkspaceLink(ws);
+    expect(token[0]).toBe("j");
+    expect((await decodeWorkspaceLink(token)).perSymFib).toEqual(ws.perSymFib);
+  } finally {
+    global.CompressionStream = real;
+  }
+  await expect(decodeWorkspaceLink("xAAAA")).rejects.toThrow("Unrecognized workspace link");
+});
+
+test("a corrupt compressed link fails to decode", async () => {
+  await expect(decodeWorkspaceLink("zAAAA")).rejects.toThrow();
+});